@@ -3,29 +3,65 @@
  * Provides simple interactivity on different pages.
  */
 
-// Register service worker if available
+// Register service worker if available.  A new release installs in the
+// background and then waits; residents get a prompt to reload into it rather
+// than running a page against assets from two different releases.
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', function() {
-    navigator.serviceWorker.register('service-worker.js').catch(err => {
+    navigator.serviceWorker.register('service-worker.js').then(watchForUpdates).catch(err => {
       console.error('Service worker registration failed:', err);
     });
   });
 }
 
-// Demo authentication constants
-const AUTH_COOKIE_KEY = 'hostelsync_auth';
-const DEMO_STUDENT = {
-  email: 'subhamn2026@email.iimcal.ac.in',
-  password: 'student123',
-  name: 'Shubham Naskar',
-  hostel: 'WH',
-  room: 'C307',
-};
-const DEMO_ADMIN = {
-  email: 'admin@hostel.edu',
-  password: 'admin123',
-  name: 'Admin Approver',
-};
+// Offer to reload whenever an updated worker is waiting.  The very first
+// install has nothing stale to replace, so it does not prompt.
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
+  // The new worker took over (here or in another tab): load its assets.
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  // Tabs left open for days check for a release when they come back into view.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => {});
+  });
+}
+
+function showUpdatePrompt(worker) {
+  if (document.getElementById('update-banner')) return;
+  const banner = document.createElement('div');
+  banner.id = 'update-banner';
+  banner.className = 'update-banner';
+  const text = document.createElement('span');
+  text.textContent = 'New version available';
+  const reloadBtn = document.createElement('button');
+  reloadBtn.textContent = 'Reload';
+  reloadBtn.onclick = () => {
+    reloadBtn.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  banner.appendChild(text);
+  banner.appendChild(reloadBtn);
+  document.body.appendChild(banner);
+}
+
+// Authentication cookie holding the signed session token
+const AUTH_COOKIE_KEY = 'hostelsync_session';
 
 // Global error handler disabled.  Enable manually for debugging if needed.
 // window.onerror = function(message, source, lineno, colno, error) {
@@ -39,15 +75,15 @@ const DEMO_ADMIN = {
 // HostelSync State Management and Helpers
 //
 // To bring the demo closer to the React version, we persist a small state
-// object in localStorage.  This allows machines, washes and notifications to
+// object in IndexedDB.  This allows machines, washes and notifications to
 // survive across page reloads.  Machines are initialised with random
 // statuses, similar to the original mock, and a minute-level timer drives
 // countdowns, notifications and state transitions.  Each page reads from the
 // shared state and re-renders when necessary.
 
-// Bump this number whenever the state schema or default machine setup changes.
-// Incrementing the version forces a reset of the persisted state in localStorage.
-const STATE_VERSION = 5;
+// Bump this number whenever the persisted schema changes, and add a matching
+// entry to STATE_MIGRATIONS that upgrades the previous version in place.
+const STATE_VERSION = 18;
 let state = null;
 const COMMON_ROOM_DB_KEY = 'hostelsync_common_room_db';
 let commonRoomDB = null;
@@ -61,495 +97,5215 @@ let commonRoomDB = null;
 // };
 let tickIntervalStarted = false;
 
-// Load state from localStorage.  If parsing fails or no state exists, null is
-// returned.
-function loadState() {
-  const data = localStorage.getItem('hostelsync_state');
-  if (data) {
-    try {
-      return JSON.parse(data);
-    } catch {
-      return null;
+// -----------------------------------------------------------------------------
+// IndexedDB storage layer
+//
+// localStorage is capped at a few megabytes, which a handful of report photos
+// stored as data URLs will exhaust.  Persisted data therefore lives in an
+// IndexedDB database with one object store per collection.  Records are keyed
+// by their position in the in-memory array so getAll() hands them back in the
+// order the UI renders them.  Scalar settings (schema version, watchFree
+// flags, the active user) live in a separate key/value "meta" store.
+const DB_NAME = 'hostelsync';
+const DB_VERSION = 8;
+const COLLECTION_STORES = [
+  'machines',
+  'washes',
+  'notices',
+  'reports',
+  'rooms',
+  'bookings',
+  'outbox',
+  'users',
+  'sessions',
+  'queue',
+  'settings',
+  'reservations',
+  'watches',
+  'reputation',
+];
+// Collections that never leave this device, even with a shared backend.
+const DEVICE_STORES = ['notices', 'outbox'];
+const META_STORE = 'meta';
+const LEGACY_STATE_KEY = 'hostelsync_state';
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise that settles with its result.
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has committed, reject if it fails or aborts.
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// Open (and on first run create) the HostelSync database.  The connection is
+// shared by every caller for the lifetime of the page.
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
     }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      COLLECTION_STORES.forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      });
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+// Read every record from the named collection stores in a single
+// transaction.  Resolves to an object keyed by store name.
+async function readStores(names) {
+  const db = await openDatabase();
+  const tx = db.transaction(names, 'readonly');
+  const results = await Promise.all(
+    names.map((name) => promisifyRequest(tx.objectStore(name).getAll()))
+  );
+  const out = {};
+  names.forEach((name, i) => {
+    out[name] = results[i];
+  });
+  return out;
+}
+
+// Replace the contents of one or more collection stores.  Each entry of
+// `collections` maps a store name to the array that should be persisted.
+async function writeStores(collections) {
+  const names = Object.keys(collections);
+  if (names.length === 0) return;
+  const db = await openDatabase();
+  const tx = db.transaction(names, 'readwrite');
+  names.forEach((name) => {
+    const store = tx.objectStore(name);
+    store.clear();
+    (collections[name] || []).forEach((record, index) => store.put(record, index));
+  });
+  await transactionDone(tx);
+}
+
+// Read the given keys from the meta store.  Missing keys come back undefined.
+async function readMeta(keys) {
+  const db = await openDatabase();
+  const tx = db.transaction(META_STORE, 'readonly');
+  const store = tx.objectStore(META_STORE);
+  const values = await Promise.all(keys.map((key) => promisifyRequest(store.get(key))));
+  const out = {};
+  keys.forEach((key, i) => {
+    out[key] = values[i];
+  });
+  return out;
+}
+
+// Write each key/value pair of `values` into the meta store.
+async function writeMeta(values) {
+  const db = await openDatabase();
+  const tx = db.transaction(META_STORE, 'readwrite');
+  const store = tx.objectStore(META_STORE);
+  Object.keys(values).forEach((key) => store.put(values[key], key));
+  await transactionDone(tx);
+}
+
+// One-time import of data persisted by earlier releases, which kept the whole
+// state and the common room database as JSON blobs in localStorage.  The
+// localStorage keys are removed once their contents have been copied so the
+// quota is freed for good.
+async function importLegacyLocalStorage() {
+  const { legacyImported } = await readMeta(['legacyImported']);
+  if (legacyImported) return;
+  let legacyState = null;
+  let legacyRooms = null;
+  try {
+    legacyState = JSON.parse(localStorage.getItem(LEGACY_STATE_KEY) || 'null');
+  } catch {
+    legacyState = null;
   }
-  return null;
+  try {
+    legacyRooms = JSON.parse(localStorage.getItem(COMMON_ROOM_DB_KEY) || 'null');
+  } catch {
+    legacyRooms = null;
+  }
+  if (legacyState && typeof legacyState === 'object') {
+    const collections = {};
+    COLLECTION_STORES.forEach((name) => {
+      if (Array.isArray(legacyState[name])) collections[name] = legacyState[name];
+    });
+    await writeStores(collections);
+    await writeMeta({
+      version: legacyState.version,
+      watchFree: legacyState.watchFree || {},
+      user: legacyState.user || null,
+    });
+  }
+  // The common room database was the source of truth for rooms and bookings,
+  // so it wins over any copy embedded in the legacy state blob.
+  if (legacyRooms && Array.isArray(legacyRooms.rooms) && Array.isArray(legacyRooms.bookings)) {
+    await writeStores({ rooms: legacyRooms.rooms, bookings: legacyRooms.bookings });
+  }
+  await writeMeta({ legacyImported: true });
+  localStorage.removeItem(LEGACY_STATE_KEY);
+  localStorage.removeItem(COMMON_ROOM_DB_KEY);
 }
 
-// Persist current state back to localStorage.
-function saveState() {
-  if (state) {
-    localStorage.setItem('hostelsync_state', JSON.stringify(state));
+// Load state from IndexedDB.  Resolves to null when nothing has been
+// persisted yet or the database cannot be opened.
+async function loadState() {
+  try {
+    await importLegacyLocalStorage();
+    const meta = await readMeta(['version', 'watchFree', 'user']);
+    if (meta.version == null) return null;
+    const collections = await readStores(COLLECTION_STORES);
+    return {
+      ...collections,
+      version: meta.version,
+      watchFree: meta.watchFree || {},
+      user: meta.user || null,
+    };
+  } catch (err) {
+    console.error('loadState failed:', err);
+    return null;
   }
 }
 
+// Persist current state back to IndexedDB.  Pass store names to limit the
+// write to those collections; with no arguments every collection is written.
+// The returned promise never rejects: failures are logged so callers can
+// safely fire and forget.
+function saveState(...storeNames) {
+  if (!state) return Promise.resolve();
+  const names = storeNames.length > 0 ? storeNames : COLLECTION_STORES;
+  const collections = {};
+  names.forEach((name) => {
+    collections[name] = state[name] || [];
+  });
+  return Promise.all([
+    writeStores(collections),
+    writeMeta({ version: state.version, watchFree: state.watchFree, user: state.user }),
+  ])
+    .then(() => broadcastStateChange(names))
+    .catch((err) => {
+      console.error('saveState failed:', err);
+    });
+}
+
 // -----------------------------------------------------------------------------
-// Authentication persistence helpers
+// Cross-tab synchronisation
 //
-// Demo login is intentionally simple.  Credentials are validated client-side and
-// the active user is mirrored into a short-lived cookie so any page will prompt
-// once and then remember the mode (student/admin) until logout.
-function isValidDemoUser(user) {
-  if (!user) return false;
-  if (user.role === 'admin') return user.email === DEMO_ADMIN.email;
-  if (user.role === 'student') return user.email === DEMO_STUDENT.email;
-  return false;
-}
-
-function setAuthCookie(user) {
-  if (!user) return;
-  const payload = {
-    id: user.id,
-    role: user.role,
-    email: user.email,
-    phone: user.phone || null,
-    name: user.name || null,
-  };
-  const encoded = encodeURIComponent(JSON.stringify(payload));
-  document.cookie = `${AUTH_COOKIE_KEY}=${encoded}; path=/; max-age=${60 * 60 * 24 * 30}`;
+// Every open tab keeps its own copy of `state`, so without coordination the
+// last tab to save silently discards whatever another tab wrote.  Tabs
+// therefore announce each committed write over a BroadcastChannel (or, in
+// browsers without one, through a storage event), and the others reload from
+// IndexedDB and re-render.  Mutations run under a cross-tab lock and start by
+// reloading, so they always apply on top of the latest persisted data.
+const TAB_ID = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+const SYNC_CHANNEL_NAME = 'hostelsync';
+const SYNC_STORAGE_KEY = 'hostelsync_sync';
+const STATE_LOCK_NAME = 'hostelsync-state';
+let syncChannel = null;
+let syncReloadTimer = null;
+let localStateQueue = Promise.resolve();
+
+// Listen for writes made by other tabs.
+function initTabSync() {
+  if ('BroadcastChannel' in window) {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = (event) => handleSyncMessage(event.data);
+  } else {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+      try {
+        handleSyncMessage(JSON.parse(event.newValue));
+      } catch {
+        // ignore malformed payloads
+      }
+    });
+  }
 }
 
-function readAuthCookie() {
-  const raw = document.cookie || '';
-  const cookies = raw.split(';');
-  for (const cookie of cookies) {
-    const trimmed = cookie.trim();
-    if (!trimmed.startsWith(`${AUTH_COOKIE_KEY}=`)) continue;
+// Tell other tabs which stores were just written.
+function broadcastStateChange(storeNames) {
+  const message = { type: 'state-changed', stores: storeNames, from: TAB_ID, at: Date.now() };
+  if (syncChannel) {
+    syncChannel.postMessage(message);
+  } else {
     try {
-      const value = decodeURIComponent(trimmed.split('=').slice(1).join('='));
-      return JSON.parse(value);
+      localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
     } catch {
-      return null;
+      // storage may be unavailable (e.g. private mode); other tabs will catch
+      // up on their next reload
     }
   }
-  return null;
 }
 
-function clearAuthCookie() {
-  document.cookie = `${AUTH_COOKIE_KEY}=; path=/; max-age=0`;
+// A burst of saves (a mutation plus its notices) arrives as several messages,
+// so reloads are coalesced into one.
+function handleSyncMessage(message) {
+  if (!message || message.type !== 'state-changed' || message.from === TAB_ID) return;
+  if (!state) return;
+  clearTimeout(syncReloadTimer);
+  syncReloadTimer = setTimeout(async () => {
+    await withStateLock(reloadStateFromStorage);
+    refreshOpenViews();
+  }, 50);
 }
 
-function syncUserFromCookie() {
-  const cookieUser = readAuthCookie();
-  if (!cookieUser || !isValidDemoUser(cookieUser)) {
-    clearAuthCookie();
-    if (state) {
-      state.user = null;
-      saveState();
-    }
-    return;
+// Run `task` while holding the cross-tab state lock.  Browsers without the
+// Web Locks API fall back to serialising work within this tab only.
+function withStateLock(task) {
+  if (navigator.locks && navigator.locks.request) {
+    return navigator.locks.request(STATE_LOCK_NAME, () => task());
   }
-  state.user = {
-    id: cookieUser.id || `${cookieUser.role}-${Date.now()}`,
-    role: cookieUser.role,
-    email: cookieUser.email,
-    phone: cookieUser.phone || null,
-    hostel: cookieUser.role === 'student' ? DEMO_STUDENT.hostel : '',
-    room: cookieUser.role === 'student' ? DEMO_STUDENT.room : '',
-    name: cookieUser.name || (cookieUser.email ? cookieUser.email.split('@')[0] : ''),
-  };
-  saveState();
+  const run = localStateQueue.then(() => task());
+  localStateQueue = run.catch(() => {});
+  return run;
 }
 
-// Create an array of machine objects for the single supported hostel/floor.
-// The current deployment focuses solely on Hostel WH, second floor, with
-// three fully functional machines.  Machines are labelled M-2A, M-2B, M-2C
-// to match the second-floor context.
-function makeMachines() {
-  return [
-    {
-      id: 'WH-2-1',
-      label: 'M-2A',
-      hostel: 'WH',
-      floor: 2,
-      status: 'FREE',
-      eta: undefined,
-    },
-    {
-      id: 'WH-2-2',
-      label: 'M-2B',
-      hostel: 'WH',
-      floor: 2,
-      status: 'FREE',
-      eta: undefined,
+// Replace the in-memory state with what is currently persisted.
+async function reloadStateFromStorage() {
+  const loaded = await loadState();
+  if (!loaded) return;
+  Object.assign(state, loaded);
+  if (commonRoomDB) {
+    commonRoomDB.rooms = state.rooms;
+    commonRoomDB.bookings = state.bookings;
+  }
+}
+
+// Apply a change to state on top of the latest data and save it.  All
+// mutation functions go through here so concurrent tabs (and, with a shared
+// backend, other residents) cannot clobber each other's writes: the change is
+// applied to freshly loaded data, and if the backend reports that someone
+// else wrote in the meantime it is re-applied to their version.  Resolves to
+// whatever `mutation` returns.  When the change cannot be saved it is rolled
+// back and the error (code 'CONFLICT' or 'UNAVAILABLE' for backend failures)
+// is rethrown.
+//
+// Pass `{ local: true }` for changes to per-device data (notices, the
+// outbox, watchFree flags, the active user); these skip the backend so they
+// also work offline.
+function mutateState(mutation, { local = false } = {}) {
+  return withStateLock(async () => {
+    for (let attempt = 1; ; attempt++) {
+      await reloadStateFromStorage();
+      let result;
+      activeMutation = { toasts: [] };
+      try {
+        if (!local) await pullFromBackend();
+        result = await mutation();
+        if (!local) await pushToBackend();
+      } catch (err) {
+        activeMutation = null;
+        // Throw away the half-applied change.
+        await reloadStateFromStorage();
+        if (err.code === 'CONFLICT' && attempt < MAX_MUTATION_ATTEMPTS) continue;
+        throw err;
+      }
+      const { toasts } = activeMutation;
+      activeMutation = null;
+      // Shared collections were cached by pushToBackend(); this writes the
+      // per-device data and tells other tabs to reload.
+      if (local) await saveState();
+      else await saveState(...DEVICE_STORES);
+      toasts.forEach(showNativeNotification);
+      return result;
+    }
+  });
+}
+
+// Re-render whichever views the current page has initialised.
+function refreshOpenViews() {
+  renderOutbox();
+  if (typeof updateLaundryView === 'function') updateLaundryView();
+  if (typeof renderMyWashes === 'function') renderMyWashes();
+  if (typeof renderAlerts === 'function') renderAlerts();
+  if (typeof renderMyBookings === 'function') renderMyBookings();
+  if (typeof renderAdminBookings === 'function') renderAdminBookings();
+  if (typeof renderResidents === 'function') renderResidents();
+  if (typeof renderMachineRegistry === 'function') renderMachineRegistry();
+  if (typeof renderTickets === 'function') renderTickets();
+  if (typeof renderQrSheet === 'function') renderQrSheet();
+  if (typeof renderAnalytics === 'function') renderAnalytics();
+  if (typeof renderSessions === 'function') renderSessions();
+  if (typeof renderReputation === 'function') renderReputation();
+  if (typeof updateRoomsView === 'function') updateRoomsView();
+}
+
+// -----------------------------------------------------------------------------
+// Backend adapters
+//
+// Mutation functions never talk to storage directly: mutateState() pulls the
+// shared collections from the active backend, applies the change and pushes
+// back whatever changed.  Two backends exist:
+//   - local: IndexedDB is the only copy (the default).
+//   - http:  a JSON server (see server/reference-server.js) holds the shared
+//            collections for a whole floor and IndexedDB caches them.
+// Notices, watchFree flags and the active user stay per-device either way.
+//
+// A backend implements
+//   load() → Promise<{ collections, revision }>
+//   save(collections, revision) → Promise<{ revision }>
+// where save() receives only the collections that changed.  Failures reject
+// with an Error whose `code` is 'CONFLICT' (revision is stale),
+// 'UNAVAILABLE' (backend unreachable) or 'REJECTED' (the server refused the
+// request, e.g. because the session has ended).
+const SHARED_STORES = [
+  'machines',
+  'washes',
+  'reports',
+  'rooms',
+  'bookings',
+  'users',
+  'sessions',
+  'queue',
+  'settings',
+  'reservations',
+  'watches',
+  'reputation',
+];
+// Collections a shared server changes only through its own API (see the
+// sessions section).  They are cached here but never pushed.
+const SERVER_MANAGED_STORES = ['users', 'sessions'];
+// A shared server only accepts these from admins.  Other residents' copies
+// can only differ by seeded defaults, so they are not sent.
+const ADMIN_STORES = ['settings', 'rooms'];
+// It also only lets residents add entries to `reputation`; overturning a
+// penalty needs an admin's session.
+const MAX_MUTATION_ATTEMPTS = 3;
+let backend = null;
+let backendRevision = null;
+// JSON of each shared collection as last seen on the backend, used to push
+// only what a mutation actually changed.
+let backendSnapshot = {};
+let activeMutation = null;
+
+function backendError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// IndexedDB-only backend.  There is no revision: tabs on this device are
+// already serialised by the state lock.
+function createLocalBackend() {
+  return {
+    name: 'local',
+    async load() {
+      return { collections: await readStores(SHARED_STORES), revision: null };
     },
-    {
-      id: 'WH-2-3',
-      label: 'M-2C',
-      hostel: 'WH',
-      floor: 2,
-      status: 'FREE',
-      eta: undefined,
+    async save(collections) {
+      await writeStores(collections);
+      return { revision: null };
     },
-  ];
+  };
 }
 
-// Create a list of common rooms for booking.  Each room has an id, hostel,
-// human-readable label and a flag indicating whether AC is available.  All
-// rooms live in WH for this deployment and have AC by default.
-function makeRooms() {
-  return [
-    {
-      id: 'WH-pool',
-      hostel: 'WH',
-      label: 'Pool Room',
-      hasAC: true,
-    },
-    {
-      id: 'WH-lan',
-      hostel: 'WH',
-      label: 'LAN Room',
-      hasAC: true,
+// Call the shared server's API at `baseUrl` and resolve to the JSON reply.
+// The session token from the auth cookie goes along as a Bearer credential.
+// Requests the server refuses (4xx) reject as REJECTED with its message.
+async function apiRequest(baseUrl, path, { method = 'GET', body } = {}) {
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const token = readAuthCookie();
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let res;
+  try {
+    res = await fetch(`${baseUrl.replace(/\/+$/, '')}/${path}`, {
+      method,
+      headers,
+      cache: 'no-store',
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (err) {
+    throw backendError(`Sync server unreachable: ${err.message}`, 'UNAVAILABLE');
+  }
+  if (res.status === 409) throw backendError('Sync server has newer data', 'CONFLICT');
+  if (res.status >= 400 && res.status < 500) {
+    const reply = await res.json().catch(() => ({}));
+    throw backendError(reply.error || `Sync server responded ${res.status}`, 'REJECTED');
+  }
+  if (!res.ok) throw backendError(`Sync server responded ${res.status}`, 'UNAVAILABLE');
+  return res.status === 204 ? {} : res.json();
+}
+
+// Backend for a shared HostelSync server.  `baseUrl` points at the API root,
+// e.g. "/api" when the app is served by the reference server itself.
+function createHttpBackend(baseUrl) {
+  return {
+    name: 'http',
+    url: baseUrl,
+    async load() {
+      const body = await apiRequest(baseUrl, 'state');
+      return { collections: body.collections || {}, revision: body.revision };
     },
-    {
-      id: 'WH-tt',
-      hostel: 'WH',
-      label: 'Table Tennis Room',
-      hasAC: true,
+    async save(collections, revision) {
+      const body = await apiRequest(baseUrl, 'state', { method: 'PUT', body: { revision, collections } });
+      return { revision: body.revision };
     },
-  ];
+  };
+}
+
+// Build the backend described by a persisted config object.
+function createBackend(config) {
+  if (config && config.type === 'http' && config.url) return createHttpBackend(config.url);
+  return createLocalBackend();
+}
+
+// Persist the backend choice.  Takes effect on the next page load.
+async function setBackendConfig(config) {
+  await writeMeta({ backend: config && config.type === 'http' ? config : { type: 'local' } });
+}
+
+// Record the shared collections as the backend now has them.  Names listed
+// in `missing` do not exist on the backend yet, so the next push sends them.
+function snapshotSharedCollections(missing = []) {
+  backendSnapshot = {};
+  SHARED_STORES.forEach((name) => {
+    backendSnapshot[name] = missing.includes(name) ? null : JSON.stringify(state[name] || []);
+  });
+}
+
+// Replace the shared collections in state with the backend's copy.  With the
+// local backend IndexedDB was just reloaded, so there is nothing to fetch.
+async function pullFromBackend() {
+  const missing = [];
+  if (backend && backend.name !== 'local') {
+    const { collections, revision } = await backend.load();
+    // A brand-new server has no collections yet; keep ours so they get pushed.
+    SHARED_STORES.forEach((name) => {
+      if (Array.isArray(collections[name])) state[name] = collections[name];
+      else missing.push(name);
+    });
+    backendRevision = revision;
+    if (commonRoomDB) {
+      commonRoomDB.rooms = state.rooms;
+      commonRoomDB.bookings = state.bookings;
+    }
+    await writeStores(collections);
+  }
+  snapshotSharedCollections(missing);
+}
+
+// Save the shared collections that changed since the last pull or push.
+// A shared server has already applied changes to the collections it
+// manages, so those are only cached.
+async function pushToBackend() {
+  const changed = {};
+  SHARED_STORES.forEach((name) => {
+    if (JSON.stringify(state[name] || []) !== backendSnapshot[name]) changed[name] = state[name] || [];
+  });
+  if (Object.keys(changed).length === 0) return;
+  const remote = backend && backend.name !== 'local';
+  const outgoing = { ...changed };
+  if (remote) SERVER_MANAGED_STORES.forEach((name) => delete outgoing[name]);
+  if (remote && !(state.user && state.user.role === 'admin')) ADMIN_STORES.forEach((name) => delete outgoing[name]);
+  if (Object.keys(outgoing).length > 0) {
+    const { revision } = await (backend || createLocalBackend()).save(outgoing, backendRevision);
+    backendRevision = revision;
+  }
+  if (remote) await writeStores(changed);
+  snapshotSharedCollections();
+}
+
+// Fetch what other residents changed on the shared server.  Called by the
+// tick leader; the broadcast from saveState() refreshes the other tabs.
+async function refreshFromBackend() {
+  if (!backend || backend.name === 'local') return;
+  try {
+    await withStateLock(async () => {
+      await reloadStateFromStorage();
+      await pullFromBackend();
+      await saveState('notices');
+    });
+  } catch (err) {
+    console.warn('Could not refresh from the sync server:', err);
+  }
 }
 
 // -----------------------------------------------------------------------------
-// Common room database helpers
+// Offline outbox
 //
-// The common room booking experience needs persistent storage that is decoupled
-// from the broader laundry/game state.  We keep a lightweight “database” in
-// localStorage so bookings and the room catalog survive resets and can be
-// reused across pages.
+// With a shared backend every change needs the server, which is exactly what
+// a resident in the laundry basement does not have.  Mutation functions
+// therefore describe their change by name (a key of MUTATIONS plus plain,
+// JSON-serialisable arguments) rather than as a closure, so a change that
+// cannot reach the server is kept in the `outbox` collection and applied
+// later.  Queued changes are replayed oldest first when connectivity returns:
+// on the `online` event, on the tick, when the service worker's Background
+// Sync fires while a HostelSync tab is open, when the app is next opened, or
+// when the resident taps "Retry".  Handlers need this page's state, so
+// nothing is sent while no HostelSync page is open.
+//
+// Handlers re-check their preconditions against the data they are applied
+// to and throw a REJECTED error when these no longer hold, e.g. when someone
+// else started the machine in the meantime.  A rejected change stays in the
+// outbox as FAILED until the resident retries or discards it.
+const OUTBOX_STATUSES = ['PENDING', 'FAILED'];
+const OUTBOX_SYNC_TAG = 'hostelsync-outbox';
+// Mutation handlers keyed by name.  Each receives the arguments recorded by
+// its mutation function, applies the change to `state` and may return a
+// result for the caller.
+const MUTATIONS = {};
+let outboxReplay = null;
+
+// Error thrown by a mutation handler whose preconditions no longer hold.
+function mutationRejected(message) {
+  return backendError(message, 'REJECTED');
+}
+
+function hasRemoteBackend() {
+  return Boolean(backend) && backend.name !== 'local';
+}
+
+function pendingOutbox() {
+  return ((state && state.outbox) || []).filter((op) => op.status === 'PENDING');
+}
 
-// Load the common room database from localStorage.  If the payload is missing
-// or invalid, null is returned so the caller can seed defaults.
-function loadCommonRoomDb() {
-  const data = localStorage.getItem(COMMON_ROOM_DB_KEY);
-  if (data) {
+// Apply the named mutation now, or queue it when the sync server cannot be
+// reached.  A change also waits behind any that are already queued so the
+// server sees them in the order they were made.  `label` describes the
+// change in the outbox list.  Resolves to the handler's result, or undefined
+// when the change was queued or refused.
+async function runMutation(type, args, label) {
+  try {
+    if (hasRemoteBackend() && pendingOutbox().length > 0) {
+      await enqueueMutation(type, args, label);
+      replayOutbox();
+      return undefined;
+    }
     try {
-      const parsed = JSON.parse(data);
-      if (!parsed.rooms || !Array.isArray(parsed.rooms)) return null;
-      if (!parsed.bookings || !Array.isArray(parsed.bookings)) return null;
-      return parsed;
-    } catch {
-      return null;
+      return await mutateState(() => MUTATIONS[type](args));
+    } catch (err) {
+      if (err.code !== 'UNAVAILABLE' || !hasRemoteBackend()) throw err;
+      await enqueueMutation(type, args, label);
+      return undefined;
     }
+  } catch (err) {
+    if (!['REJECTED', 'CONFLICT', 'UNAVAILABLE'].includes(err.code)) throw err;
+    console.warn(`${type} failed:`, err);
+    alert(
+      err.code === 'REJECTED'
+        ? err.message
+        : 'Could not save your change to the shared server. Please try again.'
+    );
+    return undefined;
+  } finally {
+    refreshOpenViews();
   }
-  return null;
 }
 
-// Persist the current database snapshot.
-function saveCommonRoomDb() {
-  if (commonRoomDB) {
-    localStorage.setItem(COMMON_ROOM_DB_KEY, JSON.stringify(commonRoomDB));
+// Store a change in the outbox and ask the service worker to replay it once
+// the device is back online.
+async function enqueueMutation(type, args, label) {
+  await mutateState(
+    () => {
+      state.outbox.push({
+        id: `o-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        type,
+        args,
+        label,
+        status: 'PENDING',
+        createdAt: Date.now(),
+        attempts: 0,
+        error: null,
+      });
+      pushNotice(`No connection. "${label}" will be sent when you are back online.`, 'warning');
+    },
+    { local: true }
+  );
+  requestOutboxSync();
+}
+
+// Register a Background Sync so the outbox is replayed as soon as the
+// browser sees connectivity again, even if this tab is in the background.
+function requestOutboxSync() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+    .catch((err) => console.warn('Background Sync is unavailable:', err));
+}
+
+// Send queued changes, oldest first.  Calls made while a replay is running
+// share it.  Resolves to the number of changes still waiting.
+function replayOutbox() {
+  if (!outboxReplay) {
+    outboxReplay = drainOutbox().finally(() => {
+      outboxReplay = null;
+      refreshOpenViews();
+    });
+  }
+  return outboxReplay;
+}
+
+// Replay pending changes until the outbox is empty or the server stops
+// answering.  A change is removed from the outbox in the same mutation that
+// applies it, so another tab replaying at the same time cannot send it twice.
+async function drainOutbox() {
+  for (;;) {
+    const next = pendingOutbox()[0];
+    if (!next) return 0;
+    try {
+      await mutateState(() => {
+        if (!state.outbox.some((op) => op.id === next.id && op.status === 'PENDING')) return;
+        state.outbox = state.outbox.filter((op) => op.id !== next.id);
+        return MUTATIONS[next.type](next.args);
+      });
+    } catch (err) {
+      // Connectivity problems leave the change queued; anything else means
+      // it can never apply as recorded.
+      const transient = err.code === 'UNAVAILABLE' || err.code === 'CONFLICT';
+      await mutateState(
+        () => {
+          state.outbox = state.outbox.map((op) =>
+            op.id === next.id
+              ? {
+                  ...op,
+                  status: transient ? 'PENDING' : 'FAILED',
+                  attempts: (op.attempts || 0) + 1,
+                  error: err.message,
+                }
+              : op
+          );
+          if (!transient) pushNotice(`Could not sync "${next.label}": ${err.message}`, 'warning');
+        },
+        { local: true }
+      );
+      if (transient) return pendingOutbox().length;
+    }
+  }
+}
+
+// Queue a failed change for another attempt and replay straight away.
+async function retryOutboxItem(id) {
+  await mutateState(
+    () => {
+      state.outbox = state.outbox.map((op) =>
+        op.id === id ? { ...op, status: 'PENDING', error: null } : op
+      );
+    },
+    { local: true }
+  );
+  await replayOutbox();
+}
+
+// Drop a queued change without sending it.
+async function discardOutboxItem(id) {
+  await mutateState(
+    () => {
+      state.outbox = state.outbox.filter((op) => op.id !== id);
+    },
+    { local: true }
+  );
+  refreshOpenViews();
+}
+
+// Replay whenever connectivity returns, and on request from the service
+// worker's Background Sync handler, which reports back how many changes are
+// still waiting so the browser knows whether to try again.
+function initOutbox() {
+  window.addEventListener('online', () => replayOutbox());
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== 'replay-outbox') return;
+      replayOutbox().then((remaining) => {
+        if (event.ports[0]) event.ports[0].postMessage({ type: 'outbox-replayed', remaining });
+      });
+    });
+  }
+  if (pendingOutbox().length > 0) replayOutbox();
+}
+
+// Show queued changes at the top of the page so residents can see what has
+// not reached the server yet, and retry or discard it.
+function renderOutbox() {
+  const main = document.querySelector('main');
+  if (!main || !state) return;
+  const items = state.outbox || [];
+  let panel = document.getElementById('outbox-panel');
+  if (items.length === 0) {
+    if (panel) panel.remove();
+    return;
+  }
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'outbox-panel';
+    panel.className = 'outbox-panel';
+    main.prepend(panel);
+  }
+  panel.innerHTML = '';
+  const pending = items.filter((op) => op.status === 'PENDING').length;
+  const heading = document.createElement('div');
+  heading.className = 'outbox-heading';
+  heading.textContent =
+    pending > 0
+      ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync`
+      : 'Some changes could not be synced';
+  panel.appendChild(heading);
+  items.forEach((op) => {
+    const row = document.createElement('div');
+    row.className = `wash-item outbox-item outbox-${op.status.toLowerCase()}`;
+    const info = document.createElement('div');
+    info.className = 'info';
+    const label = document.createElement('strong');
+    label.textContent = op.label;
+    const detail = document.createElement('span');
+    detail.className = 'status';
+    detail.textContent =
+      op.status === 'FAILED'
+        ? `Failed: ${op.error}`
+        : `Pending since ${new Date(op.createdAt).toLocaleTimeString()}`;
+    info.appendChild(label);
+    info.appendChild(detail);
+    const actions = document.createElement('div');
+    actions.className = 'wash-actions';
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = 'Retry';
+    retryBtn.onclick = () => retryOutboxItem(op.id);
+    const discardBtn = document.createElement('button');
+    discardBtn.textContent = 'Discard';
+    discardBtn.onclick = () => {
+      if (confirm(`Discard "${op.label}"? It will not be sent.`)) discardOutboxItem(op.id);
+    };
+    actions.appendChild(retryBtn);
+    actions.appendChild(discardBtn);
+    row.appendChild(info);
+    row.appendChild(actions);
+    panel.appendChild(row);
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Account registry and authentication
+//
+// Residents register with their name, hostel and room, and the registry is a
+// shared collection so an account works on every device synced to the same
+// server.  Passwords are never stored: each account keeps a salted
+// PBKDF2-SHA256 hash, along with the iteration count so it can be raised
+// later without invalidating existing hashes.  Admins can promote other
+// residents and issue one-time codes for resetting a forgotten password.
+// Logging in starts a session; see the sessions section below.
+//
+// Without a sync server the hashes are derived here with WebCrypto and the
+// first account registered on the device becomes an admin.  A shared server
+// keeps the registry itself (see server/accounts.js): it never sends the
+// hashes, names its first admin when it is started, and every change to an
+// account is a request it checks against the caller's session.
+const ACCOUNT_ROLES = ['student', 'admin'];
+const PASSWORD_ITERATIONS = 600000;
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+// Reset codes avoid characters that are easy to misread (0/O, 1/I/L).
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+// Derive a password hash record.  Pass the salt and iteration count of an
+// existing record to recompute it for comparison.
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_ITERATIONS) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations,
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(new Uint8Array(bits)),
+  };
+}
+
+// Compare without returning early so timing does not reveal how much of the
+// hash matched.
+async function verifyPassword(password, record) {
+  if (!record || record.algorithm !== 'PBKDF2-SHA256') return false;
+  const candidate = await hashPassword(password, base64ToBytes(record.salt), record.iterations);
+  if (candidate.hash.length !== record.hash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < candidate.hash.length; i++) {
+    diff |= candidate.hash.charCodeAt(i) ^ record.hash.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function findAccount(id) {
+  return (state.users || []).find((u) => u.id === id) || null;
+}
+
+function findAccountByEmail(email) {
+  const wanted = normalizeEmail(email);
+  return (state.users || []).find((u) => normalizeEmail(u.email) === wanted) || null;
+}
+
+// The session copy of an account: everything except credentials.
+function sessionUserFor(account) {
+  return {
+    id: account.id,
+    role: account.role,
+    email: account.email,
+    phone: account.phone || null,
+    hostel: account.hostel || '',
+    room: account.room || '',
+    name: account.name || account.email.split('@')[0],
+  };
+}
+
+function checkNewPassword(password) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw mutationRejected(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
   }
 }
 
-// Ensure the in-memory database is present.  Optionally reset to defaults when
-// the state schema is reset.
-function initCommonRoomDb(forceReset = false) {
-  if (!forceReset) {
-    const loaded = loadCommonRoomDb();
-    if (loaded) {
-      commonRoomDB = loaded;
-    }
-  }
-  if (!commonRoomDB || forceReset) {
-    commonRoomDB = {
-      rooms:
-        state && Array.isArray(state.rooms) && state.rooms.length > 0
-          ? state.rooms
-          : makeRooms(),
-      bookings: state && Array.isArray(state.bookings) ? state.bookings : [],
-    };
+// Send a registration, login or password change to the shared server.
+// Unlike other changes these cannot wait in the outbox.
+async function authRequest(path, body) {
+  try {
+    return await apiRequest(backend.url, path, { method: 'POST', body: { ...body, device: describeDevice() } });
+  } catch (err) {
+    if (err.code !== 'UNAVAILABLE') throw err;
+    throw mutationRejected('Accounts are kept on the sync server, so this needs a connection to it. Please try again when online.');
+  }
+}
+
+// Change an account through the shared server, which decides who may
+// change what, and cache the account it returns.
+async function patchAccount(userId, changes) {
+  const reply = await apiRequest(backend.url, `accounts/${encodeURIComponent(userId)}`, {
+    method: 'PATCH',
+    body: changes,
+  });
+  state.users = state.users.map((u) => (u.id === reply.user.id ? reply.user : u));
+  return reply.user;
+}
+
+// Register a new account and start a session for it.  Rejects with a
+// REJECTED error whose message can be shown to the resident (email taken,
+// weak password).  Resolves to { account, token } for loginUser().
+async function registerUser({ name, email, password, hostel, room, phone }) {
+  checkNewPassword(password);
+  if (hasRemoteBackend()) {
+    const reply = await authRequest('auth/register', { name, email, password, hostel, room, phone });
+    return { account: reply.user, token: reply.token };
+  }
+  const passwordRecord = await hashPassword(password);
+  const account = await mutateState(() => {
+    if (findAccountByEmail(email)) {
+      throw mutationRejected('An account with that email already exists. Log in instead.');
+    }
+    const account = {
+      id: `u-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      // The first account on this device administers it.
+      role: state.users.length === 0 ? 'admin' : 'student',
+      name: name.trim(),
+      email: normalizeEmail(email),
+      hostel: hostel.trim(),
+      room: room.trim(),
+      phone: (phone || '').trim() || null,
+      password: passwordRecord,
+      createdAt: Date.now(),
+    };
+    state.users.push(account);
+    return account;
+  });
+  return { account, token: await startSession(account) };
+}
+
+// Check credentials against this device's registry.  Resolves to the account
+// or rejects with a message suitable for the login form.
+async function checkCredentials(email, password) {
+  const account = findAccountByEmail(email);
+  if (!account || !(await verifyPassword(password, account.password))) {
+    throw mutationRejected('Email or password is incorrect.');
+  }
+  return account;
+}
+
+// Check credentials and start a session; a shared server does both itself.
+// Resolves to { account, token } for loginUser().
+async function authenticate(email, password) {
+  if (hasRemoteBackend()) {
+    const reply = await authRequest('auth/login', { email, password });
+    return { account: reply.user, token: reply.token };
+  }
+  const account = await checkCredentials(email, password);
+  return { account, token: await startSession(account) };
+}
+
+// Replace an account's password after checking the current one.
+async function changePassword(email, currentPassword, newPassword) {
+  checkNewPassword(newPassword);
+  if (hasRemoteBackend()) {
+    await authRequest('auth/password', { email, currentPassword, password: newPassword });
+    return;
+  }
+  const account = await checkCredentials(email, currentPassword);
+  const passwordRecord = await hashPassword(newPassword);
+  await mutateState(() => {
+    const current = findAccount(account.id);
+    if (!current) throw mutationRejected('This account no longer exists.');
+    current.password = passwordRecord;
+    current.passwordChangedAt = Date.now();
+    // Sign out every other device that knew the old password.
+    const keepId = state.user && state.user.id === current.id ? activeSessionId : null;
+    state.sessions.forEach((x) => {
+      if (x.userId === current.id && x.id !== keepId && !x.revokedAt) x.revokedAt = current.passwordChangedAt;
+    });
+  });
+}
+
+function generateResetCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  const chars = Array.from(bytes, (b) => RESET_CODE_ALPHABET[b % RESET_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// Admin action: create a one-time reset code for a resident.  Only its hash
+// is stored; the code itself is returned once so the admin can pass it on.
+async function issueResetCode(userId) {
+  if (!state.user || state.user.role !== 'admin') {
+    throw mutationRejected('Only admins can issue reset codes.');
+  }
+  if (hasRemoteBackend()) {
+    const reply = await apiRequest(backend.url, `accounts/${encodeURIComponent(userId)}/reset-code`, { method: 'POST' });
+    return reply.code;
+  }
+  const code = generateResetCode();
+  const codeRecord = await hashPassword(code);
+  await mutateState(() => {
+    const account = findAccount(userId);
+    if (!account) throw mutationRejected('This account no longer exists.');
+    account.reset = { ...codeRecord, expiresAt: Date.now() + RESET_CODE_TTL_MS, issuedBy: state.user.id };
+  });
+  return code;
+}
+
+// Set a new password using a reset code from an admin and start a session.
+// The code works once.  Resolves to { account, token } for loginUser().
+async function resetPassword(email, code, newPassword) {
+  checkNewPassword(newPassword);
+  if (hasRemoteBackend()) {
+    const reply = await authRequest('auth/reset', { email, code, password: newPassword });
+    return { account: reply.user, token: reply.token };
+  }
+  const account = findAccountByEmail(email);
+  const reset = account && account.reset;
+  const normalizedCode = code.trim().toUpperCase();
+  if (!reset || reset.expiresAt < Date.now() || !(await verifyPassword(normalizedCode, reset))) {
+    throw mutationRejected('That reset code is not valid. Ask an admin for a new one.');
+  }
+  const passwordRecord = await hashPassword(newPassword);
+  await mutateState(() => {
+    const current = findAccount(account.id);
+    // Another device may have used or replaced the code meanwhile.
+    if (!current || !current.reset || current.reset.hash !== reset.hash) {
+      throw mutationRejected('That reset code has already been used.');
+    }
+    current.password = passwordRecord;
+    current.passwordChangedAt = Date.now();
+    delete current.reset;
+    state.sessions.forEach((x) => {
+      if (x.userId === current.id && !x.revokedAt) x.revokedAt = current.passwordChangedAt;
+    });
+  });
+  return { account, token: await startSession(account) };
+}
+
+// Admin action: make a resident an admin or return them to student.
+function setAccountRole(userId, role) {
+  if (!state.user || state.user.role !== 'admin') {
+    return Promise.reject(mutationRejected('Only admins can change roles.'));
+  }
+  return mutateState(async () => {
+    if (hasRemoteBackend()) {
+      await patchAccount(userId, { role });
+      return;
+    }
+    const account = findAccount(userId);
+    if (!account) throw mutationRejected('This account no longer exists.');
+    if (role !== 'admin' && state.users.filter((u) => u.role === 'admin').length === 1 && account.role === 'admin') {
+      throw mutationRejected('At least one admin account is needed.');
+    }
+    account.role = role;
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Sessions
+//
+// The auth cookie holds a session token rather than the user: a payload
+// naming the session and its account, when it was issued and when it
+// expires, signed with HMAC-SHA256.  With a shared sync server the server
+// issues the token, signs it with a key only it holds and checks it on
+// every write (see server/accounts.js); the browser just reads the payload
+// and sends the token along.  Without one, the key is generated on this
+// device and stored non-extractable in the meta store, so the cookie cannot
+// be edited by hand, and the session record holds a hash of a random secret
+// from the token.  Every session has a record in the `sessions` collection,
+// which is what lets a resident see where they are signed in and revoke a
+// session from any device.  A session ends when it is revoked, reaches its
+// expiry, or sees no activity for SESSION_IDLE_MS.
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_IDLE_MS = 3 * 24 * 60 * 60 * 1000;
+// Activity is recorded at most this often to keep writes to the server down.
+const SESSION_TOUCH_MS = 10 * 60 * 1000;
+const SESSION_ENDED_MESSAGES = {
+  invalid: 'Your login could not be verified. Please log in again.',
+  revoked: 'You were logged out of this device.',
+  expired: 'Your session expired. Please log in again.',
+  idle: 'You were logged out after a period of inactivity.',
+};
+let sessionKeyPromise = null;
+let activeSessionId = null;
+let sessionTouch = null;
+let watchingSessionActivity = false;
+
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+async function sha256Base64(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return bytesToBase64(new Uint8Array(digest));
+}
+
+// Load this device's signing key, creating it on first use.  initState()
+// calls this under the state lock so two tabs cannot create different keys.
+function getSessionKey() {
+  if (!sessionKeyPromise) {
+    sessionKeyPromise = (async () => {
+      const { sessionKey } = await readMeta(['sessionKey']);
+      if (sessionKey) return sessionKey;
+      const key = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+      await writeMeta({ sessionKey: key });
+      return key;
+    })();
+  }
+  return sessionKeyPromise;
+}
+
+async function signSessionToken(payload) {
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await getSessionKey(), new TextEncoder().encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// The payload of a token, without checking its signature, or null when it
+// cannot be read.
+function readTokenPayload(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+  } catch {
+    return null;
+  }
+}
+
+// Resolves to the token's payload, or null when it is malformed or the
+// signature does not verify.
+async function verifySessionToken(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getSessionKey(),
+      fromBase64Url(signature),
+      new TextEncoder().encode(body)
+    );
+    return valid ? readTokenPayload(token) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Why a session can no longer be used, or null while it is live.
+function sessionProblem(session, now = Date.now()) {
+  if (!session || session.revokedAt) return 'revoked';
+  if (session.expiresAt <= now) return 'expired';
+  if (now - session.lastSeenAt > SESSION_IDLE_MS) return 'idle';
+  return null;
+}
+
+function findSession(id) {
+  return (state.sessions || []).find((x) => x.id === id) || null;
+}
+
+function setAuthCookie(token) {
+  document.cookie = `${AUTH_COOKIE_KEY}=${token}; path=/; max-age=${SESSION_TTL_MS / 1000}; SameSite=Strict`;
+}
+
+function readAuthCookie() {
+  const raw = document.cookie || '';
+  const cookies = raw.split(';');
+  for (const cookie of cookies) {
+    const trimmed = cookie.trim();
+    if (trimmed.startsWith(`${AUTH_COOKIE_KEY}=`)) return trimmed.slice(AUTH_COOKIE_KEY.length + 1);
+  }
+  return null;
+}
+
+function clearAuthCookie() {
+  document.cookie = `${AUTH_COOKIE_KEY}=; path=/; max-age=0`;
+}
+
+// A short label for the session list, e.g. "Chrome on Android".
+function describeDevice() {
+  const ua = navigator.userAgent || '';
+  let browser = 'Browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+  let os = 'unknown device';
+  if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad/.test(ua)) os = 'iOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+  return `${browser} on ${os}`;
+}
+
+// Check the auth cookie against the session registry.  Resolves to
+// { account, session } for a live session, or { problem } where problem is
+// 'missing' or a key of SESSION_ENDED_MESSAGES.  A shared server only sends
+// the sessions of the account whose token it verified, so a token it does
+// not accept finds no session here.
+async function readSession() {
+  const token = readAuthCookie();
+  if (!token) return { problem: 'missing' };
+  const remote = hasRemoteBackend();
+  const payload = remote ? readTokenPayload(token) : await verifySessionToken(token);
+  if (!payload) return { problem: 'invalid' };
+  if (!(payload.exp > Date.now())) return { problem: 'expired' };
+  const session = findSession(payload.sid);
+  if (!session || session.userId !== payload.uid) return { problem: 'revoked' };
+  if (!remote && session.secretHash !== (await sha256Base64(String(payload.secret)))) return { problem: 'invalid' };
+  const problem = sessionProblem(session);
+  if (problem) return { problem };
+  const account = findAccount(session.userId);
+  if (!account) return { problem: 'revoked' };
+  return { account, session };
+}
+
+// Record a new session for `account` on this device and resolve to its
+// signed token.  A shared server starts sessions itself when it checks the
+// password (see authenticate()).
+async function startSession(account) {
+  const secret = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const now = Date.now();
+  const session = {
+    id: `s-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    userId: account.id,
+    device: describeDevice(),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+    revokedAt: null,
+    secretHash: await sha256Base64(secret),
+  };
+  await mutateState(() => {
+    // Sessions past their expiry can never be used again.
+    state.sessions = state.sessions.filter((x) => x.expiresAt > now);
+    state.sessions.push(session);
+  });
+  activeSessionId = session.id;
+  return signSessionToken({ sid: session.id, uid: account.id, iat: now, exp: session.expiresAt, secret });
+}
+
+// Restore the session from the cookie when the page loads.  Role and profile
+// always come from the registry, never from the cookie.
+async function restoreSession() {
+  if (!hasRemoteBackend()) await getSessionKey();
+  const { account, session, problem } = await readSession();
+  if (!account) {
+    if (state.user && SESSION_ENDED_MESSAGES[problem]) pushNotice(SESSION_ENDED_MESSAGES[problem], 'warning');
+    activeSessionId = null;
+    state.user = null;
+    clearAuthCookie();
+    return;
+  }
+  activeSessionId = session.id;
+  state.user = sessionUserFor(account);
+}
+
+// Re-check the session on each tick so revocation, expiry and the idle
+// timeout also apply to pages that stay open.
+async function checkSession() {
+  if (!state.user) return;
+  const { account, problem } = await readSession();
+  if (account) return;
+  activeSessionId = null;
+  await mutateState(
+    () => {
+      state.user = null;
+      clearAuthCookie();
+      pushNotice(SESSION_ENDED_MESSAGES[problem] || SESSION_ENDED_MESSAGES.revoked, 'warning');
+    },
+    { local: true }
+  );
+  document.body.classList.add('auth-locked');
+  showAuthOverlay('login', SESSION_ENDED_MESSAGES[problem]);
+}
+
+// Note activity on the current session so the idle timeout restarts.
+function touchSession() {
+  const session = findSession(activeSessionId);
+  if (sessionTouch || !session || Date.now() - session.lastSeenAt < SESSION_TOUCH_MS) return;
+  sessionTouch = mutateState(async () => {
+    const current = findSession(activeSessionId);
+    if (!current || sessionProblem(current)) return;
+    if (hasRemoteBackend()) {
+      const reply = await apiRequest(backend.url, 'auth/session', { method: 'POST' });
+      Object.assign(current, reply.session);
+    } else {
+      current.lastSeenAt = Date.now();
+    }
+  })
+    .catch((err) => console.warn('Could not record session activity:', err))
+    .finally(() => {
+      sessionTouch = null;
+    });
+}
+
+function watchSessionActivity() {
+  if (watchingSessionActivity) return;
+  watchingSessionActivity = true;
+  ['pointerdown', 'keydown'].forEach((type) => {
+    window.addEventListener(type, touchSession, { passive: true });
+  });
+  touchSession();
+}
+
+// End sessions of one account: the listed ids, or every session when
+// `sessionIds` is null.  A shared server only lets a resident end their own.
+MUTATIONS.revokeSessions = async ({ userId, sessionIds, revokedAt }) => {
+  if (hasRemoteBackend()) {
+    const reply = await apiRequest(backend.url, 'auth/logout', { method: 'POST', body: { sessionIds } });
+    state.sessions = reply.sessions;
+    return;
+  }
+  state.sessions.forEach((x) => {
+    if (x.userId !== userId || x.revokedAt) return;
+    if (sessionIds && !sessionIds.includes(x.id)) return;
+    x.revokedAt = revokedAt;
+  });
+};
+
+function revokeSession(sessionId) {
+  if (!state.user) return Promise.resolve();
+  return runMutation(
+    'revokeSessions',
+    { userId: state.user.id, sessionIds: [sessionId], revokedAt: Date.now() },
+    'Log out a device'
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Machine registry
+//
+// Machines are records in the shared `machines` collection that admins manage
+// from admin-machines.html; nothing about them is hardcoded.  A machine keeps
+// its id for life, so moving it to another hostel or floor or changing the
+// label printed on it leaves its washes and reports attached.  Retired
+// machines are hidden from residents but kept for that history.  The hostels
+// and floors offered on the laundry page, and the per-floor watchFree flags,
+// follow whatever the active machines cover.
+const FLOOR_NAMES = ['Ground', 'First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth'];
+
+// Wash programs with their default duration and per-cycle estimates of
+// energy (kWh) and water (litres).  Residents pick one when starting a
+// machine and may adjust the duration.
+const WASH_PROGRAMS = {
+  cottons: { label: 'Cottons', minutes: 45, energyKwh: 0.9, waterLitres: 50 },
+  quick: { label: 'Quick', minutes: 20, energyKwh: 0.3, waterLitres: 35 },
+  delicates: { label: 'Delicates', minutes: 35, energyKwh: 0.5, waterLitres: 45 },
+  synthetics: { label: 'Synthetics', minutes: 40, energyKwh: 0.6, waterLitres: 45 },
+  bedding: { label: 'Bedding', minutes: 60, energyKwh: 1.1, waterLitres: 70 },
+  'dry-normal': { label: 'Normal dry', minutes: 50, energyKwh: 2.2, waterLitres: 0 },
+  'dry-low': { label: 'Low heat dry', minutes: 60, energyKwh: 1.6, waterLitres: 0 },
+  'dry-quick': { label: 'Quick dry', minutes: 25, energyKwh: 1.1, waterLitres: 0 },
+  'wash-dry': { label: 'Wash & dry', minutes: 110, energyKwh: 3.0, waterLitres: 55 },
+};
+// The first program of each type is the default.
+const MACHINE_TYPES = {
+  washer: { label: 'Washer', icon: '🧺', programs: ['cottons', 'quick', 'delicates', 'synthetics', 'bedding'] },
+  dryer: { label: 'Dryer', icon: '🌀', programs: ['dry-normal', 'dry-low', 'dry-quick'] },
+  combo: { label: 'Washer-dryer', icon: '🔄', programs: ['cottons', 'quick', 'delicates', 'wash-dry'] },
+};
+const MIN_CYCLE_MINUTES = 10;
+const MAX_CYCLE_MINUTES = 180;
+
+function machineType(machine) {
+  return MACHINE_TYPES[machine.type] || MACHINE_TYPES.washer;
+}
+
+// "Cottons · 45 min", for cards and wash lists.
+function describeProgram(programLabel, minutes) {
+  return [programLabel, minutes ? `${minutes} min` : null].filter(Boolean).join(' · ');
+}
+
+function activeMachines() {
+  return state.machines.filter((m) => !m.retiredAt);
+}
+
+// Hostels with active machines, each with its sorted floor numbers.
+function machineLocations(machines = activeMachines()) {
+  const floorsByHostel = new Map();
+  machines.forEach((m) => {
+    if (!floorsByHostel.has(m.hostel)) floorsByHostel.set(m.hostel, new Set());
+    floorsByHostel.get(m.hostel).add(m.floor);
+  });
+  return Array.from(floorsByHostel.keys())
+    .sort()
+    .map((hostel) => ({ hostel, floors: Array.from(floorsByHostel.get(hostel)).sort((a, b) => a - b) }));
+}
+
+function floorLabel(floor) {
+  if (floor < 0) return floor === -1 ? 'Basement' : `Basement ${-floor}`;
+  return FLOOR_NAMES[floor] ? `${FLOOR_NAMES[floor]} Floor` : `Floor ${floor}`;
+}
+
+// Give every floor with machines a watchFree flag and drop the flags of
+// floors that no longer have any.  Returns true when anything changed.
+function syncWatchFree(s) {
+  const next = {};
+  machineLocations(s.machines.filter((m) => !m.retiredAt)).forEach(({ hostel, floors }) => {
+    next[hostel] = {};
+    floors.forEach((floor) => {
+      next[hostel][floor] = Boolean(s.watchFree[hostel] && s.watchFree[hostel][floor] === true);
+    });
+  });
+  const changed = JSON.stringify(next) !== JSON.stringify(s.watchFree);
+  s.watchFree = next;
+  return changed;
+}
+
+function requireAdmin(userId) {
+  const account = findAccount(userId);
+  if (!account || account.role !== 'admin') throw mutationRejected('Only admins can change this.');
+}
+
+// Check a machine's label and location, returning them cleaned up.  Labels
+// must be unique among the active machines of a hostel.
+function checkMachineFields({ label, hostel, floor, type }, machineId = null) {
+  const cleaned = {
+    label: String(label || '').trim(),
+    hostel: String(hostel || '').trim(),
+    floor: Number(floor),
+    type: String(type || 'washer').trim().toLowerCase(),
+  };
+  if (!cleaned.label || !cleaned.hostel) throw mutationRejected('A machine needs a label and a hostel.');
+  if (!MACHINE_TYPES[cleaned.type]) {
+    throw mutationRejected(`Machine type must be one of: ${Object.keys(MACHINE_TYPES).join(', ')}.`);
+  }
+  if (!Number.isInteger(cleaned.floor)) throw mutationRejected('The floor must be a whole number.');
+  const clash = activeMachines().find(
+    (m) => m.id !== machineId && m.hostel === cleaned.hostel && m.label.toLowerCase() === cleaned.label.toLowerCase()
+  );
+  if (clash) throw mutationRejected(`${cleaned.hostel} already has a machine labelled ${clash.label}.`);
+  return cleaned;
+}
+
+function addMachine(fields) {
+  return runMutation(
+    'addMachine',
+    { adminId: state.user.id, machineId: `m-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, ...fields },
+    `Add machine ${fields.label}`
+  );
+}
+
+MUTATIONS.addMachine = ({ adminId, machineId, label, hostel, floor, type }) => {
+  requireAdmin(adminId);
+  const fields = checkMachineFields({ label, hostel, floor, type });
+  const machine = {
+    id: machineId,
+    ...fields,
+    status: 'FREE',
+    endsAt: undefined,
+    nudgedBy: [],
+    flaggedBy: [],
+    addedAt: Date.now(),
+  };
+  state.machines.push(machine);
+  syncWatchFree(state);
+  advanceQueue();
+  pushNotice(`Added ${fields.label} on the ${floorLabel(fields.floor)} of ${fields.hostel}.`, 'success');
+  return machine;
+};
+
+// Rename, re-label, move or change the type of a machine.  `changes` holds
+// any of label, hostel, floor and type.
+function updateMachine(machineId, changes) {
+  return runMutation('updateMachine', { adminId: state.user.id, machineId, changes }, 'Update machine');
+}
+
+MUTATIONS.updateMachine = ({ adminId, machineId, changes }) => {
+  requireAdmin(adminId);
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine || machine.retiredAt) throw mutationRejected('That machine is no longer in service.');
+  const fields = checkMachineFields({ ...machine, ...changes }, machineId);
+  if (fields.type !== machine.type && getMachineStatus(machine) !== 'FREE' && getMachineStatus(machine) !== 'MAINT') {
+    throw mutationRejected(`Change the type of ${machine.label} once its current cycle is collected.`);
+  }
+  state.machines = state.machines.map((m) => (m.id === machineId ? { ...m, ...fields } : m));
+  syncWatchFree(state);
+  advanceQueue();
+};
+
+// Take a machine out of service.  Its history stays; it can be restored.
+function retireMachine(machineId) {
+  return runMutation('retireMachine', { adminId: state.user.id, machineId, retiredAt: Date.now() }, 'Retire machine');
+}
+
+MUTATIONS.retireMachine = ({ adminId, machineId, retiredAt }) => {
+  requireAdmin(adminId);
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine || machine.retiredAt) return;
+  const status = getMachineStatus(machine);
+  if (status === 'RUNNING' || status === 'AWAITING') {
+    throw mutationRejected(`${machine.label} still has a wash in it. Retire it once the clothes are collected.`);
+  }
+  state.machines = state.machines.map((m) => (m.id === machineId ? { ...m, retiredAt } : m));
+  syncWatchFree(state);
+  advanceQueue();
+};
+
+function restoreMachine(machineId) {
+  return runMutation('restoreMachine', { adminId: state.user.id, machineId }, 'Restore machine');
+}
+
+MUTATIONS.restoreMachine = ({ adminId, machineId }) => {
+  requireAdmin(adminId);
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine || !machine.retiredAt) return;
+  // Another machine may have taken its label meanwhile.
+  checkMachineFields(machine, machineId);
+  state.machines = state.machines.map((m) =>
+    m.id === machineId ? { ...m, retiredAt: undefined, status: 'FREE', endsAt: undefined } : m
+  );
+  syncWatchFree(state);
+  advanceQueue();
+};
+
+// -----------------------------------------------------------------------------
+// Shared settings
+//
+// Values admins can tune for everyone are records of the shared `settings`
+// collection, { key, value }.  getSetting() falls back to SETTING_DEFAULTS
+// for anything that was never changed.
+const SETTING_DEFAULTS = {
+  // How long the head of a floor queue has to start a machine held for them.
+  queueHoldMinutes: 10,
+  // Reputation score at or below which a resident has to wait
+  // cooldownMinutes after collecting a wash before starting another.
+  cooldownScore: -5,
+  cooldownMinutes: 30,
+  // Reputation score at or below which a resident queues behind others.
+  lowPriorityScore: -10,
+  // Minutes after a cycle finishes at which an unattended load escalates;
+  // 0 skips the step.  See unattended loads.
+  escalationReminderMinutes: 5,
+  escalationSecondReminderMinutes: 15,
+  escalationFloorRepMinutes: 30,
+  escalationMoveMinutes: 45,
+};
+const SETTING_LIMITS = {
+  queueHoldMinutes: [2, 60],
+  cooldownScore: [-50, 0],
+  cooldownMinutes: [0, 240],
+  lowPriorityScore: [-50, 0],
+  escalationReminderMinutes: [0, 720],
+  escalationSecondReminderMinutes: [0, 720],
+  escalationFloorRepMinutes: [0, 720],
+  escalationMoveMinutes: [0, 720],
+};
+
+function getSetting(key) {
+  const record = (state.settings || []).find((x) => x.key === key);
+  return record ? record.value : SETTING_DEFAULTS[key];
+}
+
+function updateSetting(key, value) {
+  return runMutation('updateSetting', { adminId: state.user.id, key, value }, 'Update setting');
+}
+
+MUTATIONS.updateSetting = ({ adminId, key, value }) => {
+  requireAdmin(adminId);
+  if (!(key in SETTING_DEFAULTS)) throw mutationRejected(`Unknown setting ${key}.`);
+  const [min, max] = SETTING_LIMITS[key];
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw mutationRejected(`Choose a value between ${min} and ${max}.`);
+  }
+  state.settings = state.settings.filter((x) => x.key !== key).concat([{ key, value: number }]);
+};
+
+// Create a list of common rooms for booking.  Each room has an id, hostel,
+// human-readable label and a flag indicating whether AC is available.  All
+// rooms live in WH for this deployment and have AC by default.
+function makeRooms() {
+  return [
+    {
+      id: 'WH-pool',
+      hostel: 'WH',
+      label: 'Pool Room',
+      hasAC: true,
+    },
+    {
+      id: 'WH-lan',
+      hostel: 'WH',
+      label: 'LAN Room',
+      hasAC: true,
+    },
+    {
+      id: 'WH-tt',
+      hostel: 'WH',
+      label: 'Table Tennis Room',
+      hasAC: true,
+    },
+  ];
+}
+
+// -----------------------------------------------------------------------------
+// Common room database helpers
+//
+// The common room booking experience needs persistent storage that is decoupled
+// from the broader laundry/game state.  Rooms and bookings have their own
+// object stores so bookings and the room catalog survive resets and can be
+// reused across pages.
+
+// Load the common room database from IndexedDB.  If no rooms have been
+// persisted, null is returned so the caller can seed defaults.
+async function loadCommonRoomDb() {
+  try {
+    const { rooms, bookings } = await readStores(['rooms', 'bookings']);
+    if (!rooms || rooms.length === 0) return null;
+    return { rooms, bookings: bookings || [] };
+  } catch (err) {
+    console.error('loadCommonRoomDb failed:', err);
+    return null;
+  }
+}
+
+// Persist the current database snapshot.
+function saveCommonRoomDb() {
+  if (!commonRoomDB) return Promise.resolve();
+  return writeStores({ rooms: commonRoomDB.rooms, bookings: commonRoomDB.bookings }).catch(
+    (err) => {
+      console.error('saveCommonRoomDb failed:', err);
+    }
+  );
+}
+
+// Ensure the in-memory database is present, seeding the default room catalog
+// when nothing has been persisted yet.
+async function initCommonRoomDb() {
+  const loaded = await loadCommonRoomDb();
+  if (loaded) {
+    commonRoomDB = loaded;
+  }
+  if (!commonRoomDB) {
+    commonRoomDB = {
+      rooms:
+        state && Array.isArray(state.rooms) && state.rooms.length > 0
+          ? state.rooms
+          : makeRooms(),
+      bookings: state && Array.isArray(state.bookings) ? state.bookings : [],
+    };
+  }
+  state.rooms = commonRoomDB.rooms;
+  state.bookings = commonRoomDB.bookings;
+  await saveCommonRoomDb();
+}
+
+// initState() always loads the database before any page code runs, so this
+// only has to cover callers that somehow run first.
+function ensureCommonRoomDb() {
+  if (!commonRoomDB) {
+    commonRoomDB = { rooms: state.rooms || makeRooms(), bookings: state.bookings || [] };
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Schema migrations and validation
+//
+// Releases used to wipe every wash, notice and report whenever STATE_VERSION
+// changed.  Instead, persisted state is now upgraded step by step through the
+// migrations below and then validated record by record, so a single bad entry
+// is repaired or dropped without touching the rest of the store.
+
+// Day, month and year order of this device's locale: 'DMY' or 'MDY'.
+function localeDateOrder() {
+  const sample = new Date(2001, 10, 22).toLocaleDateString();
+  return sample.indexOf('11') !== -1 && sample.indexOf('11') < sample.indexOf('22') ? 'MDY' : 'DMY';
+}
+
+// Read a timestamp saved with toLocaleString(), whose format depends on the
+// locale of the device that saved it.  Date.parse() only promises to read
+// ISO 8601, so the shapes locales produce are matched explicitly: ISO 8601,
+// year/month/day, and day and month in either order before a four-digit
+// year, each with an optional 24-hour or am/pm time.  When the day and month
+// are both 12 or less, `order` (this device's locale by default) decides.
+// Returns epoch milliseconds, or null when nothing matches.
+function parseLocaleTimestamp(text, order = localeDateOrder()) {
+  const value = String(text).trim();
+  if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  const match = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\.?,?(?:\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap])?\.?\s?(?:m\.?)?)?$/i.exec(value);
+  if (!match) return null;
+  const [a, b, c] = match.slice(1, 4).map(Number);
+  let year;
+  let month;
+  let day;
+  if (match[1].length === 4) {
+    [year, month, day] = [a, b, c];
+  } else if (match[3].length === 4) {
+    year = c;
+    const dayFirst = a > 12 || (b <= 12 && order === 'DMY');
+    [day, month] = dayFirst ? [a, b] : [b, a];
+  } else {
+    return null;
+  }
+  let hour = Number(match[4] || 0);
+  const minute = Number(match[5] || 0);
+  const second = Number(match[6] || 0);
+  const half = (match[7] || '').toLowerCase();
+  if (half && (hour < 1 || hour > 12)) return null;
+  if (half === 'p' && hour < 12) hour += 12;
+  if (half === 'a' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date.getTime();
+}
+
+// Ordered chain of migrations.  Each entry upgrades state from `from` to
+// `from + 1` by mutating it in place.  Rooms and bookings are part of the
+// state object by the time migrations run, so a step can reshape the common
+// room database as well.
+const STATE_MIGRATIONS = [
+  {
+    from: 5,
+    description: 'Store report timestamps as epoch milliseconds',
+    migrate(s) {
+      // A timestamp in no known format keeps its text rather than being lost.
+      s.reports = (s.reports || []).map((r) => {
+        if (!r || typeof r.createdAt !== 'string') return r;
+        const parsed = parseLocaleTimestamp(r.createdAt);
+        return parsed == null ? r : { ...r, createdAt: parsed };
+      });
+    },
+  },
+  {
+    from: 6,
+    description: 'Replace minute countdowns with absolute cycle end times',
+    migrate(s) {
+      // The remaining minutes were last decremented at some unknown point
+      // before the save, so counting them from now is the best estimate.
+      const now = Date.now();
+      s.machines = (s.machines || []).map((m) => {
+        if (!m || !('eta' in m)) return m;
+        const { eta, ...rest } = m;
+        return m.status === 'RUNNING' && Number.isFinite(eta)
+          ? { ...rest, endsAt: now + eta * 60 * 1000 }
+          : rest;
+      });
+    },
+  },
+  {
+    from: 7,
+    description: 'Add the offline outbox',
+    migrate(s) {
+      if (!Array.isArray(s.outbox)) s.outbox = [];
+    },
+  },
+  {
+    from: 8,
+    description: 'Add the account registry; demo sessions must register',
+    migrate(s) {
+      if (!Array.isArray(s.users)) s.users = [];
+    },
+  },
+  {
+    from: 9,
+    description: 'Add signed sessions; existing logins must sign in again',
+    migrate(s) {
+      if (!Array.isArray(s.sessions)) s.sessions = [];
+      s.user = null;
+    },
+  },
+  {
+    from: 10,
+    description: 'Add machine types; existing machines are washers',
+    migrate(s) {
+      s.machines = (s.machines || []).map((m) => (m && !m.type ? { ...m, type: 'washer' } : m));
+    },
+  },
+  {
+    from: 11,
+    description: 'Add the floor queue and shared settings',
+    migrate(s) {
+      if (!Array.isArray(s.queue)) s.queue = [];
+      if (!Array.isArray(s.settings)) s.settings = [];
+    },
+  },
+  {
+    from: 12,
+    description: 'Add machine reservations',
+    migrate(s) {
+      if (!Array.isArray(s.reservations)) s.reservations = [];
+    },
+  },
+  {
+    from: 13,
+    description: 'Add machine watches; owners of running cycles watch them',
+    migrate(s) {
+      if (!Array.isArray(s.watches)) s.watches = [];
+      (s.machines || []).forEach((m) => {
+        if (!m || m.status !== 'RUNNING' || !m.ownerId) return;
+        s.watches.push({
+          id: `watch-${m.id}-${m.endsAt}`,
+          userId: m.ownerId,
+          machineId: m.id,
+          machineLabel: m.label,
+          own: true,
+          status: 'ACTIVE',
+          createdAt: Date.now(),
+        });
+      });
+    },
+  },
+  {
+    from: 14,
+    description: 'Record nudges and flags per user instead of counting them',
+    migrate(s) {
+      s.machines = (s.machines || []).map((m) => {
+        if (!m) return m;
+        const { nudgeCount, flagCount, ...rest } = m;
+        return { ...rest, nudgedBy: [], flaggedBy: [] };
+      });
+    },
+  },
+  {
+    from: 15,
+    description: 'Add the reputation ledger',
+    migrate(s) {
+      if (!Array.isArray(s.reputation)) s.reputation = [];
+    },
+  },
+  {
+    from: 16,
+    description: 'Merge reports into one open maintenance ticket per machine',
+    migrate(s) {
+      const now = Date.now();
+      const machines = s.machines || [];
+      const tickets = new Map();
+      [...(s.reports || [])]
+        .filter((r) => r && r.machineId)
+        .sort((a, b) => (Number.isFinite(a.createdAt) ? a.createdAt : 0) - (Number.isFinite(b.createdAt) ? b.createdAt : 0))
+        .forEach((r) => {
+          const createdAt = Number.isFinite(r.createdAt) ? r.createdAt : now;
+          // A time the v5 migration could not read survives in the text.
+          const unreadTime = typeof r.createdAt === 'string' && r.createdAt.trim() ? `Reported ${r.createdAt.trim()}` : '';
+          if (!tickets.has(r.machineId)) {
+            const machine = machines.find((m) => m && m.id === r.machineId);
+            tickets.set(r.machineId, {
+              id: r.id || `r-${createdAt}`,
+              machineId: r.machineId,
+              machineLabel: machine ? machine.label : r.machineId,
+              reason: r.reason,
+              status: 'OPEN',
+              assigneeId: null,
+              outOfService: Boolean(machine && machine.status === 'MAINT'),
+              reporterIds: [],
+              thread: [],
+              createdAt,
+            });
+          }
+          const ticket = tickets.get(r.machineId);
+          ticket.thread.push({
+            id: `report-${createdAt}-${ticket.thread.length}`,
+            kind: 'REPORT',
+            userId: null,
+            author: 'Unknown',
+            reason: r.reason,
+            text: [r.notes || '', unreadTime].filter(Boolean).join('\n'),
+            photos: r.photoDataUrl ? [r.photoDataUrl] : [],
+            createdAt,
+          });
+          ticket.updatedAt = createdAt;
+        });
+      // Machines put under maintenance before tickets existed need one so
+      // that an admin can return them to service.
+      machines.forEach((m) => {
+        if (!m || m.status !== 'MAINT' || tickets.has(m.id)) return;
+        tickets.set(m.id, {
+          id: `r-${now}-${m.id}`,
+          machineId: m.id,
+          machineLabel: m.label,
+          reason: 'Under maintenance',
+          status: 'OPEN',
+          assigneeId: null,
+          outOfService: true,
+          reporterIds: [],
+          thread: [],
+          createdAt: now,
+          updatedAt: now,
+        });
+      });
+      s.reports = [...tickets.values()];
+    },
+  },
+  {
+    from: 17,
+    description: 'Close washes left open on machines taken out of service mid-cycle',
+    migrate(s) {
+      const machines = s.machines || [];
+      s.washes = (s.washes || []).map((w) => {
+        if (!w || (w.status !== 'RUNNING' && w.status !== 'AWAITING')) return w;
+        const machine = machines.find((m) => m && m.id === w.machineId);
+        if (!machine || machine.status !== 'MAINT') return w;
+        const ticket = (s.reports || []).find(
+          (t) => t && t.machineId === w.machineId && t.outOfService && isTicketOpen(t)
+        );
+        const endAt = (ticket && (ticket.outOfServiceAt ?? ticket.createdAt)) || Date.now();
+        return { ...w, status: 'INTERRUPTED', endAt: Math.max(endAt, w.startAt || 0) };
+      });
+    },
+  },
+];
+const MIGRATION_LOG_LIMIT = 50;
+
+// Run every migration between the persisted version and STATE_VERSION, then
+// append what ran to the migration log in the meta store.  State written by a
+// release that predates the migration chain cannot be upgraded step by step;
+// it is stamped with the current version and left to validateState().
+async function migrateState(s) {
+  const entries = [];
+  const startVersion = Number(s.version);
+  if (!Number.isFinite(startVersion)) {
+    entries.push({ from: null, to: STATE_VERSION, description: 'Unknown version; validated records only' });
+  } else if (startVersion > STATE_VERSION) {
+    console.warn(`State version ${startVersion} is newer than ${STATE_VERSION}; leaving it as is.`);
+    return entries;
+  } else {
+    let version = startVersion;
+    while (version < STATE_VERSION) {
+      const step = STATE_MIGRATIONS.find((m) => m.from === version);
+      if (!step) {
+        entries.push({ from: version, to: STATE_VERSION, description: 'No migration path; validated records only' });
+        break;
+      }
+      step.migrate(s);
+      entries.push({ from: version, to: version + 1, description: step.description });
+      version++;
+    }
+  }
+  s.version = STATE_VERSION;
+  if (entries.length === 0) return entries;
+  const ranAt = Date.now();
+  entries.forEach((entry) => {
+    entry.ranAt = ranAt;
+    console.info(`Migrated state v${entry.from ?? '?'} → v${entry.to}: ${entry.description}`);
+  });
+  try {
+    const { migrationLog } = await readMeta(['migrationLog']);
+    const log = (Array.isArray(migrationLog) ? migrationLog : []).concat(entries);
+    await writeMeta({ migrationLog: log.slice(-MIGRATION_LOG_LIMIT) });
+  } catch (err) {
+    console.error('Failed to record migration log:', err);
+  }
+  return entries;
+}
+
+const MACHINE_STATUSES = ['FREE', 'RUNNING', 'AWAITING', 'MAINT'];
+// INTERRUPTED: the machine was taken out of service before the wash was
+// collected.
+const WASH_STATUSES = ['RUNNING', 'AWAITING', 'COLLECTED', 'INTERRUPTED'];
+const BOOKING_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'];
+
+// Check every record in state and repair it where possible, dropping only the
+// entries that cannot be salvaged.  Returns a list of human-readable repairs.
+function validateState(s) {
+  const repairs = [];
+  const isRecord = (value) => value && typeof value === 'object';
+  COLLECTION_STORES.forEach((name) => {
+    if (!Array.isArray(s[name])) {
+      repairs.push(`${name}: replaced missing collection`);
+      s[name] = [];
+    }
+  });
+  // Drop records failing `keep` and log how many went.
+  const prune = (name, keep) => {
+    const before = s[name].length;
+    s[name] = s[name].filter((record) => isRecord(record) && keep(record));
+    if (s[name].length !== before) {
+      repairs.push(`${name}: dropped ${before - s[name].length} unreadable record(s)`);
+    }
+  };
+
+  const seenMachines = new Set();
+  prune('machines', (m) => {
+    if (!m.id || seenMachines.has(m.id)) return false;
+    seenMachines.add(m.id);
+    return true;
+  });
+  s.machines = s.machines.map((m) => {
+    let fixed = m;
+    if (!MACHINE_STATUSES.includes(m.status)) {
+      repairs.push(`machines: ${m.id} had status ${m.status}, reset to FREE`);
+      fixed = { ...fixed, status: 'FREE', endsAt: undefined, lastCompletedAt: undefined };
+    }
+    if (fixed.status === 'RUNNING' && !Number.isFinite(fixed.endsAt)) {
+      repairs.push(`machines: ${m.id} was running without an end time, marked finished`);
+      fixed = { ...fixed, status: 'AWAITING', endsAt: undefined, lastCompletedAt: Date.now() };
+    }
+    if (typeof m.floor !== 'number') {
+      const floor = parseInt(m.floor, 10);
+      repairs.push(`machines: ${m.id} floor coerced to a number`);
+      fixed = { ...fixed, floor: Number.isNaN(floor) ? 0 : floor };
+    }
+    if (!MACHINE_TYPES[m.type]) {
+      repairs.push(`machines: ${m.id} had type ${m.type}, reset to washer`);
+      fixed = { ...fixed, type: 'washer' };
+    }
+    if (typeof m.label !== 'string' || !m.label) {
+      repairs.push(`machines: ${m.id} had no label, labelled by id`);
+      fixed = { ...fixed, label: m.id };
+    }
+    ['nudgedBy', 'flaggedBy'].forEach((key) => {
+      if (!Array.isArray(m[key])) fixed = { ...fixed, [key]: [] };
+    });
+    return fixed;
+  });
+
+  prune('washes', (w) => Boolean(w.machineId));
+  s.washes = s.washes.map((w) => {
+    if (WASH_STATUSES.includes(w.status)) return w;
+    repairs.push(`washes: ${w.id} had status ${w.status}, closed as COLLECTED`);
+    return { ...w, status: 'COLLECTED', endAt: w.endAt || w.startAt || Date.now() };
+  });
+  prune('notices', (n) => typeof n.title === 'string');
+  prune('reports', (r) => Boolean(r.machineId) && Array.isArray(r.thread));
+  s.reports = s.reports.map((t) => {
+    let fixed = t;
+    if (!TICKET_STATUSES.includes(t.status)) {
+      repairs.push(`reports: ${t.id} had status ${t.status}, reopened`);
+      fixed = { ...fixed, status: 'OPEN' };
+    }
+    if (!Array.isArray(t.reporterIds)) fixed = { ...fixed, reporterIds: [] };
+    if (!Number.isFinite(t.updatedAt)) fixed = { ...fixed, updatedAt: t.createdAt || Date.now() };
+    return fixed;
+  });
+  prune('rooms', (r) => Boolean(r.id));
+  if (s.rooms.length === 0) {
+    repairs.push('rooms: none left, seeded the default rooms');
+    s.rooms = makeRooms();
+  }
+  prune(
+    'bookings',
+    (b) => Boolean(b.roomId) && Number.isFinite(b.startAt) && Number.isFinite(b.endAt)
+  );
+  s.bookings = s.bookings.map((b) => {
+    if (BOOKING_STATUSES.includes(b.status)) return b;
+    repairs.push(`bookings: ${b.id} had status ${b.status}, returned to PENDING`);
+    return { ...b, status: 'PENDING' };
+  });
+  prune(
+    'outbox',
+    (op) => Boolean(op.id) && typeof MUTATIONS[op.type] === 'function' && isRecord(op.args)
+  );
+  s.outbox = s.outbox.map((op) => {
+    if (OUTBOX_STATUSES.includes(op.status)) return op;
+    repairs.push(`outbox: ${op.id} had status ${op.status}, returned to PENDING`);
+    return { ...op, status: 'PENDING' };
+  });
+
+  if (!isRecord(s.watchFree)) {
+    repairs.push('watchFree: replaced invalid structure');
+    s.watchFree = {};
+  }
+  // Every hostel/floor with an active machine gets a watchFree flag.
+  if (syncWatchFree(s)) repairs.push('watchFree: matched to the machine registry');
+  const seenEmails = new Set();
+  prune('users', (u) => {
+    const email = typeof u.email === 'string' ? normalizeEmail(u.email) : '';
+    // A shared server sends accounts without their password hashes.
+    if (!u.id || !email || seenEmails.has(email)) return false;
+    seenEmails.add(email);
+    return true;
+  });
+  s.users = s.users.map((u) => {
+    if (ACCOUNT_ROLES.includes(u.role)) return u;
+    repairs.push(`users: ${u.id} had role ${u.role}, reset to student`);
+    return { ...u, role: 'student' };
+  });
+  prune(
+    'sessions',
+    (x) =>
+      x.id &&
+      x.userId &&
+      ['createdAt', 'lastSeenAt', 'expiresAt'].every((key) => Number.isFinite(x[key]))
+  );
+  prune(
+    'queue',
+    (e) => e.id && e.userId && e.hostel && Number.isInteger(e.floor) && Number.isFinite(e.joinedAt)
+  );
+  s.queue = s.queue.map((e) => {
+    if (e.status === 'WAITING' || (e.status === 'HOLDING' && e.machineId && Number.isFinite(e.holdExpiresAt))) {
+      return e;
+    }
+    repairs.push(`queue: ${e.id} had an unreadable hold, returned to waiting`);
+    return { ...e, status: 'WAITING', machineId: undefined, holdExpiresAt: undefined };
+  });
+  prune('settings', (x) => x.key in SETTING_DEFAULTS);
+  prune(
+    'reputation',
+    (e) => e.id && e.userId && REPUTATION_KINDS[e.kind] && Number.isFinite(e.points) && Number.isFinite(e.createdAt)
+  );
+  prune('watches', (w) => w.id && w.userId && w.machineId && WATCH_STATUSES.includes(w.status));
+  prune(
+    'reservations',
+    (r) =>
+      r.id &&
+      r.machineId &&
+      r.userId &&
+      RESERVATION_STATUSES.includes(r.status) &&
+      Number.isFinite(r.startAt) &&
+      Number.isFinite(r.endAt) &&
+      r.endAt > r.startAt
+  );
+  if (s.user != null && !isRecord(s.user)) {
+    repairs.push('user: dropped invalid session');
+    s.user = null;
+  }
+  return repairs;
+}
+
+// Build the state for a first run: default machines and rooms, empty
+// histories.
+function makeInitialState() {
+  return {
+    version: STATE_VERSION,
+    // Empty until an admin registers machines; see the machine registry.
+    machines: [],
+    washes: [],
+    notices: [],
+    reports: [],
+    watchFree: {},
+    user: null,
+    // Add rooms and bookings for the new common room module.  Rooms are
+    // pre-generated and bookings start empty.  A booking records which
+    // room was requested, the time range, a reason and its approval
+    // status.  Statuses include PENDING, APPROVED, REJECTED and
+    // CANCELLED.
+    rooms: makeRooms(),
+    bookings: [],
+    // Changes made while the sync server was unreachable, oldest first.
+    outbox: [],
+    // Registered accounts; see the account registry section.
+    users: [],
+    // Login sessions, so they can be listed and revoked from any device.
+    sessions: [],
+    // Residents waiting for a machine, per floor; see the floor queue.
+    queue: [],
+    // Admin-tunable values; see shared settings.
+    settings: [],
+    // Future slots on machines; see machine reservations.
+    reservations: [],
+    // Who to notify when a machine's cycle ends; see machine watches.
+    watches: [],
+    // Pickup and flag events per resident; see laundry reputation.
+    reputation: [],
+  };
+}
+
+// Load persisted state, or seed a fresh one on first run.  Saved state is
+// migrated up to STATE_VERSION, validated and brought up to date with the
+// clock before any page code sees it.
+async function initState() {
+  await withStateLock(async () => {
+    const loaded = await loadState();
+    state = loaded || makeInitialState();
+    await initCommonRoomDb();
+    const { backend: backendConfig } = await readMeta(['backend']);
+    backend = createBackend(backendConfig);
+    try {
+      await pullFromBackend();
+    } catch (err) {
+      // Offline: carry on with the cached copy.
+      console.warn('Could not load from the sync server, using cached data:', err);
+    }
+    if (loaded) await migrateState(state);
+    const repairs = validateState(state);
+    if (repairs.length > 0) {
+      console.warn('Repaired persisted state:', repairs);
+    }
+    commonRoomDB.rooms = state.rooms;
+    commonRoomDB.bookings = state.bookings;
+    // Replay cycle completions that fell due while the app was closed.
+    advanceMachines();
+    await restoreSession();
+    announceFiredWatches();
+    announceEscalations();
+    // Share seeded defaults, repairs and replayed transitions.  If someone
+    // else wrote first, their copy wins and ours is recomputed on next pull.
+    try {
+      await pushToBackend();
+    } catch (err) {
+      console.warn('Could not push to the sync server:', err);
+    }
+    await saveState();
+  });
+}
+
+// Push a notification into the notice list.  If the Web Notifications API is
+// available and permissions are granted, also show a native toast.  Notices
+// are capped at 50 entries to avoid uncontrolled growth.
+function pushNotice(title, kind) {
+  const notice = {
+    id: `n-${Date.now()}`,
+    title,
+    time: new Date().toLocaleTimeString(),
+    kind,
+  };
+  state.notices.unshift(notice);
+  if (state.notices.length > 50) state.notices.pop();
+  // Inside a mutation the notice is saved with the rest of the change, and
+  // the toast waits until that change has actually been committed.
+  if (activeMutation) {
+    activeMutation.toasts.push(title);
+    return;
+  }
+  showNativeNotification(title);
+  saveState('notices');
+}
+
+function showNativeNotification(title) {
+  if ('Notification' in window) {
+    if (Notification.permission === 'granted') {
+      new Notification(title);
+    } else if (Notification.permission !== 'denied') {
+      Notification.requestPermission().then((perm) => {
+        if (perm === 'granted') new Notification(title);
+      });
+    }
+  }
+}
+
+// Start a wash on the given machine with the specified duration.  The machine
+// status is switched to RUNNING, an end time is set, and a new wash record is
+// inserted into the wash history.  A notification is emitted.
+function startWash(machine, programId, minutes) {
+  return runMutation(
+    'startWash',
+    {
+      machineId: machine.id,
+      programId,
+      minutes,
+      ownerId: state.user ? state.user.id : null,
+      requestedAt: Date.now(),
+    },
+    `Start wash on ${machine.label}`
+  );
+}
+
+// The cycle is timed from when Start was pressed, so a wash replayed from the
+// outbox after reconnecting keeps its real end time.
+MUTATIONS.startWash = ({ machineId, programId, minutes, ownerId, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine) throw mutationRejected(`Machine ${machineId} no longer exists.`);
+  if (machine.retiredAt) throw mutationRejected(`${machine.label} has been taken out of service.`);
+  // Changes queued before programs existed carry only a duration.
+  const program = programId ? WASH_PROGRAMS[programId] : null;
+  if (programId && (!program || !machineType(machine).programs.includes(programId))) {
+    throw mutationRejected(`${machine.label} does not offer that program.`);
+  }
+  if (getMachineStatus(machine) !== 'FREE') {
+    // Started on the machine first: the plug already reported the cycle.
+    const claimable = ownerId ? claimableTelemetryWash(machine, requestedAt) : null;
+    if (!claimable) {
+      throw mutationRejected(`${machine.label} was taken by someone else before your wash started.`);
+    }
+    const claimedEndsAt = claimTelemetryCycle(machine, claimable, { programId, program, minutes, ownerId, requestedAt });
+    washStartedBy(machine, ownerId, claimedEndsAt, requestedAt);
+    pushNotice(`${machine.label} was already running; the cycle is now yours.`, 'info');
+    return;
+  }
+  const cooldownEnds = ownerId ? reputationConsequences(ownerId, requestedAt).cooldownEndsAt : null;
+  if (cooldownEnds) {
+    throw mutationRejected(
+      `Because of your laundry standing, you can start your next wash at ${formatSlotTime(cooldownEnds, requestedAt)}.`
+    );
+  }
+  advanceQueue();
+  const hold = machineHold(machineId);
+  if (hold && hold.userId !== ownerId) {
+    throw mutationRejected(`${machine.label} is being held for the next person in the queue.`);
+  }
+  const endsAt = requestedAt + minutes * 60 * 1000;
+  const reserved = checkReservationConflict(machineId, requestedAt, endsAt, ownerId, requestedAt);
+  if (reserved && reserved.startAt - RESERVATION_EARLY_MINUTES * 60 * 1000 <= requestedAt) {
+    throw mutationRejected(
+      `${machine.label} is reserved from ${formatSlotTime(reserved.startAt)} to ${formatSlotTime(reserved.endAt)}.`
+    );
+  }
+  if (reserved) {
+    throw mutationRejected(
+      `${machine.label} is reserved from ${formatSlotTime(reserved.startAt)}; choose a shorter program or another machine.`
+    );
+  }
+  // When starting a wash mark the machine as running and reset any
+  // community nudge/flag counters.  These counters are used in the
+  // game‑theory enforcement system to encourage timely pickup.
+  state.machines = state.machines.map((m) =>
+    m.id === machineId
+      ? {
+          ...m,
+          status: 'RUNNING',
+          endsAt,
+          almostDoneNotified: undefined,
+          // nudges and flags belong to a cycle, so start afresh
+          nudgedBy: [],
+          flaggedBy: [],
+          penalizedAt: undefined,
+          // record which user started the wash for nudging purposes
+          ownerId,
+          programId: programId || undefined,
+          programLabel: program ? program.label : undefined,
+          cycleMinutes: minutes,
+        }
+      : m
+  );
+  state.washes.unshift({
+    id: `w-${requestedAt}`,
+    machineId,
+    machineLabel: machine.label,
+    machineType: machine.type,
+    ownerId,
+    hostel: machine.hostel,
+    floor: machine.floor,
+    startAt: requestedAt,
+    status: 'RUNNING',
+    programId: programId || undefined,
+    programLabel: program ? program.label : undefined,
+    minutes,
+    // Estimates are for the program's default length.
+    energyKwh: program ? program.energyKwh : undefined,
+    waterLitres: program ? program.waterLitres : undefined,
+    freePredictions: { start: predictFreeAt(machine, endsAt, requestedAt) },
+  });
+  // Watches on the previous cycle are cleared.
+  clearWatches(machineId);
+  washStartedBy(machine, ownerId, endsAt, requestedAt);
+  pushNotice(`Started ${program ? program.label : 'wash'} on ${machine.label}.`, 'info');
+};
+
+// Bookkeeping for a resident's new cycle: the owner watches it, getting a
+// machine ends their turn in the queue, and starting it in a reservation's
+// check-in window claims the reservation.
+function washStartedBy(machine, ownerId, endsAt, requestedAt) {
+  if (ownerId) {
+    state.watches.push({
+      id: `watch-${machine.id}-${endsAt}`,
+      userId: ownerId,
+      machineId: machine.id,
+      machineLabel: machine.label,
+      own: true,
+      status: 'ACTIVE',
+      createdAt: requestedAt,
+    });
+  }
+  state.queue = state.queue.filter((e) => e.userId !== ownerId);
+  const due = reservationDue(machine.id, requestedAt);
+  if (due && due.userId === ownerId) {
+    state.reservations = state.reservations.map((r) =>
+      r.id === due.id ? { ...r, status: 'CHECKED_IN', checkedInAt: requestedAt } : r
+    );
+  }
+}
+
+// Look up the machine a queued change refers to and make sure it is still on
+// the cycle the change was made against.  Cycles are told apart by their end
+// time.
+function findCycleMachine(machineId, cycleEndsAt) {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine) throw mutationRejected(`Machine ${machineId} no longer exists.`);
+  if ((machine.endsAt ?? null) !== (cycleEndsAt ?? null)) {
+    throw mutationRejected(`${machine.label} has started a new cycle since.`);
+  }
+  return machine;
+}
+
+// Mark a machine as collected.  This frees the machine and updates any
+// corresponding wash entries to the COLLECTED status.  A notification
+// acknowledges the action.
+//
+// Only the cycle's owner may do this.  An admin can clear someone else's
+// cycle by giving a `reason`, which is kept on the wash record.  Cycles
+// started before machines recorded an owner can be cleared by anyone.
+function markCollected(machine, reason) {
+  return runMutation(
+    'markCollected',
+    {
+      machineId: machine.id,
+      cycleEndsAt: machine.endsAt,
+      userId: state.user ? state.user.id : null,
+      reason: reason || undefined,
+      requestedAt: Date.now(),
+    },
+    `Mark ${machine.label} collected`
+  );
+}
+
+// Free a machine whose cycle has been collected: close its wash, score the
+// pickup, tell whoever is watching it and offer it to the floor queue.
+// `washChanges` records who collected it.
+function releaseMachine(machine, requestedAt, washChanges = {}) {
+  state.machines = state.machines.map((m) =>
+    m.id === machine.id
+      ? { ...m, status: 'FREE', endsAt: undefined, lastCompletedAt: undefined }
+      : m
+  );
+  state.washes = state.washes.map((w) =>
+    w.machineId === machine.id && (w.status === 'AWAITING' || w.status === 'RUNNING')
+      ? { ...w, status: 'COLLECTED', endAt: requestedAt, ...washChanges }
+      : w
+  );
+  recordPickup(machine, requestedAt);
+  fireWatches(machine.id, 'FREE', requestedAt);
+  advanceQueue();
+}
+
+MUTATIONS.markCollected = ({ machineId, cycleEndsAt, userId, reason, requestedAt }) => {
+  const current = state.machines.find((m) => m.id === machineId);
+  // Someone else already freed it: nothing left to do.
+  if (current && current.status === 'FREE') return;
+  const machine = findCycleMachine(machineId, cycleEndsAt);
+  const override = Boolean(machine.ownerId) && machine.ownerId !== userId;
+  // A load left long enough to reach the MAY_MOVE step can be moved out by
+  // any resident; see unattended loads.
+  const moving = override && mayMoveClothes(machine);
+  if (moving && !findAccount(userId)) {
+    throw mutationRejected(`Log in to move the clothes out of ${machine.label}.`);
+  }
+  if (override && !moving) {
+    const user = findAccount(userId);
+    if (!user || user.role !== 'admin') {
+      throw mutationRejected(`Only the resident who started ${machine.label} can mark it collected.`);
+    }
+    if (!reason || !reason.trim()) {
+      throw mutationRejected('Give a reason for clearing someone else\'s wash.');
+    }
+  }
+  const clearedReason = override && reason && reason.trim() ? reason.trim() : undefined;
+  releaseMachine(machine, requestedAt, {
+    collectedBy: userId || undefined,
+    clearedReason,
+    movedBy: moving ? userId : undefined,
+  });
+  let notice = `Thank you! ${machine.label} is free now.`;
+  if (moving) notice = `Thank you for moving the clothes. ${machine.label} is free now.`;
+  else if (override) notice = `${machine.label} was cleared by an admin: ${clearedReason}`;
+  pushNotice(notice, 'success');
+};
+
+// Send a gentle nudge to the current user of the machine.  No state changes
+// occur but a notice is generated.
+function nudgeUser(machine) {
+  pushNotice(`A gentle nudge was sent for ${machine.label}.`, 'info');
+}
+
+// Community nudge system.  Records who nudged the owner to collect their
+// clothes; each resident counts once per cycle.  Once NUDGE_WARNING_USERS
+// different residents have nudged, a stronger warning is shown.  The list
+// resets when a new cycle starts.
+const NUDGE_WARNING_USERS = 3;
+const FLAG_PENALTY_USERS = 2;
+
+function nudgeMachine(machine) {
+  return runMutation(
+    'nudgeMachine',
+    { machineId: machine.id, cycleEndsAt: machine.endsAt, userId: state.user ? state.user.id : null },
+    `Nudge owner of ${machine.label}`
+  );
+}
+
+// Add `userId` to one of a cycle's per-user lists (nudgedBy, flaggedBy).
+// Returns false when they are already on it or may not be added.
+function recordCycleReaction(machine, key, userId, verb) {
+  if (!userId) throw mutationRejected(`Log in to ${verb} ${machine.label}.`);
+  if (userId === machine.ownerId) throw mutationRejected(`You cannot ${verb} your own wash.`);
+  const list = machine[key] || [];
+  if (list.includes(userId)) {
+    pushNotice(`You already ${verb === 'flag' ? 'flagged' : 'nudged'} ${machine.label} for this cycle.`, 'info');
+    return false;
+  }
+  machine[key] = list.concat([userId]);
+  return true;
+}
+
+MUTATIONS.nudgeMachine = ({ machineId, cycleEndsAt, userId }) => {
+  // The caller's object may predate the reload, so work on the fresh copy.
+  const current = findCycleMachine(machineId, cycleEndsAt);
+  if (getMachineStatus(current) !== 'AWAITING') {
+    throw mutationRejected(`${current.label} is no longer awaiting pickup.`);
+  }
+  if (!recordCycleReaction(current, 'nudgedBy', userId, 'nudge')) return;
+  if (current.nudgedBy.length >= NUDGE_WARNING_USERS) {
+    pushNotice(`Multiple nudges sent for ${current.label}. Please collect your clothes.`, 'warning');
+    // After multiple nudges, send a reminder to the owner via email/WhatsApp if possible
+    sendReminderEmail(current);
+  } else {
+    pushNotice(`A nudge was sent for ${current.label}.`, 'info');
+  }
+};
+
+// Community flag system.  If FLAG_PENALTY_USERS different users flag that
+// clothes are still in the machine, the cycle is considered abandoned.  The
+// machine returns to the AWAITING state and the lists reset.  A second flag
+// from the same user is ignored.  This provides a game‑theory mechanism to
+// discourage users from marking a machine as collected when clothes remain.
+function flagMachine(machine) {
+  return runMutation(
+    'flagMachine',
+    {
+      machineId: machine.id,
+      cycleEndsAt: machine.endsAt,
+      userId: state.user ? state.user.id : null,
+      requestedAt: Date.now(),
+    },
+    `Flag clothes in ${machine.label}`
+  );
+}
+
+MUTATIONS.flagMachine = ({ machineId, cycleEndsAt, userId, requestedAt }) => {
+  const current = findCycleMachine(machineId, cycleEndsAt);
+  if (getMachineStatus(current) !== 'AWAITING') {
+    throw mutationRejected(`${current.label} is no longer awaiting pickup.`);
+  }
+  if (!recordCycleReaction(current, 'flaggedBy', userId, 'flag')) return;
+  if (current.flaggedBy.length >= FLAG_PENALTY_USERS) {
+    if (current.ownerId) {
+      addReputationEntry(current.ownerId, 'ABANDONED', current, requestedAt, { flaggedBy: current.flaggedBy });
+      current.penalizedAt = requestedAt;
+    }
+    // reset the lists and return to awaiting
+    current.flaggedBy = [];
+    current.nudgedBy = [];
+    current.status = 'AWAITING';
+    current.lastCompletedAt = requestedAt;
+    pushNotice(`${current.label} flagged as still occupied. Please collect your clothes.`, 'report');
+  } else {
+    const more = FLAG_PENALTY_USERS - current.flaggedBy.length;
+    pushNotice(
+      `Flag recorded for ${current.label}. ${more} more resident${more === 1 ? '' : 's'} flagging it will apply a penalty.`,
+      'info'
+    );
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Unattended loads
+//
+// Nudges only help when other residents notice a finished load.  A load
+// left AWAITING also escalates on its own, on a schedule measured from the
+// machine's lastCompletedAt: a reminder to the owner, a second reminder, an
+// alert to the floor reps of the machine's floor, and finally permission
+// for anyone to move the clothes out and free the machine.  The minutes for
+// each step are admin settings.  Each step is logged once on the wash as
+// { step, at, notify }: when it fell due and whom it is addressed to.  Their
+// devices announce it (see announceEscalations()) and the sync server pushes
+// it.  A floor without a floor rep alerts the admins instead.  Cycles
+// without an owner are left to nudges, since anyone can already clear them.
+const ESCALATION_STEPS = {
+  REMINDER: { setting: 'escalationReminderMinutes', label: 'Reminder sent to the owner' },
+  SECOND_REMINDER: { setting: 'escalationSecondReminderMinutes', label: 'Second reminder sent to the owner' },
+  FLOOR_REP: { setting: 'escalationFloorRepMinutes', label: 'Floor rep alerted' },
+  MAY_MOVE: { setting: 'escalationMoveMinutes', label: 'Clothes may be moved' },
+};
+const ANNOUNCED_ESCALATIONS_KEY = 'hostelsync_announced_escalations';
+
+// The wash for a machine's finished, uncollected cycle.
+function awaitingWash(machineId) {
+  return state.washes.find((w) => w.machineId === machineId && w.status === 'AWAITING') || null;
+}
+
+// Steps of the schedule in the order they fall due for `machine`, with the
+// time each is due.  Steps set to 0 minutes are skipped.
+function escalationSchedule(machine) {
+  return Object.keys(ESCALATION_STEPS)
+    .map((step) => ({ step, minutes: getSetting(ESCALATION_STEPS[step].setting) }))
+    .filter(({ minutes }) => minutes > 0)
+    .map(({ step, minutes }) => ({ step, at: machine.lastCompletedAt + minutes * 60 * 1000 }))
+    .sort((a, b) => a.at - b.at);
+}
+
+// Steps due at `now` that the machine's wash has not logged yet.
+function dueEscalations(machine, now = Date.now()) {
+  if (machine.status !== 'AWAITING' || !machine.ownerId || machine.lastCompletedAt == null) return [];
+  const wash = awaitingWash(machine.id);
+  if (!wash) return [];
+  const logged = (wash.escalations || []).map((e) => e.step);
+  return escalationSchedule(machine).filter((e) => e.at <= now && !logged.includes(e.step));
+}
+
+function escalationsNeedUpdate(now = Date.now()) {
+  return state.machines.some((m) => dueEscalations(m, now).length > 0);
+}
+
+// Residents who are floor reps for a hostel floor.
+function floorReps(hostel, floor) {
+  return state.users.filter((u) => u.hostel === hostel && u.repFloor === floor);
+}
+
+// Whom a step is addressed to: the owner, or for FLOOR_REP the floor's reps
+// (the admins when it has none).
+function escalationRecipients(step, machine) {
+  if (step !== 'FLOOR_REP') return [machine.ownerId];
+  const reps = floorReps(machine.hostel, machine.floor);
+  return (reps.length > 0 ? reps : state.users.filter((u) => u.role === 'admin')).map((u) => u.id);
+}
+
+// True once the current cycle's wash has logged the MAY_MOVE step.
+function mayMoveClothes(machine) {
+  const wash = machine.status === 'AWAITING' ? awaitingWash(machine.id) : null;
+  return Boolean(wash && (wash.escalations || []).some((e) => e.step === 'MAY_MOVE'));
+}
+
+// Log every escalation step that is due at `now`.  Steps missed while no
+// tab was open are logged with the time they fell due.  Must run inside
+// mutateState().
+function escalateUnattended(now = Date.now()) {
+  state.machines.forEach((m) => {
+    const due = dueEscalations(m, now);
+    if (due.length === 0) return;
+    const entries = due.map((e) => ({ ...e, notify: escalationRecipients(e.step, m) }));
+    state.washes = state.washes.map((w) =>
+      w.machineId === m.id && w.status === 'AWAITING' ? { ...w, escalations: (w.escalations || []).concat(entries) } : w
+    );
+  });
+}
+
+// Notice text for a logged step, addressed to `userId`.
+function describeEscalation(entry, wash, userId) {
+  const finished = new Date(wash.finishedAt || wash.endAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (entry.step === 'FLOOR_REP') {
+    const owner = findAccount(wash.ownerId);
+    return `${wash.machineLabel} finished at ${finished} and ${owner ? owner.name : 'its owner'} has not collected it. Please check on it.`;
+  }
+  if (entry.step === 'MAY_MOVE') {
+    return `Your clothes in ${wash.machineLabel} have waited since ${finished}. Other residents may now move them out.`;
+  }
+  return `Your clothes in ${wash.machineLabel} finished at ${finished}. Please collect them.`;
+}
+
+// Tell the resident about the steps addressed to them, including those
+// logged by another device.  Only the latest new step of each load is
+// announced, so steps replayed together do not pile up.  localStorage
+// remembers which were announced so every open tab does not repeat them.
+function announceEscalations() {
+  if (!state.user) return;
+  const userId = state.user.id;
+  let announced = [];
+  try {
+    announced = JSON.parse(localStorage.getItem(ANNOUNCED_ESCALATIONS_KEY) || '[]');
+  } catch {
+    announced = [];
+  }
+  const fresh = [];
+  (state.washes || []).forEach((w) => {
+    if (w.status !== 'AWAITING') return;
+    const steps = (w.escalations || []).filter(
+      (e) => (e.notify || []).includes(userId) && !announced.includes(`${w.id}:${e.step}`)
+    );
+    if (steps.length === 0) return;
+    fresh.push({ keys: steps.map((e) => `${w.id}:${e.step}`), text: describeEscalation(steps[steps.length - 1], w, userId) });
+  });
+  if (fresh.length === 0) return;
+  const keys = fresh.flatMap((f) => f.keys);
+  localStorage.setItem(ANNOUNCED_ESCALATIONS_KEY, JSON.stringify(announced.concat(keys).slice(-50)));
+  fresh.forEach((f) => pushNotice(f.text, 'warning'));
+}
+
+// Admin action: make a resident the floor rep for a floor of their hostel,
+// or pass null to stop.  A floor can have several reps.
+function setFloorRep(userId, floor) {
+  return runMutation('setFloorRep', { adminId: state.user.id, userId, floor }, 'Set floor rep');
+}
+
+MUTATIONS.setFloorRep = async ({ adminId, userId, floor }) => {
+  requireAdmin(adminId);
+  if (hasRemoteBackend()) {
+    await patchAccount(userId, { repFloor: floor });
+    return;
+  }
+  const account = findAccount(userId);
+  if (!account) throw mutationRejected('This account no longer exists.');
+  if (floor == null) {
+    delete account.repFloor;
+    return;
+  }
+  const location = machineLocations().find((l) => l.hostel === account.hostel);
+  if (!location || !location.floors.includes(floor)) {
+    throw mutationRejected(`${account.hostel} has no laundry on that floor.`);
+  }
+  account.repFloor = floor;
+};
+
+// -----------------------------------------------------------------------------
+// Maintenance tickets
+//
+// Reports are tickets in the `reports` collection.  A ticket moves from OPEN
+// through ACKNOWLEDGED and IN_PROGRESS to RESOLVED or WONTFIX, can be assigned
+// to an admin and keeps a thread of reports, comments and status changes.
+// A machine has at most one open ticket: further reports on it are merged
+// into that ticket.  Closing a ticket that took the machine out of service
+// puts the machine back in service.
+const TICKET_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'IN_PROGRESS', 'RESOLVED', 'WONTFIX'];
+const CLOSED_TICKET_STATUSES = ['RESOLVED', 'WONTFIX'];
+const TICKET_STATUS_LABELS = {
+  OPEN: 'Open',
+  ACKNOWLEDGED: 'Acknowledged',
+  IN_PROGRESS: 'In progress',
+  RESOLVED: 'Resolved',
+  WONTFIX: "Won't fix",
+};
+
+function isTicketOpen(ticket) {
+  return !CLOSED_TICKET_STATUSES.includes(ticket.status);
+}
+
+function openTicketFor(machineId) {
+  return (state.reports || []).find((t) => t.machineId === machineId && isTicketOpen(t));
+}
+
+function ticketEntry(kind, userId, requestedAt, fields) {
+  const account = userId ? findAccount(userId) : null;
+  return {
+    id: `${kind.toLowerCase()}-${requestedAt}-${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    userId: userId || null,
+    author: account ? account.name : 'Unknown',
+    createdAt: requestedAt,
+    ...fields,
+  };
+}
+
+// Photos on a queued change, which stored a single `photoDataUrl` before
+// reports took several.  That photo was attached as taken, so a change
+// carrying one that processPhoto() would not have produced is refused
+// rather than saved full size.
+function mutationPhotos({ photos, photoDataUrl }) {
+  const list = Array.isArray(photos) ? photos.slice(0, MAX_REPORT_PHOTOS) : [photoDataUrl].filter(Boolean);
+  if (!list.every(isProcessedPhoto)) {
+    throw mutationRejected('A photo on this change is too large to send. Discard it and attach the photo again.');
+  }
+  return list;
+}
+
+// Submit a report for a machine.  The report opens a ticket, or is added to
+// the machine's open ticket.  If affectStatus is true the machine is taken
+// out of service until the ticket is closed.  Photos are data URLs that
+// have been through processPhoto().
+function submitReport(machineId, reason, notes, photos, affectStatus) {
+  return runMutation(
+    'submitReport',
+    {
+      machineId,
+      reason,
+      notes,
+      photos,
+      affectStatus,
+      userId: state.user ? state.user.id : null,
+      requestedAt: Date.now(),
+    },
+    `Report for ${machineId}`
+  );
+}
+
+MUTATIONS.submitReport = (args) => {
+  const { machineId, reason, notes, affectStatus, userId, requestedAt } = args;
+  const machine = state.machines.find((m) => m.id === machineId);
+  const report = ticketEntry('REPORT', userId, requestedAt, {
+    reason,
+    text: notes || '',
+    photos: mutationPhotos(args),
+  });
+  const existing = openTicketFor(machineId);
+  if (existing) {
+    state.reports = state.reports.map((t) =>
+      t.id === existing.id
+        ? {
+            ...t,
+            updatedAt: requestedAt,
+            outOfService: t.outOfService || Boolean(affectStatus),
+            reporterIds: userId && !t.reporterIds.includes(userId) ? [...t.reporterIds, userId] : t.reporterIds,
+            thread: [...t.thread, report],
+          }
+        : t
+    );
+    pushNotice(`Report added to the open ticket for ${machine ? machine.label : machineId}.`, 'report');
+  } else {
+    state.reports.unshift({
+      id: `r-${requestedAt}`,
+      machineId,
+      machineLabel: machine ? machine.label : machineId,
+      reason,
+      status: 'OPEN',
+      assigneeId: null,
+      outOfService: Boolean(affectStatus),
+      reporterIds: userId ? [userId] : [],
+      thread: [report],
+      createdAt: requestedAt,
+      updatedAt: requestedAt,
+    });
+    pushNotice(`Report submitted for ${machine ? machine.label : machineId}.`, 'report');
+  }
+  if (affectStatus) {
+    // Remember when the machine went out of service, for downtime figures.
+    if (!machine || machine.status !== 'MAINT') {
+      state.reports = state.reports.map((t) =>
+        t.machineId === machineId && isTicketOpen(t) ? { ...t, outOfServiceAt: requestedAt } : t
+      );
+    }
+    state.machines = state.machines.map((m) =>
+      m.id === machineId ? { ...m, status: 'MAINT', endsAt: undefined } : m
+    );
+    // The cycle is abandoned: its wash ends now rather than whenever the
+    // machine is next freed, nobody is told it finished, and whoever held
+    // the machine goes back to the head of the queue.
+    state.washes = state.washes.map((w) =>
+      w.machineId === machineId && (w.status === 'RUNNING' || w.status === 'AWAITING')
+        ? { ...w, status: 'INTERRUPTED', endAt: requestedAt }
+        : w
+    );
+    clearWatches(machineId);
+    advanceQueue();
+  }
+};
+
+// Tickets for the maintenance dashboard: open ones first, then the most
+// recently updated.
+function sortedTickets() {
+  return [...(state.reports || [])].sort(
+    (a, b) => Number(isTicketOpen(b)) - Number(isTicketOpen(a)) || b.updatedAt - a.updatedAt
+  );
+}
+
+function updateTicket(ticketId, changes) {
+  return runMutation(
+    'updateTicket',
+    { adminId: state.user.id, ticketId, changes, requestedAt: Date.now() },
+    'Update ticket'
+  );
+}
+
+// Change a ticket's status or assignee.  Each change is recorded in the
+// thread.  Closing a ticket returns its machine to service; reopening one
+// does not take the machine out again.
+MUTATIONS.updateTicket = ({ adminId, ticketId, changes, requestedAt }) => {
+  requireAdmin(adminId);
+  const ticket = state.reports.find((t) => t.id === ticketId);
+  if (!ticket) throw mutationRejected('That ticket no longer exists.');
+  const updated = { ...ticket, thread: [...ticket.thread] };
+  if ('status' in changes && changes.status !== ticket.status) {
+    if (!TICKET_STATUSES.includes(changes.status)) throw mutationRejected('Unknown ticket status.');
+    updated.status = changes.status;
+    if (!isTicketOpen(ticket) && isTicketOpen(updated)) {
+      // A machine has one open ticket, so a ticket cannot be reopened once
+      // a newer report has opened another.
+      if (openTicketFor(ticket.machineId)) {
+        throw mutationRejected(`${ticket.machineLabel} already has an open ticket.`);
+      }
+      updated.resolvedAt = undefined;
+    }
+    updated.thread.push(ticketEntry('STATUS', adminId, requestedAt, { status: changes.status }));
+  }
+  if ('assigneeId' in changes && changes.assigneeId !== ticket.assigneeId) {
+    const assignee = changes.assigneeId ? findAccount(changes.assigneeId) : null;
+    if (changes.assigneeId && (!assignee || assignee.role !== 'admin')) {
+      throw mutationRejected('Tickets can only be assigned to admins.');
+    }
+    updated.assigneeId = changes.assigneeId || null;
+    updated.thread.push(
+      ticketEntry('ASSIGNED', adminId, requestedAt, { assigneeName: assignee ? assignee.name : null })
+    );
+  }
+  if (updated.thread.length === ticket.thread.length) return;
+  updated.updatedAt = requestedAt;
+  const closing = isTicketOpen(ticket) && !isTicketOpen(updated);
+  if (closing) updated.resolvedAt = requestedAt;
+  state.reports = state.reports.map((t) => (t.id === ticketId ? updated : t));
+  const machine = state.machines.find((m) => m.id === ticket.machineId);
+  if (closing && ticket.outOfService && machine && machine.status === 'MAINT') {
+    state.machines = state.machines.map((m) =>
+      m.id === machine.id ? { ...m, status: 'FREE', endsAt: undefined, lastCompletedAt: undefined } : m
+    );
+    advanceQueue();
+    pushNotice(`${machine.label} is back in service.`, 'success');
+  }
+};
+
+// Resolves to true once the comment is posted or waiting in the outbox, and
+// false when it was refused.
+async function commentOnTicket(ticketId, text, photos) {
+  const args = { adminId: state.user.id, ticketId, text, photos, requestedAt: Date.now() };
+  if (await runMutation('commentOnTicket', args, 'Comment on ticket')) return true;
+  return pendingOutbox().some(
+    (op) => op.type === 'commentOnTicket' && op.args.ticketId === ticketId && op.args.requestedAt === args.requestedAt
+  );
+}
+
+MUTATIONS.commentOnTicket = (args) => {
+  const { adminId, ticketId, text, requestedAt } = args;
+  requireAdmin(adminId);
+  const body = (text || '').trim();
+  const photos = mutationPhotos(args);
+  if (!body && photos.length === 0) throw mutationRejected('Write a comment or attach a photo.');
+  const ticket = state.reports.find((t) => t.id === ticketId);
+  if (!ticket) throw mutationRejected('That ticket no longer exists.');
+  const comment = ticketEntry('COMMENT', adminId, requestedAt, { text: body, photos });
+  state.reports = state.reports.map((t) =>
+    t.id === ticketId ? { ...t, updatedAt: requestedAt, thread: [...t.thread, comment] } : t
+  );
+  return comment;
+};
+
+// -----------------------------------------------------------------------------
+// Report photos
+//
+// Phone photos run to several megabytes and every state write carries them,
+// so a photo is decoded, scaled down and re-encoded as a JPEG before it is
+// attached.  Re-encoding through a canvas keeps only the pixels: EXIF
+// metadata, including the GPS position, is not carried over.  The camera's
+// rotation is applied while decoding, so dropping it does not turn the
+// picture on its side.
+const MAX_REPORT_PHOTOS = 4;
+const PHOTO_MAX_DIMENSION = 1280;
+const PHOTO_MIN_DIMENSION = 480;
+const PHOTO_MAX_BYTES = 250 * 1024;
+const PHOTO_QUALITIES = [0.8, 0.7, 0.6, 0.5];
+
+// Approximate size of the image a data URL decodes to.
+function dataUrlBytes(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  return Math.floor((base64.length * 3) / 4);
+}
+
+// True for a photo as processPhoto() returns it.
+function isProcessedPhoto(photo) {
+  return typeof photo === 'string' && photo.startsWith('data:image/jpeg;base64,') && dataUrlBytes(photo) <= PHOTO_MAX_BYTES;
+}
+
+async function decodePhoto(file) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Resize and re-encode an image file, returning a JPEG data URL under
+// PHOTO_MAX_BYTES.  Quality is lowered first and then the size, down to
+// PHOTO_MIN_DIMENSION on the long side, where photos come out well under
+// the limit.
+async function processPhoto(file) {
+  const image = await decodePhoto(file);
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  let longSide = Math.min(PHOTO_MAX_DIMENSION, Math.max(image.width, image.height));
+  let dataUrl = null;
+  for (;;) {
+    const scale = longSide / Math.max(image.width, image.height);
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    // JPEG has no transparency; give transparent images a white background.
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    for (const quality of PHOTO_QUALITIES) {
+      dataUrl = canvas.toDataURL('image/jpeg', quality);
+      if (dataUrlBytes(dataUrl) <= PHOTO_MAX_BYTES) break;
+    }
+    if (dataUrlBytes(dataUrl) <= PHOTO_MAX_BYTES || longSide <= PHOTO_MIN_DIMENSION) break;
+    longSide = Math.max(PHOTO_MIN_DIMENSION, Math.round(longSide * 0.75));
+  }
+  if (typeof image.close === 'function') image.close();
+  return dataUrl;
+}
+
+// Reports from before photos were processed kept the picture as taken, and
+// the move to tickets copied it into the thread.  The first admin to open
+// the maintenance page re-encodes those once.  A photo that cannot be
+// decoded is left as it is.
+async function shrinkLegacyPhotos() {
+  const legacy = new Set(
+    state.reports.flatMap((t) => t.thread.flatMap((entry) => (entry.photos || []).filter((p) => !isProcessedPhoto(p))))
+  );
+  if (legacy.size === 0) return;
+  const replacements = new Map();
+  for (const photo of legacy) {
+    try {
+      replacements.set(photo, await processPhoto(await (await fetch(photo)).blob()));
+    } catch (err) {
+      console.warn('Could not re-encode a report photo:', err);
+    }
+  }
+  if (replacements.size === 0) return;
+  await mutateState(() => {
+    state.reports.forEach((t) =>
+      t.thread.forEach((entry) => {
+        if (entry.photos) entry.photos = entry.photos.map((p) => replacements.get(p) || p);
+      })
+    );
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Wall-clock machine timers
+//
+// A running machine stores the absolute time its cycle ends (`endsAt`) rather
+// than a minute counter, so countdowns stay correct while the app is closed
+// and across page navigations.  Views derive status and remaining time from
+// the clock; advanceMachines() persists the transitions (and their notices)
+// once they are due, replaying any that were missed while no tab was open.
+const ALMOST_DONE_MS = 3 * 60 * 1000;
+
+// Status of a machine as of `now`.  A RUNNING machine whose cycle has ended is
+// reported as AWAITING even before the transition has been persisted.
+function getMachineStatus(machine, now = Date.now()) {
+  if (machine.status === 'RUNNING' && machine.endsAt != null && machine.endsAt <= now) {
+    return 'AWAITING';
+  }
+  return machine.status;
+}
+
+// Whole minutes left on a running cycle, or null when not running.
+function getRemainingMinutes(machine, now = Date.now()) {
+  if (getMachineStatus(machine, now) !== 'RUNNING' || machine.endsAt == null) return null;
+  return Math.max(1, Math.ceil((machine.endsAt - now) / 60000));
+}
+
+// When the current cycle finished: the persisted completion time, or the
+// scheduled end for a cycle that has ended but not been advanced yet.
+function getCompletedAt(machine, now = Date.now()) {
+  if (machine.status === 'RUNNING' && getMachineStatus(machine, now) === 'AWAITING') {
+    return machine.endsAt;
+  }
+  return machine.lastCompletedAt;
+}
+
+// Count FREE machines per hostel and floor.  Machines held for the floor
+// queue or due for a reservation are not free for anyone else.
+function countFreeByFloor(machines) {
+  const free = {};
+  machines.forEach((m) => {
+    if (m.retiredAt || machineHold(m.id) || reservationDue(m.id)) return;
+    if (!free[m.hostel]) free[m.hostel] = {};
+    if (!free[m.hostel][m.floor]) free[m.hostel][m.floor] = 0;
+    if (m.status === 'FREE') free[m.hostel][m.floor]++;
+  });
+  return free;
+}
+
+// True when advanceMachines() would change anything at `now`.
+function hasDueTransitions(now = Date.now()) {
+  if (queueNeedsUpdate(now) || reservationsNeedRelease(now) || escalationsNeedUpdate(now)) return true;
+  return state.machines.some(
+    (m) =>
+      m.status === 'RUNNING' &&
+      m.endsAt != null &&
+      (m.endsAt <= now || (!m.almostDoneNotified && m.endsAt - now <= ALMOST_DONE_MS))
+  );
+}
+
+// Persist every transition that is due at `now`: RUNNING machines whose cycle
+// has ended move to AWAITING with the completion stamped at `endsAt`, and
+// their watches fire so each watcher's device can announce it.  Unattended
+// loads log their due escalation steps.  WatchFree flags trigger notifications
+// when a machine becomes free on a watched floor.  Must run inside
+// mutateState().
+function advanceMachines(now = Date.now()) {
+  const freeBefore = countFreeByFloor(state.machines);
+  state.machines = state.machines.map((m) => {
+    if (m.status !== 'RUNNING' || m.endsAt == null) return m;
+    if (m.endsAt <= now) {
+      fireWatches(m.id, 'DONE', m.endsAt);
+      state.washes = state.washes.map((w) =>
+        w.machineId === m.id && w.status === 'RUNNING'
+          ? {
+              ...w,
+              status: 'AWAITING',
+              endAt: m.endsAt,
+              finishedAt: m.endsAt,
+              freePredictions: { ...w.freePredictions, finish: predictFreeAt(m, m.endsAt, now) },
+            }
+          : w
+      );
+      return {
+        ...m,
+        status: 'AWAITING',
+        endsAt: undefined,
+        almostDoneNotified: undefined,
+        lastCompletedAt: m.endsAt,
+      };
+    }
+    if (!m.almostDoneNotified && m.endsAt - now <= ALMOST_DONE_MS) {
+      pushNotice(`${m.label} finishing in ~${getRemainingMinutes(m, now)} minutes.`, 'info');
+      return { ...m, almostDoneNotified: true };
+    }
+    return m;
+  });
+  releaseLapsedReservations(now);
+  advanceQueue(now);
+  escalateUnattended(now);
+  const freeAfter = countFreeByFloor(state.machines);
+  Object.keys(state.watchFree).forEach((hostel) => {
+    Object.keys(state.watchFree[hostel]).forEach((floor) => {
+      if (state.watchFree[hostel][floor]) {
+        const before = freeBefore[hostel]?.[floor] ?? 0;
+        const after = freeAfter[hostel]?.[floor] ?? 0;
+        if (before === 0 && after > 0) {
+          pushNotice(`A machine is now free on the ${floorLabel(Number(floor))} of ${hostel}.`, 'success');
+          state.watchFree[hostel][floor] = false;
+        }
+      }
+    });
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Floor queue
+//
+// When every machine on a floor is busy, residents can join a first-in,
+// first-out queue for that floor instead of racing each other to the next
+// free machine.  Whenever a machine on the floor is free and not held, the
+// person at the head of the queue gets an exclusive hold on it for the
+// `queueHoldMinutes` setting, and only they can start it.  Starting a wash
+// ends their turn; passing or letting the hold lapse drops them from the
+// queue and the machine goes to the next person.  A hold on a machine that
+// stops being usable (retired, under maintenance) returns its holder to the
+// head of the queue.  advanceQueue() applies these rules; it runs in every
+// mutation that frees a machine or changes the queue, and on the tick so
+// lapsed holds move on even when nobody is using the app.
+// Minutes for a finished load to be taken out, for wait estimates made
+// before there is enough history to learn it from; see wait estimates.
+const QUEUE_PICKUP_MINUTES = 5;
+const ANNOUNCED_HOLDS_KEY = 'hostelsync_announced_holds';
+
+// A floor's queue, oldest first, except that residents whose reputation
+// gives them low priority go behind everyone else.
+function floorQueue(hostel, floor) {
+  const now = Date.now();
+  const rank = (e) => (reputationConsequences(e.userId, now).lowPriority ? 1 : 0);
+  return state.queue
+    .filter((e) => e.hostel === hostel && e.floor === floor)
+    .sort((a, b) => rank(a) - rank(b) || a.joinedAt - b.joinedAt);
+}
+
+function myQueueEntry() {
+  return (state.user && state.queue.find((e) => e.userId === state.user.id)) || null;
+}
+
+// The live hold on a machine, if any.
+function machineHold(machineId, now = Date.now()) {
+  return (
+    (state.queue || []).find(
+      (e) => e.status === 'HOLDING' && e.machineId === machineId && e.holdExpiresAt > now
+    ) || null
+  );
+}
+
+// Free machines on the floor nobody holds, in label order.  A machine whose
+// reservation check-in opens before a new hold would end is left out.
+function unheldFreeMachines(hostel, floor, now = Date.now()) {
+  const holdEnds = now + getSetting('queueHoldMinutes') * 60 * 1000;
+  return activeMachines()
+    .filter((m) => m.hostel === hostel && m.floor === floor)
+    .filter((m) => getMachineStatus(m, now) === 'FREE' && !machineHold(m.id, now))
+    .filter(
+      (m) =>
+        !machineReservations(m.id, now).some(
+          (r) => r.startAt - RESERVATION_EARLY_MINUTES * 60 * 1000 <= holdEnds
+        )
+    )
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// True when advanceQueue() would change anything at `now`.
+function queueNeedsUpdate(now = Date.now()) {
+  return (state.queue || []).some((e) => {
+    if (e.status === 'HOLDING') return e.holdExpiresAt <= now;
+    return unheldFreeMachines(e.hostel, e.floor, now).length > 0;
+  });
+}
+
+// Drop lapsed holds, release holds on machines that can no longer be used
+// and give each floor's free machines to the people waiting longest.  Must
+// run inside mutateState().
+function advanceQueue(now = Date.now()) {
+  state.queue = state.queue
+    .filter((e) => e.status !== 'HOLDING' || e.holdExpiresAt > now)
+    .map((e) => {
+      if (e.status !== 'HOLDING') return e;
+      const machine = state.machines.find((m) => m.id === e.machineId);
+      if (machine && !machine.retiredAt && getMachineStatus(machine, now) === 'FREE') return e;
+      return { ...e, status: 'WAITING', machineId: undefined, holdExpiresAt: undefined };
+    });
+  const holdMs = getSetting('queueHoldMinutes') * 60 * 1000;
+  const holds = new Map();
+  const floors = new Set(state.queue.map((e) => JSON.stringify([e.hostel, e.floor])));
+  floors.forEach((key) => {
+    const [hostel, floor] = JSON.parse(key);
+    const waiting = floorQueue(hostel, floor).filter((e) => e.status === 'WAITING');
+    unheldFreeMachines(hostel, floor, now).forEach((machine, i) => {
+      if (waiting[i]) holds.set(waiting[i].id, machine.id);
+    });
+  });
+  state.queue = state.queue.map((e) =>
+    holds.has(e.id)
+      ? { ...e, status: 'HOLDING', machineId: holds.get(e.id), holdStartedAt: now, holdExpiresAt: now + holdMs }
+      : e
+  );
+}
+
+// Minutes until the person at `position` (1-based) among those still
+// waiting in a floor's queue can expect a machine.  Each machine is assumed
+// to free up when estimateMachineWait() says and then to serve
+// default-length cycles, each followed by a typical pickup.
+function estimateQueueWait(hostel, floor, position, now = Date.now()) {
+  const machines = activeMachines().filter(
+    (m) => m.hostel === hostel && m.floor === floor && getMachineStatus(m, now) !== 'MAINT'
+  );
+  if (machines.length === 0) return null;
+  const cycleMinutes = (m) =>
+    WASH_PROGRAMS[machineType(m).programs[0]].minutes + expectedPickupMinutes(hostel, floor, 0, now);
+  const freeIn = machines.map((m) => estimateMachineWait(m, now)).sort((a, b) => a - b);
+  const round = Math.floor((position - 1) / freeIn.length);
+  return Math.round(freeIn[(position - 1) % freeIn.length] + round * cycleMinutes(machines[0]));
+}
+
+function joinQueue(hostel, floor) {
+  if (!state.user) return Promise.resolve();
+  return runMutation(
+    'joinQueue',
+    {
+      entryId: `q-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      userId: state.user.id,
+      hostel,
+      floor,
+      joinedAt: Date.now(),
+    },
+    `Join the queue on the ${floorLabel(floor)} of ${hostel}`
+  );
+}
+
+MUTATIONS.joinQueue = ({ entryId, userId, hostel, floor, joinedAt }) => {
+  const existing = state.queue.find((e) => e.userId === userId);
+  if (existing) {
+    throw mutationRejected(`You are already in the queue on the ${floorLabel(existing.floor)} of ${existing.hostel}.`);
+  }
+  state.queue.push({ id: entryId, userId, hostel, floor, joinedAt, status: 'WAITING' });
+  advanceQueue();
+  pushNotice(`You joined the queue on the ${floorLabel(floor)} of ${hostel}.`, 'info');
+};
+
+// Leave the queue, or pass on a machine held for you.
+function leaveQueue(entryId) {
+  return runMutation('leaveQueue', { entryId }, 'Leave the queue');
+}
+
+MUTATIONS.leaveQueue = ({ entryId }) => {
+  const entry = state.queue.find((e) => e.id === entryId);
+  if (!entry) return;
+  state.queue = state.queue.filter((e) => e.id !== entryId);
+  advanceQueue();
+  pushNotice(entry.status === 'HOLDING' ? 'You passed your turn to the next person.' : 'You left the queue.', 'info');
+};
+
+// Tell the resident about holds given to them, including those assigned by
+// another device's tick.  localStorage remembers which were announced so
+// every open tab does not repeat it.
+function announceQueueHolds(now = Date.now()) {
+  const entry = myQueueEntry();
+  if (!entry || entry.status !== 'HOLDING' || entry.holdExpiresAt <= now) return;
+  const key = `${entry.id}:${entry.holdExpiresAt}`;
+  let announced = [];
+  try {
+    announced = JSON.parse(localStorage.getItem(ANNOUNCED_HOLDS_KEY) || '[]');
+  } catch {
+    announced = [];
+  }
+  if (announced.includes(key)) return;
+  localStorage.setItem(ANNOUNCED_HOLDS_KEY, JSON.stringify(announced.concat([key]).slice(-20)));
+  const machine = state.machines.find((m) => m.id === entry.machineId);
+  const until = new Date(entry.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  pushNotice(`Your turn: ${machine ? machine.label : 'a machine'} is held for you until ${until}.`, 'success');
+}
+
+// -----------------------------------------------------------------------------
+// Machine reservations
+//
+// Residents can reserve a machine for a future slot, such as tomorrow
+// 07:00–07:45, the way common rooms are booked.  Reservations are confirmed
+// straight away.  While a reservation is live nobody else can start a cycle
+// that would run into it, and once its check-in window opens (a few minutes
+// before the start) the machine shows as reserved and is kept out of the
+// floor queue.  Starting a wash on the machine in that window checks the
+// resident in.  A reservation nobody checks in to is released by the tick
+// RESERVATION_GRACE_MINUTES after its start.
+const RESERVATION_STATUSES = ['RESERVED', 'CHECKED_IN', 'RELEASED', 'CANCELLED'];
+const RESERVATION_EARLY_MINUTES = 5;
+const RESERVATION_GRACE_MINUTES = 15;
+const RESERVATION_MAX_DAYS_AHEAD = 7;
+const MAX_RESERVATIONS_PER_USER = 2;
+
+// When an unclaimed reservation stops holding the machine.
+function reservationLapsesAt(r) {
+  return Math.min(r.startAt + RESERVATION_GRACE_MINUTES * 60 * 1000, r.endAt);
+}
+
+// Live reservations on a machine, soonest first.
+function machineReservations(machineId, now = Date.now()) {
+  return (state.reservations || [])
+    .filter((r) => r.machineId === machineId && r.status === 'RESERVED' && reservationLapsesAt(r) > now)
+    .sort((a, b) => a.startAt - b.startAt);
+}
+
+// The reservation whose check-in window is open on a machine, if any.
+function reservationDue(machineId, now = Date.now()) {
+  return (
+    machineReservations(machineId, now).find(
+      (r) => r.startAt - RESERVATION_EARLY_MINUTES * 60 * 1000 <= now
+    ) || null
+  );
+}
+
+// The first live reservation on a machine overlapping [startAt, endAt),
+// ignoring those made by `exceptUserId`.
+function checkReservationConflict(machineId, startAt, endAt, exceptUserId = null, now = Date.now()) {
+  return (
+    machineReservations(machineId, now).find(
+      (r) => r.userId !== exceptUserId && startAt < r.endAt && endAt > r.startAt
+    ) || null
+  );
+}
+
+// "07:00" for times today, "Tue 07:00" otherwise.
+function formatSlotTime(timestamp, now = Date.now()) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date(now).toDateString()) return time;
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+function myReservations(now = Date.now()) {
+  if (!state.user) return [];
+  return (state.reservations || [])
+    .filter((r) => r.userId === state.user.id && r.status === 'RESERVED' && reservationLapsesAt(r) > now)
+    .sort((a, b) => a.startAt - b.startAt);
+}
+
+function reserveMachine(machine, programId, startAt) {
+  if (!state.user) return Promise.resolve();
+  const program = WASH_PROGRAMS[programId];
+  return runMutation(
+    'reserveMachine',
+    {
+      reservationId: `r-${Date.now()}`,
+      machineId: machine.id,
+      userId: state.user.id,
+      userName: state.user.name,
+      programId,
+      startAt,
+      endAt: startAt + program.minutes * 60 * 1000,
+      requestedAt: Date.now(),
+    },
+    `Reserve ${machine.label}`
+  );
+}
+
+MUTATIONS.reserveMachine = ({ reservationId, machineId, userId, userName, programId, startAt, endAt, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine) throw mutationRejected(`Machine ${machineId} no longer exists.`);
+  if (machine.retiredAt) throw mutationRejected(`${machine.label} has been taken out of service.`);
+  if (getMachineStatus(machine, requestedAt) === 'MAINT') {
+    throw mutationRejected(`${machine.label} is under maintenance.`);
+  }
+  const program = WASH_PROGRAMS[programId];
+  if (!program || !machineType(machine).programs.includes(programId)) {
+    throw mutationRejected(`${machine.label} does not offer that program.`);
+  }
+  if (startAt <= requestedAt) throw mutationRejected('Pick a start time in the future.');
+  if (startAt - requestedAt > RESERVATION_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    throw mutationRejected(`Reservations can be made up to ${RESERVATION_MAX_DAYS_AHEAD} days ahead.`);
+  }
+  const mine = state.reservations.filter(
+    (r) => r.userId === userId && r.status === 'RESERVED' && reservationLapsesAt(r) > requestedAt
+  );
+  if (mine.length >= MAX_RESERVATIONS_PER_USER) {
+    throw mutationRejected(`You can hold at most ${MAX_RESERVATIONS_PER_USER} reservations at a time.`);
+  }
+  const conflict = checkReservationConflict(machineId, startAt, endAt, null, requestedAt);
+  if (conflict) {
+    throw mutationRejected(
+      `${machine.label} is already reserved from ${formatSlotTime(conflict.startAt)} to ${formatSlotTime(conflict.endAt)}.`
+    );
+  }
+  if (getMachineStatus(machine, requestedAt) === 'RUNNING' && machine.endsAt > startAt) {
+    throw mutationRejected(`${machine.label} is running until ${formatSlotTime(machine.endsAt)}.`);
+  }
+  const reservation = {
+    id: reservationId,
+    machineId,
+    machineLabel: machine.label,
+    hostel: machine.hostel,
+    floor: machine.floor,
+    userId,
+    userName,
+    programId,
+    programLabel: program.label,
+    startAt,
+    endAt,
+    status: 'RESERVED',
+    createdAt: requestedAt,
+  };
+  state.reservations.push(reservation);
+  pushNotice(`Reserved ${machine.label} from ${formatSlotTime(startAt)} to ${formatSlotTime(endAt)}.`, 'success');
+  return reservation;
+};
+
+function cancelReservation(id) {
+  return runMutation('cancelReservation', { id, userId: state.user.id }, 'Cancel reservation');
+}
+
+MUTATIONS.cancelReservation = ({ id, userId }) => {
+  const reservation = state.reservations.find((r) => r.id === id);
+  // Already released or cancelled elsewhere: nothing left to do.
+  if (!reservation || reservation.status !== 'RESERVED') return;
+  const user = findAccount(userId);
+  if (reservation.userId !== userId && !(user && user.role === 'admin')) {
+    throw mutationRejected('Only the resident who made this reservation can cancel it.');
+  }
+  state.reservations = state.reservations.map((r) => (r.id === id ? { ...r, status: 'CANCELLED' } : r));
+  advanceQueue();
+  pushNotice(`Cancelled your reservation on ${reservation.machineLabel}.`, 'info');
+};
+
+// True when releaseLapsedReservations() would change anything at `now`.
+function reservationsNeedRelease(now = Date.now()) {
+  return (state.reservations || []).some((r) => r.status === 'RESERVED' && reservationLapsesAt(r) <= now);
+}
+
+// Release reservations nobody checked in to.  Must run inside mutateState().
+function releaseLapsedReservations(now = Date.now()) {
+  state.reservations = state.reservations.map((r) => {
+    if (r.status !== 'RESERVED' || reservationLapsesAt(r) > now) return r;
+    pushNotice(
+      `The ${formatSlotTime(r.startAt, now)} reservation on ${r.machineLabel} was released because nobody checked in.`,
+      'info'
+    );
+    return { ...r, status: 'RELEASED', releasedAt: now };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Wait estimates
+//
+// When a busy machine is likely to be free: a running cycle's end plus the
+// time loads typically sit before they are collected, a finished load's
+// remaining pickup time given how long it has sat already, and for a machine
+// held for the queue or due for a reservation, the cycle that is about to
+// run on it.  Pickup times are learned from the last PICKUP_SAMPLE_SIZE
+// collected washes on the floor, falling back to the hostel, then every
+// machine, then QUEUE_PICKUP_MINUTES while there is too little history.
+//
+// Each wash records what was predicted when it started and when it finished
+// (`freePredictions`), so the Machines page can report how far off the
+// predictions were once the load has been collected.
+const PICKUP_SAMPLE_SIZE = 40;
+const PICKUP_MIN_SAMPLES = 5;
+const PICKUP_HISTORY_MS = 60 * 24 * 60 * 60 * 1000;
+const ESTIMATE_REPORT_MS = 30 * 24 * 60 * 60 * 1000;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// When a wash's cycle ended.  Washes finished before this was recorded
+// fall back to the plug's reading or the cycle's length.
+function washFinishedAt(wash) {
+  if (wash.finishedAt != null) return wash.finishedAt;
+  if (wash.measured) return wash.measured.endAt;
+  return wash.minutes ? wash.startAt + wash.minutes * 60 * 1000 : null;
+}
+
+// Minutes recent loads sat finished before they were collected, newest
+// first, from the narrowest of floor, hostel or everywhere with enough.
+// Sessions imported from a sensor log end when the plug saw the cycle end,
+// not when the load was collected, so they are left out.
+function pickupSamples(hostel, floor, now = Date.now()) {
+  const collected = state.washes
+    .filter((w) => w.status === 'COLLECTED' && w.endAt != null && now - w.endAt < PICKUP_HISTORY_MS)
+    .filter((w) => w.source !== 'sensor' && washFinishedAt(w) != null)
+    .sort((a, b) => b.endAt - a.endAt);
+  const scopes = [(w) => w.hostel === hostel && w.floor === floor, (w) => w.hostel === hostel, () => true];
+  for (const scope of scopes) {
+    const samples = collected
+      .filter(scope)
+      .slice(0, PICKUP_SAMPLE_SIZE)
+      .map((w) => Math.max(0, (w.endAt - washFinishedAt(w)) / 60000));
+    if (samples.length >= PICKUP_MIN_SAMPLES) return samples;
+  }
+  return [];
+}
+
+// Typical minutes until a finished load on the floor is collected, for one
+// that has already sat `waited` minutes: the median of the past loads that
+// sat at least that long, less the time gone.
+function expectedPickupMinutes(hostel, floor, waited = 0, now = Date.now()) {
+  const remaining = pickupSamples(hostel, floor, now)
+    .filter((minutes) => minutes >= waited)
+    .map((minutes) => minutes - waited);
+  return remaining.length ? median(remaining) : QUEUE_PICKUP_MINUTES;
+}
+
+// When the machine is likely to be free for someone new to start it, or
+// null for a machine under maintenance.
+function estimateMachineFreeAt(machine, now = Date.now()) {
+  const status = getMachineStatus(machine, now);
+  if (status === 'MAINT') return null;
+  const pickupMs = (waited = 0) => expectedPickupMinutes(machine.hostel, machine.floor, waited, now) * 60 * 1000;
+  const cycleMs = WASH_PROGRAMS[machineType(machine).programs[0]].minutes * 60 * 1000;
+  let freeAt = now;
+  if (status === 'RUNNING') freeAt = machine.endsAt + pickupMs();
+  else if (status === 'AWAITING') freeAt = now + pickupMs((now - getCompletedAt(machine, now)) / 60000);
+  // Whoever holds it is about to start a cycle.
+  else if (machineHold(machine.id, now)) freeAt = now + cycleMs + pickupMs();
+  // Reservations that start before then get the machine first.
+  machineReservations(machine.id, now).forEach((r) => {
+    if (r.startAt - RESERVATION_EARLY_MINUTES * 60 * 1000 <= freeAt) {
+      freeAt = Math.max(freeAt, r.endAt + pickupMs());
+    }
+  });
+  return freeAt;
+}
+
+// Minutes until `machine` is likely free, rounded, or null.
+function estimateMachineWait(machine, now = Date.now()) {
+  const freeAt = estimateMachineFreeAt(machine, now);
+  return freeAt == null ? null : Math.max(0, Math.round((freeAt - now) / 60000));
+}
+
+// What is predicted for a cycle ending at `endsAt`; stored on the wash.
+// Must run inside mutateState().
+function predictFreeAt(machine, endsAt, now = Date.now()) {
+  return Math.round(endsAt + expectedPickupMinutes(machine.hostel, machine.floor, 0, now) * 60 * 1000);
+}
+
+// How far the predictions on washes collected in the last 30 days were
+// from when the machine was actually freed.  `bias` is positive when
+// machines were freed later than predicted.  Minutes, per stage.
+function estimateAccuracy(now = Date.now()) {
+  const washes = state.washes.filter(
+    (w) => w.status === 'COLLECTED' && w.freePredictions && w.endAt != null && now - w.endAt < ESTIMATE_REPORT_MS
+  );
+  return ['start', 'finish'].map((stage) => {
+    const errors = washes
+      .filter((w) => w.freePredictions[stage] != null)
+      .map((w) => (w.endAt - w.freePredictions[stage]) / 60000);
+    return {
+      stage,
+      count: errors.length,
+      typicalError: errors.length ? Math.round(median(errors.map(Math.abs))) : null,
+      bias: errors.length ? Math.round(median(errors)) : null,
+    };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Usage analytics
+//
+// Figures for the Analytics page (admin-analytics.html), worked out from the
+// wash history and maintenance tickets over a date range, optionally for one
+// hostel.  A machine is in use from the start of a wash until its load is
+// collected, so a finished load left in the drum counts as use: nobody else
+// can start the machine meanwhile.  Washes still running or awaiting pickup
+// count up to now.  A machine is down from the report that took it out of
+// service until its ticket was closed.
+const ANALYTICS_DEFAULT_DAYS = 28;
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Call fn(weekday, hour, ms) for each local clock hour that [from, to)
+// overlaps, with weekdays counted from Monday.
+function forEachHour(from, to, fn) {
+  let cursor = from;
+  while (cursor < to) {
+    const date = new Date(cursor);
+    const intoHour = date.getMinutes() * 60000 + date.getSeconds() * 1000 + date.getMilliseconds();
+    const end = Math.min(cursor - intoHour + 60 * 60 * 1000, to);
+    fn((date.getDay() + 6) % 7, date.getHours(), end - cursor);
+    cursor = end;
+  }
+}
+
+// When a wash kept its machine in use, or null without a usable time.
+function washBusySpan(wash, now = Date.now()) {
+  const end = wash.status === 'RUNNING' || wash.status === 'AWAITING' ? now : wash.endAt;
+  return end != null && end > wash.startAt ? [wash.startAt, end] : null;
+}
+
+// When a machine was out of service, from its tickets.  Tickets from before
+// `outOfServiceAt` was recorded count from when they were opened.
+function downtimeSpans(machineId, now = Date.now()) {
+  return (state.reports || [])
+    .filter((t) => t.machineId === machineId && t.outOfService)
+    .map((t) => [t.outOfServiceAt ?? t.createdAt, t.resolvedAt ?? (isTicketOpen(t) ? now : t.updatedAt)]);
+}
+
+// The parts of [from, until) a machine was in service: after it was added,
+// before it was retired and outside its downtime.
+function serviceSpans(machine, from, until, now = Date.now()) {
+  let spans = [[Math.max(from, machine.addedAt ?? from), Math.min(until, machine.retiredAt ?? until)]];
+  downtimeSpans(machine.id, now).forEach(([downStart, downEnd]) => {
+    spans = spans.flatMap(([start, end]) => [
+      [start, Math.min(end, downStart)],
+      [Math.max(start, downEnd), end],
+    ]);
+  });
+  return spans.filter(([start, end]) => end > start);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Everything the Analytics page shows for [from, to).  Times are epoch
+// milliseconds; `hostel` is null for every hostel.
+function laundryAnalytics({ from, to, hostel = null }, now = Date.now()) {
+  const until = Math.min(to, now);
+  const overlap = ([start, end]) => Math.max(0, Math.min(end, until) - Math.max(start, from));
+  const machines = state.machines
+    .filter((m) => !hostel || m.hostel === hostel)
+    .filter((m) => (!m.retiredAt || m.retiredAt > from) && (!m.addedAt || m.addedAt < until))
+    .sort((a, b) => a.hostel.localeCompare(b.hostel) || a.floor - b.floor || a.label.localeCompare(b.label));
+  const machineIds = new Set(machines.map((m) => m.id));
+  const washes = state.washes.filter((w) => {
+    const span = washBusySpan(w, now);
+    return machineIds.has(w.machineId) && span && overlap(span) > 0;
+  });
+  const started = washes.filter((w) => w.startAt >= from && w.startAt < until);
+
+  // Share of machine time in use per weekday and hour.  Each machine only
+  // counts as available while it was in service.
+  const busy = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  const available = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  const inService = new Map(machines.map((m) => [m.id, serviceSpans(m, from, until, now)]));
+  inService.forEach((spans) =>
+    spans.forEach(([start, end]) =>
+      forEachHour(start, end, (day, hour, ms) => {
+        available[day][hour] += ms;
+      })
+    )
+  );
+  washes.forEach((w) => {
+    const [start, end] = washBusySpan(w, now);
+    forEachHour(Math.max(start, from), Math.min(end, until), (day, hour, ms) => {
+      busy[day][hour] += ms;
+    });
+  });
+  const heatmap = busy.map((hours, day) =>
+    hours.map((ms, hour) => (available[day][hour] ? Math.min(1, ms / available[day][hour]) : null))
+  );
+
+  const cycleMinutes = started
+    .filter((w) => washFinishedAt(w) != null && washFinishedAt(w) <= now)
+    .map((w) => (washFinishedAt(w) - w.startAt) / 60000)
+    .filter((minutes) => minutes > 0);
+  const pickupMinutes = started
+    .filter((w) => w.status === 'COLLECTED' && w.source !== 'sensor' && washFinishedAt(w) != null)
+    .map((w) => Math.max(0, (w.endAt - washFinishedAt(w)) / 60000));
+
+  const perMachine = machines.map((m) => {
+    const own = washes.filter((w) => w.machineId === m.id);
+    const busyMs = own.reduce((sum, w) => sum + overlap(washBusySpan(w, now)), 0);
+    const downtimeMs = downtimeSpans(m.id, now).reduce((sum, span) => sum + overlap(span), 0);
+    const inServiceMs = inService.get(m.id).reduce((sum, [start, end]) => sum + end - start, 0);
+    return {
+      machine: m,
+      washes: own.filter((w) => w.startAt >= from && w.startAt < until).length,
+      busyMs,
+      downtimeMs,
+      utilization: inServiceMs > 0 ? Math.min(1, busyMs / inServiceMs) : null,
+    };
+  });
+
+  return {
+    from,
+    until,
+    washes: started,
+    heatmap,
+    averageCycleMinutes: mean(cycleMinutes),
+    averagePickupMinutes: mean(pickupMinutes),
+    medianPickupMinutes: median(pickupMinutes),
+    machines: perMachine,
+  };
+}
+
+// Quote a value for a CSV file when it needs it.  Text that a spreadsheet
+// would run as a formula (machine labels and hostel names are typed in by
+// residents) gets a leading apostrophe; numbers are left as they are.
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadCsv(filename, rows) {
+  const text = rows.map((row) => row.map(csvField).join(',')).join('\r\n');
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "2025-03-09 18:05" in local time, for CSV files.
+function formatCsvTime(time) {
+  if (time == null) return '';
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// -----------------------------------------------------------------------------
+// Machine watches
+//
+// A watch asks for one notice about a machine's current cycle: when it
+// finishes, or when the machine is free again if it had already finished.
+// Starting a wash watches it for its owner, and anyone can watch a running
+// or finished machine with Notify When Done.  Watches are shared records, so
+// whichever device records the transition marks the watch FIRED and the
+// watcher's own device announces it (see announceFiredWatches()); the sync
+// server also pushes it.  A new cycle clears the watches left on the old
+// one.
+const WATCH_STATUSES = ['ACTIVE', 'FIRED'];
+// Fired watches are kept this long so devices that were offline still see them.
+const WATCH_KEEP_MS = 24 * 60 * 60 * 1000;
+const ANNOUNCED_WATCHES_KEY = 'hostelsync_announced_watches';
+
+// The current user's active watch on a machine, if any.
+function myWatch(machineId) {
+  if (!state.user) return null;
+  return (
+    (state.watches || []).find(
+      (w) => w.userId === state.user.id && w.machineId === machineId && w.status === 'ACTIVE'
+    ) || null
+  );
+}
+
+function myWatches() {
+  if (!state.user) return [];
+  return (state.watches || []).filter((w) => w.userId === state.user.id && w.status === 'ACTIVE');
+}
+
+function watchMachine(machine) {
+  if (!state.user) return Promise.resolve();
+  return runMutation(
+    'watchMachine',
+    { watchId: `watch-${Date.now()}`, userId: state.user.id, machineId: machine.id, requestedAt: Date.now() },
+    `Notify me about ${machine.label}`
+  );
+}
+
+MUTATIONS.watchMachine = ({ watchId, userId, machineId, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine) throw mutationRejected(`Machine ${machineId} no longer exists.`);
+  const status = getMachineStatus(machine, requestedAt);
+  if (status !== 'RUNNING' && status !== 'AWAITING') {
+    throw mutationRejected(`${machine.label} is not running any more.`);
+  }
+  if (state.watches.some((w) => w.userId === userId && w.machineId === machineId && w.status === 'ACTIVE')) {
+    throw mutationRejected(`You will already be notified about ${machine.label}.`);
+  }
+  state.watches.push({
+    id: watchId,
+    userId,
+    machineId,
+    machineLabel: machine.label,
+    own: false,
+    status: 'ACTIVE',
+    createdAt: requestedAt,
+  });
+  pushNotice(
+    status === 'RUNNING'
+      ? `You will be notified when ${machine.label} finishes.`
+      : `You will be notified when ${machine.label} is free.`,
+    'info'
+  );
+};
+
+function unwatchMachine(watchId) {
+  return runMutation('unwatchMachine', { watchId, userId: state.user.id }, 'Stop notifications');
+}
+
+MUTATIONS.unwatchMachine = ({ watchId, userId }) => {
+  const watch = state.watches.find((w) => w.id === watchId);
+  // Fired or cleared meanwhile: nothing left to cancel.
+  if (!watch || watch.status !== 'ACTIVE') return;
+  if (watch.userId !== userId) throw mutationRejected('This notification belongs to someone else.');
+  state.watches = state.watches.filter((w) => w.id !== watchId);
+  pushNotice(`You will no longer be notified about ${watch.machineLabel}.`, 'info');
+};
+
+// Fire every active watch on a machine and drop fired watches past
+// WATCH_KEEP_MS.  `reason` is DONE (cycle finished) or FREE (collected).
+// Must run inside mutateState().
+function fireWatches(machineId, reason, firedAt) {
+  state.watches = state.watches
+    .filter((w) => w.status !== 'FIRED' || firedAt - w.firedAt < WATCH_KEEP_MS)
+    .map((w) => (w.machineId === machineId && w.status === 'ACTIVE' ? { ...w, status: 'FIRED', reason, firedAt } : w));
+}
+
+// Drop the active watches on a machine whose cycle is over without finishing
+// or that is starting a new one.  Must run inside mutateState().
+function clearWatches(machineId) {
+  state.watches = state.watches.filter((w) => w.machineId !== machineId || w.status !== 'ACTIVE');
+}
+
+// Notice text for a fired watch.  A cycle that ended more than a minute ago
+// finished while the app was closed; say when, rather than implying it just
+// happened.
+function describeFiredWatch(watch, now = Date.now()) {
+  if (watch.reason === 'FREE') return `${watch.machineLabel} is free now.`;
+  const finished =
+    now - watch.firedAt > 60 * 1000
+      ? `${watch.machineLabel} finished at ${new Date(watch.firedAt).toLocaleTimeString()}.`
+      : `${watch.machineLabel} finished.`;
+  return watch.own ? `${finished} Please collect clothes.` : finished;
+}
+
+// Tell the resident about their fired watches, including those fired by
+// another device.  localStorage remembers which were announced so every
+// open tab does not repeat them.
+function announceFiredWatches(now = Date.now()) {
+  if (!state.user) return;
+  const fired = (state.watches || []).filter((w) => w.userId === state.user.id && w.status === 'FIRED');
+  if (fired.length === 0) return;
+  let announced = [];
+  try {
+    announced = JSON.parse(localStorage.getItem(ANNOUNCED_WATCHES_KEY) || '[]');
+  } catch {
+    announced = [];
+  }
+  const fresh = fired.filter((w) => !announced.includes(w.id));
+  if (fresh.length === 0) return;
+  localStorage.setItem(ANNOUNCED_WATCHES_KEY, JSON.stringify(announced.concat(fresh.map((w) => w.id)).slice(-50)));
+  fresh.forEach((w) => pushNotice(describeFiredWatch(w, now), 'success'));
+}
+
+// -----------------------------------------------------------------------------
+// Laundry reputation
+//
+// Nudges and flags only last for one cycle, so each resident also has a
+// ledger of what happened at the end of their cycles: collecting on time,
+// collecting late (scored by how long the machine sat AWAITING), having a
+// cycle flagged as abandoned by several residents, and flagging someone
+// whose penalty an admin later overturned.  The entries of the last
+// REPUTATION_WINDOW_DAYS add up to a score.  Admin-tunable settings turn
+// a low score into consequences: a cooldown between washes and a place
+// behind everyone else in floor queues.  Residents see their score and
+// ledger on the profile page.
+const REPUTATION_KINDS = {
+  ON_TIME: { label: 'Collected on time' },
+  LATE_PICKUP: { label: 'Late pickup' },
+  ABANDONED: { label: 'Clothes left in the machine', points: -5 },
+  OVERTURNED: { label: 'Penalty overturned by an admin', points: 5 },
+  FALSE_FLAG: { label: 'Flag overturned by an admin', points: -3 },
+};
+const REPUTATION_WINDOW_DAYS = 60;
+// Minutes after a cycle ends within which collecting counts as on time.
+const ON_TIME_PICKUP_MINUTES = 15;
+// Every started half hour beyond that costs a point, up to this many.
+const MAX_LATE_PENALTY = 5;
+
+// Points for collecting `awaitingMinutes` after the cycle ended.
+function pickupPoints(awaitingMinutes) {
+  if (awaitingMinutes <= ON_TIME_PICKUP_MINUTES) return 1;
+  return -Math.min(MAX_LATE_PENALTY, Math.ceil((awaitingMinutes - ON_TIME_PICKUP_MINUTES) / 30));
+}
+
+// Append a ledger entry.  Must run inside mutateState().
+function addReputationEntry(userId, kind, machine, createdAt, extra = {}) {
+  const entry = {
+    id: `rep-${createdAt}-${kind}-${userId}`,
+    userId,
+    kind,
+    points: REPUTATION_KINDS[kind].points,
+    machineId: machine ? machine.id : undefined,
+    machineLabel: machine ? machine.label : undefined,
+    createdAt,
+    ...extra,
+  };
+  state.reputation.push(entry);
+  return entry;
+}
+
+// Score the end of a cycle for its owner when it is collected.  Cycles
+// started before machines recorded an owner are not scored, and a cycle
+// already penalised as abandoned earns nothing for a quick pickup after.
+function recordPickup(machine, collectedAt) {
+  const completedAt = getCompletedAt(machine, collectedAt);
+  if (!machine.ownerId || !Number.isFinite(completedAt)) return;
+  const minutes = Math.max(0, Math.round((collectedAt - completedAt) / 60000));
+  const points = pickupPoints(minutes);
+  if (points > 0 && machine.penalizedAt) return;
+  addReputationEntry(machine.ownerId, points > 0 ? 'ON_TIME' : 'LATE_PICKUP', machine, collectedAt, {
+    points,
+    awaitingMinutes: minutes,
+  });
+}
+
+// A resident's ledger, newest first.
+function reputationLedger(userId) {
+  return (state.reputation || []).filter((e) => e.userId === userId).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function reputationScore(userId, now = Date.now()) {
+  const since = now - REPUTATION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  return reputationLedger(userId)
+    .filter((e) => e.createdAt >= since)
+    .reduce((sum, e) => sum + e.points, 0);
+}
+
+// What a resident's score currently costs them.  `cooldownEndsAt` is when
+// they may start another wash, or null when they may now.
+function reputationConsequences(userId, now = Date.now()) {
+  const score = reputationScore(userId, now);
+  let cooldownEndsAt = null;
+  if (score <= getSetting('cooldownScore') && getSetting('cooldownMinutes') > 0) {
+    const lastCollected = (state.washes || [])
+      .filter((w) => w.ownerId === userId && w.status === 'COLLECTED' && Number.isFinite(w.endAt))
+      .reduce((latest, w) => Math.max(latest, w.endAt), 0);
+    const endsAt = lastCollected + getSetting('cooldownMinutes') * 60 * 1000;
+    if (endsAt > now) cooldownEndsAt = endsAt;
+  }
+  return {
+    score,
+    cooldown: score <= getSetting('cooldownScore'),
+    cooldownEndsAt,
+    lowPriority: score <= getSetting('lowPriorityScore'),
+  };
+}
+
+// Abandoned-cycle penalties an admin may still overturn, newest first.
+function openPenalties() {
+  return (state.reputation || [])
+    .filter((e) => e.kind === 'ABANDONED' && !e.overturnedAt)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function overturnPenalty(entryId) {
+  return runMutation(
+    'overturnPenalty',
+    { adminId: state.user.id, entryId, requestedAt: Date.now() },
+    'Overturn penalty'
+  );
+}
+
+// The owner gets the points back and everyone who flagged the cycle is
+// charged for a false flag.
+MUTATIONS.overturnPenalty = ({ adminId, entryId, requestedAt }) => {
+  requireAdmin(adminId);
+  const entry = state.reputation.find((e) => e.id === entryId);
+  if (!entry || entry.kind !== 'ABANDONED' || entry.overturnedAt) return;
+  state.reputation = state.reputation.map((e) => (e.id === entryId ? { ...e, overturnedAt: requestedAt } : e));
+  const machine = entry.machineId ? { id: entry.machineId, label: entry.machineLabel } : null;
+  addReputationEntry(entry.userId, 'OVERTURNED', machine, requestedAt, { penaltyId: entryId });
+  (entry.flaggedBy || []).forEach((userId) =>
+    addReputationEntry(userId, 'FALSE_FLAG', machine, requestedAt, { penaltyId: entryId })
+  );
+  pushNotice('Penalty overturned.', 'info');
+};
+
+// -----------------------------------------------------------------------------
+// Sensor log import
+//
+// The floors' smart plugs log each cycle they see: when it started and
+// ended, who the plug was assigned to ("Name Room"), and the water and
+// energy used.  Admins import those exports as CSV (with a header row) or
+// JSON (an array of objects, or `{ sessions: [...] }`).  Each session is
+// matched to a machine and a resident and recorded on the wash it belongs
+// to, or as a new wash when nobody started one in the app.  Differences
+// between the two are flagged on the wash for an admin to review.
+//
+// Times are dd/mm/yyyy with an optional h:mm[:ss] (the plugs' format),
+// ISO 8601 or epoch seconds/milliseconds.  Times without an offset are
+// read as wall-clock time in the time zone chosen for the import.
+const SENSOR_COLUMNS = {
+  start: ['start', 'start_time', 'started', 'started_at', 'begin'],
+  end: ['end', 'end_time', 'ended', 'ended_at', 'finish', 'stop'],
+  user: ['user', 'resident', 'name'],
+  email: ['email', 'user_email'],
+  machine: ['machine', 'machine_id', 'plug', 'plug_id', 'device'],
+  energy: ['energy', 'energy_kwh', 'kwh'],
+  water: ['water', 'water_l', 'water_litres', 'water_liters', 'litres', 'liters'],
+};
+const SENSOR_FLAG_LABELS = {
+  NOT_STARTED: 'Nobody started this cycle in the app',
+  NO_SENSOR: 'Started in the app but the plug saw no cycle',
+  OTHER_USER: 'The plug saw a different resident',
+  START_DIFFERS: 'Started at a different time than in the app',
+};
+// How far apart the app and the plug may put a cycle's start.
+const SENSOR_START_TOLERANCE_MS = 10 * 60 * 1000;
+const MAX_SENSOR_SESSION_MS = 12 * 60 * 60 * 1000;
+const MAX_SENSOR_ROWS = 5000;
+
+// Split CSV text into rows of fields.  Handles quoted fields with embedded
+// delimiters, quotes and line breaks; the delimiter (comma, semicolon or
+// tab) is taken from the header line.
+function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best));
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return { rows: rows.filter((r) => r.some((f) => f.trim())), delimiter };
+}
+
+// Offset of `timeZone` from UTC at the given instant, in milliseconds.
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  })
+    .formatToParts(timestamp)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (timestamp - (timestamp % 1000));
+}
+
+// Epoch milliseconds of a wall-clock time in `timeZone`.  The offset is
+// looked up twice so that times next to a daylight saving change land on
+// the right side of it.
+function wallClockToEpoch([year, month, day, hour, minute, second], timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = asUtc - timeZoneOffset(asUtc, timeZone);
+  return asUtc - timeZoneOffset(first, timeZone);
+}
+
+// Parse one sensor timestamp.  Returns NaN when it cannot be read.
+function parseSensorTime(value, timeZone) {
+  if (typeof value === 'number') return value > 1e12 ? value : value * 1000;
+  const text = String(value || '').trim();
+  if (/^\d{9,13}$/.test(text)) return parseSensorTime(Number(text), timeZone);
+  let parts = null;
+  let match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?)?$/i.exec(text);
+  if (match) {
+    const [, day, month, year, hour = '0', minute = '0', second = '0', meridiem] = match;
+    let h = Number(hour);
+    if (meridiem) {
+      if (h < 1 || h > 12) return NaN;
+      h = (h % 12) + (/^p/i.test(meridiem) ? 12 : 0);
+    }
+    parts = [Number(year), Number(month), Number(day), h, Number(minute), Number(second)];
+  } else {
+    match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+    if (!match) return NaN;
+    // An explicit offset fixes the instant regardless of the import's zone.
+    if (match[7]) return Date.parse(text.replace(' ', 'T'));
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    parts = [year, month, day, hour, minute, second].map(Number);
+  }
+  const [year, month, day, hour, minute, second] = parts;
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return NaN;
+  }
+  return wallClockToEpoch(parts, timeZone);
+}
+
+// Read a number, accepting a decimal comma.  Blank fields are null.
+function parseSensorNumber(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const number = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+// Turn an export's text into plain session records ready for
+// importSensorSessions().  Returns { sessions, errors }, with one error per
+// session that could not be read, located by CSV line or JSON position.
+function readSensorExport(text, timeZone) {
+  let records;
+  const trimmed = text.trim();
+  const isJson = trimmed.startsWith('[') || trimmed.startsWith('{');
+  if (isJson) {
+    const parsed = JSON.parse(trimmed);
+    records = Array.isArray(parsed) ? parsed : parsed.sessions;
+    if (!Array.isArray(records)) throw new Error('The JSON file has no list of sessions.');
+  } else {
+    const { rows } = parseCsv(trimmed);
+    const header = (rows.shift() || []).map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    records = rows.map((row) => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+  }
+  if (records.length > MAX_SENSOR_ROWS) {
+    throw new Error(`The file has ${records.length} sessions; import at most ${MAX_SENSOR_ROWS} at a time.`);
+  }
+  const sessions = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const row = isJson ? `Session ${index + 1}` : `Line ${index + 2}`;
+    const fields = {};
+    Object.entries(SENSOR_COLUMNS).forEach(([key, names]) => {
+      const lower = Object.fromEntries(Object.entries(record || {}).map(([k, v]) => [k.toLowerCase(), v]));
+      const name = names.find((n) => lower[n] != null && String(lower[n]).trim() !== '');
+      fields[key] = name ? lower[name] : null;
+    });
+    const startAt = parseSensorTime(fields.start, timeZone);
+    const endAt = parseSensorTime(fields.end, timeZone);
+    const energyKwh = parseSensorNumber(fields.energy);
+    const waterLitres = parseSensorNumber(fields.water);
+    let problem = null;
+    if (Number.isNaN(startAt)) problem = `start time "${fields.start || ''}" is not a date`;
+    else if (Number.isNaN(endAt)) problem = `end time "${fields.end || ''}" is not a date`;
+    else if (endAt <= startAt) problem = 'the cycle ends before it starts';
+    else if (endAt - startAt > MAX_SENSOR_SESSION_MS) problem = 'the cycle is longer than 12 hours';
+    else if (Number.isNaN(energyKwh) || Number.isNaN(waterLitres)) problem = 'energy or water is not a number';
+    if (problem) {
+      errors.push(`${row}: ${problem}.`);
+      return;
+    }
+    sessions.push({
+      row,
+      startAt,
+      endAt,
+      user: fields.user ? String(fields.user).trim() : null,
+      email: fields.email ? String(fields.email).trim() : null,
+      machine: fields.machine ? String(fields.machine).trim() : null,
+      energyKwh,
+      waterLitres,
+    });
+  });
+  return { sessions, errors };
+}
+
+// Find the account a plug's user field refers to: by email when the export
+// has one, else "Name Room" against the registered name and room, else a
+// unique exact name.
+function matchSensorUser({ user, email }) {
+  if (email) return findAccountByEmail(email) || null;
+  if (!user) return null;
+  const words = user.toLowerCase().split(/\s+/);
+  const room = words.length > 1 ? words[words.length - 1] : null;
+  const name = (room ? words.slice(0, -1) : words).join(' ');
+  const sameRoom = state.users.filter((u) => room && String(u.room || '').toLowerCase().replace(/\s+/g, '') === room);
+  const byRoom = sameRoom.filter((u) => u.name.toLowerCase().startsWith(name.split(' ')[0]));
+  if (byRoom.length === 1) return byRoom[0];
+  const byName = state.users.filter((u) => [name, words.join(' ')].includes(u.name.toLowerCase()));
+  return byName.length === 1 ? byName[0] : null;
+}
+
+// The machine a session names, by id or label, or `fallback` when it names
+// none.  Labels are only unique within a hostel, so an ambiguous label is
+// resolved in the fallback machine's hostel.
+function matchSensorMachine(ref, fallback) {
+  if (!ref) return fallback;
+  const byId = state.machines.find((m) => m.id === ref);
+  if (byId) return byId;
+  const byLabel = activeMachines().filter((m) => m.label.toLowerCase() === ref.toLowerCase());
+  if (byLabel.length === 1) return byLabel[0];
+  return byLabel.find((m) => fallback && m.hostel === fallback.hostel) || null;
+}
+
+function importSensorSessions(sessions, defaultMachineId) {
+  return runMutation(
+    'importSensorSessions',
+    { adminId: state.user.id, sessions, defaultMachineId, requestedAt: Date.now() },
+    `Import ${sessions.length} sensor sessions`
+  );
+}
+
+// Record each session on the app wash it overlaps most, or as a new wash.
+// Sessions already imported are skipped, so a file can be imported again.
+// A running cycle the plug saw end is finished at that time.  Resolves to
+// a summary of what happened to the sessions.
+MUTATIONS.importSensorSessions = ({ adminId, sessions, defaultMachineId, requestedAt }) => {
+  requireAdmin(adminId);
+  const fallback = defaultMachineId ? state.machines.find((m) => m.id === defaultMachineId) : null;
+  const summary = { matched: 0, added: 0, duplicates: 0, flagged: 0, skipped: [] };
+  const seen = new Set(state.washes.map((w) => w.measured && w.measured.sensorId).filter(Boolean));
+  const claimed = new Set();
+  const spans = new Map();
+  sessions.forEach((session) => {
+    const machine = matchSensorMachine(session.machine, fallback);
+    if (!machine) {
+      summary.skipped.push(`${session.row}: no machine ${session.machine ? `called ${session.machine}` : 'chosen'}.`);
+      return;
+    }
+    const sensorId = `${machine.id}-${session.startAt}`;
+    if (seen.has(sensorId)) {
+      summary.duplicates++;
+      return;
+    }
+    seen.add(sensorId);
+    const span = spans.get(machine.id) || { from: session.startAt, to: session.endAt };
+    spans.set(machine.id, {
+      from: Math.min(span.from, session.startAt),
+      to: Math.max(span.to, session.endAt),
+    });
+    const account = matchSensorUser(session);
+    const measured = {
+      sensorId,
+      startAt: session.startAt,
+      endAt: session.endAt,
+      energyKwh: session.energyKwh,
+      waterLitres: session.waterLitres,
+      sensorUser: session.user || session.email || null,
+      importedAt: requestedAt,
+    };
+    // The app wash overlapping the session most, allowing for the plug and
+    // the resident's phone disagreeing by a few minutes.
+    let best = null;
+    state.washes.forEach((w) => {
+      if (w.machineId !== machine.id || w.measured || claimed.has(w.id)) return;
+      const washEnd = w.endAt || w.startAt + (w.minutes || 0) * 60 * 1000;
+      const overlap =
+        Math.min(washEnd, session.endAt) - Math.max(w.startAt, session.startAt) + SENSOR_START_TOLERANCE_MS;
+      if (overlap > 0 && (!best || overlap > best.overlap)) best = { wash: w, overlap };
+    });
+    if (best) {
+      const wash = best.wash;
+      claimed.add(wash.id);
+      const flags = [];
+      if (account && wash.ownerId && account.id !== wash.ownerId) flags.push('OTHER_USER');
+      if (Math.abs(wash.startAt - session.startAt) > SENSOR_START_TOLERANCE_MS) flags.push('START_DIFFERS');
+      state.washes = state.washes.map((w) => (w.id === wash.id ? { ...w, measured, sensorFlags: flags } : w));
+      summary.matched++;
+      if (flags.length) summary.flagged++;
+      // The plug saw the running cycle end: finish it then.
+      if (wash.status === 'RUNNING' && session.endAt <= requestedAt) {
+        state.machines = state.machines.map((m) =>
+          m.id === machine.id && m.status === 'RUNNING' && m.endsAt > session.endAt ? { ...m, endsAt: session.endAt } : m
+        );
+      }
+    } else {
+      state.washes.unshift({
+        id: `w-sensor-${sensorId}`,
+        machineId: machine.id,
+        machineLabel: machine.label,
+        machineType: machine.type,
+        ownerId: account ? account.id : undefined,
+        hostel: machine.hostel,
+        floor: machine.floor,
+        startAt: session.startAt,
+        endAt: session.endAt,
+        status: 'COLLECTED',
+        source: 'sensor',
+        minutes: Math.round((session.endAt - session.startAt) / 60000),
+        measured,
+        sensorFlags: ['NOT_STARTED'],
+      });
+      summary.added++;
+      summary.flagged++;
+    }
+  });
+  // App washes inside the imported stretch of a plug's log that the plug
+  // never saw, unless an admin has already reviewed them.
+  state.washes = state.washes.map((w) => {
+    const span = spans.get(w.machineId);
+    if (!span || w.measured || w.sensorReviewedAt || w.status === 'RUNNING') return w;
+    if (w.startAt < span.from || w.startAt > span.to || (w.sensorFlags || []).includes('NO_SENSOR')) return w;
+    summary.flagged++;
+    return { ...w, sensorFlags: [...(w.sensorFlags || []), 'NO_SENSOR'] };
+  });
+  advanceMachines(requestedAt);
+  pushNotice(
+    `Imported ${summary.matched + summary.added} sensor session${summary.matched + summary.added === 1 ? '' : 's'}; ${summary.flagged} flagged for review.`,
+    'info'
+  );
+  return summary;
+};
+
+// "40 min · 1.51 kWh · 36 L" for a wash's sensor readings.
+function describeMeasured(measured) {
+  const details = [`${Math.round((measured.endAt - measured.startAt) / 60000)} min`];
+  if (measured.energyKwh != null) details.push(`${measured.energyKwh} kWh`);
+  if (measured.waterLitres != null) details.push(`${measured.waterLitres} L`);
+  return details.join(' · ');
+}
+
+// Washes with sensor differences still to review, newest first.
+function flaggedWashes() {
+  return state.washes
+    .filter((w) => (w.sensorFlags || []).length > 0)
+    .sort((a, b) => b.startAt - a.startAt);
+}
+
+function dismissSensorFlags(washId) {
+  return runMutation(
+    'dismissSensorFlags',
+    { adminId: state.user.id, washId, requestedAt: Date.now() },
+    'Dismiss sensor flags'
+  );
+}
+
+MUTATIONS.dismissSensorFlags = ({ adminId, washId, requestedAt }) => {
+  requireAdmin(adminId);
+  state.washes = state.washes.map((w) =>
+    w.id === washId ? { ...w, sensorFlags: [], sensorReviewedAt: requestedAt } : w
+  );
+};
+
+// -----------------------------------------------------------------------------
+// Machine telemetry
+//
+// Smart plugs and door sensors on the machines can report live over a
+// WebSocket, either as plain JSON messages or through an MQTT broker that
+// accepts MQTT over WebSocket (Mosquitto, EMQX, HiveMQ...):
+//
+//   JSON  {"machine": "M-2A", "type": "power", "watts": 2150, "at": 1718000000000}
+//         {"machine": "M-2A", "type": "door", "open": true}
+//   MQTT  <topic>/M-2A/power  {"watts": 2150}   (or just 2150)
+//         <topic>/M-2A/door   {"open": true}    (or open / closed)
+//
+// Machines are named by id or label, and `at` (epoch milliseconds or ISO
+// 8601) defaults to when the message arrives.  Power at or above
+// TELEMETRY_RUNNING_WATTS means the machine is running; a cycle has ended
+// once it has stayed below that for TELEMETRY_IDLE_MS, which rides out the
+// pauses between wash phases.  Opening the door of a finished machine frees
+// it.  A cycle the plug saw start has no owner; a resident who pressed
+// Start on the machine before tapping it in the app claims the cycle when
+// they do so within TELEMETRY_CLAIM_MINUTES.  The connection is set per
+// device on the Machines page, and only the tab running the minute tick
+// connects, so each event is recorded once.
+// server/telemetry-simulator.js replays recorded sessions for testing.
+const TELEMETRY_CLAIM_MINUTES = 5;
+const TELEMETRY_PROTOCOLS = { json: 'JSON messages', mqtt: 'MQTT over WebSocket' };
+const TELEMETRY_DEFAULT_TOPIC = 'hostelsync/machines';
+const TELEMETRY_RUNNING_WATTS = 15;
+const TELEMETRY_IDLE_MS = 5 * 60 * 1000;
+const TELEMETRY_RETRY_MS = [1, 2, 5, 10, 30].map((s) => s * 1000);
+const MQTT_KEEP_ALIVE_S = 60;
+const telemetry = {
+  config: null,
+  socket: null,
+  status: 'off',
+  error: null,
+  retries: 0,
+  retryTimer: null,
+  pingTimer: null,
+  received: 0,
+  lastEventAt: null,
+  // Per machine: whether this cycle has drawn power, when the power last
+  // dropped and the timer that ends the cycle if no reading follows.
+  trackers: new Map(),
+  // Events are handled one at a time so each sees the previous one's result.
+  handling: Promise.resolve(),
+  syncing: Promise.resolve(),
+  // MQTT bytes received that do not yet make a whole packet.
+  pending: new Uint8Array(0),
+};
+
+async function readTelemetryConfig() {
+  const { telemetry: config } = await readMeta(['telemetry']);
+  return config && config.url ? config : null;
+}
+
+async function setTelemetryConfig(config) {
+  await writeMeta({ telemetry: config });
+  await syncTelemetry();
+}
+
+// Connect, reconnect or disconnect to match the saved settings and whether
+// this tab runs the tick.  Called on every tick and when settings change.
+function syncTelemetry() {
+  telemetry.syncing = telemetry.syncing.then(async () => {
+    const config = await readTelemetryConfig();
+    const wanted = isTickLeader ? config : null;
+    if (wanted && JSON.stringify(wanted) === JSON.stringify(telemetry.config)) return;
+    disconnectTelemetry();
+    telemetry.config = wanted;
+    telemetry.retries = 0;
+    if (wanted) connectTelemetry();
+    else setTelemetryStatus(config ? 'standby' : 'off');
+  }).catch((err) => console.warn('Could not update the telemetry connection:', err));
+  return telemetry.syncing;
+}
+
+function setTelemetryStatus(status, error = null) {
+  telemetry.status = status;
+  telemetry.error = error;
+  if (typeof window.renderTelemetryStatus === 'function') window.renderTelemetryStatus();
+}
+
+function describeTelemetryStatus() {
+  const { config, status, error, received, lastEventAt } = telemetry;
+  switch (status) {
+    case 'connecting':
+      return `Connecting to ${config.url}…`;
+    case 'connected':
+      return `Connected to ${config.url}. ${received} event${received === 1 ? '' : 's'} received${
+        lastEventAt ? `, the last at ${new Date(lastEventAt).toLocaleTimeString()}` : ''
+      }.`;
+    case 'retrying':
+      return `Lost the connection to ${config.url}${error ? ` (${error})` : ''}; retrying.`;
+    case 'standby':
+      return 'Another HostelSync tab on this device is connected.';
+    default:
+      return 'Live telemetry is off on this device.';
+  }
+}
+
+function connectTelemetry() {
+  const { url, protocol } = telemetry.config;
+  let socket;
+  try {
+    socket = new WebSocket(url, protocol === 'mqtt' ? ['mqtt'] : []);
+  } catch (err) {
+    setTelemetryStatus('retrying', err.message);
+    scheduleTelemetryRetry();
+    return;
+  }
+  socket.binaryType = 'arraybuffer';
+  telemetry.socket = socket;
+  telemetry.pending = new Uint8Array(0);
+  setTelemetryStatus('connecting');
+  socket.addEventListener('open', () => {
+    if (protocol === 'mqtt') {
+      socket.send(mqttConnectPacket(`hostelsync-${TAB_ID.slice(-12)}`));
+    } else {
+      telemetryConnected();
+    }
+  });
+  socket.addEventListener('message', (e) => {
+    if (protocol === 'mqtt') readMqttData(socket, new Uint8Array(e.data));
+    else readTelemetryJson(e.data);
+  });
+  socket.addEventListener('close', (e) => {
+    if (telemetry.socket !== socket) return;
+    telemetry.socket = null;
+    clearInterval(telemetry.pingTimer);
+    setTelemetryStatus('retrying', e.reason || null);
+    scheduleTelemetryRetry();
+  });
+}
+
+function telemetryConnected() {
+  telemetry.retries = 0;
+  setTelemetryStatus('connected');
+}
+
+function scheduleTelemetryRetry() {
+  const delay = TELEMETRY_RETRY_MS[Math.min(telemetry.retries, TELEMETRY_RETRY_MS.length - 1)];
+  telemetry.retries++;
+  telemetry.retryTimer = setTimeout(() => {
+    telemetry.retryTimer = null;
+    if (telemetry.config && !telemetry.socket) connectTelemetry();
+  }, delay);
+}
+
+function disconnectTelemetry() {
+  clearTimeout(telemetry.retryTimer);
+  clearInterval(telemetry.pingTimer);
+  telemetry.retryTimer = null;
+  const socket = telemetry.socket;
+  telemetry.socket = null;
+  if (socket) socket.close();
+  telemetry.trackers.forEach((tracker) => clearTimeout(tracker.idleTimer));
+  telemetry.trackers.clear();
+}
+
+function readTelemetryJson(data) {
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch {
+    console.warn('Ignoring telemetry message that is not JSON:', data);
+    return;
+  }
+  (Array.isArray(parsed) ? parsed : [parsed]).forEach(queueTelemetryEvent);
+}
+
+// The parts of MQTT 3.1.1 a subscriber needs: CONNECT, SUBSCRIBE at QoS 0,
+// PINGREQ, and reading CONNACK and PUBLISH.
+function mqttLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 128;
+    bytes.push(byte);
+  } while (length > 0);
+  return bytes;
+}
+
+function mqttString(text) {
+  const bytes = new TextEncoder().encode(text);
+  return [bytes.length >> 8, bytes.length & 255, ...bytes];
+}
+
+function mqttPacket(header, body) {
+  return new Uint8Array([header, ...mqttLength(body.length), ...body]);
+}
+
+function mqttConnectPacket(clientId) {
+  // Protocol level 4 (3.1.1) with a clean session.
+  return mqttPacket(0x10, [...mqttString('MQTT'), 4, 0x02, 0, MQTT_KEEP_ALIVE_S, ...mqttString(clientId)]);
+}
+
+// Packets can be split across WebSocket messages or share one, so bytes
+// are collected until each packet is complete.
+function readMqttData(socket, data) {
+  const buffer = new Uint8Array(telemetry.pending.length + data.length);
+  buffer.set(telemetry.pending);
+  buffer.set(data, telemetry.pending.length);
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    let length = 0;
+    let i = offset + 1;
+    for (let shift = 0; i < buffer.length; shift += 7) {
+      length += (buffer[i] & 127) * 2 ** shift;
+      if (!(buffer[i++] & 128)) break;
+    }
+    if (i > buffer.length || buffer[i - 1] & 128 || i + length > buffer.length) break;
+    handleMqttPacket(socket, buffer[offset], buffer.subarray(i, i + length));
+    offset = i + length;
+  }
+  telemetry.pending = buffer.slice(offset);
+}
+
+function handleMqttPacket(socket, header, body) {
+  const type = header >> 4;
+  if (type === 2) {
+    // CONNACK: anything but 0 means the broker turned us away.
+    if (body[1] !== 0) {
+      socket.close(4000, `broker refused the connection (code ${body[1]})`);
+      return;
+    }
+    const topic = `${(telemetry.config.topic || TELEMETRY_DEFAULT_TOPIC).replace(/\/+$/, '')}/+/+`;
+    socket.send(mqttPacket(0x82, [0, 1, ...mqttString(topic), 0]));
+    telemetry.pingTimer = setInterval(() => socket.send(new Uint8Array([0xc0, 0])), (MQTT_KEEP_ALIVE_S * 1000) / 2);
+    telemetryConnected();
+  } else if (type === 3) {
+    const decoder = new TextDecoder();
+    const topicLength = (body[0] << 8) | body[1];
+    const topic = decoder.decode(body.subarray(2, 2 + topicLength));
+    // QoS 1 and 2 messages carry a packet id before the payload.
+    const payloadStart = 2 + topicLength + ((header >> 1) & 3 ? 2 : 0);
+    queueTelemetryEvent(mqttTelemetryEvent(topic, decoder.decode(body.subarray(payloadStart))));
+  }
+}
+
+// "<topic>/M-2A/power" with payload "2150" or {"watts": 2150}.
+function mqttTelemetryEvent(topic, payload) {
+  const [type, machine] = topic.split('/').reverse();
+  let fields;
+  try {
+    fields = JSON.parse(payload);
+  } catch {
+    fields = payload.trim();
+  }
+  if (fields === null || typeof fields !== 'object') {
+    fields = type === 'power' ? { watts: fields } : { open: fields };
+  }
+  return { ...fields, machine, type };
+}
+
+// Check an event's fields, returning null for ones that cannot be used.
+function readTelemetryEvent(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const machine = matchSensorMachine(String(raw.machine || '').trim(), null);
+  if (!machine || machine.retiredAt) return null;
+  const now = Date.now();
+  const at = raw.at == null ? now : typeof raw.at === 'number' ? raw.at : Date.parse(raw.at);
+  if (!Number.isFinite(at)) return null;
+  const event = { machineId: machine.id, type: raw.type, at: Math.min(at, now) };
+  if (raw.type === 'power') {
+    event.watts = Number(raw.watts ?? raw.power);
+    return Number.isFinite(event.watts) ? event : null;
+  }
+  if (raw.type === 'door') {
+    event.open = [true, 1, '1', 'open', 'opened', 'on', 'true'].includes(
+      typeof raw.open === 'string' ? raw.open.toLowerCase() : raw.open
+    );
+    return event;
+  }
+  return null;
+}
+
+function queueTelemetryEvent(raw) {
+  const event = readTelemetryEvent(raw);
+  if (!event) {
+    console.warn('Ignoring telemetry event:', raw);
+    return;
   }
-  state.rooms = commonRoomDB.rooms;
-  state.bookings = commonRoomDB.bookings;
-  saveCommonRoomDb();
+  telemetry.received++;
+  telemetry.lastEventAt = event.at;
+  handleTelemetryInTurn(event);
+  if (typeof window.renderTelemetryStatus === 'function') window.renderTelemetryStatus();
 }
 
-// Keep the backing database and app state aligned after any mutation.
-function persistCommonRoomState() {
-  if (!commonRoomDB) initCommonRoomDb(false);
-  commonRoomDB.rooms = state.rooms;
-  commonRoomDB.bookings = state.bookings;
-  saveCommonRoomDb();
-  saveState();
+function handleTelemetryInTurn(event) {
+  telemetry.handling = telemetry.handling
+    .then(() => handleTelemetryEvent(event))
+    .catch((err) => console.warn('Could not record telemetry event:', err));
 }
 
-function ensureCommonRoomDb() {
-  if (!commonRoomDB) initCommonRoomDb(false);
-}
-
-// Initialise state if none exists.  We seed machines with random data and
-// prepare empty arrays for washes, notifications and reports.  A watchFree
-// structure tracks which floors the user wants to be alerted about when a
-// machine becomes free.
-function initState() {
-  state = loadState();
-  // If there is no saved state OR the saved state appears invalid
-  // (e.g. no machines, or machine statuses are not one of the four
-  // recognised values), then recreate a fresh state.  This helps avoid
-  // issues if the data model changes between versions.
-  const validStatuses = ['FREE','RUNNING','AWAITING','MAINT'];
-  const needsReset =
-    !state ||
-    state.version !== STATE_VERSION ||
-    !state.machines ||
-    state.machines.length === 0 ||
-    state.machines.some((m) => !validStatuses.includes(m.status));
-
-  if (needsReset) {
-    state = {
-      version: STATE_VERSION,
-      machines: makeMachines(),
-      washes: [],
-      notices: [],
-      reports: [],
-      watchFree: {},
-      user: null,
-      // Add rooms and bookings for the new common room module.  Rooms are
-      // pre-generated and bookings start empty.  A booking records which
-      // room was requested, the time range, a reason and its approval
-      // status.  Statuses include PENDING, APPROVED, REJECTED and
-      // CANCELLED.
-      rooms: makeRooms(),
-      bookings: [],
-    };
-    // Initialise watchFree flags for all hostels and floors present in machines.
-    const hostels = Array.from(new Set(state.machines.map((m) => m.hostel)));
-    hostels.forEach((hostel) => {
-      state.watchFree[hostel] = {};
-      const floors = Array.from(
-        new Set(state.machines.filter((m) => m.hostel === hostel).map((m) => m.floor))
-      );
-      floors.forEach((floor) => {
-        state.watchFree[hostel][floor] = false;
-      });
-    });
+async function handleTelemetryEvent(event) {
+  const machine = state.machines.find((m) => m.id === event.machineId);
+  if (!machine) return;
+  if (!telemetry.trackers.has(machine.id)) {
+    // Whether a cycle has drawn power is unknown until the first reading.
+    telemetry.trackers.set(machine.id, { powered: null, idleSince: null, idleTimer: null });
+  }
+  const tracker = telemetry.trackers.get(machine.id);
+  // A plug that only reports changes sends no reading to end the cycle on,
+  // so one is made up when no other reading follows a low one in time.
+  if (event.type === 'power') {
+    clearTimeout(tracker.idleTimer);
+    tracker.idleTimer = null;
+  }
+  if (event.type === 'power' && event.watts < TELEMETRY_RUNNING_WATTS && tracker.powered) {
+    const idleSince = tracker.idleSince ?? event.at;
+    tracker.idleTimer = setTimeout(() => {
+      tracker.idleTimer = null;
+      handleTelemetryInTurn({ machineId: machine.id, type: 'power', watts: 0, at: idleSince + TELEMETRY_IDLE_MS });
+    }, TELEMETRY_IDLE_MS);
+  }
+  for (const step of inferTelemetrySteps(tracker, machine, event)) {
+    await runMutation(step.type, { machineId: machine.id, requestedAt: step.at }, `${machine.label} telemetry`);
   }
-  initCommonRoomDb(needsReset);
-  syncUserFromCookie();
-  saveState();
 }
 
-// Push a notification into the notice list.  If the Web Notifications API is
-// available and permissions are granted, also show a native toast.  Notices
-// are capped at 50 entries to avoid uncontrolled growth.
-function pushNotice(title, kind) {
-  const notice = {
-    id: `n-${Date.now()}`,
-    title,
-    time: new Date().toLocaleTimeString(),
-    kind,
-  };
-  state.notices.unshift(notice);
-  if (state.notices.length > 50) state.notices.pop();
-  if ('Notification' in window) {
-    if (Notification.permission === 'granted') {
-      new Notification(title);
-    } else if (Notification.permission !== 'denied') {
-      Notification.requestPermission().then((perm) => {
-        if (perm === 'granted') new Notification(title);
-      });
+// Work out from one event which transitions the machine went through.
+// Returns the telemetry mutations to run, in order, with their times.
+function inferTelemetrySteps(tracker, machine, event) {
+  const status = getMachineStatus(machine, event.at);
+  if (event.type === 'door') {
+    if (!event.open) return [];
+    if (status === 'AWAITING') return [{ type: 'telemetryDoorOpened', at: event.at }];
+    // Opened between the power dropping and the idle time running out.
+    if (status === 'RUNNING' && tracker.powered && tracker.idleSince != null) {
+      tracker.powered = false;
+      return [
+        { type: 'telemetryCycleEnded', at: tracker.idleSince },
+        { type: 'telemetryDoorOpened', at: event.at },
+      ];
     }
+    return [];
   }
-  saveState();
+  if (event.watts >= TELEMETRY_RUNNING_WATTS) {
+    tracker.idleSince = null;
+    const powered = tracker.powered;
+    tracker.powered = status === 'RUNNING' || status === 'FREE' || status === 'AWAITING';
+    if (status === 'FREE') return [{ type: 'telemetryCycleStarted', at: event.at }];
+    // Started again without a door event: the last load must have gone.
+    if (status === 'AWAITING' && powered === false) {
+      return [
+        { type: 'telemetryDoorOpened', at: event.at },
+        { type: 'telemetryCycleStarted', at: event.at },
+      ];
+    }
+    return [];
+  }
+  if (tracker.idleSince == null) tracker.idleSince = event.at;
+  // A cycle that outran its program still counts as AWAITING here.
+  const ending = status === 'RUNNING' || status === 'AWAITING';
+  if (ending && tracker.powered && event.at - tracker.idleSince >= TELEMETRY_IDLE_MS) {
+    tracker.powered = false;
+    return [{ type: 'telemetryCycleEnded', at: tracker.idleSince }];
+  }
+  if (!ending) tracker.powered = false;
+  return [];
 }
 
-// Start a wash on the given machine with the specified duration.  The machine
-// status is switched to RUNNING, an ETA is set, and a new wash record is
-// inserted into the wash history.  A notification is emitted.
-function startWash(machine, minutes) {
-  // When starting a wash mark the machine as running and reset any
-  // community nudge/flag counters.  These counters are used in the
-  // game‑theory enforcement system to encourage timely pickup.
+// A cycle started at the machine without the app.  It runs the type's
+// default program until the plug sees it end, and belongs to nobody.
+MUTATIONS.telemetryCycleStarted = ({ machineId, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine || machine.retiredAt || getMachineStatus(machine) !== 'FREE') return;
+  const programId = machineType(machine).programs[0];
+  const program = WASH_PROGRAMS[programId];
+  const endsAt = requestedAt + program.minutes * 60 * 1000;
   state.machines = state.machines.map((m) =>
-    m.id === machine.id
+    m.id === machineId
       ? {
           ...m,
           status: 'RUNNING',
-          eta: minutes,
-          // reset nudge and flag counters whenever a new cycle starts
-          nudgeCount: 0,
-          flagCount: 0,
-          // record which user started the wash for nudging purposes
-          ownerId: state.user ? state.user.id : null,
+          endsAt,
+          almostDoneNotified: undefined,
+          nudgedBy: [],
+          flaggedBy: [],
+          penalizedAt: undefined,
+          ownerId: undefined,
+          programId: undefined,
+          programLabel: undefined,
+          cycleMinutes: program.minutes,
         }
       : m
   );
   state.washes.unshift({
-    id: `w-${Date.now()}`,
-    machineId: machine.id,
+    id: `w-telemetry-${machineId}-${requestedAt}`,
+    machineId,
     machineLabel: machine.label,
+    machineType: machine.type,
     hostel: machine.hostel,
     floor: machine.floor,
-    startAt: Date.now(),
+    startAt: requestedAt,
     status: 'RUNNING',
+    source: 'telemetry',
+    minutes: program.minutes,
+    freePredictions: { start: predictFreeAt(machine, endsAt, requestedAt) },
   });
-  pushNotice(`Started wash on ${machine.label}.`, 'info');
-  saveState();
+  clearWatches(machineId);
+  // Takes back a queue hold on the machine, and finishes the cycle if its
+  // default program has already run out.
+  advanceMachines();
+};
+
+// The running wash on `machine` that a resident starting it at
+// `requestedAt` takes over: one the plug started without an owner within
+// TELEMETRY_CLAIM_MINUTES, either way, since the app may be tapped just
+// before or after the machine.
+function claimableTelemetryWash(machine, requestedAt) {
+  if (machine.status !== 'RUNNING' || machine.ownerId) return null;
+  return (
+    state.washes.find(
+      (w) =>
+        w.machineId === machine.id &&
+        w.status === 'RUNNING' &&
+        w.source === 'telemetry' &&
+        !w.ownerId &&
+        Math.abs(requestedAt - w.startAt) <= TELEMETRY_CLAIM_MINUTES * 60 * 1000
+    ) || null
+  );
 }
 
-// Mark a machine as collected.  This frees the machine and updates any
-// corresponding wash entries to the COLLECTED status.  A notification
-// acknowledges the action.
-function markCollected(machine) {
+// Give a telemetry-started cycle to the resident who started it.  The cycle
+// keeps the start the plug measured; the chosen program sets its length.
+function claimTelemetryCycle(machine, wash, { programId, program, minutes, ownerId, requestedAt }) {
+  const endsAt = wash.startAt + minutes * 60 * 1000;
   state.machines = state.machines.map((m) =>
     m.id === machine.id
-      ? { ...m, status: 'FREE', eta: undefined, lastCompletedAt: undefined }
+      ? {
+          ...m,
+          endsAt,
+          ownerId,
+          programId: programId || undefined,
+          programLabel: program ? program.label : undefined,
+          cycleMinutes: minutes,
+        }
       : m
   );
   state.washes = state.washes.map((w) =>
-    w.machineId === machine.id && (w.status === 'AWAITING' || w.status === 'RUNNING')
-      ? { ...w, status: 'COLLECTED', endAt: Date.now() }
+    w.id === wash.id
+      ? {
+          ...w,
+          ownerId,
+          claimedAt: requestedAt,
+          programId: programId || undefined,
+          programLabel: program ? program.label : undefined,
+          minutes,
+          energyKwh: program ? program.energyKwh : undefined,
+          waterLitres: program ? program.waterLitres : undefined,
+          freePredictions: { start: predictFreeAt(machine, endsAt, requestedAt) },
+        }
       : w
   );
-  pushNotice(`Thank you! ${machine.label} is free now.`, 'success');
-  saveState();
+  return endsAt;
 }
 
-// Send a gentle nudge to the current user of the machine.  No state changes
-// occur but a notice is generated.
-function nudgeUser(machine) {
-  pushNotice(`A gentle nudge was sent for ${machine.label}.`, 'info');
+// The plug saw the cycle end.  A cycle still counting down finishes then;
+// one the app already thought finished takes the later, measured end.
+MUTATIONS.telemetryCycleEnded = ({ machineId, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine) return;
+  if (machine.status === 'RUNNING' && machine.endsAt > requestedAt) {
+    state.machines = state.machines.map((m) => (m.id === machineId ? { ...m, endsAt: requestedAt } : m));
+  }
+  advanceMachines();
+  const finished = state.machines.find((m) => m.id === machineId);
+  if (finished.status === 'AWAITING' && finished.lastCompletedAt < requestedAt) {
+    state.machines = state.machines.map((m) => (m.id === machineId ? { ...m, lastCompletedAt: requestedAt } : m));
+    state.washes = state.washes.map((w) =>
+      w.machineId === machineId && w.status === 'AWAITING' ? { ...w, endAt: requestedAt, finishedAt: requestedAt } : w
+    );
+  }
+};
+
+// The door of a finished machine was opened: its load has been collected.
+MUTATIONS.telemetryDoorOpened = ({ machineId, requestedAt }) => {
+  const machine = state.machines.find((m) => m.id === machineId);
+  if (!machine || getMachineStatus(machine) !== 'AWAITING') return;
+  releaseMachine(machine, requestedAt);
+  pushNotice(`${machine.label} is free: its door was opened.`, 'success');
+};
+
+// -----------------------------------------------------------------------------
+// Deep links
+//
+// Machines and rooms can be opened straight from a URL, which is what the
+// printed QR codes, push notifications and My Washes link to:
+//
+//   laundry.html?machine=<id>               show the machine's floor and open it
+//   laundry.html?machine=<id>&action=start  ...ready to start a wash
+//   rooms.html?room=<id>                    open the room's booking form
+//
+// The parameters are removed from the address once handled, so reloading
+// the page does not open the machine or room again.
+const DEEP_LINK_ACTIONS = ['start'];
+
+function machineLink(machineId, action) {
+  const params = new URLSearchParams({ machine: machineId });
+  if (action) params.set('action', action);
+  return `laundry.html?${params}`;
 }
 
-// Community nudge system.  Increases a per‑machine counter each time
-// someone nudges the owner to collect their clothes.  After several
-// nudges a stronger warning is shown.  Counters reset when a new cycle
-// starts.
-function nudgeMachine(machine) {
-  // initialise counters if missing
-  if (machine.nudgeCount == null) machine.nudgeCount = 0;
-  machine.nudgeCount++;
-  if (machine.nudgeCount >= 3) {
-    pushNotice(`Multiple nudges sent for ${machine.label}. Please collect your clothes.`, 'warning');
-    // After multiple nudges, send a reminder to the owner via email/WhatsApp if possible
-    sendReminderEmail(machine);
-  } else {
-    pushNotice(`A nudge was sent for ${machine.label}.`, 'info');
+function roomLink(roomId) {
+  return `rooms.html?${new URLSearchParams({ room: roomId })}`;
+}
+
+// Read the deep link parameters from the current address and drop them
+// from it.  Returns null when there are none.
+function takeDeepLink(...names) {
+  const params = new URLSearchParams(window.location.search);
+  if (!names.some((name) => params.has(name))) return null;
+  const link = {};
+  names.forEach((name) => {
+    link[name] = params.get(name);
+    params.delete(name);
+  });
+  const query = params.toString();
+  history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  return link;
+}
+
+// -----------------------------------------------------------------------------
+// QR codes
+//
+// A small QR encoder for the printed machine and room labels: byte mode at
+// error correction level M, versions 1 to 10, which holds links of up to 213
+// bytes.  It follows ISO/IEC 18004; the steps below are named after it.
+const QR_EC_CODEWORDS = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+// Per version: [blocks, data codewords] for each block group.
+const QR_BLOCKS = [
+  [[1, 16]],
+  [[1, 28]],
+  [[1, 44]],
+  [[2, 32]],
+  [[2, 43]],
+  [[4, 27]],
+  [[4, 31]],
+  [[2, 38], [2, 39]],
+  [[3, 36], [2, 37]],
+  [[4, 43], [1, 44]],
+];
+const QR_ALIGNMENT = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Log and antilog tables for GF(256) with the QR polynomial 0x11d.
+const QR_EXP = [];
+const QR_LOG = [];
+for (let i = 0, x = 1; i < 255; i++) {
+  QR_EXP[i] = x;
+  QR_LOG[x] = i;
+  x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+
+function qrMultiply(a, b) {
+  return a && b ? QR_EXP[(QR_LOG[a] + QR_LOG[b]) % 255] : 0;
+}
+
+// Reed-Solomon error correction codewords for one block.
+function qrErrorCorrection(data, degree) {
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= qrMultiply(coefficient, QR_EXP[i]);
+    });
+    generator = next;
   }
-  saveState();
-  // re-render laundry view if present
-  if (typeof updateLaundryView === 'function') updateLaundryView();
+  const remainder = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) remainder[i] ^= qrMultiply(generator[i + 1], factor);
+  });
+  return remainder;
 }
 
-// Community flag system.  If two different users flag that clothes are
-// still in the machine, the cycle is considered abandoned.  The
-// machine returns to the AWAITING state and counters reset.  This
-// provides a game‑theory mechanism to discourage users from marking a
-// machine as collected when clothes remain.
-function flagMachine(machine) {
-  if (machine.flagCount == null) machine.flagCount = 0;
-  machine.flagCount++;
-  if (machine.flagCount >= 2) {
-    // reset counters and return to awaiting
-    machine.flagCount = 0;
-    machine.nudgeCount = 0;
-    machine.status = 'AWAITING';
-    machine.lastCompletedAt = Date.now();
-    pushNotice(`${machine.label} flagged as still occupied. Please collect your clothes.`, 'report');
-  } else {
-    pushNotice(`Flag recorded for ${machine.label}. One more flag will apply a penalty.`, 'info');
+// Data and error correction codewords for `bytes`, interleaved across the
+// version's blocks.
+function qrCodewords(bytes, version) {
+  const groups = QR_BLOCKS[version - 1];
+  const capacity = groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: qrErrorCorrection(block, QR_EC_CODEWORDS[version - 1]) });
+    }
+  });
+  const result = [];
+  const longest = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < longest; i++) blocks.forEach((b) => i < b.data.length && result.push(b.data[i]));
+  for (let i = 0; i < QR_EC_CODEWORDS[version - 1]; i++) blocks.forEach((b) => result.push(b.ec[i]));
+  return result;
+}
+
+// Penalty score of a finished symbol; the mask with the lowest is used.
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
   }
-  saveState();
-  if (typeof updateLaundryView === 'function') updateLaundryView();
+  lines.forEach((line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+    const text = line.map(Number).join('');
+    for (let i = text.indexOf('1011101'); i >= 0; i = text.indexOf('1011101', i + 1)) {
+      if ((i >= 4 && text.slice(i - 4, i) === '0000') || text.slice(i + 7, i + 11) === '0000') penalty += 40;
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const colour = modules[y][x];
+        if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+  penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return penalty;
 }
 
-// Submit a report for a machine.  The entry is stored in the reports array.
-// If affectStatus is true and the reason suggests the machine is broken,
-// the machine’s status is updated to MAINT.  A notification logs the report.
-function submitReport(machineId, reason, notes, photoDataUrl, affectStatus) {
-  const entry = {
-    id: `r-${Date.now()}`,
-    machineId,
-    reason,
-    notes,
-    photoDataUrl,
-    createdAt: new Date().toLocaleString(),
+// Encode text as a QR code.  Returns the modules as rows of booleans, true
+// for dark, without the quiet zone.
+function encodeQr(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+  const version = QR_BLOCKS.findIndex((groups, i) => {
+    const capacity = groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+    return 4 + (i < 9 ? 8 : 16) + bytes.length * 8 <= capacity * 8;
+  }) + 1;
+  if (version === 0) throw new Error('Link is too long for a QR code.');
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
   };
-  state.reports.unshift(entry);
-  pushNotice(`Report submitted for ${machineId}.`, 'report');
-  if (affectStatus) {
-    state.machines = state.machines.map((m) =>
-      m.id === machineId ? { ...m, status: 'MAINT', eta: undefined } : m
-    );
+
+  // Function patterns: timing, finders with separators, alignment.
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
   }
-  saveState();
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  });
+  const centres = QR_ALIGNMENT[version - 1];
+  centres.forEach((cy, i) => {
+    centres.forEach((cx, j) => {
+      const nearFinder = (i === 0 && j === 0) || (i === 0 && j === centres.length - 1) || (i === centres.length - 1 && j === 0);
+      if (nearFinder) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+
+  // Format information (level M is 00) and, from version 7, the version.
+  const drawFormat = (mask) => {
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((mask << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  drawFormat(0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      set(size - 11 + (i % 3), Math.floor(i / 3), dark);
+      set(Math.floor(i / 3), size - 11 + (i % 3), dark);
+    }
+  }
+
+  // Codewords go in two-column strips, zigzagging up and down from the
+  // bottom right and skipping the vertical timing pattern.
+  const codewords = qrCodewords(bytes, version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let x = right; x > right - 2; x--) {
+        if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+      }
+    }
+  }
+
+  const masked = (mask) =>
+    modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== QR_MASKS[mask](x, y))));
+  let best = null;
+  QR_MASKS.forEach((_, mask) => {
+    drawFormat(mask);
+    const candidate = masked(mask);
+    const penalty = qrPenalty(candidate);
+    if (!best || penalty < best.penalty) best = { modules: candidate, penalty };
+  });
+  return best.modules;
+}
+
+// Render a QR code as an SVG string with a four-module quiet zone.
+function qrSvg(text) {
+  const modules = encodeQr(text);
+  const size = modules.length + 8;
+  const path = [];
+  modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + 4},${y + 4}h1v1h-1z`);
+    })
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
 }
 
-// Minute-level tick handler.  Decrements ETAs, transitions RUNNING machines
-// into AWAITING when complete, and fires notifications.  WatchFree flags
-// trigger notifications when a machine becomes free on a watched floor.  If
-// the current page is laundry, my-washes or alerts we re-render the
-// respective views after state changes.  Only one interval is ever started.
+// Tick handler.  Every tab re-renders its views on each tick so countdowns
+// stay current, but only one tab persists transitions: with the Web Locks API
+// the tab holding TICK_LOCK_NAME is the leader, otherwise a short localStorage
+// lease decides.  Other tabs pick up the result through the cross-tab sync
+// above.  Ticks are aligned to the wall-clock minute so labels change in step
+// with the clock regardless of when the page was opened.
+const TICK_LOCK_NAME = 'hostelsync-tick';
+const TICK_LEASE_KEY = 'hostelsync_tick_leader';
+const TICK_INTERVAL_MS = 60 * 1000;
+const TICK_LEASE_MS = TICK_INTERVAL_MS * 1.5;
+let isTickLeader = false;
+
 function startTick() {
   if (tickIntervalStarted) return;
   tickIntervalStarted = true;
-  setInterval(() => {
-    // snapshot of free machine counts before updates
-    const freeBefore = {};
-    state.machines.forEach((m) => {
-      if (!freeBefore[m.hostel]) freeBefore[m.hostel] = {};
-      if (!freeBefore[m.hostel][m.floor]) freeBefore[m.hostel][m.floor] = 0;
-      if (m.status === 'FREE') freeBefore[m.hostel][m.floor]++;
-    });
-    // countdown running machines
-    state.machines = state.machines.map((m) => {
-      if (m.status === 'RUNNING' && m.eta != null) {
-        const eta = m.eta - 1;
-        if (eta === 3) {
-          pushNotice(`${m.label} finishing in ~3 minutes.`, 'info');
-        }
-        if (eta <= 0) {
-          // transition to awaiting
-          pushNotice(`${m.label} finished. Please collect clothes.`, 'success');
-          // update washes
-          state.washes = state.washes.map((w) =>
-            w.machineId === m.id && w.status === 'RUNNING'
-              ? { ...w, status: 'AWAITING', endAt: Date.now() }
-              : w
-          );
-          return {
-            ...m,
-            status: 'AWAITING',
-            eta: undefined,
-            lastCompletedAt: Date.now(),
-          };
-        }
-        return { ...m, eta };
-      }
-      return m;
-    });
-    // snapshot of free machine counts after updates
-    const freeAfter = {};
-    state.machines.forEach((m) => {
-      if (!freeAfter[m.hostel]) freeAfter[m.hostel] = {};
-      if (!freeAfter[m.hostel][m.floor]) freeAfter[m.hostel][m.floor] = 0;
-      if (m.status === 'FREE') freeAfter[m.hostel][m.floor]++;
-    });
-    // check watchFree flags
-    Object.keys(state.watchFree).forEach((hostel) => {
-      Object.keys(state.watchFree[hostel]).forEach((floor) => {
-        if (state.watchFree[hostel][floor]) {
-          const before = freeBefore[hostel]?.[floor] ?? 0;
-          const after = freeAfter[hostel]?.[floor] ?? 0;
-          if (before === 0 && after > 0) {
-            pushNotice(`A machine is now free on Floor ${floor}.`, 'success');
-            state.watchFree[hostel][floor] = false;
-          }
-        }
-      });
+  if (navigator.locks && navigator.locks.request) {
+    // The lock is held for the lifetime of the tab and released by the
+    // browser when it closes, at which point the next waiting tab takes over.
+    navigator.locks.request(TICK_LOCK_NAME, () => {
+      isTickLeader = true;
+      runTick();
+      return new Promise(() => {});
     });
-    saveState();
-    // If on interactive pages re-render to reflect updates
-    if (document.body.classList.contains('laundry-page')) {
-      updateLaundryView();
-    }
-    if (document.body.classList.contains('my-washes-page')) {
-      renderMyWashes();
-    }
-    if (document.body.classList.contains('alerts-page')) {
-      renderAlerts();
+  } else {
+    isTickLeader = claimTickLease();
+    window.addEventListener('pagehide', releaseTickLease);
+  }
+  const msToNextMinute = TICK_INTERVAL_MS - (Date.now() % TICK_INTERVAL_MS);
+  setTimeout(() => {
+    runTick();
+    setInterval(runTick, TICK_INTERVAL_MS);
+  }, msToNextMinute);
+}
+
+// Take or renew the tick lease.  Returns true when this tab holds it.
+function claimTickLease() {
+  const now = Date.now();
+  let lease = null;
+  try {
+    lease = JSON.parse(localStorage.getItem(TICK_LEASE_KEY) || 'null');
+  } catch {
+    lease = null;
+  }
+  if (lease && lease.tabId !== TAB_ID && lease.expiresAt > now) return false;
+  localStorage.setItem(TICK_LEASE_KEY, JSON.stringify({ tabId: TAB_ID, expiresAt: now + TICK_LEASE_MS }));
+  return true;
+}
+
+function releaseTickLease() {
+  try {
+    const lease = JSON.parse(localStorage.getItem(TICK_LEASE_KEY) || 'null');
+    if (lease && lease.tabId === TAB_ID) localStorage.removeItem(TICK_LEASE_KEY);
+  } catch {
+    // nothing to release
+  }
+}
+
+async function runTick() {
+  if (!(navigator.locks && navigator.locks.request)) {
+    isTickLeader = claimTickLease();
+  }
+  if (isTickLeader) {
+    // Queued changes go first so the refresh already includes them.
+    await replayOutbox();
+    await refreshFromBackend();
+    if (hasDueTransitions()) {
+      try {
+        await mutateState(() => advanceMachines());
+      } catch (err) {
+        // Offline: statuses are derived from the clock meanwhile, and the
+        // transition is retried on the next tick.
+        console.warn('Could not record finished cycles:', err);
+      }
     }
-  }, 60 * 1000);
+  }
+  await syncTelemetry();
+  await checkSession();
+  announceQueueHolds();
+  announceFiredWatches();
+  announceEscalations();
+  refreshOpenViews();
 }
 
 // Helper to compute counts of machine statuses for a list of machines
@@ -588,10 +5344,33 @@ function checkConflict(roomId, startAt, endAt) {
 
 // Submit a new booking request.  Adds a booking with status PENDING to
 // state.bookings, notifies the user and schedules a simulated approval.
-function submitBooking(room, startAt, endAt, reason) {
-  ensureCommonRoomDb();
+async function submitBooking(room, startAt, endAt, reason) {
+  const bookingId = `b-${Date.now()}`;
+  const booking = await runMutation(
+    'submitBooking',
+    {
+      bookingId,
+      userId: state.user ? state.user.id : null,
+      room: { id: room.id, label: room.label, hasAC: room.hasAC },
+      startAt,
+      endAt,
+      reason,
+      requestedAt: Date.now(),
+    },
+    `Request ${room.label}`
+  );
+  // A request waiting in the outbox is approved once it reaches the server.
+  if (booking) simulateApproval(bookingId);
+}
+
+MUTATIONS.submitBooking = ({ bookingId, userId, room, startAt, endAt, reason, requestedAt }) => {
+  if (checkConflict(room.id, startAt, endAt)) {
+    throw mutationRejected(`${room.label} was booked by someone else for that time.`);
+  }
   const booking = {
-    id: `b-${Date.now()}`,
+    id: bookingId,
+    // who to notify when an admin decides on the request
+    userId: userId || null,
     roomId: room.id,
     roomLabel: room.label,
     hasAC: room.hasAC,
@@ -599,191 +5378,160 @@ function submitBooking(room, startAt, endAt, reason) {
     endAt,
     reason,
     status: 'PENDING',
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
+    createdAt: requestedAt,
+    updatedAt: requestedAt,
   };
   commonRoomDB.bookings.unshift(booking);
   state.bookings = commonRoomDB.bookings;
   pushNotice(`Request submitted for ${room.label}.`, 'info');
-  persistCommonRoomState();
-  simulateApproval(booking.id);
-  // update bookings view if present
-  if (typeof renderMyBookings === 'function') renderMyBookings();
-  if (typeof updateRoomsView === 'function') updateRoomsView();
+  return booking;
+};
+
+// Replace the booking with the given id by the result of `update(booking)`.
+// Called from mutation handlers; `update` returns null to leave the booking
+// untouched.  Returns the updated booking, or null when nothing changed.
+function updateBooking(id, update) {
+  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
+  if (idx < 0) return null;
+  const updated = update(commonRoomDB.bookings[idx]);
+  if (!updated) return null;
+  commonRoomDB.bookings[idx] = { ...updated, updatedAt: Date.now() };
+  state.bookings = commonRoomDB.bookings;
+  return commonRoomDB.bookings[idx];
+}
+
+// Label for a queued change to an existing booking.
+function describeBooking(action, id) {
+  const booking = state.bookings.find((b) => b.id === id);
+  return `${action} booking for ${booking ? booking.roomLabel : 'a room'}`;
 }
 
 // Simulate admin approval.  After a short delay, if the booking is still
 // pending, mark it as approved and notify the user.  In a real system this
-// would involve server-side logic and admin interaction.
+// would involve server-side logic and admin interaction, so the simulation
+// is simply skipped when the server cannot be reached.
 function simulateApproval(bookingId) {
-  setTimeout(() => {
-    ensureCommonRoomDb();
-    const idx = commonRoomDB.bookings.findIndex((b) => b.id === bookingId);
-    if (idx >= 0) {
-      const booking = commonRoomDB.bookings[idx];
-      if (booking.status === 'PENDING') {
-        commonRoomDB.bookings[idx] = {
-          ...booking,
-          status: 'APPROVED',
-          updatedAt: Date.now(),
-        };
-        state.bookings = commonRoomDB.bookings;
-        pushNotice(
-          `Booking approved for ${booking.roomLabel}. Please keep the room clean and tidy.`,
-          'success'
-        );
-        persistCommonRoomState();
-        if (typeof renderMyBookings === 'function') renderMyBookings();
-        if (typeof updateRoomsView === 'function') updateRoomsView();
-      }
+  setTimeout(async () => {
+    try {
+      await mutateState(() =>
+        updateBooking(bookingId, (booking) => {
+          if (booking.status !== 'PENDING') return null;
+          pushNotice(
+            `Booking approved for ${booking.roomLabel}. Please keep the room clean and tidy.`,
+            'success'
+          );
+          return { ...booking, status: 'APPROVED' };
+        })
+      );
+    } catch (err) {
+      console.warn('Simulated approval skipped:', err);
     }
+    refreshOpenViews();
   }, 5000);
 }
 
 // Cancel an existing booking.  Changes status to CANCELLED and notifies
 // the user.  Only bookings in PENDING or APPROVED state can be cancelled.
 function cancelBooking(id) {
-  ensureCommonRoomDb();
-  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
-  if (idx >= 0) {
-    const booking = commonRoomDB.bookings[idx];
-    if (booking.status === 'PENDING' || booking.status === 'APPROVED') {
-      commonRoomDB.bookings[idx] = {
-        ...booking,
-        status: 'CANCELLED',
-        updatedAt: Date.now(),
-      };
-      state.bookings = commonRoomDB.bookings;
-      pushNotice(`Booking cancelled for ${booking.roomLabel}.`, 'info');
-      persistCommonRoomState();
-      if (typeof renderMyBookings === 'function') renderMyBookings();
-      if (typeof updateRoomsView === 'function') updateRoomsView();
-    }
-  }
+  return runMutation('cancelBooking', { id }, describeBooking('Cancel', id));
 }
 
+MUTATIONS.cancelBooking = ({ id }) =>
+  updateBooking(id, (booking) => {
+    if (booking.status !== 'PENDING' && booking.status !== 'APPROVED') return null;
+    pushNotice(`Booking cancelled for ${booking.roomLabel}.`, 'info');
+    return { ...booking, status: 'CANCELLED' };
+  });
+
 // Explicitly approve a pending booking from the admin view.  Moves the
-// request into APPROVED, updates timestamps, persists state, and refreshes
-// all related views so the booking disappears from the admin queue and is
+// request into APPROVED and updates timestamps; runMutation() refreshes all
+// related views so the booking disappears from the admin queue and is
 // visible to students as approved.
 function approveBooking(id) {
-  ensureCommonRoomDb();
-  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
-  if (idx >= 0) {
-    const booking = commonRoomDB.bookings[idx];
-    if (booking.status !== 'APPROVED') {
-      commonRoomDB.bookings[idx] = {
-        ...booking,
-        status: 'APPROVED',
-        updatedAt: Date.now(),
-      };
-      state.bookings = commonRoomDB.bookings;
-      pushNotice(`Booking approved for ${booking.roomLabel}.`, 'success');
-      persistCommonRoomState();
-      if (typeof renderAdminBookings === 'function') renderAdminBookings();
-      if (typeof renderMyBookings === 'function') renderMyBookings();
-      if (typeof updateRoomsView === 'function') updateRoomsView();
-    }
-  }
+  return runMutation('approveBooking', { id }, describeBooking('Approve', id));
 }
 
+MUTATIONS.approveBooking = ({ id }) =>
+  updateBooking(id, (booking) => {
+    if (booking.status === 'APPROVED') return null;
+    pushNotice(`Booking approved for ${booking.roomLabel}.`, 'success');
+    return { ...booking, status: 'APPROVED' };
+  });
+
 // Explicitly reject a pending booking from the admin view.  Marks the
-// booking as REJECTED, persists, and refreshes the admin list and student
-// booking view so the decision is reflected everywhere.
+// booking as REJECTED so the decision is reflected in the admin list and
+// the student booking view.
 function rejectBooking(id) {
-  ensureCommonRoomDb();
-  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
-  if (idx >= 0) {
-    const booking = commonRoomDB.bookings[idx];
-    if (booking.status !== 'REJECTED') {
-      commonRoomDB.bookings[idx] = {
-        ...booking,
-        status: 'REJECTED',
-        updatedAt: Date.now(),
-      };
-      state.bookings = commonRoomDB.bookings;
-      pushNotice(`Booking rejected for ${booking.roomLabel}.`, 'error');
-      persistCommonRoomState();
-      if (typeof renderAdminBookings === 'function') renderAdminBookings();
-      if (typeof renderMyBookings === 'function') renderMyBookings();
-      if (typeof updateRoomsView === 'function') updateRoomsView();
-    }
-  }
+  return runMutation('rejectBooking', { id }, describeBooking('Reject', id));
 }
 
+MUTATIONS.rejectBooking = ({ id }) =>
+  updateBooking(id, (booking) => {
+    if (booking.status === 'REJECTED') return null;
+    pushNotice(`Booking rejected for ${booking.roomLabel}.`, 'error');
+    return { ...booking, status: 'REJECTED' };
+  });
+
 // Extend an existing booking by requesting a new end time.  Sets the booking
-// status back to PENDING and invokes simulated approval.  Only approved
-// bookings can be extended.
+// status back to PENDING.  Only approved bookings can be extended.
 function extendBooking(id, newEndAt) {
-  ensureCommonRoomDb();
-  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
-  if (idx >= 0) {
-    const booking = commonRoomDB.bookings[idx];
-    if (booking.status === 'APPROVED') {
-      // check that the extension does not exceed 24 hours and does not
-      // conflict with other bookings
-      const diff = newEndAt - booking.startAt;
-      if (diff > 24 * 60 * 60 * 1000) {
-        alert('Extension exceeds 24 hours from start time.');
-        return;
-      }
-      if (checkConflict(booking.roomId, booking.startAt, newEndAt)) {
-        alert('Requested extension overlaps with another booking.');
-        return;
-      }
-      commonRoomDB.bookings[idx] = {
-        ...booking,
-        endAt: newEndAt,
-        status: 'PENDING',
-        updatedAt: Date.now(),
-      };
-      state.bookings = commonRoomDB.bookings;
-      pushNotice(`Extension requested for ${booking.roomLabel}.`, 'info');
-      persistCommonRoomState();
-      if (typeof renderMyBookings === 'function') renderMyBookings();
-    }
-  }
+  return runMutation('extendBooking', { id, newEndAt }, describeBooking('Extend', id));
 }
 
-// Modify an existing booking by specifying a new start and end time and
-// optionally a new reason.  The booking returns to PENDING status pending
-// approval.  Only pending or approved bookings can be modified.
-function modifyBooking(id, newStartAt, newEndAt, newReason) {
-  ensureCommonRoomDb();
-  const idx = commonRoomDB.bookings.findIndex((b) => b.id === id);
-  if (idx >= 0) {
-    const booking = commonRoomDB.bookings[idx];
-    if (booking.status === 'PENDING' || booking.status === 'APPROVED') {
-      const diff = newEndAt - newStartAt;
-      if (diff <= 0) {
-        alert('End time must be after start time.');
-        return;
-      }
-      if (diff > 24 * 60 * 60 * 1000) {
-        alert('Bookings cannot exceed 24 hours.');
-        return;
-      }
-      if (checkConflict(booking.roomId, newStartAt, newEndAt)) {
-        alert('Requested times overlap with another booking.');
-        return;
-      }
-      commonRoomDB.bookings[idx] = {
-        ...booking,
-        startAt: newStartAt,
-        endAt: newEndAt,
-        reason: newReason ?? booking.reason,
-        status: 'PENDING',
-        updatedAt: Date.now(),
-      };
-      state.bookings = commonRoomDB.bookings;
-      pushNotice(`Booking modified for ${booking.roomLabel}.`, 'info');
-      persistCommonRoomState();
-      if (typeof renderMyBookings === 'function') renderMyBookings();
-      if (typeof updateRoomsView === 'function') updateRoomsView();
+MUTATIONS.extendBooking = ({ id, newEndAt }) =>
+  updateBooking(id, (booking) => {
+    if (booking.status !== 'APPROVED') {
+      throw mutationRejected(`Your booking for ${booking.roomLabel} is no longer approved.`);
     }
-  }
+    // check that the extension does not exceed 24 hours and does not
+    // conflict with other bookings
+    const diff = newEndAt - booking.startAt;
+    if (diff > 24 * 60 * 60 * 1000) {
+      throw mutationRejected('Extension exceeds 24 hours from start time.');
+    }
+    if (checkConflict(booking.roomId, booking.startAt, newEndAt)) {
+      throw mutationRejected('Requested extension overlaps with another booking.');
+    }
+    pushNotice(`Extension requested for ${booking.roomLabel}.`, 'info');
+    return { ...booking, endAt: newEndAt, status: 'PENDING' };
+  });
+
+// Modify an existing booking by specifying a new start and end time and
+// optionally a new reason.  The booking returns to PENDING status pending
+// approval.  Only pending or approved bookings can be modified.
+function modifyBooking(id, newStartAt, newEndAt, newReason) {
+  return runMutation(
+    'modifyBooking',
+    { id, newStartAt, newEndAt, newReason },
+    describeBooking('Modify', id)
+  );
 }
 
+MUTATIONS.modifyBooking = ({ id, newStartAt, newEndAt, newReason }) =>
+  updateBooking(id, (booking) => {
+    if (booking.status !== 'PENDING' && booking.status !== 'APPROVED') {
+      throw mutationRejected(`Your booking for ${booking.roomLabel} can no longer be changed.`);
+    }
+    const diff = newEndAt - newStartAt;
+    if (diff <= 0) {
+      throw mutationRejected('End time must be after start time.');
+    }
+    if (diff > 24 * 60 * 60 * 1000) {
+      throw mutationRejected('Bookings cannot exceed 24 hours.');
+    }
+    if (checkConflict(booking.roomId, newStartAt, newEndAt)) {
+      throw mutationRejected('Requested times overlap with another booking.');
+    }
+    pushNotice(`Booking modified for ${booking.roomLabel}.`, 'info');
+    return {
+      ...booking,
+      startAt: newStartAt,
+      endAt: newEndAt,
+      reason: newReason ?? booking.reason,
+      status: 'PENDING',
+    };
+  });
+
 // Initialise the rooms page.  Renders a list of rooms and their current
 // availability, and wires up a modal for creating bookings.  A global
 // updateRoomsView() is defined so other functions can re-render.
@@ -857,6 +5605,17 @@ function initRoomsPage() {
   // dynamic content, which fixes an issue where the grid would not render on first load.
   // Defer initial render slightly longer to ensure state and DOM are ready.
   setTimeout(() => updateRoomsView(), 50);
+  // A deep link (see Deep links) opens the room's booking form.
+  const link = takeDeepLink('room');
+  if (link && link.room) {
+    const room = state.rooms.find((r) => r.id === link.room);
+    if (room) {
+      if (hostelSelect && room.hostel) hostelSelect.value = room.hostel;
+      setTimeout(() => openRoomModal(room), 100);
+    } else {
+      alert('That room could not be found.');
+    }
+  }
 }
 
 // Show a modal to create or manage a booking for the specified room.  The
@@ -966,7 +5725,7 @@ function openRoomModal(room) {
   const submitBtn = document.createElement('button');
   submitBtn.className = 'btn-primary';
   submitBtn.textContent = 'Submit request';
-  submitBtn.onclick = () => {
+  submitBtn.onclick = async () => {
     const dateValue = dateInput.value;
     const startValue = startInput.value;
     const endValue = endInput.value;
@@ -1003,7 +5762,7 @@ function openRoomModal(room) {
       alert('Please provide a reason for booking.');
       return;
     }
-    submitBooking(room, startTimestamp, endTimestamp, reason);
+    await submitBooking(room, startTimestamp, endTimestamp, reason);
     roomOverlay.classList.remove('active');
   };
   actions.appendChild(cancelBtn);
@@ -1045,6 +5804,7 @@ function initMyBookingsPage() {
     active.forEach((b) => {
       const row = document.createElement('div');
       row.className = 'wash-item';
+      row.id = `booking-${b.id}`;
       const info = document.createElement('div');
       info.className = 'info';
       const startStr = new Date(b.startAt).toLocaleString();
@@ -1053,14 +5813,14 @@ function initMyBookingsPage() {
       if (b.status === 'PENDING') statusLabel = 'Pending approval';
       else if (b.status === 'APPROVED') statusLabel = 'Approved';
       else statusLabel = b.status;
-      info.innerHTML = `<strong>${b.roomLabel}</strong><span class="status">${startStr} → ${endStr}</span><span class="status">${statusLabel}</span>`;
+      fillInfo(info, b.roomLabel, [`${startStr} → ${endStr}`, statusLabel]);
       const actions = document.createElement('div');
       actions.className = 'wash-actions';
       // Cancel
       const cancelBtn = document.createElement('button');
       cancelBtn.textContent = 'Cancel';
-      cancelBtn.onclick = () => {
-        cancelBooking(b.id);
+      cancelBtn.onclick = async () => {
+        await cancelBooking(b.id);
         renderMyBookings();
         if (typeof updateRoomsView === 'function') updateRoomsView();
       };
@@ -1069,11 +5829,11 @@ function initMyBookingsPage() {
       if (b.status === 'APPROVED') {
         const extendBtn = document.createElement('button');
         extendBtn.textContent = 'Extend';
-        extendBtn.onclick = () => {
+        extendBtn.onclick = async () => {
           const newEnd = prompt('Enter new end time (YYYY-MM-DD HH:MM)');
           if (newEnd) {
             const newEndAt = new Date(newEnd).getTime();
-            extendBooking(b.id, newEndAt);
+            await extendBooking(b.id, newEndAt);
             renderMyBookings();
           }
         };
@@ -1083,14 +5843,14 @@ function initMyBookingsPage() {
       if (b.status === 'PENDING' || b.status === 'APPROVED') {
         const modifyBtn = document.createElement('button');
         modifyBtn.textContent = 'Modify';
-        modifyBtn.onclick = () => {
+        modifyBtn.onclick = async () => {
           const newStart = prompt('Enter new start time (YYYY-MM-DD HH:MM)', new Date(b.startAt).toISOString().slice(0,16).replace('T',' '));
           const newEnd = prompt('Enter new end time (YYYY-MM-DD HH:MM)', new Date(b.endAt).toISOString().slice(0,16).replace('T',' '));
           const newReason = prompt('Enter new reason (optional)', b.reason);
           if (newStart && newEnd) {
             const newStartAt = new Date(newStart).getTime();
             const newEndAt = new Date(newEnd).getTime();
-            modifyBooking(b.id, newStartAt, newEndAt, newReason);
+            await modifyBooking(b.id, newStartAt, newEndAt, newReason);
             renderMyBookings();
           }
         };
@@ -1104,6 +5864,7 @@ function initMyBookingsPage() {
     history.forEach((b) => {
       const row = document.createElement('div');
       row.className = 'wash-item';
+      row.id = `booking-${b.id}`;
       const info = document.createElement('div');
       info.className = 'info';
       const startStr = new Date(b.startAt).toLocaleString();
@@ -1111,13 +5872,21 @@ function initMyBookingsPage() {
       let statusLabel;
       if (b.status === 'COMPLETED') statusLabel = 'Completed';
       else statusLabel = b.status;
-      info.innerHTML = `<strong>${b.roomLabel}</strong><span class="status">${startStr} → ${endStr}</span><span class="status">${statusLabel}</span>`;
+      fillInfo(info, b.roomLabel, [`${startStr} → ${endStr}`, statusLabel]);
       row.appendChild(info);
       historyList.appendChild(row);
     });
   };
-  // Initial render after a tick to allow DOM to settle.
-  setTimeout(() => renderMyBookings(), 0);
+  // Initial render after a tick to allow DOM to settle.  Push notifications
+  // about a booking link to its row as #booking-<id>.
+  setTimeout(() => {
+    renderMyBookings();
+    const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+    if (target) {
+      target.classList.add('highlight');
+      target.scrollIntoView({ block: 'center' });
+    }
+  }, 0);
 }
 
 // Admin view for booking approvals. This page lists pending requests with
@@ -1129,6 +5898,8 @@ function initAdminBookingsPage() {
 
   const logoutBtn = document.getElementById('admin-logout');
   if (logoutBtn) logoutBtn.addEventListener('click', logoutUser);
+  const passwordBtn = document.getElementById('admin-change-password');
+  if (passwordBtn) passwordBtn.addEventListener('click', () => showAuthOverlay('change'));
 
   window.renderAdminBookings = function renderAdminBookings() {
     ensureCommonRoomDb();
@@ -1152,7 +5923,7 @@ function initAdminBookingsPage() {
         const info = document.createElement('div');
         info.className = 'info';
         const times = `${new Date(b.startAt).toLocaleString()} → ${new Date(b.endAt).toLocaleTimeString()}`;
-        info.innerHTML = `<strong>${b.roomLabel}</strong><span class="status">${times}</span><span class="status">Reason: ${b.reason}</span>`;
+        fillInfo(info, b.roomLabel, [times, `Reason: ${b.reason}`]);
         const actions = document.createElement('div');
         actions.className = 'wash-actions';
         const approveBtn = document.createElement('button');
@@ -1181,7 +5952,7 @@ function initAdminBookingsPage() {
         const info = document.createElement('div');
         info.className = 'info';
         const times = `${new Date(b.startAt).toLocaleString()} → ${new Date(b.endAt).toLocaleTimeString()}`;
-        info.innerHTML = `<strong>${b.roomLabel}</strong><span class="status">${times}</span><span class="status">Approved</span>`;
+        fillInfo(info, b.roomLabel, [times, 'Approved']);
         row.appendChild(info);
         approvedList.appendChild(row);
       });
@@ -1189,15 +5960,863 @@ function initAdminBookingsPage() {
   };
 
   setTimeout(() => renderAdminBookings(), 0);
+  initResidentList();
+  // Admins never see the profile page, so their devices are listed here.
+  document.querySelector('main').appendChild(renderSessionList());
+}
+
+// Fill a list row's info block with a bold title and status lines.  Values
+// are set as text, so names and other resident-entered fields cannot add
+// markup to the page.
+function fillInfo(info, title, lines = []) {
+  const strong = document.createElement('strong');
+  strong.textContent = title;
+  info.appendChild(strong);
+  lines.filter(Boolean).forEach((line) => {
+    const span = document.createElement('span');
+    span.className = 'status';
+    span.textContent = line;
+    info.appendChild(span);
+  });
+}
+
+// Registered residents, with role changes and password reset codes.  Reset
+// codes are shown once to the admin, who passes them on in person.
+function initResidentList() {
+  const list = document.getElementById('resident-list');
+  if (!list) return;
+
+  const runAdminAction = async (action) => {
+    try {
+      return await action();
+    } catch (err) {
+      alert(err.code === 'REJECTED' ? err.message : 'Could not reach the shared server. Please try again.');
+      return undefined;
+    } finally {
+      renderResidents();
+    }
+  };
+
+  window.renderResidents = function renderResidents() {
+    list.innerHTML = '';
+    const residents = [...state.users].sort((a, b) => a.name.localeCompare(b.name));
+    residents.forEach((u) => {
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      const place = [u.hostel, u.room].filter(Boolean).join(' · ');
+      const repText = u.repFloor != null ? ` · floor rep, ${floorLabel(u.repFloor)}` : '';
+      fillInfo(info, u.name, [
+        `${u.email}${place ? ` · ${place}` : ''}`,
+        `${u.role === 'admin' ? 'Admin' : 'Student'}${repText} · laundry score ${reputationScore(u.id)}`,
+      ]);
+      const actions = document.createElement('div');
+      actions.className = 'wash-actions';
+      const roleBtn = document.createElement('button');
+      roleBtn.textContent = u.role === 'admin' ? 'Make student' : 'Make admin';
+      roleBtn.onclick = () => runAdminAction(() => setAccountRole(u.id, u.role === 'admin' ? 'student' : 'admin'));
+      const resetBtn = document.createElement('button');
+      resetBtn.textContent = 'Reset code';
+      resetBtn.onclick = async () => {
+        const code = await runAdminAction(() => issueResetCode(u.id));
+        if (code) alert(`Reset code for ${u.email}: ${code}\nIt works once and expires in 24 hours.`);
+      };
+      actions.appendChild(roleBtn);
+      actions.appendChild(resetBtn);
+      // Floor reps are alerted about loads left unattended on their floor.
+      const location = machineLocations().find((l) => l.hostel === u.hostel);
+      if (location) {
+        const repSelect = document.createElement('select');
+        repSelect.setAttribute('aria-label', `Floor rep role for ${u.name}`);
+        repSelect.innerHTML = '<option value="">Not a floor rep</option>';
+        location.floors.forEach((floor) => {
+          const opt = document.createElement('option');
+          opt.value = String(floor);
+          opt.textContent = `Floor rep, ${floorLabel(floor)}`;
+          repSelect.appendChild(opt);
+        });
+        repSelect.value = u.repFloor != null ? String(u.repFloor) : '';
+        repSelect.onchange = () => setFloorRep(u.id, repSelect.value === '' ? null : Number(repSelect.value));
+        actions.appendChild(repSelect);
+      }
+      row.appendChild(info);
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+    renderPenalties();
+  };
+
+  // Abandoned-cycle penalties, which an admin can overturn when the flags
+  // turn out to be wrong.
+  function renderPenalties() {
+    const penaltyList = document.getElementById('penalty-list');
+    if (!penaltyList) return;
+    penaltyList.innerHTML = '';
+    const penalties = openPenalties();
+    if (penalties.length === 0) {
+      penaltyList.innerHTML = '<p class="muted">No abandoned-cycle penalties.</p>';
+    }
+    penalties.forEach((e) => {
+      const owner = findAccount(e.userId);
+      const flaggers = (e.flaggedBy || []).map((id) => (findAccount(id) || { name: 'Unknown' }).name);
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      fillInfo(info, `${owner ? owner.name : 'Unknown resident'} · ${e.machineLabel || ''}`, [
+        new Date(e.createdAt).toLocaleString(),
+        `Flagged by ${flaggers.join(', ') || 'nobody'}`,
+      ]);
+      const actions = document.createElement('div');
+      actions.className = 'wash-actions';
+      const overturnBtn = document.createElement('button');
+      overturnBtn.textContent = 'Overturn';
+      overturnBtn.onclick = () => {
+        if (confirm('Give the points back and charge the flaggers for a false flag?')) overturnPenalty(e.id);
+      };
+      actions.appendChild(overturnBtn);
+      row.appendChild(info);
+      row.appendChild(actions);
+      penaltyList.appendChild(row);
+    });
+  }
+
+  renderResidents();
+}
+
+// Admin view of the machine registry: add machines, and rename, move,
+// retire or restore existing ones.
+function initAdminMachinesPage() {
+  const form = document.getElementById('machine-form');
+  const activeList = document.getElementById('machine-registry');
+  const retiredList = document.getElementById('retired-machines');
+  if (!form || !activeList || !retiredList) return;
+
+  const logoutBtn = document.getElementById('admin-logout');
+  if (logoutBtn) logoutBtn.addEventListener('click', logoutUser);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const added = await addMachine({
+      label: form.elements.label.value,
+      hostel: form.elements.hostel.value,
+      floor: form.elements.floor.value,
+      type: form.elements.type.value,
+    });
+    if (added) form.elements.label.value = '';
+  });
+
+  // Each settings form input is named after the setting it edits.
+  const settingsForms = [...document.querySelectorAll('.settings-form')];
+  const settingInputs = (settingsForm) =>
+    [...settingsForm.elements].filter((input) => input.name in SETTING_DEFAULTS);
+  settingsForms.forEach((settingsForm) => {
+    settingsForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      // Read every value first: each save re-renders the form.
+      const changes = settingInputs(settingsForm)
+        .map((input) => [input.name, input.value])
+        .filter(([key, value]) => Number(value) !== getSetting(key));
+      for (const [key, value] of changes) await updateSetting(key, value);
+    });
+  });
+
+  // Live telemetry settings belong to this device, not the shared state.
+  const telemetryForm = document.getElementById('telemetry-form');
+  const telemetryStatus = document.getElementById('telemetry-status');
+  if (telemetryForm) {
+    Object.entries(TELEMETRY_PROTOCOLS).forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      telemetryForm.elements.protocol.appendChild(opt);
+    });
+    readTelemetryConfig().then((config) => {
+      if (config) {
+        telemetryForm.elements.url.value = config.url;
+        telemetryForm.elements.protocol.value = config.protocol;
+        telemetryForm.elements.topic.value = config.topic || '';
+      }
+      syncTelemetry();
+    });
+    telemetryForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const url = telemetryForm.elements.url.value.trim();
+      if (url && !/^wss?:\/\//i.test(url)) {
+        alert('The address must start with ws:// or wss://.');
+        return;
+      }
+      await setTelemetryConfig(
+        url
+          ? {
+              url,
+              protocol: telemetryForm.elements.protocol.value,
+              topic: telemetryForm.elements.topic.value.trim() || TELEMETRY_DEFAULT_TOPIC,
+            }
+          : null
+      );
+    });
+    window.renderTelemetryStatus = function renderTelemetryStatus() {
+      telemetryStatus.textContent = describeTelemetryStatus();
+    };
+    renderTelemetryStatus();
+  }
+
+  // Sensor log import.  The file is read and checked here; the sessions
+  // that could be read are then matched and recorded in one change.
+  const importForm = document.getElementById('sensor-import-form');
+  const importResult = document.getElementById('sensor-import-result');
+  const flagList = document.getElementById('sensor-flags');
+  if (importForm) {
+    importForm.elements.timeZone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    importForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const file = importForm.elements.file.files[0];
+      if (!file) return;
+      let parsed;
+      try {
+        parsed = readSensorExport(await file.text(), importForm.elements.timeZone.value.trim());
+      } catch (err) {
+        alert(err instanceof RangeError ? 'That time zone is not recognised.' : `Could not read the file: ${err.message}`);
+        return;
+      }
+      const summary = parsed.sessions.length
+        ? await importSensorSessions(parsed.sessions, importForm.elements.machine.value || null)
+        : null;
+      importResult.innerHTML = '';
+      const lines = [];
+      if (summary) {
+        lines.push(
+          `${summary.matched} matched to washes started in the app, ${summary.added} added, ` +
+            `${summary.duplicates} already imported, ${summary.flagged} flagged.`
+        );
+      }
+      [...parsed.errors, ...(summary ? summary.skipped : [])].forEach((line) => lines.push(line));
+      if (!summary && parsed.errors.length === 0) lines.push('The file has no sessions.');
+      lines.forEach((line) => {
+        const p = document.createElement('p');
+        p.className = 'muted';
+        p.textContent = line;
+        importResult.appendChild(p);
+      });
+      importForm.elements.file.value = '';
+    });
+  }
+
+  const renderSensorFlags = () => {
+    if (!flagList) return;
+    flagList.innerHTML = '';
+    const flagged = flaggedWashes();
+    if (flagged.length === 0) {
+      flagList.innerHTML = '<p class="muted">No differences to review.</p>';
+      return;
+    }
+    flagged.forEach((w) => {
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      const owner = w.ownerId ? findAccount(w.ownerId) : null;
+      const lines = [
+        `${w.machineLabel} · ${new Date(w.startAt).toLocaleString()}`,
+        `App: ${w.source ? 'not started' : owner ? owner.name : 'unknown resident'}`,
+        w.measured ? `Plug: ${w.measured.sensorUser || 'unknown resident'} · ${describeMeasured(w.measured)}` : null,
+        ...w.sensorFlags.map((flag) => SENSOR_FLAG_LABELS[flag] || flag),
+      ].filter(Boolean);
+      lines.forEach((line, i) => {
+        const el = document.createElement(i === 0 ? 'strong' : 'span');
+        if (i > 0) el.className = 'status';
+        el.textContent = line;
+        info.appendChild(el);
+      });
+      const actions = document.createElement('div');
+      actions.className = 'wash-actions';
+      const dismissBtn = document.createElement('button');
+      dismissBtn.textContent = 'Dismiss';
+      dismissBtn.onclick = () => dismissSensorFlags(w.id);
+      actions.appendChild(dismissBtn);
+      row.appendChild(info);
+      row.appendChild(actions);
+      flagList.appendChild(row);
+    });
+  };
+
+  // How far off past wait estimates were, and the pickup times they use.
+  const accuracyList = document.getElementById('estimate-accuracy');
+  const renderEstimateAccuracy = () => {
+    if (!accuracyList) return;
+    accuracyList.innerHTML = '';
+    const now = Date.now();
+    const stageLabels = { start: 'when the wash started', finish: 'when the cycle finished' };
+    const lines = estimateAccuracy(now).map(({ stage, count, typicalError, bias }) => {
+      if (count === 0) return `No collected washes yet with a prediction made ${stageLabels[stage]}.`;
+      const lean =
+        bias === 0
+          ? 'with no lean either way'
+          : `machines were usually freed ${Math.abs(bias)} min ${bias > 0 ? 'later' : 'earlier'} than predicted`;
+      return `Predicted ${stageLabels[stage]}: typically off by ${typicalError} min across ${count} wash${count === 1 ? '' : 'es'} collected in the last 30 days; ${lean}.`;
+    });
+    machineLocations().forEach(({ hostel, floors }) => {
+      floors.forEach((floor) => {
+        const samples = pickupSamples(hostel, floor, now).length;
+        const minutes = Math.round(expectedPickupMinutes(hostel, floor, 0, now));
+        lines.push(
+          samples
+            ? `${hostel} · ${floorLabel(floor)}: loads are collected ~${minutes} min after they finish (from ${samples} recent pickups).`
+            : `${hostel} · ${floorLabel(floor)}: too few pickups yet; ${minutes} min assumed.`
+        );
+      });
+    });
+    lines.forEach((line) => {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = line;
+      accuracyList.appendChild(p);
+    });
+  };
+
+  const machineRow = (m) => {
+    const row = document.createElement('div');
+    row.className = 'wash-item';
+    const info = document.createElement('div');
+    info.className = 'info';
+    const status = m.retiredAt
+      ? `Retired ${new Date(m.retiredAt).toLocaleDateString()}`
+      : getMachineStatus(m);
+    fillInfo(info, `${machineType(m).icon} ${m.label}`, [
+      `${machineType(m).label} · ${m.hostel} · ${floorLabel(m.floor)}`,
+      status,
+    ]);
+    const actions = document.createElement('div');
+    actions.className = 'wash-actions';
+    const addAction = (text, onClick) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.onclick = onClick;
+      actions.appendChild(btn);
+    };
+    if (m.retiredAt) {
+      addAction('Restore', () => restoreMachine(m.id));
+    } else {
+      addAction('Rename', () => {
+        const label = prompt('New label for this machine', m.label);
+        if (label != null) updateMachine(m.id, { label });
+      });
+      addAction('Move', () => {
+        const hostel = prompt('Hostel', m.hostel);
+        if (hostel == null) return;
+        const floor = prompt('Floor number (0 for ground, -1 for basement)', String(m.floor));
+        if (floor != null) updateMachine(m.id, { hostel, floor });
+      });
+      addAction('Type', () => {
+        const type = prompt(`Machine type (${Object.keys(MACHINE_TYPES).join(', ')})`, m.type);
+        if (type != null) updateMachine(m.id, { type });
+      });
+      if (getMachineStatus(m) === 'AWAITING') {
+        addAction('Clear', () => {
+          const reason = prompt(`Why are you clearing ${m.label}? The resident who started it will see this.`);
+          if (reason && reason.trim()) markCollected(m, reason);
+        });
+      }
+      addAction('Retire', () => {
+        if (confirm(`Take ${m.label} out of service?`)) retireMachine(m.id);
+      });
+    }
+    row.appendChild(info);
+    row.appendChild(actions);
+    return row;
+  };
+
+  window.renderMachineRegistry = function renderMachineRegistry() {
+    activeList.innerHTML = '';
+    retiredList.innerHTML = '';
+    const byLocation = (a, b) =>
+      a.hostel.localeCompare(b.hostel) || a.floor - b.floor || a.label.localeCompare(b.label);
+    const active = activeMachines().sort(byLocation);
+    const retired = state.machines.filter((m) => m.retiredAt).sort(byLocation);
+    if (active.length === 0) {
+      activeList.innerHTML = '<p class="muted">No machines in service yet.</p>';
+    }
+    active.forEach((m) => activeList.appendChild(machineRow(m)));
+    if (retired.length === 0) {
+      retiredList.innerHTML = '<p class="muted">No retired machines.</p>';
+    }
+    retired.forEach((m) => retiredList.appendChild(machineRow(m)));
+    settingsForms.forEach((settingsForm) => {
+      settingInputs(settingsForm).forEach((input) => {
+        if (document.activeElement !== input) input.value = String(getSetting(input.name));
+      });
+    });
+    renderSensorFlags();
+    renderEstimateAccuracy();
+    // Machines a sensor log can default to, keeping the current choice.
+    if (importForm) {
+      const machineSelect = importForm.elements.machine;
+      const chosen = machineSelect.value;
+      machineSelect.innerHTML = '<option value="">None: skip those sessions</option>';
+      active.forEach((m) => {
+        const opt = document.createElement('option');
+        opt.value = m.id;
+        opt.textContent = `${m.label} · ${m.hostel} · ${floorLabel(m.floor)}`;
+        machineSelect.appendChild(opt);
+      });
+      if (active.some((m) => m.id === chosen)) machineSelect.value = chosen;
+    }
+    // Suggest existing hostels when adding a machine.
+    const hostelOptions = document.getElementById('hostel-options');
+    if (hostelOptions) {
+      hostelOptions.innerHTML = '';
+      machineLocations().forEach(({ hostel }) => {
+        const opt = document.createElement('option');
+        opt.value = hostel;
+        hostelOptions.appendChild(opt);
+      });
+    }
+  };
+
+  renderMachineRegistry();
+}
+
+// The maintenance dashboard lists every ticket with its thread, and lets
+// admins change its status and assignee or add a comment with photos.
+// Comment drafts are kept per ticket so the minute re-render does not lose
+// them.
+function initAdminMaintenancePage() {
+  const openList = document.getElementById('open-tickets');
+  const closedList = document.getElementById('closed-tickets');
+  if (!openList || !closedList) return;
+
+  const logoutBtn = document.getElementById('admin-logout');
+  if (logoutBtn) logoutBtn.addEventListener('click', logoutUser);
+
+  const drafts = {};
+  const draftFor = (ticketId) => {
+    if (!drafts[ticketId]) drafts[ticketId] = { text: '', photos: [] };
+    return drafts[ticketId];
+  };
+
+  // Photos open in the lightbox with every photo on the ticket; the entry's
+  // first photo is at `photoOffset` among them.
+  const threadEntry = (entry, ticketPhotos, photoOffset) => {
+    const item = document.createElement('li');
+    const heading = document.createElement('span');
+    heading.className = 'status';
+    const when = new Date(entry.createdAt).toLocaleString();
+    if (entry.kind === 'REPORT') {
+      heading.textContent = `${entry.author} reported "${entry.reason}" · ${when}`;
+    } else if (entry.kind === 'STATUS') {
+      heading.textContent = `${entry.author} set the status to ${TICKET_STATUS_LABELS[entry.status]} · ${when}`;
+    } else if (entry.kind === 'ASSIGNED') {
+      heading.textContent = entry.assigneeName
+        ? `${entry.author} assigned it to ${entry.assigneeName} · ${when}`
+        : `${entry.author} unassigned it · ${when}`;
+    } else {
+      heading.textContent = `${entry.author} commented · ${when}`;
+    }
+    item.appendChild(heading);
+    if (entry.text) {
+      const text = document.createElement('p');
+      text.textContent = entry.text;
+      item.appendChild(text);
+    }
+    if ((entry.photos || []).length > 0) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'photo-thumbs';
+      entry.photos.forEach((src, index) => {
+        const img = document.createElement('img');
+        img.className = 'photo-thumb';
+        img.src = src;
+        img.alt = `Photo from ${entry.author}`;
+        img.onclick = () => openLightbox(ticketPhotos, photoOffset + index);
+        thumbs.appendChild(img);
+      });
+      item.appendChild(thumbs);
+    }
+    return item;
+  };
+
+  const ticketCard = (ticket, admins) => {
+    const card = document.createElement('div');
+    card.className = 'wash-item ticket';
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('strong');
+    title.textContent = `${ticket.machineLabel}: ${ticket.reason}`;
+    info.appendChild(title);
+    const reports = ticket.thread.filter((e) => e.kind === 'REPORT').length;
+    const summary = document.createElement('span');
+    summary.className = 'status';
+    summary.textContent = [
+      TICKET_STATUS_LABELS[ticket.status],
+      `${reports} report${reports === 1 ? '' : 's'}`,
+      isTicketOpen(ticket) ? (ticket.outOfService ? 'Out of service' : 'In service') : null,
+      `Updated ${new Date(ticket.updatedAt).toLocaleString()}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    info.appendChild(summary);
+    const thread = document.createElement('ul');
+    thread.className = 'ticket-thread';
+    const ticketPhotos = ticket.thread.flatMap((entry) => entry.photos || []);
+    let photoOffset = 0;
+    ticket.thread.forEach((entry) => {
+      thread.appendChild(threadEntry(entry, ticketPhotos, photoOffset));
+      photoOffset += (entry.photos || []).length;
+    });
+    info.appendChild(thread);
+
+    const controls = document.createElement('div');
+    controls.className = 'ticket-controls';
+    const statusSelect = document.createElement('select');
+    statusSelect.setAttribute('aria-label', 'Status');
+    TICKET_STATUSES.forEach((status) => {
+      const opt = document.createElement('option');
+      opt.value = status;
+      opt.textContent = TICKET_STATUS_LABELS[status];
+      statusSelect.appendChild(opt);
+    });
+    statusSelect.value = ticket.status;
+    statusSelect.onchange = () => updateTicket(ticket.id, { status: statusSelect.value });
+    const assigneeSelect = document.createElement('select');
+    assigneeSelect.setAttribute('aria-label', 'Assignee');
+    [{ id: '', name: 'Unassigned' }, ...admins].forEach((account) => {
+      const opt = document.createElement('option');
+      opt.value = account.id;
+      opt.textContent = account.name;
+      assigneeSelect.appendChild(opt);
+    });
+    assigneeSelect.value = ticket.assigneeId || '';
+    assigneeSelect.onchange = () => updateTicket(ticket.id, { assigneeId: assigneeSelect.value || null });
+    controls.appendChild(statusSelect);
+    controls.appendChild(assigneeSelect);
+
+    const draft = draftFor(ticket.id);
+    const commentArea = document.createElement('textarea');
+    commentArea.rows = 2;
+    commentArea.placeholder = 'Add a comment';
+    commentArea.value = draft.text;
+    commentArea.oninput = () => {
+      draft.text = commentArea.value;
+    };
+    const photoPicker = createPhotoPicker(draft.photos, (photos) => {
+      draft.photos = photos;
+    });
+    const commentBtn = document.createElement('button');
+    commentBtn.textContent = 'Comment';
+    commentBtn.onclick = async () => {
+      const { text, photos } = draft;
+      // A refused comment keeps its draft, so nothing typed is lost.
+      if (await commentOnTicket(ticket.id, text, photos)) delete drafts[ticket.id];
+      renderTickets();
+    };
+    controls.appendChild(commentArea);
+    controls.appendChild(photoPicker.element);
+    controls.appendChild(commentBtn);
+    info.appendChild(controls);
+    card.appendChild(info);
+    return card;
+  };
+
+  window.renderTickets = function renderTickets() {
+    // Leave the page alone while an admin is typing a comment.
+    const typing = document.activeElement && document.activeElement.tagName === 'TEXTAREA';
+    if (typing && (openList.contains(document.activeElement) || closedList.contains(document.activeElement))) return;
+    openList.innerHTML = '';
+    closedList.innerHTML = '';
+    const admins = state.users.filter((u) => u.role === 'admin');
+    const tickets = sortedTickets();
+    const open = tickets.filter(isTicketOpen);
+    const closed = tickets.filter((t) => !isTicketOpen(t));
+    if (open.length === 0) openList.innerHTML = '<p class="muted">No open tickets.</p>';
+    open.forEach((t) => openList.appendChild(ticketCard(t, admins)));
+    if (closed.length === 0) closedList.innerHTML = '<p class="muted">No closed tickets.</p>';
+    closed.forEach((t) => closedList.appendChild(ticketCard(t, admins)));
+  };
+
+  renderTickets();
+  if (state.user && state.user.role === 'admin') {
+    shrinkLegacyPhotos()
+      .catch((err) => console.warn('Could not save re-encoded report photos:', err))
+      .finally(refreshOpenViews);
+  }
+}
+
+// Printable sheets of QR codes for every machine in service and every room,
+// each encoding its deep link.  The links are absolute, so the codes point
+// at wherever this page is served from.
+function initAdminQrPage() {
+  const machineSheet = document.getElementById('qr-machines');
+  const roomSheet = document.getElementById('qr-rooms');
+  const hostelSelect = document.getElementById('qr-hostel');
+  if (!machineSheet || !roomSheet || !hostelSelect) return;
+
+  const logoutBtn = document.getElementById('admin-logout');
+  if (logoutBtn) logoutBtn.addEventListener('click', logoutUser);
+  const printBtn = document.getElementById('qr-print');
+  if (printBtn) printBtn.addEventListener('click', () => window.print());
+  hostelSelect.addEventListener('change', () => renderQrSheet());
+
+  // Encoding is the slow part and links rarely change, so keep each SVG.
+  const svgs = new Map();
+  const qrCard = (title, details, link) => {
+    const url = new URL(link, window.location.href).href;
+    if (!svgs.has(url)) svgs.set(url, qrSvg(url));
+    const card = document.createElement('figure');
+    card.className = 'qr-card';
+    card.innerHTML = svgs.get(url);
+    const caption = document.createElement('figcaption');
+    const name = document.createElement('strong');
+    name.textContent = title;
+    const where = document.createElement('span');
+    where.className = 'status';
+    where.textContent = details;
+    const address = document.createElement('span');
+    address.className = 'qr-link';
+    address.textContent = url;
+    caption.appendChild(name);
+    caption.appendChild(where);
+    caption.appendChild(address);
+    card.appendChild(caption);
+    return card;
+  };
+
+  window.renderQrSheet = function renderQrSheet() {
+    const hostels = [...new Set([...machineLocations().map((l) => l.hostel), ...state.rooms.map((r) => r.hostel)])]
+      .filter(Boolean)
+      .sort();
+    const selected = hostels.includes(hostelSelect.value) ? hostelSelect.value : '';
+    hostelSelect.innerHTML = '<option value="">All hostels</option>';
+    hostels.forEach((hostel) => {
+      const opt = document.createElement('option');
+      opt.value = hostel;
+      opt.textContent = hostel;
+      hostelSelect.appendChild(opt);
+    });
+    hostelSelect.value = selected;
+    const inHostel = (item) => !selected || item.hostel === selected;
+
+    machineSheet.innerHTML = '';
+    const machines = activeMachines()
+      .filter(inHostel)
+      .sort((a, b) => a.hostel.localeCompare(b.hostel) || a.floor - b.floor || a.label.localeCompare(b.label));
+    if (machines.length === 0) machineSheet.innerHTML = '<p class="muted">No machines in service.</p>';
+    machines.forEach((m) => {
+      const details = `${machineType(m).label} · ${m.hostel} · ${floorLabel(m.floor)}`;
+      machineSheet.appendChild(qrCard(`${machineType(m).icon} ${m.label}`, details, machineLink(m.id, 'start')));
+    });
+
+    roomSheet.innerHTML = '';
+    const rooms = state.rooms.filter(inHostel).sort((a, b) => a.label.localeCompare(b.label));
+    if (rooms.length === 0) roomSheet.innerHTML = '<p class="muted">No rooms.</p>';
+    rooms.forEach((r) => {
+      roomSheet.appendChild(qrCard(`🚪 ${r.label}`, `${r.hostel} · ${r.hasAC ? 'AC room' : 'Non-AC room'}`, roomLink(r.id)));
+    });
+  };
+
+  renderQrSheet();
+}
+
+// Usage analytics for a date range: an occupancy heatmap, average cycle and
+// pickup times, and per-machine use and downtime, with CSV downloads.
+function initAdminAnalyticsPage() {
+  const fromInput = document.getElementById('analytics-from');
+  const toInput = document.getElementById('analytics-to');
+  const hostelSelect = document.getElementById('analytics-hostel');
+  const summary = document.getElementById('analytics-summary');
+  const heatmapTable = document.getElementById('analytics-heatmap');
+  const machinesTable = document.getElementById('analytics-machines');
+  if (!fromInput || !toInput || !hostelSelect || !summary || !heatmapTable || !machinesTable) return;
+
+  const logoutBtn = document.getElementById('admin-logout');
+  if (logoutBtn) logoutBtn.addEventListener('click', logoutUser);
+
+  // Date inputs hold local "yyyy-mm-dd"; the range runs from the start of
+  // the first day to the end of the last.
+  const dateValue = (time) => formatCsvTime(time).slice(0, 10);
+  const parseDate = (value) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+  };
+  const firstDay = new Date();
+  toInput.value = dateValue(firstDay.getTime());
+  firstDay.setDate(firstDay.getDate() - ANALYTICS_DEFAULT_DAYS + 1);
+  fromInput.value = dateValue(firstDay.getTime());
+  const range = () => {
+    const from = parseDate(fromInput.value);
+    const lastDay = parseDate(toInput.value);
+    if (from == null || lastDay == null || from > lastDay) return null;
+    const to = new Date(lastDay);
+    to.setDate(to.getDate() + 1);
+    return { from, to: to.getTime(), hostel: hostelSelect.value || null };
+  };
+  [fromInput, toInput, hostelSelect].forEach((input) => input.addEventListener('change', () => renderAnalytics()));
+
+  const minutes = (value) => (value == null ? '–' : `${Math.round(value)} min`);
+  const hours = (ms) => `${(ms / (60 * 60 * 1000)).toFixed(1)} h`;
+  const percent = (share) => {
+    if (share == null) return '–';
+    return share > 0 && share < 0.1 ? `${(share * 100).toFixed(1)}%` : `${Math.round(share * 100)}%`;
+  };
+  const cell = (tag, text, className) => {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  };
+
+  const renderSummary = (report) => {
+    summary.innerHTML = '';
+    [
+      [String(report.washes.length), report.washes.length === 1 ? 'wash' : 'washes'],
+      [minutes(report.averageCycleMinutes), 'average cycle'],
+      [minutes(report.averagePickupMinutes), 'average wait for pickup'],
+      [minutes(report.medianPickupMinutes), 'typical wait for pickup (median)'],
+    ].forEach(([value, label]) => {
+      const stat = document.createElement('div');
+      stat.className = 'analytics-stat';
+      stat.appendChild(cell('strong', value));
+      stat.appendChild(cell('span', label, 'status'));
+      summary.appendChild(stat);
+    });
+  };
+
+  const renderHeatmap = (report) => {
+    heatmapTable.innerHTML = '';
+    const head = document.createElement('tr');
+    head.appendChild(cell('th', ''));
+    for (let hour = 0; hour < 24; hour++) head.appendChild(cell('th', String(hour).padStart(2, '0')));
+    heatmapTable.appendChild(head);
+    // Shade relative to the busiest hour so quiet ranges still show a pattern.
+    const busiest = Math.max(0, ...report.heatmap.flat().filter((share) => share != null));
+    report.heatmap.forEach((hoursOfDay, day) => {
+      const row = document.createElement('tr');
+      row.appendChild(cell('th', WEEKDAY_LABELS[day]));
+      hoursOfDay.forEach((share, hour) => {
+        const td = document.createElement('td');
+        const slot = `${WEEKDAY_LABELS[day]} ${String(hour).padStart(2, '0')}:00`;
+        if (share == null) {
+          td.className = 'empty';
+          td.title = `${slot}: not in the chosen dates`;
+        } else {
+          td.style.setProperty('--level', busiest ? (share / busiest).toFixed(3) : '0');
+          td.title = `${slot}: ${percent(share)} in use`;
+        }
+        row.appendChild(td);
+      });
+      heatmapTable.appendChild(row);
+    });
+  };
+
+  const renderMachines = (report) => {
+    machinesTable.innerHTML = '';
+    const head = document.createElement('tr');
+    ['Machine', 'Location', 'Washes', 'In use', 'Utilisation', 'Out of service'].forEach((label) =>
+      head.appendChild(cell('th', label))
+    );
+    machinesTable.appendChild(head);
+    if (report.machines.length === 0) {
+      const row = document.createElement('tr');
+      const empty = cell('td', 'No machines in the chosen hostel.', 'muted');
+      empty.colSpan = 6;
+      row.appendChild(empty);
+      machinesTable.appendChild(row);
+    }
+    report.machines.forEach(({ machine, washes, busyMs, downtimeMs, utilization }) => {
+      const row = document.createElement('tr');
+      row.appendChild(cell('td', `${machineType(machine).icon} ${machine.label}${machine.retiredAt ? ' (retired)' : ''}`));
+      row.appendChild(cell('td', `${machine.hostel} · ${floorLabel(machine.floor)}`));
+      row.appendChild(cell('td', String(washes)));
+      row.appendChild(cell('td', hours(busyMs)));
+      row.appendChild(cell('td', percent(utilization)));
+      row.appendChild(cell('td', hours(downtimeMs)));
+      machinesTable.appendChild(row);
+    });
+  };
+
+  let report = null;
+  window.renderAnalytics = function renderAnalytics() {
+    const hostels = machineLocations().map((l) => l.hostel);
+    const selected = hostelSelect.value;
+    hostelSelect.innerHTML = '<option value="">All hostels</option>';
+    hostels.forEach((hostel) => {
+      const opt = document.createElement('option');
+      opt.value = hostel;
+      opt.textContent = hostel;
+      hostelSelect.appendChild(opt);
+    });
+    if (hostels.includes(selected)) hostelSelect.value = selected;
+    const chosen = range();
+    if (!chosen) {
+      report = null;
+      summary.innerHTML = '<p class="muted">Choose a start date on or before the end date.</p>';
+      heatmapTable.innerHTML = '';
+      machinesTable.innerHTML = '';
+      return;
+    }
+    report = laundryAnalytics(chosen);
+    renderSummary(report);
+    renderHeatmap(report);
+    renderMachines(report);
+  };
+
+  const fileName = (kind) => `laundry-${kind}-${fromInput.value}-to-${toInput.value}.csv`;
+  document.getElementById('analytics-export-washes').addEventListener('click', () => {
+    if (!report) return;
+    const rows = [['Machine', 'Hostel', 'Floor', 'Program', 'Started', 'Finished', 'Collected', 'Cycle minutes', 'Pickup minutes', 'Recorded by']];
+    report.washes
+      .slice()
+      .sort((a, b) => a.startAt - b.startAt)
+      .forEach((w) => {
+        const finished = washFinishedAt(w);
+        const collected = w.status === 'COLLECTED' && w.source !== 'sensor' ? w.endAt : null;
+        rows.push([
+          w.machineLabel,
+          w.hostel,
+          w.floor,
+          w.programLabel || '',
+          formatCsvTime(w.startAt),
+          finished != null && finished <= Date.now() ? formatCsvTime(finished) : '',
+          formatCsvTime(collected),
+          finished != null && finished <= Date.now() ? Math.round((finished - w.startAt) / 60000) : '',
+          collected != null && finished != null ? Math.max(0, Math.round((collected - finished) / 60000)) : '',
+          w.source || 'app',
+        ]);
+      });
+    downloadCsv(fileName('washes'), rows);
+  });
+  document.getElementById('analytics-export-machines').addEventListener('click', () => {
+    if (!report) return;
+    const rows = [['Machine', 'Hostel', 'Floor', 'Type', 'Washes', 'In use hours', 'Utilisation %', 'Out of service hours']];
+    report.machines.forEach(({ machine, washes, busyMs, downtimeMs, utilization }) => {
+      rows.push([
+        machine.label,
+        machine.hostel,
+        machine.floor,
+        machineType(machine).label,
+        washes,
+        (busyMs / (60 * 60 * 1000)).toFixed(1),
+        utilization == null ? '' : (utilization * 100).toFixed(1),
+        (downtimeMs / (60 * 60 * 1000)).toFixed(1),
+      ]);
+    });
+    downloadCsv(fileName('machines'), rows);
+  });
+
+  renderAnalytics();
 }
 
 // On DOM ready we initialise state and start the tick.  Then we detect
 // which page we are on by body class and call the appropriate initialiser.
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   // Initialise application state and start the minute-level timer.  Do not
   // present any debug alerts in production.  Previous debug alerts have been
-  // removed.
-  initState();
+  // removed.  State is loaded from IndexedDB, so nothing below may run until
+  // it has resolved.
+  await initState();
+  initTabSync();
+  initOutbox();
   const canProceed = ensureAuthMode();
   startTick();
   if (!canProceed) return;
@@ -1214,6 +6833,14 @@ document.addEventListener('DOMContentLoaded', () => {
     initMyBookingsPage();
   } else if (bodyClass.contains('admin-bookings-page')) {
     initAdminBookingsPage();
+  } else if (bodyClass.contains('admin-machines-page')) {
+    initAdminMachinesPage();
+  } else if (bodyClass.contains('admin-maintenance-page')) {
+    initAdminMaintenancePage();
+  } else if (bodyClass.contains('admin-qr-page')) {
+    initAdminQrPage();
+  } else if (bodyClass.contains('admin-analytics-page')) {
+    initAdminAnalyticsPage();
   } else if (bodyClass.contains('profile-page')) {
     initProfilePage();
   } else if (bodyClass.contains('home-page')) {
@@ -1233,40 +6860,47 @@ function initLaundryPage() {
     const machinesGrid = document.getElementById('machines-grid');
     const summaryContainer = document.getElementById('summary-container');
     const busyBanner = document.getElementById('busy-banner');
+    const busyText = document.getElementById('busy-text');
     const notifyBtn = document.getElementById('notify-button');
+    const queueBtn = document.getElementById('queue-button');
+    const queuePanel = document.getElementById('queue-panel');
 
-  // Remove any leftover debug messaging from earlier development.  We no longer
-  // surface alerts on load; instead rely on proper rendering below.
-
-  // Populate hostel options (only WH for now).  Additional hostels
-  // could be added to state.machines in the future.
-  const hostels = Array.from(new Set(state.machines.map((m) => m.hostel)));
-  hostels.forEach((hostel) => {
-    const opt = document.createElement('option');
-    opt.value = hostel;
-    opt.textContent = hostel;
-    hostelSelect.appendChild(opt);
-  });
-  // Default selection
-  if (!hostelSelect.value) hostelSelect.value = hostels[0];
+  // Hostel and floor options come from the machine registry.  They are
+  // rebuilt whenever an admin changes which locations have machines, keeping
+  // the current selection where it still exists.
+  let locationsKey = null;
+  function populateLocations() {
+    const locations = machineLocations();
+    const key = JSON.stringify(locations);
+    if (key === locationsKey) return;
+    locationsKey = key;
+    const previousHostel = hostelSelect.value;
+    hostelSelect.innerHTML = '';
+    locations.forEach(({ hostel }) => {
+      const opt = document.createElement('option');
+      opt.value = hostel;
+      opt.textContent = hostel;
+      hostelSelect.appendChild(opt);
+    });
+    if (locations.some((l) => l.hostel === previousHostel)) hostelSelect.value = previousHostel;
+    populateFloors();
+  }
 
   // Populate floors based on selected hostel
   function populateFloors() {
-    const selectedHostel = hostelSelect.value;
-    const floors = Array.from(
-      new Set(state.machines.filter((m) => m.hostel === selectedHostel).map((m) => m.floor))
-    ).sort();
+    const location = machineLocations().find((l) => l.hostel === hostelSelect.value);
+    const floors = location ? location.floors : [];
+    const previousFloor = floorSelect.value;
     floorSelect.innerHTML = '';
     floors.forEach((floor) => {
       const opt = document.createElement('option');
       opt.value = String(floor);
-      const isSecondFloor = Number(floor) === 2;
-      opt.textContent = isSecondFloor ? 'Second Floor' : `Floor ${floor}`;
+      opt.textContent = floorLabel(floor);
       floorSelect.appendChild(opt);
     });
-    if (!floorSelect.value) floorSelect.value = String(floors[0]);
+    if (floors.includes(Number(previousFloor))) floorSelect.value = previousFloor;
   }
-    populateFloors();
+    populateLocations();
 
     hostelSelect.addEventListener('change', () => {
       populateFloors();
@@ -1277,15 +6911,17 @@ function initLaundryPage() {
     // Update the view with machines and summary for the selected location
     window.updateLaundryView = function updateLaundryView() {
     try {
+      populateLocations();
       const selectedHostel = hostelSelect.value;
       const selectedFloor = parseInt(floorSelect.value);
-      const machines = state.machines.filter(
+      const machines = activeMachines().filter(
         (m) => m.hostel === selectedHostel && m.floor === selectedFloor
       );
       // compute counts
+      const now = Date.now();
       const counts = { FREE: 0, RUNNING: 0, AWAITING: 0, MAINT: 0 };
       machines.forEach((m) => {
-        counts[m.status]++;
+        counts[getMachineStatus(m, now)]++;
       });
       // summary chips
       summaryContainer.innerHTML = '';
@@ -1300,19 +6936,52 @@ function initLaundryPage() {
         chip.textContent = `${counts[key]} ${label}`;
         summaryContainer.appendChild(chip);
       });
-      // busy banner
-      busyBanner.style.display = counts['FREE'] === 0 ? 'flex' : 'none';
+      // busy banner: machines held or reserved for someone else are busy too
+      const myId = state.user ? state.user.id : null;
+      const available = machines.filter((m) => {
+        const hold = machineHold(m.id, now);
+        const due = reservationDue(m.id, now);
+        return (
+          getMachineStatus(m, now) === 'FREE' && (!hold || hold.userId === myId) && (!due || due.userId === myId)
+        );
+      });
+      const myEntry = myQueueEntry();
+      const queueHere = floorQueue(selectedHostel, selectedFloor);
+      const waitingHere = queueHere.length;
+      busyBanner.style.display = machines.length > 0 && available.length === 0 && !myEntry ? 'flex' : 'none';
+      // Someone joining now goes behind everyone still waiting.
+      const nextWait = estimateQueueWait(
+        selectedHostel,
+        selectedFloor,
+        queueHere.filter((e) => e.status === 'WAITING').length + 1,
+        now
+      );
+      busyText.textContent = [
+        waitingHere > 0 ? `All machines are busy. ${waitingHere} waiting in the queue.` : 'All machines are busy.',
+        nextWait != null ? `Next machine likely free${waitingHere > 0 ? ' for you' : ''} in ~${Math.max(1, nextWait)} min.` : null,
+      ]
+        .filter(Boolean)
+        .join(' ');
+      renderQueuePanel(myEntry, now);
       // render machine cards
       machinesGrid.innerHTML = '';
+      if (machines.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'muted';
+        empty.textContent = 'No machines have been registered yet. An admin can add them from the Machines page.';
+        machinesGrid.appendChild(empty);
+      }
       machines.forEach((m) => {
+        const machineStatus = getMachineStatus(m, now);
         const card = document.createElement('div');
         card.className = 'machine-card';
         card.dataset.id = m.id;
-        card.dataset.status = m.status;
+        card.dataset.status = machineStatus;
         // icon
         const icon = document.createElement('div');
         icon.className = 'machine-icon';
-        icon.textContent = '🧺';
+        icon.textContent = machineType(m).icon;
+        icon.title = machineType(m).label;
         card.appendChild(icon);
         // name
         const name = document.createElement('div');
@@ -1322,18 +6991,63 @@ function initLaundryPage() {
         // subtext
         const sub = document.createElement('div');
         sub.className = 'machine-subtext';
-        sub.textContent = `Floor ${m.floor} · ${m.hostel}`;
+        sub.textContent = `${machineType(m).label} · ${floorLabel(m.floor)} · ${m.hostel}`;
         card.appendChild(sub);
+        // program of the cycle in progress
+        if ((machineStatus === 'RUNNING' || machineStatus === 'AWAITING') && m.programLabel) {
+          const program = document.createElement('div');
+          program.className = 'machine-program';
+          program.textContent = describeProgram(m.programLabel, m.cycleMinutes);
+          card.appendChild(program);
+        }
+        // next reservation within a day
+        const nextReservation = machineReservations(m.id, now)[0];
+        if (nextReservation && nextReservation.startAt - now < 24 * 60 * 60 * 1000) {
+          const reservation = document.createElement('div');
+          reservation.className = 'machine-reservation';
+          const forWhom = nextReservation.userId === myId ? ' for you' : '';
+          reservation.textContent = `Reserved${forWhom} from ${formatSlotTime(nextReservation.startAt, now)}`;
+          card.appendChild(reservation);
+        }
         // status chip
         const status = document.createElement('div');
-        status.className = `machine-status status-${m.status.toLowerCase()}`;
+        status.className = `machine-status status-${machineStatus.toLowerCase()}`;
+        const remaining = getRemainingMinutes(m, now);
+        const hold = machineHold(m.id, now);
+        const due = reservationDue(m.id, now);
         let labelStr;
-        if (m.status === 'FREE') labelStr = 'Free';
-        else if (m.status === 'RUNNING') labelStr = m.eta != null ? `Running · ${m.eta}m` : 'Running';
-        else if (m.status === 'AWAITING') labelStr = 'Awaiting pickup';
+        if (machineStatus === 'FREE' && hold) {
+          labelStr = hold.userId === myId ? 'Held for you' : 'Held for queue';
+          status.className = 'machine-status status-held';
+        } else if (machineStatus === 'FREE' && due) {
+          labelStr = due.userId === myId ? 'Reserved for you' : 'Reserved';
+          status.className = 'machine-status status-booked';
+        } else if (machineStatus === 'FREE') labelStr = 'Free';
+        else if (machineStatus === 'RUNNING') labelStr = remaining != null ? `Running · ${remaining}m` : 'Running';
+        else if (machineStatus === 'AWAITING') labelStr = 'Awaiting pickup';
         else labelStr = 'Maintenance';
         status.textContent = labelStr;
         card.appendChild(status);
+        // when a machine nobody else can use now is likely free
+        const taken =
+          machineStatus === 'RUNNING' ||
+          machineStatus === 'AWAITING' ||
+          (machineStatus === 'FREE' && ((hold && hold.userId !== myId) || (due && due.userId !== myId)));
+        const wait = taken ? estimateMachineWait(m, now) : null;
+        if (wait != null) {
+          const estimate = document.createElement('div');
+          estimate.className = 'machine-estimate';
+          estimate.textContent = `Likely free in ~${Math.max(1, wait)} min`;
+          card.appendChild(estimate);
+        }
+        // changes to this machine still waiting in the outbox
+        const queued = state.outbox.find((op) => op.args.machineId === m.id);
+        if (queued) {
+          const sync = document.createElement('div');
+          sync.className = `machine-sync outbox-${queued.status.toLowerCase()}`;
+          sync.textContent = queued.status === 'FAILED' ? 'Sync failed' : 'Pending sync';
+          card.appendChild(sync);
+        }
         // click handler opens modal
         card.addEventListener('click', () => openMachineModal(m));
         machinesGrid.appendChild(card);
@@ -1343,6 +7057,51 @@ function initLaundryPage() {
     }
   };
 
+    // The resident's place in the queue, or the machine held for them.
+    function renderQueuePanel(entry, now) {
+      queuePanel.innerHTML = '';
+      queuePanel.style.display = entry ? 'flex' : 'none';
+      if (!entry) return;
+      const text = document.createElement('span');
+      const addButton = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.onclick = onClick;
+        queuePanel.appendChild(btn);
+      };
+      queuePanel.appendChild(text);
+      const place = `the ${floorLabel(entry.floor)} of ${entry.hostel}`;
+      const machine = entry.status === 'HOLDING' && state.machines.find((m) => m.id === entry.machineId);
+      if (machine && entry.holdExpiresAt > now) {
+        const until = new Date(entry.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const strong = document.createElement('strong');
+        strong.textContent = 'Your turn!';
+        text.appendChild(strong);
+        text.appendChild(document.createTextNode(` ${machine.label} on ${place} is held for you until ${until}.`));
+        addButton(`Start ${machine.label}`, () => {
+          hostelSelect.value = machine.hostel;
+          populateFloors();
+          floorSelect.value = String(machine.floor);
+          updateLaundryView();
+          openMachineModal(machine);
+        });
+        addButton('Pass', () => {
+          if (confirm(`Pass ${machine.label} to the next person and leave the queue?`)) leaveQueue(entry.id);
+        });
+        return;
+      }
+      const queue = floorQueue(entry.hostel, entry.floor);
+      const position = queue.findIndex((e) => e.id === entry.id) + 1;
+      // People already holding a machine are accounted for by that machine.
+      const waitingAhead = queue.slice(0, position - 1).filter((e) => e.status === 'WAITING').length;
+      const wait = estimateQueueWait(entry.hostel, entry.floor, waitingAhead + 1, now);
+      const waitText = wait != null ? ` Estimated wait: about ${wait} min.` : '';
+      text.textContent = `You are #${position} of ${queue.length} in the queue for ${place}.${waitText}`;
+      addButton('Leave queue', () => leaveQueue(entry.id));
+    }
+
+    queueBtn.addEventListener('click', () => joinQueue(hostelSelect.value, parseInt(floorSelect.value, 10)));
+
     // Initial render. Perform the update on the next tick to allow the DOM to
     // settle. Without deferring, the view may not populate on the first load.
     setTimeout(() => {
@@ -1352,23 +7111,32 @@ function initLaundryPage() {
     notifyBtn.addEventListener('click', () => {
       const selectedHostel = hostelSelect.value;
       const selectedFloor = parseInt(floorSelect.value);
-      if (!state.watchFree[selectedHostel]) state.watchFree[selectedHostel] = {};
-      state.watchFree[selectedHostel][selectedFloor] = true;
-      saveState();
+      mutateState(
+        () => {
+          if (!state.watchFree[selectedHostel]) state.watchFree[selectedHostel] = {};
+          state.watchFree[selectedHostel][selectedFloor] = true;
+        },
+        { local: true }
+      );
       // Provide immediate feedback to the user
       notifyBtn.textContent = 'We’ll notify you';
       notifyBtn.disabled = true;
     });
 
-    // If a machine was requested to be opened from My Washes, handle it
-    const openMachineId = localStorage.getItem('openMachineId');
-    if (openMachineId) {
-      const machine = state.machines.find((m) => m.id === openMachineId);
+    // A deep link (see Deep links) shows the machine's floor and opens it.
+    const link = takeDeepLink('machine', 'action');
+    if (link && link.machine) {
+      const machine = activeMachines().find((m) => m.id === link.machine);
       if (machine) {
+        hostelSelect.value = machine.hostel;
+        populateFloors();
+        floorSelect.value = String(machine.floor);
+        const action = DEEP_LINK_ACTIONS.includes(link.action) ? link.action : undefined;
         // Delay opening slightly to allow page layout to stabilise
-        setTimeout(() => openMachineModal(machine), 100);
+        setTimeout(() => openMachineModal(machine, { action }), 100);
+      } else {
+        alert('That machine is not in service any more.');
       }
-      localStorage.removeItem('openMachineId');
     }
   } catch (err) {
     console.error('initLaundryPage error:', err);
@@ -1379,29 +7147,81 @@ function initLaundryPage() {
 // along with context-specific actions (start wash, notify, nudge, mark
 // collected, report).  A nested report form can be opened to flag
 // maintenance issues.  When actions are taken the state is updated and
-// re-rendering occurs.
-function openMachineModal(machine) {
+// re-rendering occurs.  `action: 'start'` comes from a deep link and puts
+// the focus on starting a wash when the machine is free.
+function openMachineModal(machine, { action } = {}) {
   const overlay = document.getElementById('overlay');
   const modalTitle = document.getElementById('modal-title');
   const modalStatus = document.getElementById('modal-status');
   const modalActions = document.getElementById('modal-actions');
   modalTitle.textContent = machine.label;
   modalActions.innerHTML = '';
+  const machineStatus = getMachineStatus(machine);
+  const myId = state.user ? state.user.id : null;
+  const hold = machineHold(machine.id);
+  const heldForOther = hold && hold.userId !== myId;
+  const due = reservationDue(machine.id);
+  const reservedForOther = due && due.userId !== myId;
   let statusText = '';
-  if (machine.status === 'FREE') {
-    statusText = 'This machine is free to use.';
+  if (machineStatus === 'FREE' && (heldForOther || reservedForOther)) {
+    const until = new Date(heldForOther ? hold.holdExpiresAt : due.endAt).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    statusText = heldForOther
+      ? `Held for the next person in the queue until ${until}.`
+      : `Reserved by ${due.userName} from ${formatSlotTime(due.startAt)} to ${until}.`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn-secondary';
+    closeBtn.textContent = 'Close';
+    closeBtn.onclick = () => overlay.classList.remove('active');
+    modalActions.appendChild(closeBtn);
+  } else if (machineStatus === 'FREE') {
+    statusText = hold
+      ? `Held for you until ${new Date(hold.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+      : `This ${machineType(machine).label.toLowerCase()} is free to use.`;
+    if (due) statusText = `Your reservation starts ${formatSlotTime(due.startAt)}. Start a wash to check in.`;
+    const nextReserved = machineReservations(machine.id).find((r) => r.userId !== myId);
+    if (nextReserved) {
+      statusText += ` Reserved from ${formatSlotTime(nextReserved.startAt)}, so the cycle must finish before then.`;
+    }
+    // Program picker; choosing a program fills in its default duration.
+    const programLabel = document.createElement('label');
+    programLabel.className = 'duration-label';
+    programLabel.textContent = 'Program';
+    const programSelect = document.createElement('select');
+    programSelect.className = 'duration-input';
+    machineType(machine).programs.forEach((id) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = describeProgram(WASH_PROGRAMS[id].label, WASH_PROGRAMS[id].minutes);
+      programSelect.appendChild(opt);
+    });
+    const estimate = document.createElement('p');
+    estimate.className = 'muted program-estimate';
     // Duration input
     const durationLabel = document.createElement('label');
     durationLabel.className = 'duration-label';
     durationLabel.textContent = 'Duration (min)';
     const durationInput = document.createElement('input');
     durationInput.type = 'number';
-    durationInput.min = '10';
-    durationInput.max = '90';
-    durationInput.value = '35';
+    durationInput.min = String(MIN_CYCLE_MINUTES);
+    durationInput.max = String(MAX_CYCLE_MINUTES);
     durationInput.className = 'duration-input';
+    const applyProgram = () => {
+      const program = WASH_PROGRAMS[programSelect.value];
+      durationInput.value = String(program.minutes);
+      estimate.textContent = program.waterLitres
+        ? `About ${program.energyKwh} kWh and ${program.waterLitres} L of water.`
+        : `About ${program.energyKwh} kWh.`;
+    };
+    programSelect.addEventListener('change', applyProgram);
+    applyProgram();
     const durationWrapper = document.createElement('div');
     durationWrapper.className = 'duration-wrapper';
+    durationWrapper.appendChild(programLabel);
+    durationWrapper.appendChild(programSelect);
+    durationWrapper.appendChild(estimate);
     durationWrapper.appendChild(durationLabel);
     durationWrapper.appendChild(durationInput);
     modalActions.appendChild(durationWrapper);
@@ -1415,9 +7235,14 @@ function openMachineModal(machine) {
     const startBtn = document.createElement('button');
     startBtn.className = 'btn-primary';
     startBtn.textContent = 'Start Wash';
-      startBtn.onclick = () => {
-      const minutes = parseInt(durationInput.value || '35');
-      startWash(machine, minutes);
+      startBtn.onclick = async () => {
+      const program = WASH_PROGRAMS[programSelect.value];
+      const minutes = parseInt(durationInput.value, 10) || program.minutes;
+      if (minutes < MIN_CYCLE_MINUTES || minutes > MAX_CYCLE_MINUTES) {
+        alert(`Choose a duration between ${MIN_CYCLE_MINUTES} and ${MAX_CYCLE_MINUTES} minutes.`);
+        return;
+      }
+      await startWash(machine, programSelect.value, minutes);
       overlay.classList.remove('active');
       updateLaundryView();
       // Only attempt to render My Washes if the function exists.
@@ -1428,29 +7253,52 @@ function openMachineModal(machine) {
     actionsRow.appendChild(cancelBtn);
     actionsRow.appendChild(startBtn);
     modalActions.appendChild(actionsRow);
-  } else if (machine.status === 'RUNNING') {
-    statusText = machine.eta != null
-      ? `Currently running. ${machine.eta} minutes remaining.`
-      : 'Currently running.';
+    if (action === 'start') setTimeout(() => programSelect.focus(), 0);
+  } else if (machineStatus === 'RUNNING') {
+    const remaining = getRemainingMinutes(machine);
+    const running = machine.programLabel ? `Running ${machine.programLabel}.` : 'Currently running.';
+    statusText = remaining != null ? `${running} ${remaining} minutes remaining.` : running;
     const actionsRow = document.createElement('div');
     actionsRow.className = 'modal-actions-row';
     const closeBtn = document.createElement('button');
     closeBtn.className = 'btn-secondary';
     closeBtn.textContent = 'Close';
     closeBtn.onclick = () => overlay.classList.remove('active');
-    const notifyBtn = document.createElement('button');
-    notifyBtn.className = 'btn-primary';
-    notifyBtn.textContent = 'Notify When Done';
-    notifyBtn.onclick = () => {
-      pushNotice(`You will be notified when ${machine.label} finishes.`, 'info');
-      overlay.classList.remove('active');
-    };
     actionsRow.appendChild(closeBtn);
-    actionsRow.appendChild(notifyBtn);
+    if (state.user) actionsRow.appendChild(watchButton(machine, 'Notify When Done'));
     modalActions.appendChild(actionsRow);
-  } else if (machine.status === 'AWAITING') {
-    const minsAgo = machine.lastCompletedAt
-      ? Math.round((Date.now() - machine.lastCompletedAt) / 60000)
+    // Started on the machine before the app: the resident can still make
+    // the cycle theirs, with the program they chose on the machine.
+    if (state.user && claimableTelemetryWash(machine, Date.now())) {
+      const claimRow = document.createElement('div');
+      claimRow.className = 'duration-wrapper';
+      const programLabel = document.createElement('label');
+      programLabel.className = 'duration-label';
+      programLabel.textContent = 'Started it on the machine? Program';
+      const programSelect = document.createElement('select');
+      programSelect.className = 'duration-input';
+      machineType(machine).programs.forEach((id) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = describeProgram(WASH_PROGRAMS[id].label, WASH_PROGRAMS[id].minutes);
+        programSelect.appendChild(opt);
+      });
+      const claimBtn = document.createElement('button');
+      claimBtn.className = 'btn-primary';
+      claimBtn.textContent = 'This is my wash';
+      claimBtn.onclick = async () => {
+        await startWash(machine, programSelect.value, WASH_PROGRAMS[programSelect.value].minutes);
+        overlay.classList.remove('active');
+      };
+      claimRow.appendChild(programLabel);
+      claimRow.appendChild(programSelect);
+      claimRow.appendChild(claimBtn);
+      modalActions.appendChild(claimRow);
+    }
+  } else if (machineStatus === 'AWAITING') {
+    const completedAt = getCompletedAt(machine);
+    const minsAgo = completedAt
+      ? Math.round((Date.now() - completedAt) / 60000)
       : 0;
     statusText = `Cycle complete ${minsAgo} min ago. Clothes are awaiting pickup.`;
     const actionsRow = document.createElement('div');
@@ -1461,8 +7309,8 @@ function openMachineModal(machine) {
     const nudgeBtn = document.createElement('button');
     nudgeBtn.className = 'btn-primary';
     nudgeBtn.textContent = 'Nudge owner';
-    nudgeBtn.onclick = () => {
-      nudgeMachine(machine);
+    nudgeBtn.onclick = async () => {
+      await nudgeMachine(machine);
       overlay.classList.remove('active');
     };
     // Create flag button: indicates that clothes are still in the
@@ -1471,35 +7319,70 @@ function openMachineModal(machine) {
     const flagBtn = document.createElement('button');
     flagBtn.className = 'btn-secondary';
     flagBtn.textContent = 'Flag clothes';
-    flagBtn.onclick = () => {
-      flagMachine(machine);
+    flagBtn.onclick = async () => {
+      await flagMachine(machine);
       overlay.classList.remove('active');
     };
     // Collect button: used by the owner to mark the machine as free.
+    // Admins clear other residents' cycles from the Machines page.
+    const isOwner = !machine.ownerId || (state.user && machine.ownerId === state.user.id);
     const collectBtn = document.createElement('button');
     collectBtn.className = 'btn-secondary';
     collectBtn.textContent = 'Mark collected';
-    collectBtn.onclick = () => {
-      markCollected(machine);
+    collectBtn.onclick = async () => {
+      await markCollected(machine);
       overlay.classList.remove('active');
       updateLaundryView();
       if (typeof renderMyWashes === 'function') {
         renderMyWashes();
       }
     };
-    // Append buttons in intuitive order: nudge, flag, collect.
-    actionsRow.appendChild(nudgeBtn);
-    actionsRow.appendChild(flagBtn);
-    actionsRow.appendChild(collectBtn);
+    // Append buttons in intuitive order: nudge, flag, collect.  Owners
+    // cannot nudge or flag their own wash.
+    if (!isOwner || !machine.ownerId) {
+      actionsRow.appendChild(nudgeBtn);
+      actionsRow.appendChild(flagBtn);
+    }
+    if (isOwner) actionsRow.appendChild(collectBtn);
+    // Once the load has reached the MAY_MOVE step anyone may free it.
+    if (!isOwner && state.user && mayMoveClothes(machine)) {
+      const moveBtn = document.createElement('button');
+      moveBtn.className = 'btn-secondary';
+      moveBtn.textContent = 'Move clothes out';
+      moveBtn.onclick = async () => {
+        if (!confirm(`Move the clothes out of ${machine.label} and free it?`)) return;
+        await markCollected(machine);
+        overlay.classList.remove('active');
+      };
+      actionsRow.appendChild(moveBtn);
+    }
     modalActions.appendChild(actionsRow);
-  } else if (machine.status === 'MAINT') {
-    statusText = 'This machine is under maintenance.';
+    const escalationLog = renderEscalationLog(machine);
+    if (escalationLog) modalActions.appendChild(escalationLog);
+    if (state.user && machine.ownerId !== state.user.id) {
+      const watchBtn = watchButton(machine, 'Notify When Free');
+      watchBtn.classList.add('report-btn');
+      modalActions.appendChild(watchBtn);
+    }
+  } else if (machineStatus === 'MAINT') {
+    const ticket = openTicketFor(machine.id);
+    statusText = ticket
+      ? `This machine is under maintenance (${TICKET_STATUS_LABELS[ticket.status].toLowerCase()}).`
+      : 'This machine is under maintenance.';
     const okBtn = document.createElement('button');
     okBtn.className = 'btn-primary';
     okBtn.textContent = 'OK';
     okBtn.onclick = () => overlay.classList.remove('active');
     modalActions.appendChild(okBtn);
   }
+  // Reserve a later slot on any machine in service
+  if (machineStatus !== 'MAINT' && state.user) {
+    const reserveBtn = document.createElement('button');
+    reserveBtn.className = 'btn-secondary report-btn';
+    reserveBtn.textContent = 'Reserve a slot';
+    reserveBtn.onclick = () => openReservationForm(machine);
+    modalActions.appendChild(reserveBtn);
+  }
   // Report button (available for all statuses)
   const reportBtn = document.createElement('button');
   reportBtn.className = 'btn-secondary report-btn';
@@ -1520,8 +7403,151 @@ function openMachineModal(machine) {
   }, { once: true });
 }
 
+// Escalation steps of an AWAITING machine's load: those logged so far and
+// the ones still to come, or null when it does not escalate.
+function renderEscalationLog(machine) {
+  const wash = machine.status === 'AWAITING' && machine.ownerId ? awaitingWash(machine.id) : null;
+  if (!wash) return null;
+  const logged = wash.escalations || [];
+  const upcoming = escalationSchedule(machine).filter((e) => !logged.some((l) => l.step === e.step));
+  if (logged.length === 0 && upcoming.length === 0) return null;
+  const time = (at) => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const list = document.createElement('ul');
+  list.className = 'escalation-log';
+  logged.concat(upcoming).forEach((e) => {
+    const item = document.createElement('li');
+    const done = logged.includes(e);
+    item.className = done ? 'done' : 'muted';
+    item.textContent = `${time(e.at)} · ${ESCALATION_STEPS[e.step].label}${done ? '' : ' if still not collected'}`;
+    list.appendChild(item);
+  });
+  return list;
+}
+
+// Button that watches the machine's cycle, or stops watching it when the
+// current user already does.  Closes the machine modal either way.
+function watchButton(machine, label) {
+  const watch = myWatch(machine.id);
+  const btn = document.createElement('button');
+  btn.className = watch ? 'btn-secondary' : 'btn-primary';
+  btn.textContent = watch ? 'Stop notifying me' : label;
+  btn.onclick = async () => {
+    await (watch ? unwatchMachine(watch.id) : watchMachine(machine));
+    document.getElementById('overlay').classList.remove('active');
+  };
+  return btn;
+}
+
+// Open the reservation form for a machine: its upcoming reservations, then a
+// date, start time and program.  The slot lasts as long as the program.
+function openReservationForm(machine) {
+  let reserveOverlay = document.getElementById('reserve-overlay');
+  if (!reserveOverlay) {
+    reserveOverlay = document.createElement('div');
+    reserveOverlay.id = 'reserve-overlay';
+    reserveOverlay.className = 'overlay';
+    document.body.appendChild(reserveOverlay);
+  }
+  reserveOverlay.innerHTML = '';
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  const title = document.createElement('h3');
+  title.textContent = `Reserve ${machine.label}`;
+  modal.appendChild(title);
+  // Existing reservations
+  const existingBlock = document.createElement('div');
+  existingBlock.className = 'booking-availability';
+  const existingTitle = document.createElement('h4');
+  existingTitle.textContent = 'Reserved slots';
+  existingBlock.appendChild(existingTitle);
+  const slotList = document.createElement('div');
+  slotList.className = 'booking-slot-list';
+  const upcoming = machineReservations(machine.id);
+  if (upcoming.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'muted';
+    empty.textContent = 'No upcoming reservations.';
+    slotList.appendChild(empty);
+  }
+  upcoming.forEach((r) => {
+    const row = document.createElement('div');
+    row.className = 'booking-slot-row';
+    const who = document.createElement('strong');
+    who.textContent = r.userName;
+    const when = document.createElement('span');
+    when.textContent = `${formatSlotTime(r.startAt)} → ${formatSlotTime(r.endAt)}`;
+    row.appendChild(who);
+    row.appendChild(when);
+    slotList.appendChild(row);
+  });
+  existingBlock.appendChild(slotList);
+  modal.appendChild(existingBlock);
+  const addField = (labelText, input) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    group.appendChild(label);
+    group.appendChild(input);
+    modal.appendChild(group);
+    return input;
+  };
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  // Tomorrow by default; most reservations are for the next morning.
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  dateInput.value = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
+  addField('Date', dateInput);
+  const startInput = document.createElement('input');
+  startInput.type = 'time';
+  startInput.value = '07:00';
+  addField('Start time', startInput);
+  const programSelect = document.createElement('select');
+  machineType(machine).programs.forEach((id) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = describeProgram(WASH_PROGRAMS[id].label, WASH_PROGRAMS[id].minutes);
+    programSelect.appendChild(opt);
+  });
+  addField('Program', programSelect);
+  const note = document.createElement('p');
+  note.className = 'muted';
+  note.textContent = `Start a wash within ${RESERVATION_GRACE_MINUTES} minutes of the start time or the slot is released.`;
+  modal.appendChild(note);
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions-row';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => reserveOverlay.classList.remove('active');
+  const submitBtn = document.createElement('button');
+  submitBtn.className = 'btn-primary';
+  submitBtn.textContent = 'Reserve';
+  submitBtn.onclick = async () => {
+    if (!dateInput.value || !startInput.value) {
+      alert('Please select a date and start time.');
+      return;
+    }
+    const startAt = new Date(`${dateInput.value}T${startInput.value}`).getTime();
+    await reserveMachine(machine, programSelect.value, startAt);
+    reserveOverlay.classList.remove('active');
+    document.getElementById('overlay').classList.remove('active');
+  };
+  actions.appendChild(cancelBtn);
+  actions.appendChild(submitBtn);
+  modal.appendChild(actions);
+  reserveOverlay.appendChild(modal);
+  reserveOverlay.classList.add('active');
+  reserveOverlay.addEventListener('click', (e) => {
+    if (e.target === reserveOverlay) {
+      reserveOverlay.classList.remove('active');
+    }
+  }, { once: true });
+}
+
 // Open a report form modal for the given machine.  Users can select a reason,
-// optionally add notes and a photo, and choose whether to mark the machine as
+// optionally add notes and photos, and choose whether to mark the machine as
 // maintenance if the issue seems severe.  Upon submission the report is
 // recorded and the machine status may be updated.
 function openReportForm(machine) {
@@ -1566,25 +7592,13 @@ function openReportForm(machine) {
   modal.appendChild(notesDiv);
   // Photo input
   const photoLabel = document.createElement('label');
-  photoLabel.textContent = 'Photo (optional)';
-  const photoInput = document.createElement('input');
-  photoInput.type = 'file';
-  photoInput.accept = 'image/*';
+  photoLabel.textContent = `Photos (optional, up to ${MAX_REPORT_PHOTOS})`;
+  const photoPicker = createPhotoPicker();
   const photoDiv = document.createElement('div');
   photoDiv.className = 'form-group';
   photoDiv.appendChild(photoLabel);
-  photoDiv.appendChild(photoInput);
+  photoDiv.appendChild(photoPicker.element);
   modal.appendChild(photoDiv);
-  let photoData = undefined;
-  photoInput.addEventListener('change', (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      photoData = reader.result;
-    };
-    reader.readAsDataURL(file);
-  });
   // Affect maintenance checkbox
   const affectDiv = document.createElement('div');
   affectDiv.className = 'form-group horizontal';
@@ -1610,12 +7624,12 @@ function openReportForm(machine) {
   const submitBtn = document.createElement('button');
   submitBtn.className = 'btn-primary';
   submitBtn.textContent = 'Submit';
-  submitBtn.onclick = () => {
+  submitBtn.onclick = async () => {
     const reason = reasonSelect.value;
     const notes = notesArea.value;
     const severe = reason === 'Not working' || reason === 'Leaking water';
     const affect = affectInput.checked && severe;
-    submitReport(machine.id, reason, notes, photoData, affect);
+    await submitReport(machine.id, reason, notes, photoPicker.photos(), affect);
     reportOverlay.classList.remove('active');
     // Re-render to reflect maintenance status if changed
     updateLaundryView();
@@ -1633,6 +7647,124 @@ function openReportForm(machine) {
   }, { once: true });
 }
 
+// A file input for report photos with a thumbnail of each processed photo
+// and a button to remove it.  `photos` seeds the picker and `onChange` hears
+// about every change, so a caller can keep the photos across re-renders.
+function createPhotoPicker(photos = [], onChange = () => {}) {
+  let current = [...photos];
+  const element = document.createElement('div');
+  element.className = 'photo-picker';
+  const thumbs = document.createElement('div');
+  thumbs.className = 'photo-thumbs';
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*';
+  input.multiple = true;
+  const status = document.createElement('span');
+  status.className = 'status';
+
+  const renderThumbs = () => {
+    thumbs.innerHTML = '';
+    current.forEach((src, index) => {
+      const thumb = document.createElement('div');
+      thumb.className = 'photo-thumb';
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = `Photo ${index + 1}`;
+      img.onclick = () => openLightbox(current, index);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove photo ${index + 1}`);
+      remove.onclick = () => {
+        current = current.filter((_, i) => i !== index);
+        renderThumbs();
+        onChange(current);
+      };
+      thumb.appendChild(img);
+      thumb.appendChild(remove);
+      thumbs.appendChild(thumb);
+    });
+    input.disabled = current.length >= MAX_REPORT_PHOTOS;
+  };
+
+  input.addEventListener('change', async () => {
+    const files = [...input.files].slice(0, MAX_REPORT_PHOTOS - current.length);
+    input.value = '';
+    if (files.length === 0) return;
+    status.textContent = 'Preparing photos…';
+    input.disabled = true;
+    let failed = 0;
+    for (const file of files) {
+      try {
+        current = [...current, await processPhoto(file)];
+      } catch (err) {
+        failed++;
+      }
+    }
+    status.textContent = '';
+    renderThumbs();
+    onChange(current);
+    if (failed > 0) alert(`${failed} photo${failed === 1 ? '' : 's'} could not be read. Try a JPEG or PNG.`);
+  });
+
+  element.appendChild(thumbs);
+  element.appendChild(input);
+  element.appendChild(status);
+  renderThumbs();
+  return { element, photos: () => current };
+}
+
+// Show photos full size, starting at `index`, with previous and next buttons
+// when there are several.  Escape or a click outside the photo closes it.
+function openLightbox(photos, index = 0) {
+  let overlay = document.getElementById('lightbox-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'lightbox-overlay';
+    overlay.className = 'overlay';
+    document.body.appendChild(overlay);
+  }
+  let shown = index;
+  const close = () => {
+    overlay.classList.remove('active');
+    document.removeEventListener('keydown', onKey);
+  };
+  const show = (next) => {
+    shown = (next + photos.length) % photos.length;
+    overlay.innerHTML = '';
+    const img = document.createElement('img');
+    img.src = photos[shown];
+    img.alt = `Photo ${shown + 1} of ${photos.length}`;
+    overlay.appendChild(img);
+    const controls = document.createElement('div');
+    controls.className = 'lightbox-controls';
+    const addControl = (text, label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = text;
+      btn.setAttribute('aria-label', label);
+      btn.onclick = onClick;
+      controls.appendChild(btn);
+    };
+    if (photos.length > 1) addControl('‹', 'Previous photo', () => show(shown - 1));
+    addControl('×', 'Close', close);
+    if (photos.length > 1) addControl('›', 'Next photo', () => show(shown + 1));
+    overlay.appendChild(controls);
+  };
+  const onKey = (e) => {
+    if (e.key === 'Escape') close();
+    else if (e.key === 'ArrowLeft' && photos.length > 1) show(shown - 1);
+    else if (e.key === 'ArrowRight' && photos.length > 1) show(shown + 1);
+  };
+  overlay.onclick = (e) => {
+    if (e.target === overlay) close();
+  };
+  document.addEventListener('keydown', onKey);
+  show(index);
+  overlay.classList.add('active');
+}
+
 // Initialise the My Washes page.  Delegates rendering to renderMyWashes(),
 // which will be called every minute by the tick handler to keep the list
 // current.  Provide a global renderMyWashes() so other parts of the code
@@ -1644,8 +7776,14 @@ function initMyWashesPage() {
     if (!activeList || !historyList) return;
     activeList.innerHTML = '';
     historyList.innerHTML = '';
-    const active = state.washes.filter((w) => w.status === 'RUNNING' || w.status === 'AWAITING');
-    const history = state.washes.filter((w) => w.status === 'COLLECTED');
+    renderMyReservations();
+    // Washes from before cycles had owners are shown to everyone; cycles
+    // the sensors saw that nobody could be matched to are not.
+    const mine = state.washes.filter((w) =>
+      w.ownerId ? state.user && w.ownerId === state.user.id : !w.source
+    );
+    const active = mine.filter((w) => w.status === 'RUNNING' || w.status === 'AWAITING');
+    const history = mine.filter((w) => w.status === 'COLLECTED' || w.status === 'INTERRUPTED');
     // render active
     active.forEach((w) => {
       const row = document.createElement('div');
@@ -1654,31 +7792,35 @@ function initMyWashesPage() {
       info.className = 'info';
       // find machine for eta and location
       const machine = state.machines.find((m) => m.id === w.machineId);
+      const remaining = machine ? getRemainingMinutes(machine) : null;
+      // A cycle whose end time has passed counts as finished even before the
+      // tick has persisted the transition.
+      const finished =
+        w.status === 'AWAITING' || (machine && getMachineStatus(machine) === 'AWAITING');
       let statusLabel;
-      if (w.status === 'RUNNING') {
-        statusLabel = machine?.eta != null ? `Running · ${machine.eta}m remaining` : 'Running';
+      if (!finished) {
+        statusLabel = remaining != null ? `Running · ${remaining}m remaining` : 'Running';
       } else {
         statusLabel = 'Finished · waiting pickup';
       }
-      info.innerHTML = `<strong>${w.machineLabel}</strong><span class="status">${statusLabel}</span>`;
+      fillInfo(info, w.machineLabel, [w.programLabel && describeProgram(w.programLabel, w.minutes), statusLabel]);
       const btnGroup = document.createElement('div');
       btnGroup.className = 'wash-actions';
       // View button
       const viewBtn = document.createElement('button');
       viewBtn.textContent = 'View';
       viewBtn.onclick = () => {
-        localStorage.setItem('openMachineId', w.machineId);
-        window.location.href = 'laundry.html';
+        window.location.href = machineLink(w.machineId);
       };
       btnGroup.appendChild(viewBtn);
       // Collect button if awaiting
-      if (w.status === 'AWAITING') {
+      if (finished) {
         const collectBtn = document.createElement('button');
         collectBtn.textContent = 'Collected';
-        collectBtn.onclick = () => {
+        collectBtn.onclick = async () => {
           const machineToCollect = state.machines.find((m) => m.id === w.machineId);
           if (machineToCollect) {
-            markCollected(machineToCollect);
+            await markCollected(machineToCollect);
             renderMyWashes();
             updateLaundryView();
           }
@@ -1697,11 +7839,51 @@ function initMyWashesPage() {
       info.className = 'info';
       const start = new Date(w.startAt).toLocaleString();
       const end = w.endAt ? new Date(w.endAt).toLocaleString() : '';
-      info.innerHTML = `<strong>${w.machineLabel}</strong><span class="status">${start} → ${end}</span>`;
+      const details = [describeProgram(w.programLabel, w.minutes)];
+      if (w.energyKwh != null) details.push(`~${w.energyKwh} kWh`);
+      if (w.waterLitres) details.push(`~${w.waterLitres} L`);
+      let clearedText = w.clearedReason ? `Cleared by an admin: ${w.clearedReason}` : null;
+      if (w.movedBy) clearedText = 'Moved out by another resident after being left unattended';
+      if (w.status === 'INTERRUPTED') clearedText = 'Interrupted: the machine was taken out of service';
+      fillInfo(info, w.machineLabel, [
+        w.programLabel && details.join(' · '),
+        `${start} → ${end}`,
+        w.measured && `Measured: ${describeMeasured(w.measured)}`,
+        clearedText,
+      ]);
       row.appendChild(info);
       historyList.appendChild(row);
     });
   };
+  // Upcoming reservations with a Cancel button each.
+  function renderMyReservations() {
+    const list = document.getElementById('my-reservations');
+    if (!list) return;
+    list.innerHTML = '';
+    const reservations = myReservations();
+    if (reservations.length === 0) {
+      list.innerHTML = '<p class="muted">No upcoming reservations. Reserve a slot from a machine on the Laundry page.</p>';
+    }
+    reservations.forEach((r) => {
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      const slot = `${new Date(r.startAt).toLocaleDateString()} · ${formatSlotTime(r.startAt)} → ${formatSlotTime(r.endAt)}`;
+      fillInfo(info, r.machineLabel, [r.programLabel, slot]);
+      const btnGroup = document.createElement('div');
+      btnGroup.className = 'wash-actions';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.onclick = () => {
+        if (confirm(`Cancel your reservation on ${r.machineLabel}?`)) cancelReservation(r.id);
+      };
+      btnGroup.appendChild(cancelBtn);
+      row.appendChild(info);
+      row.appendChild(btnGroup);
+      list.appendChild(row);
+    });
+  }
   renderMyWashes();
 }
 
@@ -1713,6 +7895,7 @@ function initAlertsPage() {
     const list = document.getElementById('alerts-list');
     if (!list) return;
     list.innerHTML = '';
+    renderWatchList();
     state.notices.forEach((n) => {
       const item = document.createElement('div');
       item.className = 'alert-item';
@@ -1726,38 +7909,80 @@ function initAlertsPage() {
       else if (n.kind === 'report') emoji = '📝';
       iconDiv.textContent = emoji;
       const textDiv = document.createElement('div');
-      textDiv.innerHTML = `<strong>${n.title}</strong><br/><span class="time">${n.time}</span>`;
+      const title = document.createElement('strong');
+      title.textContent = n.title;
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = n.time;
+      textDiv.appendChild(title);
+      textDiv.appendChild(document.createElement('br'));
+      textDiv.appendChild(time);
       item.appendChild(iconDiv);
       item.appendChild(textDiv);
       list.appendChild(item);
     });
   };
+  // Machines the resident will be notified about, with a Cancel button each.
+  function renderWatchList() {
+    const watchList = document.getElementById('watch-list');
+    if (!watchList) return;
+    watchList.innerHTML = '';
+    const watches = myWatches();
+    if (watches.length === 0) {
+      watchList.innerHTML = '<p class="muted">Tap Notify When Done on a running machine to be told when it finishes.</p>';
+    }
+    watches.forEach((w) => {
+      const machine = state.machines.find((m) => m.id === w.machineId);
+      const status = machine ? getMachineStatus(machine) : null;
+      let statusLabel = 'Waiting for the cycle to end';
+      if (status === 'RUNNING') statusLabel = `Running · ${getRemainingMinutes(machine)}m remaining`;
+      else if (status === 'AWAITING') statusLabel = 'Finished · notifying when free';
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      const title = w.own ? `Your wash on ${w.machineLabel}` : w.machineLabel;
+      fillInfo(info, title, [statusLabel]);
+      const btnGroup = document.createElement('div');
+      btnGroup.className = 'wash-actions';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.onclick = () => unwatchMachine(w.id);
+      btnGroup.appendChild(cancelBtn);
+      row.appendChild(info);
+      row.appendChild(btnGroup);
+      watchList.appendChild(row);
+    });
+  }
   renderAlerts();
 }
 
 // -----------------------------------------------------------------------------
 // Authentication overlay
 //
-// A lightweight, client-side gate that prompts for the demo student/admin
-// credentials before the rest of the UI is shown.  Only the provided demo
-// accounts are accepted.
+// A client-side gate that asks residents to log in or register before the
+// rest of the UI is shown.  The same overlay hosts the password change and
+// reset forms; `mode` picks which one is shown.
 function ensureAuthMode() {
   const body = document.body;
-  const onAdminPage = body.classList.contains('admin-bookings-page');
-  const validPersisted =
-    state.user &&
-    ((state.user.role === 'admin' && state.user.email === DEMO_ADMIN.email) ||
-      (state.user.role === 'student' && state.user.email === DEMO_STUDENT.email));
+  const onAdminPage = body.classList.contains('admin-page');
+  // restoreSession() has already checked the signed token and the session
+  // registry; the registry is also authoritative for role and profile.
+  const account = state.user && activeSessionId && findAccount(state.user.id);
 
-  if (!validPersisted) {
+  if (account) {
+    state.user = sessionUserFor(account);
+  } else {
     state.user = null;
-    saveState();
+    clearAuthCookie();
   }
+  saveState();
   if (!state.user) {
     body.classList.add('auth-locked');
     showAuthOverlay();
     return false;
   }
+  watchSessionActivity();
   const isAdmin = state.user.role === 'admin';
   body.classList.toggle('admin-mode', isAdmin);
   if (isAdmin && !onAdminPage) {
@@ -1771,258 +7996,164 @@ function ensureAuthMode() {
   return true;
 }
 
-function showAuthOverlay() {
+const AUTH_MODES = {
+  login: { title: 'Log in to continue', submit: 'Log in' },
+  register: { title: 'Create your account', submit: 'Register' },
+  change: { title: 'Change password', submit: 'Change password' },
+  reset: { title: 'Reset your password', submit: 'Set new password' },
+};
+
+// Append a labelled input to an auth form and return the input.
+function addAuthField(form, labelText, type, attrs = {}) {
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  const input = document.createElement('input');
+  input.type = type;
+  input.required = attrs.required !== false;
+  if (attrs.placeholder) input.placeholder = attrs.placeholder;
+  if (attrs.value) input.value = attrs.value;
+  if (attrs.autocomplete) input.autocomplete = attrs.autocomplete;
+  label.appendChild(input);
+  form.appendChild(label);
+  return input;
+}
+
+// `message` is shown above the form, e.g. why the last session ended.
+function showAuthOverlay(mode = 'login', message = '') {
   let overlay = document.getElementById('auth-overlay');
-  if (overlay) {
-    overlay.classList.add('active');
-    return overlay;
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'auth-overlay';
+    overlay.className = 'auth-overlay';
+    document.body.appendChild(overlay);
   }
-  overlay = document.createElement('div');
-  overlay.id = 'auth-overlay';
-  overlay.className = 'auth-overlay active';
+  overlay.classList.add('active');
+  overlay.innerHTML = '';
+  const config = AUTH_MODES[mode] || AUTH_MODES.login;
   const card = document.createElement('div');
   card.className = 'auth-card';
   const title = document.createElement('h2');
-  title.textContent = 'Log in to continue';
-  const helper = document.createElement('p');
-  helper.className = 'muted';
-  helper.textContent = 'Use the demo accounts below to view student or admin mode.';
+  title.textContent = config.title;
   card.appendChild(title);
-  card.appendChild(helper);
-
-  const formsWrapper = document.createElement('div');
-  formsWrapper.className = 'auth-columns';
-
-  const studentForm = document.createElement('form');
-  studentForm.className = 'auth-form';
-  const sHeading = document.createElement('h3');
-  sHeading.textContent = 'Student mode';
-  const sHint = document.createElement('p');
-  sHint.className = 'muted';
-  sHint.textContent = 'subhamn2026@email.iimcal.ac.in / student123';
-  const sEmail = document.createElement('input');
-  sEmail.type = 'email';
-  sEmail.required = true;
-  sEmail.value = DEMO_STUDENT.email;
-  sEmail.placeholder = DEMO_STUDENT.email;
-  const sPass = document.createElement('input');
-  sPass.type = 'password';
-  sPass.required = true;
-  sPass.value = DEMO_STUDENT.password;
-  const sError = document.createElement('div');
-  sError.className = 'auth-error';
-  const sSubmit = document.createElement('button');
-  sSubmit.type = 'submit';
-  sSubmit.textContent = 'Enter student mode';
-  studentForm.appendChild(sHeading);
-  studentForm.appendChild(sHint);
-  studentForm.appendChild(sEmail);
-  studentForm.appendChild(sPass);
-  studentForm.appendChild(sError);
-  studentForm.appendChild(sSubmit);
-  studentForm.addEventListener('submit', (e) => {
+
+  const form = document.createElement('form');
+  form.className = 'auth-form';
+  const knownEmail = state.user ? state.user.email : '';
+  const fields = {};
+  if (mode === 'register') {
+    fields.name = addAuthField(form, 'Full name', 'text', { autocomplete: 'name' });
+  }
+  fields.email = addAuthField(form, 'Email', 'email', { value: knownEmail, autocomplete: 'email' });
+  if (mode === 'register') {
+    fields.hostel = addAuthField(form, 'Hostel', 'text', { placeholder: 'LVH' });
+    fields.room = addAuthField(form, 'Room', 'text', { placeholder: 'B-214' });
+    fields.phone = addAuthField(form, 'Phone / WhatsApp (optional)', 'text', {
+      required: false,
+      placeholder: '+91 9876543210',
+    });
+  }
+  if (mode === 'login') {
+    fields.password = addAuthField(form, 'Password', 'password', { autocomplete: 'current-password' });
+  }
+  if (mode === 'change') {
+    fields.current = addAuthField(form, 'Current password', 'password', { autocomplete: 'current-password' });
+  }
+  if (mode === 'reset') {
+    fields.code = addAuthField(form, 'Reset code from an admin', 'text', { placeholder: 'ABCD-EFGH' });
+  }
+  if (mode !== 'login') {
+    const newLabel = mode === 'register' ? 'Password' : 'New password';
+    fields.password = addAuthField(form, newLabel, 'password', { autocomplete: 'new-password' });
+    fields.password.minLength = MIN_PASSWORD_LENGTH;
+    fields.confirm = addAuthField(form, `Confirm ${newLabel.toLowerCase()}`, 'password', {
+      autocomplete: 'new-password',
+    });
+  }
+  const error = document.createElement('div');
+  error.className = 'auth-error';
+  error.textContent = message;
+  form.appendChild(error);
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = config.submit;
+  form.appendChild(submit);
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
-    const valid =
-      sEmail.value.trim().toLowerCase() === DEMO_STUDENT.email && sPass.value === DEMO_STUDENT.password;
-    if (!valid) {
-      sError.textContent = 'Use the provided student credentials to continue.';
+    if (fields.confirm && fields.confirm.value !== fields.password.value) {
+      error.textContent = 'The passwords do not match.';
       return;
     }
-    sError.textContent = '';
-    loginUser(DEMO_STUDENT.email, '', 'student', DEMO_STUDENT.name, {
-      redirectTo: window.location.pathname.split('/').pop() || 'index.html',
-    });
-  });
-
-  const adminForm = document.createElement('form');
-  adminForm.className = 'auth-form';
-  const aHeading = document.createElement('h3');
-  aHeading.textContent = 'Admin mode';
-  const aHint = document.createElement('p');
-  aHint.className = 'muted';
-  aHint.textContent = 'admin@hostel.edu / admin123';
-  const aEmail = document.createElement('input');
-  aEmail.type = 'email';
-  aEmail.required = true;
-  aEmail.value = DEMO_ADMIN.email;
-  aEmail.placeholder = DEMO_ADMIN.email;
-  const aPass = document.createElement('input');
-  aPass.type = 'password';
-  aPass.required = true;
-  aPass.value = DEMO_ADMIN.password;
-  const aError = document.createElement('div');
-  aError.className = 'auth-error';
-  const aSubmit = document.createElement('button');
-  aSubmit.type = 'submit';
-  aSubmit.textContent = 'Enter admin approvals';
-  adminForm.appendChild(aHeading);
-  adminForm.appendChild(aHint);
-  adminForm.appendChild(aEmail);
-  adminForm.appendChild(aPass);
-  adminForm.appendChild(aError);
-  adminForm.appendChild(aSubmit);
-  adminForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const valid =
-      aEmail.value.trim().toLowerCase() === DEMO_ADMIN.email && aPass.value === DEMO_ADMIN.password;
-    if (!valid) {
-      aError.textContent = 'Use the provided admin credentials to continue.';
-      return;
+    error.textContent = '';
+    submit.disabled = true;
+    // Stay on this page, keeping a machine or room deep link from a QR code.
+    const redirectTo = `${window.location.pathname.split('/').pop() || 'index.html'}${window.location.search}`;
+    try {
+      if (mode === 'login') {
+        await loginUser(await authenticate(fields.email.value, fields.password.value), { redirectTo });
+      } else if (mode === 'register') {
+        const login = await registerUser({
+          name: fields.name.value,
+          email: fields.email.value,
+          password: fields.password.value,
+          hostel: fields.hostel.value,
+          room: fields.room.value,
+          phone: fields.phone.value,
+        });
+        await loginUser(login, { redirectTo });
+      } else if (mode === 'change') {
+        await changePassword(fields.email.value, fields.current.value, fields.password.value);
+        pushNotice('Password changed', 'success');
+        if (state.user) {
+          overlay.remove();
+        } else {
+          showAuthOverlay('login');
+        }
+      } else if (mode === 'reset') {
+        await loginUser(await resetPassword(fields.email.value, fields.code.value, fields.password.value), { redirectTo });
+      }
+    } catch (err) {
+      error.textContent = err.message;
+      submit.disabled = false;
     }
-    aError.textContent = '';
-    loginUser(DEMO_ADMIN.email, '', 'admin', DEMO_ADMIN.name, { redirectTo: 'admin-bookings.html' });
   });
+  card.appendChild(form);
 
-  formsWrapper.appendChild(studentForm);
-  formsWrapper.appendChild(adminForm);
-  card.appendChild(formsWrapper);
+  // Links to the other modes.  A logged-in resident changing their password
+  // can also close the overlay.
+  const links = document.createElement('p');
+  links.className = 'admin-link auth-links';
+  const addLink = (text, onClick) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = text;
+    link.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      onClick();
+    });
+    links.appendChild(link);
+  };
+  if (state.user) {
+    addLink('Cancel', () => overlay.remove());
+  } else {
+    if (mode !== 'login') addLink('Log in', () => showAuthOverlay('login'));
+    if (mode !== 'register') addLink('Create an account', () => showAuthOverlay('register'));
+    if (mode !== 'reset') addLink('Forgot password?', () => showAuthOverlay('reset'));
+    if (mode !== 'change') addLink('Change password', () => showAuthOverlay('change'));
+  }
+  card.appendChild(links);
   overlay.appendChild(card);
-  document.body.appendChild(overlay);
   return overlay;
 }
 
-// Initialise the profile page.  If a user is logged in (state.user), show
-// their details and allow updating contact info or logging out.  If no
-// user is logged in, display a simple login form that collects an email
-// address (Google) and optional phone/WhatsApp number.  After login the
-// user is stored in state.user and the app redirects to the home page.
+// Initialise the profile page.  Logged out visitors get the auth overlay.
+// Logged in residents see their details and can update their contact
+// number, change their password or log out.
 function initProfilePage() {
   const container = document.getElementById('profile-container');
   if (!container) return;
   container.innerHTML = '';
   if (!state.user) {
-    // Not logged in: show login form with demo credentials
-    const form = document.createElement('form');
-    form.className = 'profile-form';
-    const heading = document.createElement('h2');
-    heading.textContent = 'Student login';
-    form.appendChild(heading);
-    const subtitle = document.createElement('p');
-    subtitle.className = 'muted';
-    subtitle.textContent = 'Use subhamn2026@email.iimcal.ac.in / student123';
-    form.appendChild(subtitle);
-    const emailLabel = document.createElement('label');
-    emailLabel.textContent = 'Academic email (Google)';
-    emailLabel.setAttribute('for', 'login-email');
-    form.appendChild(emailLabel);
-    const emailInput = document.createElement('input');
-    emailInput.type = 'email';
-    emailInput.id = 'login-email';
-    emailInput.required = true;
-    emailInput.placeholder = DEMO_STUDENT.email;
-    emailInput.value = DEMO_STUDENT.email;
-    form.appendChild(emailInput);
-    const passLabel = document.createElement('label');
-    passLabel.textContent = 'Password';
-    form.appendChild(passLabel);
-    const passInput = document.createElement('input');
-    passInput.type = 'password';
-    passInput.required = true;
-    passInput.value = DEMO_STUDENT.password;
-    form.appendChild(passInput);
-    const phoneLabel = document.createElement('label');
-    phoneLabel.textContent = 'Phone / WhatsApp (optional)';
-    phoneLabel.setAttribute('for', 'login-phone');
-    form.appendChild(phoneLabel);
-    const phoneInput = document.createElement('input');
-    phoneInput.type = 'text';
-    phoneInput.id = 'login-phone';
-    phoneInput.placeholder = '+91 9876543210';
-    form.appendChild(phoneInput);
-    const errorMsg = document.createElement('div');
-    errorMsg.className = 'auth-error';
-    form.appendChild(errorMsg);
-    const submitBtn = document.createElement('button');
-    submitBtn.type = 'submit';
-    submitBtn.textContent = 'Sign in';
-    form.appendChild(submitBtn);
-    form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      const email = emailInput.value.trim().toLowerCase();
-      const password = passInput.value;
-      if (email !== DEMO_STUDENT.email || password !== DEMO_STUDENT.password) {
-        errorMsg.textContent = 'Use the provided student credentials.';
-        return;
-      }
-      const phone = phoneInput.value.trim();
-      errorMsg.textContent = '';
-      loginUser(DEMO_STUDENT.email, phone, 'student', DEMO_STUDENT.name, {
-        redirectTo: 'index.html',
-      });
-    });
-    // Append the student login form to the container
-    container.appendChild(form);
-    // Create an admin login toggle below the form
-    const adminPara = document.createElement('p');
-    adminPara.className = 'admin-link';
-    adminPara.innerHTML = 'For admin login, <a href="#">click here</a>';
-    container.appendChild(adminPara);
-    // Render the admin login form when the link is clicked
-    adminPara.querySelector('a').addEventListener('click', (ev) => {
-      ev.preventDefault();
-      ev.stopPropagation();
-      renderAdminForm();
-    });
-    // Helper to render the admin login form
-    function renderAdminForm() {
-      container.innerHTML = '';
-      const aForm = document.createElement('form');
-      aForm.className = 'profile-form';
-      const h = document.createElement('h2');
-      h.textContent = 'Admin login';
-      aForm.appendChild(h);
-      const hint = document.createElement('p');
-      hint.className = 'muted';
-      hint.textContent = 'Use admin@hostel.edu / admin123';
-      aForm.appendChild(hint);
-      // Admin email field
-      const aEmailLabel = document.createElement('label');
-      aEmailLabel.textContent = 'Admin email';
-      aForm.appendChild(aEmailLabel);
-      const aEmailInput = document.createElement('input');
-      aEmailInput.type = 'email';
-      aEmailInput.placeholder = DEMO_ADMIN.email;
-      aEmailInput.value = DEMO_ADMIN.email;
-      aForm.appendChild(aEmailInput);
-      // Admin password field
-      const aPassLabel = document.createElement('label');
-      aPassLabel.textContent = 'Password';
-      aForm.appendChild(aPassLabel);
-      const aPassInput = document.createElement('input');
-      aPassInput.type = 'password';
-      aPassInput.value = DEMO_ADMIN.password;
-      aForm.appendChild(aPassInput);
-      const aError = document.createElement('div');
-      aError.className = 'auth-error';
-      aForm.appendChild(aError);
-      // Submit button for admin login
-      const aSubmit = document.createElement('button');
-      aSubmit.type = 'submit';
-      aSubmit.textContent = 'Log in';
-      aForm.appendChild(aSubmit);
-      // Back link to student login
-      const backP = document.createElement('p');
-      backP.className = 'admin-link';
-      backP.innerHTML = '<a href="#">Back to student login</a>';
-      aForm.appendChild(backP);
-      aForm.addEventListener('submit', (evt) => {
-        evt.preventDefault();
-        const emailVal = aEmailInput.value.trim().toLowerCase();
-        const passVal = aPassInput.value;
-        if (emailVal !== DEMO_ADMIN.email || passVal !== DEMO_ADMIN.password) {
-          aError.textContent = 'Use the provided admin credentials.';
-          return;
-        }
-        aError.textContent = '';
-        loginUser(DEMO_ADMIN.email, '', 'admin', DEMO_ADMIN.name, { redirectTo: 'admin-bookings.html' });
-      });
-      // On back link click, re-render student login page
-      backP.querySelector('a').addEventListener('click', (evt2) => {
-        evt2.preventDefault();
-        initProfilePage();
-      });
-      container.appendChild(aForm);
-    }
+    showAuthOverlay();
   } else {
     // Logged in: show profile and update form
     const infoSection = document.createElement('div');
@@ -2075,8 +8206,12 @@ function initProfilePage() {
     phoneForm.appendChild(updateBtn);
     phoneForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      updateUserContact(phoneInput.value);
+      updateProfile(phoneInput.value);
     });
+    const passwordBtn = document.createElement('button');
+    passwordBtn.type = 'button';
+    passwordBtn.textContent = 'Change password';
+    passwordBtn.addEventListener('click', () => showAuthOverlay('change'));
     const logoutBtn = document.createElement('button');
     logoutBtn.type = 'button';
     logoutBtn.textContent = 'Log out';
@@ -2085,11 +8220,16 @@ function initProfilePage() {
     });
     container.appendChild(infoSection);
     container.appendChild(phoneForm);
+    container.appendChild(renderSyncSettings());
+    container.appendChild(renderPushSettings());
+    container.appendChild(passwordBtn);
     container.appendChild(logoutBtn);
+    container.appendChild(renderSessionList());
+    container.appendChild(renderReputationSection());
     // Add My Washes and My Bookings sections within profile
     const washesSection = document.createElement('div');
     washesSection.className = 'profile-section';
-    washesSection.innerHTML = `<h3>My Washes</h3><div id="active-washes" class="wash-list"></div><div id="wash-history" class="wash-list"></div>`;
+    washesSection.innerHTML = `<h3>My Washes</h3><div id="my-reservations" class="wash-list"></div><div id="active-washes" class="wash-list"></div><div id="wash-history" class="wash-list"></div>`;
     container.appendChild(washesSection);
     const bookingsSection = document.createElement('div');
     bookingsSection.className = 'profile-section';
@@ -2104,46 +8244,359 @@ function initProfilePage() {
   }
 }
 
-// Login a user and persist to state.  Generates a simple id and records
-// email and phone number.  The role controls whether the user sees the
-// student experience or the admin approvals view.
-  function loginUser(email, phone, role = 'student', nameOverride, options = {}) {
-    const cleanedEmail = email.trim();
-    state.user = {
-      id: `${role}-${Date.now()}`,
-      role,
-      email: cleanedEmail,
-      phone: (phone || '').trim() || null,
-      hostel: role === 'student' ? DEMO_STUDENT.hostel : '',
-      room: role === 'student' ? DEMO_STUDENT.room : '',
-      name: nameOverride || cleanedEmail.split('@')[0],
-    };
-    setAuthCookie(state.user);
-    saveState();
-    const overlay = document.getElementById('auth-overlay');
-    if (overlay) overlay.remove();
+// Build the sync server form shown on the profile page.  Leaving the URL
+// empty keeps this device in local-only mode.  The page reloads on save so
+// state is pulled from the newly selected backend.
+function renderSyncSettings() {
+  const form = document.createElement('form');
+  form.className = 'profile-form';
+  const label = document.createElement('label');
+  label.textContent = 'Shared sync server (leave empty to keep data on this device)';
+  label.setAttribute('for', 'sync-url');
+  form.appendChild(label);
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = 'sync-url';
+  input.placeholder = '/api or http://192.168.1.10:8080/api';
+  input.value = backend && backend.name === 'http' ? backend.url : '';
+  form.appendChild(input);
+  const status = document.createElement('p');
+  status.className = 'muted';
+  status.textContent =
+    backend && backend.name === 'http'
+      ? `Syncing with ${backend.url}.`
+      : 'Data is stored on this device only.';
+  form.appendChild(status);
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.textContent = 'Save sync settings';
+  form.appendChild(saveBtn);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = input.value.trim();
+    await setBackendConfig(url ? { type: 'http', url } : { type: 'local' });
+    window.location.reload();
+  });
+  return form;
+}
+
+// -----------------------------------------------------------------------------
+// Web Push subscriptions
+//
+// pushNotice() only reaches someone with a HostelSync page open.  With a
+// shared sync server a resident can also subscribe this device to Web Push:
+// the server then sends a message when a cycle they started finishes or an
+// admin decides on one of their bookings, and the service worker shows it
+// even while the app is closed.  The server keeps each subscription against
+// the session it was registered with, so it stops when that session ends.
+
+function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// The server's VAPID key is base64url text; PushManager wants the raw bytes.
+function base64UrlToUint8Array(text) {
+  const base64 = (text + '='.repeat((4 - (text.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+// Subscribe this device and register it with the sync server for the
+// logged-in resident.  Rejects with a message suitable for alert().
+async function enablePush() {
+  if (!hasRemoteBackend()) throw new Error('Push notifications need a shared sync server.');
+  if (!state.user) throw new Error('Log in to turn on push notifications.');
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for HostelSync in this browser.');
+  const { publicKey } = await apiRequest(backend.url, 'push/public-key');
+  const registration = await navigator.serviceWorker.ready;
+  // An existing subscription may belong to another server's key.
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) await existing.unsubscribe();
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: base64UrlToUint8Array(publicKey),
+  });
+  try {
+    await apiRequest(backend.url, 'push/subscriptions', {
+      method: 'POST',
+      body: { subscription: subscription.toJSON() },
+    });
+  } catch (err) {
+    await subscription.unsubscribe();
+    throw err;
+  }
+}
+
+// Remove this device's subscription from the sync server and the browser.
+async function disablePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  if (hasRemoteBackend()) {
+    await apiRequest(backend.url, 'push/subscriptions', {
+      method: 'DELETE',
+      body: { endpoint: subscription.endpoint },
+    });
+  }
+  await subscription.unsubscribe();
+}
+
+// Build the push notification toggle shown on the profile page.
+function renderPushSettings() {
+  const section = document.createElement('div');
+  section.className = 'profile-form';
+  const label = document.createElement('label');
+  label.textContent = 'Push notifications';
+  section.appendChild(label);
+  const status = document.createElement('p');
+  status.className = 'muted';
+  status.textContent = 'Checking…';
+  section.appendChild(status);
+  const toggleBtn = document.createElement('button');
+  toggleBtn.type = 'button';
+  toggleBtn.style.display = 'none';
+  section.appendChild(toggleBtn);
+  let subscribed = false;
+  const refresh = async () => {
+    if (!isPushSupported()) {
+      status.textContent = 'This browser does not support push notifications.';
+      return;
+    }
+    if (!hasRemoteBackend()) {
+      status.textContent = 'Connect to a shared sync server to be notified while HostelSync is closed.';
+      return;
+    }
+    subscribed = Boolean(await getPushSubscription());
+    status.textContent = subscribed
+      ? 'On. This device is notified when your wash finishes or a booking is decided.'
+      : 'Off. Notices only appear while HostelSync is open.';
+    toggleBtn.textContent = subscribed ? 'Turn off push notifications' : 'Turn on push notifications';
+    toggleBtn.style.display = '';
+  };
+  toggleBtn.addEventListener('click', async () => {
+    toggleBtn.disabled = true;
+    try {
+      if (subscribed) await disablePush();
+      else await enablePush();
+    } catch (err) {
+      alert(err.message);
+    }
+    toggleBtn.disabled = false;
+    refresh();
+  });
+  refresh();
+  return section;
+}
+
+// List the devices the current user is signed in on, with a way to log out
+// any of them or all at once.
+function renderSessionList() {
+  const section = document.createElement('div');
+  section.className = 'profile-section';
+  section.innerHTML = '<h3>Signed-in devices</h3>';
+  const list = document.createElement('div');
+  list.className = 'wash-list';
+  section.appendChild(list);
+  const allBtn = document.createElement('button');
+  allBtn.type = 'button';
+  allBtn.textContent = 'Log out of all devices';
+  allBtn.addEventListener('click', () => {
+    if (confirm('Log out everywhere, including this device?')) logoutAllDevices();
+  });
+  section.appendChild(allBtn);
+
+  window.renderSessions = function renderSessions() {
+    list.innerHTML = '';
+    if (!state.user) return;
+    const live = state.sessions
+      .filter((x) => x.userId === state.user.id && !sessionProblem(x))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    live.forEach((x) => {
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      const current = x.id === activeSessionId;
+      fillInfo(info, `${x.device}${current ? ' (this device)' : ''}`, [
+        `Signed in ${new Date(x.createdAt).toLocaleString()}`,
+        `Last active ${new Date(x.lastSeenAt).toLocaleString()}`,
+      ]);
+      row.appendChild(info);
+      if (!current) {
+        const actions = document.createElement('div');
+        actions.className = 'wash-actions';
+        const revokeBtn = document.createElement('button');
+        revokeBtn.textContent = 'Log out';
+        revokeBtn.onclick = () => revokeSession(x.id);
+        actions.appendChild(revokeBtn);
+        row.appendChild(actions);
+      }
+      list.appendChild(row);
+    });
+  };
+
+  renderSessions();
+  return section;
+}
+
+// Build the profile's laundry standing: score, what it currently costs and
+// the ledger it comes from.
+function renderReputationSection() {
+  const section = document.createElement('div');
+  section.className = 'profile-section';
+  section.innerHTML = '<h3>Laundry standing</h3>';
+  const summary = document.createElement('div');
+  section.appendChild(summary);
+  const list = document.createElement('div');
+  list.className = 'wash-list';
+  section.appendChild(list);
+
+  window.renderReputation = function renderReputation() {
+    summary.innerHTML = '';
+    list.innerHTML = '';
+    if (!state.user) return;
+    const now = Date.now();
+    const standing = reputationConsequences(state.user.id, now);
+    const lines = [`Score ${standing.score} over the last ${REPUTATION_WINDOW_DAYS} days.`];
+    if (standing.cooldownEndsAt) {
+      lines.push(`You can start your next wash at ${formatSlotTime(standing.cooldownEndsAt, now)}.`);
+    } else if (standing.cooldown) {
+      lines.push(`You have to wait ${getSetting('cooldownMinutes')} minutes after collecting before starting another wash.`);
+    }
+    if (standing.lowPriority) lines.push('You are placed behind other residents in floor queues.');
+    if (!standing.cooldown && !standing.lowPriority) {
+      lines.push(`Collect within ${ON_TIME_PICKUP_MINUTES} minutes of a cycle ending to keep it that way.`);
+    }
+    lines.forEach((line) => {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = line;
+      summary.appendChild(p);
+    });
+    reputationLedger(state.user.id).forEach((e) => {
+      const row = document.createElement('div');
+      row.className = 'wash-item';
+      const info = document.createElement('div');
+      info.className = 'info';
+      let label = REPUTATION_KINDS[e.kind].label;
+      if (e.kind === 'LATE_PICKUP') label += ` (${e.awaitingMinutes} min)`;
+      if (e.overturnedAt) label += ' · overturned';
+      const where = e.machineLabel ? ` · ${e.machineLabel}` : '';
+      fillInfo(info, label, [`${new Date(e.createdAt).toLocaleString()}${where}`]);
+      const points = document.createElement('span');
+      points.className = `reputation-points ${e.points < 0 ? 'negative' : 'positive'}`;
+      points.textContent = e.points > 0 ? `+${e.points}` : String(e.points);
+      row.appendChild(info);
+      row.appendChild(points);
+      list.appendChild(row);
+    });
+  };
+
+  renderReputation();
+  return section;
+}
+
+// Store the session token from authenticate(), registerUser() or
+// resetPassword() and persist the user to state.  The role controls whether
+// the user sees the student experience or the admin approvals view.
+async function loginUser({ account, token }, options = {}) {
+  // Waiting for the write to commit before navigating away keeps it from
+  // being lost with the page.
+  await mutateState(
+    () => {
+      state.user = sessionUserFor(account);
+      setAuthCookie(token);
+      pushNotice('Logged in as ' + state.user.email, 'info');
+    },
+    { local: true }
+  );
+  const overlay = document.getElementById('auth-overlay');
+  if (overlay) overlay.remove();
   document.body.classList.remove('auth-locked');
-  document.body.classList.toggle('admin-mode', role === 'admin');
-  pushNotice('Logged in as ' + state.user.email, 'info');
+  document.body.classList.toggle('admin-mode', account.role === 'admin');
+  // Residents stay on the page they logged in from, deep link included.
   const redirectTarget =
-    options.redirectTo || (role === 'admin' ? 'admin-bookings.html' : window.location.pathname.split('/').pop() || 'index.html');
+    options.redirectTo ||
+    (account.role === 'admin'
+      ? 'admin-bookings.html'
+      : `${window.location.pathname.split('/').pop() || 'index.html'}${window.location.search}`);
   window.location.href = redirectTarget;
 }
 
-// Update the logged in user's contact number and save.
-function updateUserContact(phone) {
-  if (!state.user) return;
-  state.user.phone = phone.trim() || null;
-  saveState();
+// Update the logged in user's contact number in the registry and session.
+function updateProfile(phone) {
+  if (!state.user) return Promise.resolve();
+  return runMutation('updateProfile', { userId: state.user.id, phone: phone.trim() || null }, 'Profile update');
+}
+
+MUTATIONS.updateProfile = async ({ userId, phone }) => {
+  const account = findAccount(userId);
+  if (!account) throw mutationRejected('This account no longer exists.');
+  if (hasRemoteBackend()) await patchAccount(userId, { phone });
+  else account.phone = phone;
+  if (state.user && state.user.id === userId) state.user.phone = phone;
   pushNotice('Profile updated', 'success');
+};
+
+// Log out the current user, end their session and redirect to home page.
+async function logoutUser() {
+  // Stop pushes for this resident reaching a device they have signed out of.
+  try {
+    await disablePush();
+  } catch (err) {
+    console.warn('Could not remove the push subscription:', err);
+  }
+  // The cookie is cleared below either way; a session the sync server did
+  // not hear about ends with the idle timeout.
+  if (activeSessionId) {
+    try {
+      await mutateState(() =>
+        MUTATIONS.revokeSessions({ userId: state.user.id, sessionIds: [activeSessionId], revokedAt: Date.now() })
+      );
+    } catch (err) {
+      console.warn('Could not end the session on the sync server:', err);
+    }
+  }
+  await endLocalSession('Logged out');
 }
 
-// Log out the current user, clear profile and redirect to home page.
-function logoutUser() {
-  state.user = null;
-  saveState();
-  clearAuthCookie();
-  pushNotice('Logged out', 'info');
+// Revoke every session of the current user, this one included.
+async function logoutAllDevices() {
+  if (!state.user) return;
+  try {
+    await disablePush();
+  } catch (err) {
+    console.warn('Could not remove the push subscription:', err);
+  }
+  // Unlike a single logout this must reach the server, or the other devices
+  // would stay signed in.
+  try {
+    await mutateState(() =>
+      MUTATIONS.revokeSessions({ userId: state.user.id, sessionIds: null, revokedAt: Date.now() })
+    );
+  } catch (err) {
+    console.warn('Could not revoke sessions:', err);
+    alert('Could not reach the sync server to log out your other devices. Please try again.');
+    return;
+  }
+  await endLocalSession('Logged out of all devices');
+}
+
+async function endLocalSession(noticeText) {
+  activeSessionId = null;
+  await mutateState(
+    () => {
+      state.user = null;
+      clearAuthCookie();
+      pushNotice(noticeText, 'info');
+    },
+    { local: true }
+  );
   window.location.href = 'index.html';
 }
 
@@ -2153,9 +8606,7 @@ function logoutUser() {
 // notice when a machine has an owner and at least one contact method.
 function sendReminderEmail(machine) {
   if (!machine.ownerId) return;
-  // Find the owner in state.  In this prototype there is only one
-  // logged in user, so we send to state.user if ids match.
-  const owner = state.user && state.user.id === machine.ownerId ? state.user : null;
+  const owner = findAccount(machine.ownerId);
   if (!owner) return;
   const contact = owner.phone || owner.email;
   if (!contact) return;
@@ -0,0 +1,209 @@
+/*
+ * Accounts and sessions for the HostelSync reference server.
+ *
+ * With a shared server the account registry is kept here.  Password and
+ * reset code hashes never leave the server: accounts are sent to devices
+ * without them, and registering, changing a password, issuing a reset code
+ * and changing a resident's role or floor rep duty are requests the server
+ * checks against the caller's session rather than collections it accepts
+ * from a device.  The first admin is named when starting the server
+ * (--admin <email>), not taken from whoever registers first.
+ *
+ * Logging in happens here too.  The server checks the password against the
+ * account's PBKDF2-SHA256 record (the format script.js derives with
+ * WebCrypto), records a session in the `sessions` collection and returns a
+ * token naming it, signed with HMAC-SHA256 under a key that never leaves the
+ * server.  Requests that
+ * change anything carry the token as a Bearer credential; the signature,
+ * the session record, its expiry and its idle timeout are checked on every
+ * one of them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PASSWORD_ITERATIONS = 600000;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_IDLE_MS = 3 * 24 * 60 * 60 * 1000;
+const MAX_DEVICE_LABEL = 60;
+const RESET_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+// Reset codes avoid characters that are easy to misread (0/O, 1/I/L).
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ACCOUNT_ROLES = ['student', 'admin'];
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function newId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Derive a password hash record.  Pass the salt and iteration count of an
+// existing record to recompute it for comparison.
+async function hashPassword(password, salt = crypto.randomBytes(16), iterations = PASSWORD_ITERATIONS) {
+  const hash = await pbkdf2(String(password), salt, iterations, 32, 'sha256');
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations,
+    salt: Buffer.from(salt).toString('base64'),
+    hash: hash.toString('base64'),
+  };
+}
+
+async function verifyPassword(password, record) {
+  if (!record || record.algorithm !== 'PBKDF2-SHA256') return false;
+  const candidate = await hashPassword(password, Buffer.from(record.salt, 'base64'), record.iterations);
+  const a = Buffer.from(candidate.hash, 'base64');
+  const b = Buffer.from(String(record.hash), 'base64');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function generateResetCode() {
+  const chars = Array.from(crypto.randomBytes(8), (b) => RESET_CODE_ALPHABET[b % RESET_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// An account as devices see it: everything except credentials.
+function publicAccount(account) {
+  const { password, reset, ...rest } = account;
+  return rest;
+}
+
+// Make the account with `email`, if registered, an admin.  Returns true when
+// that changed anything.
+function promoteAdmin(users, email) {
+  const wanted = normalizeEmail(email);
+  const account = (users || []).find((u) => u && normalizeEmail(u.email) === wanted);
+  if (!account || account.role === 'admin') return false;
+  account.role = 'admin';
+  return true;
+}
+
+// Load the session signing key, creating it on first run.  It is kept in
+// its own file so the data file can be copied without it.
+function loadAuthKey(file) {
+  const store = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  if (!store.sessionKey) {
+    store.sessionKey = crypto.randomBytes(32).toString('base64');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(store), { mode: 0o600 });
+  }
+  return Buffer.from(store.sessionKey, 'base64');
+}
+
+function signToken(key, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', key).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Returns the token's payload, or null when it is malformed or the
+// signature does not verify.
+function verifyToken(key, token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+  const expected = crypto.createHmac('sha256', key).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Why a session can no longer be used, or null while it is live.  Mirrors
+// sessionProblem() in script.js.
+function sessionProblem(session, now = Date.now()) {
+  if (!session || session.revokedAt) return 'revoked';
+  if (session.expiresAt <= now) return 'expired';
+  if (now - session.lastSeenAt > SESSION_IDLE_MS) return 'idle';
+  return null;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Check the request's Bearer token against the session registry.  Returns
+// { account, session } for a live session, or { problem }.
+function authenticateRequest(doc, key, req, now = Date.now()) {
+  const token = bearerToken(req);
+  if (!token) return { problem: 'missing' };
+  const payload = verifyToken(key, token);
+  if (!payload) return { problem: 'invalid' };
+  if (!(payload.exp > now)) return { problem: 'expired' };
+  const session = (doc.collections.sessions || []).find((x) => x && x.id === payload.sid);
+  if (!session || session.userId !== payload.uid) return { problem: 'revoked' };
+  const problem = sessionProblem(session, now);
+  if (problem) return { problem };
+  const account = (doc.collections.users || []).find((u) => u && u.id === session.userId);
+  if (!account) return { problem: 'revoked' };
+  return { account, session };
+}
+
+// Record a new session for `account` and return it with its signed token.
+// Sessions past their expiry can never be used again, so they are dropped.
+function startSession(doc, key, account, device, now = Date.now()) {
+  const session = {
+    id: newId('s'),
+    userId: account.id,
+    device: String(device || 'Unknown device').slice(0, MAX_DEVICE_LABEL),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+    revokedAt: null,
+  };
+  doc.collections.sessions = (doc.collections.sessions || []).filter((x) => x && x.expiresAt > now).concat([session]);
+  const token = signToken(key, { sid: session.id, uid: account.id, iat: now, exp: session.expiresAt });
+  return { session: publicSession(session), token };
+}
+
+// End every live session of an account except `keepId`, as after its
+// password changes: whoever held the old password may hold one of them.
+function revokeOtherSessions(doc, userId, keepId = null, now = Date.now()) {
+  (doc.collections.sessions || []).forEach((x) => {
+    if (x && x.userId === userId && x.id !== keepId && !x.revokedAt) x.revokedAt = now;
+  });
+}
+
+// A session as its owner's devices see it.  Records written before the
+// server issued sessions also carry the hash of a browser-held secret.
+function publicSession(session) {
+  const { secretHash, ...rest } = session;
+  return rest;
+}
+
+// The sessions a caller may see: only their own.
+function visibleSessions(sessions, userId) {
+  return (sessions || []).filter((x) => x && userId && x.userId === userId).map(publicSession);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_CODE_TTL_MS,
+  ACCOUNT_ROLES,
+  normalizeEmail,
+  newId,
+  hashPassword,
+  verifyPassword,
+  generateResetCode,
+  publicAccount,
+  promoteAdmin,
+  loadAuthKey,
+  signToken,
+  verifyToken,
+  sessionProblem,
+  authenticateRequest,
+  startSession,
+  revokeOtherSessions,
+  publicSession,
+  visibleSessions,
+};
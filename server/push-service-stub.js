@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/*
+ * Stand-in push service for testing the HostelSync push sender.
+ *
+ * Real subscriptions point at a browser vendor's push service, which cannot
+ * be inspected.  This stub plays that role locally: it hands out
+ * subscriptions it holds the private keys for, checks the VAPID signature on
+ * each delivery, decrypts the payload and keeps it for inspection.
+ *
+ *   node server/push-service-stub.js [--port 8090]
+ *
+ * API
+ *   POST   /subscriptions     → 201 { endpoint, keys: { p256dh, auth } }
+ *   DELETE /subscriptions/:id → 204; later deliveries get 410 Gone
+ *   POST   /push/:id          ← encrypted push message from the sender
+ *                             → 201, 400 (bad encoding), 401 (bad VAPID), 410
+ *   GET    /push/:id          → 200 [{ receivedAt, ttl, payload }]
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { toBase64Url, fromBase64Url } = require('./web-push');
+
+// Parse `--name value` pairs from the command line.
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Check a "vapid t=<jwt>, k=<key>" header against the expected audience.
+// Returns an error message, or null when the header is valid.
+function verifyVapid(header, audience) {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+  if (!match) return 'Missing or malformed VAPID Authorization header';
+  const [, token, publicKey] = match;
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  if (!signature) return 'Malformed VAPID token';
+  const raw = fromBase64Url(publicKey);
+  if (raw.length !== 65 || raw[0] !== 0x04) return 'VAPID key is not an uncompressed P-256 point';
+  const key = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: toBase64Url(raw.subarray(1, 33)), y: toBase64Url(raw.subarray(33)) },
+    format: 'jwk',
+  });
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key, dsaEncoding: 'ieee-p1363' },
+    fromBase64Url(signature)
+  );
+  if (!valid) return 'VAPID signature does not verify';
+  const claims = JSON.parse(fromBase64Url(encodedClaims).toString('utf8'));
+  if (claims.aud !== audience) return `VAPID audience ${claims.aud} does not match ${audience}`;
+  if (!(claims.exp > Date.now() / 1000)) return 'VAPID token has expired';
+  return null;
+}
+
+// Reverse of encryptPayload() in web-push.js for one aes128gcm record.
+function decryptPayload(subscription, body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+  const sharedSecret = subscription.ecdh.computeSecret(asPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), subscription.publicKey, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, subscription.auth, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  // Strip the padding: trailing zeros, then the 0x02 last-record delimiter.
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (padded[end] !== 0x02) throw new Error('Missing record delimiter');
+  return padded.subarray(0, end).toString('utf8');
+}
+
+function createPushServiceStub() {
+  const subscriptions = new Map();
+  const server = http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const { pathname } = new URL(req.url, origin);
+    const [, resource, id] = pathname.split('/');
+    try {
+      if (resource === 'subscriptions' && req.method === 'POST' && !id) {
+        const ecdh = crypto.createECDH('prime256v1');
+        const publicKey = ecdh.generateKeys();
+        const auth = crypto.randomBytes(16);
+        const newId = crypto.randomBytes(8).toString('hex');
+        subscriptions.set(newId, { ecdh, publicKey, auth, messages: [] });
+        sendJson(res, 201, {
+          endpoint: `${origin}/push/${newId}`,
+          keys: { p256dh: toBase64Url(publicKey), auth: toBase64Url(auth) },
+        });
+        return;
+      }
+      if (resource === 'subscriptions' && req.method === 'DELETE' && id) {
+        subscriptions.delete(id);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      if (resource === 'push' && id) {
+        const subscription = subscriptions.get(id);
+        if (req.method === 'GET') {
+          sendJson(res, subscription ? 200 : 404, subscription ? subscription.messages : { error: 'Unknown subscription' });
+          return;
+        }
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Method not allowed' });
+          return;
+        }
+        const body = await readBody(req);
+        if (!subscription) {
+          sendJson(res, 410, { error: 'Subscription has expired' });
+          return;
+        }
+        if (req.headers['content-encoding'] !== 'aes128gcm') {
+          sendJson(res, 400, { error: 'Content-Encoding must be aes128gcm' });
+          return;
+        }
+        const vapidError = verifyVapid(req.headers.authorization, origin);
+        if (vapidError) {
+          sendJson(res, 401, { error: vapidError });
+          return;
+        }
+        const payload = JSON.parse(decryptPayload(subscription, body));
+        subscription.messages.push({ receivedAt: Date.now(), ttl: Number(req.headers.ttl), payload });
+        console.log(`push ${id}: ${JSON.stringify(payload)}`);
+        res.writeHead(201);
+        res.end();
+        return;
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || 8090);
+  createPushServiceStub().listen(port, () => {
+    console.log(`Stand-in push service on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createPushServiceStub, decryptPayload, verifyVapid };
@@ -0,0 +1,875 @@
+#!/usr/bin/env node
+/*
+ * Reference sync server for HostelSync.
+ *
+ * Serves the static app and a small JSON API that keeps the shared
+ * collections (machines, washes, reports, rooms, bookings, users, sessions,
+ * queue, settings, reservations, watches, reputation) in a file, so a floor
+ * can run one shared instance without any outside services.  Only Node's
+ * standard library is used.
+ *
+ *   node server/reference-server.js [--port 8080] [--data server/data/state.json]
+ *                                   [--admin warden@example.org]
+ *                                   [--vapid-subject mailto:warden@example.org]
+ *
+ * The account registered with the --admin email becomes an admin, on
+ * registering or, if it already exists, when the server starts.  Other
+ * accounts are students until an admin promotes them.
+ *
+ * Then point each device at it from Profile → Shared sync server, using
+ * "/api" when the app itself is opened from this server.
+ *
+ * API
+ *   GET /api/state  → 200 { revision, collections }.  `users` comes without
+ *                     password and reset code hashes, and `sessions` holds
+ *                     only the caller's own sessions.
+ *   PUT /api/state  ← { revision, collections }
+ *                   → 200 { revision }, or 409 { revision } when the client's
+ *                     revision is stale.  Collections missing from the body
+ *                     are left untouched.  Needs a live session; `settings`
+ *                     and `rooms` need an admin's, and residents may only
+ *                     add entries to `reputation`.  Accounts and sessions are
+ *                     only changed through the endpoints below.
+ *   POST /api/auth/register ← { name, email, password, hostel, room, phone, device }
+ *                           → 201 { token, user, session }
+ *   POST /api/auth/login    ← { email, password, device } → 200 { token, user, session }
+ *   POST /api/auth/reset    ← { email, code, password, device } → 200 { token, user, session }
+ *   POST /api/auth/password ← { email, currentPassword, password } → 200 {}
+ *   POST /api/auth/session  → 200 { session }  (records activity)
+ *   POST /api/auth/logout   ← { sessionIds } → 200 { sessions }  (null: all)
+ *   PATCH /api/accounts/:id ← { phone } from the resident or an admin,
+ *                             { role } or { repFloor } from an admin → 200 { user }
+ *   POST  /api/accounts/:id/reset-code → 200 { code }  (admins only)
+ *
+ * Sessions
+ *   Logging in returns a token signed with a key kept in auth.json next to
+ *   the data file (see accounts.js).  Requests send it as
+ *   `Authorization: Bearer <token>`; the /api/auth/session and logout
+ *   endpoints, /api/accounts and every PUT need a live session, and answer
+ *   401 otherwise and 403 when the caller's role does not allow the change.
+ *   Residents can only add to the reputation ledger.  Other collections are
+ *   still replaced whole by whichever resident writes them, so admin actions
+ *   on bookings, machines and tickets are checked in the app only.
+ *   GET    /api/push/public-key    → 200 { publicKey }  (VAPID application key)
+ *   POST   /api/push/subscriptions ← { subscription } → 201
+ *   DELETE /api/push/subscriptions ← { endpoint } → 204
+ *
+ * Push notifications
+ *   Residents who subscribe from Profile get a Web Push message when a cycle
+ *   they started or asked to be notified about finishes, when a machine is
+ *   held for them in the floor queue, when a load they own or look after as
+ *   floor rep escalates for being left unattended and when an admin approves
+ *   or rejects one of their bookings, even with the app closed.  Finished
+ *   cycles are detected from the machines' `endsAt` times, so no client has
+ *   to be open.  Registering or removing a subscription needs a live
+ *   session, and the subscription belongs to that session's resident.  It
+ *   stops receiving messages once the session ends.  Subscriptions
+ *   and the VAPID keys live in push.json next to the data file and are never
+ *   returned by /api/state.  To test without a browser, point a subscription
+ *   at server/push-service-stub.js.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { generateVapidKeys, sendNotification } = require('./web-push');
+const accounts = require('./accounts');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const SHARED_STORES = [
+  'machines',
+  'washes',
+  'reports',
+  'rooms',
+  'bookings',
+  'users',
+  'sessions',
+  'queue',
+  'settings',
+  'reservations',
+  'watches',
+  'reputation',
+];
+// Changed only through the /api/auth and /api/accounts endpoints, never by a
+// PUT.
+const SERVER_MANAGED_STORES = ['users', 'sessions'];
+// Only admins may change these.
+const ADMIN_STORES = ['settings', 'rooms'];
+// Residents may only add to the reputation ledger, with the kinds and points
+// their devices record (see REPUTATION_KINDS in script.js).  Overturning a
+// penalty and charging for a false flag are left to admins.
+const RESIDENT_REPUTATION_POINTS = {
+  ON_TIME: [1, 1],
+  LATE_PICKUP: [-5, -1],
+  ABANDONED: [-5, -5],
+};
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const COMPLETION_CHECK_MS = 15 * 1000;
+const NOTIFIED_CYCLES_LIMIT = 200;
+// Steps of the unattended load schedule; see ESCALATION_STEPS in script.js.
+const ESCALATION_STEPS = ['REMINDER', 'SECOND_REMINDER', 'FLOOR_REP', 'MAY_MOVE'];
+const NOTIFIED_ESCALATIONS_LIMIT = 800;
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+// Read `--name value` pairs from the command line.
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+// Load the persisted document, or start empty.  An unreadable file is a hard
+// error: silently starting over would throw away the floor's data.
+function loadDocument(file) {
+  if (!fs.existsSync(file)) return { revision: 0, collections: {} };
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { revision: Number(doc.revision) || 0, collections: doc.collections || {} };
+}
+
+// Load push subscriptions and VAPID keys, generating the keys on first run.
+function loadPushStore(file) {
+  const store = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  if (!store.vapidKeys) store.vapidKeys = generateVapidKeys();
+  if (!Array.isArray(store.subscriptions)) store.subscriptions = [];
+  if (!Array.isArray(store.notifiedCycles)) store.notifiedCycles = [];
+  if (!Array.isArray(store.notifiedEscalations)) store.notifiedEscalations = [];
+  saveDocument(file, store);
+  return store;
+}
+
+// Write via a temporary file and rename so a crash mid-write cannot leave a
+// truncated state file behind.
+function saveDocument(file, doc) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc));
+  fs.renameSync(tmp, file);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Apply a PUT body to the document.  Returns the status and response body.
+// Why a resident may not replace the reputation ledger with `after`, or
+// null when it only adds entries they could have recorded.
+function reputationProblem(before, after) {
+  const next = new Map(after.filter((e) => e && typeof e === 'object').map((e) => [e.id, e]));
+  const previous = new Set();
+  for (const entry of (before || []).filter(Boolean)) {
+    previous.add(entry.id);
+    if (!next.has(entry.id) || JSON.stringify(next.get(entry.id)) !== JSON.stringify(entry)) {
+      return 'Only admins can change or remove reputation entries.';
+    }
+  }
+  const added = after.filter((e) => !e || typeof e !== 'object' || !previous.has(e.id));
+  const invalid = added.some((e) => {
+    const range = e && typeof e === 'object' && RESIDENT_REPUTATION_POINTS[e.kind];
+    return !range || !Number.isFinite(e.points) || e.points < range[0] || e.points > range[1];
+  });
+  if (invalid || next.size !== after.length) return 'That reputation entry is not one residents can record.';
+  return null;
+}
+
+// Apply a PUT from `account`.  Residents may only add to the reputation
+// ledger; see reputationProblem().
+function applyUpdate(doc, body, account) {
+  if (!body || typeof body !== 'object' || !body.collections || typeof body.collections !== 'object') {
+    return { status: 400, body: { error: 'Expected { revision, collections }' } };
+  }
+  if (body.revision !== doc.revision) {
+    return { status: 409, body: { error: 'Revision is stale', revision: doc.revision } };
+  }
+  const unknown = Object.keys(body.collections).filter((name) => !SHARED_STORES.includes(name));
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: `Unknown collections: ${unknown.join(', ')}` } };
+  }
+  const managed = Object.keys(body.collections).filter((name) => SERVER_MANAGED_STORES.includes(name));
+  if (managed.length > 0) {
+    return { status: 400, body: { error: `Managed by the server: ${managed.join(', ')}` } };
+  }
+  const notArrays = Object.keys(body.collections).filter((name) => !Array.isArray(body.collections[name]));
+  if (notArrays.length > 0) {
+    return { status: 400, body: { error: `Collections must be arrays: ${notArrays.join(', ')}` } };
+  }
+  if (body.collections.reputation && !(account && account.role === 'admin')) {
+    const problem = reputationProblem(doc.collections.reputation, body.collections.reputation);
+    if (problem) return { status: 403, body: { error: problem } };
+  }
+  Object.assign(doc.collections, body.collections);
+  doc.revision++;
+  return { status: 200, body: { revision: doc.revision } };
+}
+
+// The document as `account` (null when not logged in) may see it.
+function publicDocument(doc, account) {
+  return {
+    revision: doc.revision,
+    collections: {
+      ...doc.collections,
+      users: (doc.collections.users || []).filter(Boolean).map(accounts.publicAccount),
+      sessions: accounts.visibleSessions(doc.collections.sessions, account && account.id),
+    },
+  };
+}
+
+// Parse a JSON object from the request body, rejecting with status 400 when
+// it is anything else.
+async function readJsonBody(req) {
+  let body;
+  try {
+    body = JSON.parse((await readBody(req)) || '{}');
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw Object.assign(new Error('Body must be a JSON object'), { status: 400 });
+  }
+  return body;
+}
+
+// Bookings whose status an admin changed to APPROVED or REJECTED in this
+// update.  Returns the push messages owed to the residents who made them.
+function findBookingDecisions(before, after) {
+  const previous = new Map((before || []).filter(Boolean).map((b) => [b.id, b.status]));
+  return (after || [])
+    .filter((b) => b && b.userId && ['APPROVED', 'REJECTED'].includes(b.status))
+    .filter((b) => previous.get(b.id) !== b.status)
+    .map((b) => ({
+      userId: b.userId,
+      payload: {
+        title: `Booking ${b.status === 'APPROVED' ? 'approved' : 'rejected'} for ${b.roomLabel}.`,
+        body: new Date(b.startAt).toLocaleString(),
+        url: `my-bookings.html#booking-${b.id}`,
+        tag: `booking-${b.id}`,
+      },
+    }));
+}
+
+// Queue entries that were given a machine hold in this update.  A hold is
+// identified by entry id and start time, so a hold passed back and forth is
+// announced each time.
+function findNewHolds(before, after, machines) {
+  const previous = new Set(
+    (before || []).filter((e) => e && e.status === 'HOLDING').map((e) => `${e.id}:${e.holdStartedAt}`)
+  );
+  const labels = new Map((machines || []).filter(Boolean).map((m) => [m.id, m.label]));
+  return (after || [])
+    .filter((e) => e && e.userId && e.status === 'HOLDING' && !previous.has(`${e.id}:${e.holdStartedAt}`))
+    .map((e) => ({
+      userId: e.userId,
+      payload: {
+        title: `${labels.get(e.machineId) || 'A machine'} is held for you.`,
+        body: `Start it before ${new Date(e.holdExpiresAt).toLocaleTimeString()} or it passes to the next person.`,
+        url: `laundry.html?machine=${encodeURIComponent(e.machineId)}`,
+        tag: `queue-${e.id}`,
+      },
+    }));
+}
+
+// Watches that fired in this update, other than owners watching their own
+// cycle (findFinishedCycles() covers those without waiting for a client).
+function findFiredWatches(before, after) {
+  const previous = new Set((before || []).filter((w) => w && w.status === 'FIRED').map((w) => w.id));
+  return (after || [])
+    .filter((w) => w && w.userId && !w.own && w.status === 'FIRED' && !previous.has(w.id))
+    .map((w) => ({
+      userId: w.userId,
+      payload: {
+        title: w.reason === 'FREE' ? `${w.machineLabel} is free now.` : `${w.machineLabel} finished.`,
+        url: `laundry.html?machine=${encodeURIComponent(w.machineId)}`,
+        tag: `machine-${w.machineId}`,
+      },
+    }));
+}
+
+// Escalation steps that unattended loads have logged and that were not
+// announced before, one message per recipient.  Washes are written by
+// clients, so only the four known steps count, each at most once per wash
+// (`notifiedEscalations` holds "<wash id>:<step>" keys already sent), and
+// only for a wash that is its machine's current finished cycle.  Recipients
+// are worked out here from the owner and the account registry, as
+// escalationRecipients() in script.js does; the wash's `notify` list is
+// ignored.
+function findEscalations(washes, machines, users, notifiedEscalations) {
+  const sent = new Set(notifiedEscalations);
+  const accountsById = new Map((users || []).filter(Boolean).map((u) => [u.id, u]));
+  const messages = [];
+  (washes || []).filter((w) => w && w.status === 'AWAITING' && w.ownerId).forEach((w) => {
+    const machine = (machines || []).find((m) => m && m.id === w.machineId);
+    if (!machine || machine.status !== 'AWAITING' || machine.ownerId !== w.ownerId) return;
+    (w.escalations || []).forEach((e) => {
+      const step = e && e.step;
+      const key = `${w.id}:${step}`;
+      if (!ESCALATION_STEPS.includes(step) || sent.has(key)) return;
+      sent.add(key);
+      let recipients = accountsById.has(w.ownerId) ? [w.ownerId] : [];
+      if (step === 'FLOOR_REP') {
+        const reps = [...accountsById.values()].filter((u) => u.hostel === machine.hostel && u.repFloor === machine.floor);
+        recipients = (reps.length > 0 ? reps : [...accountsById.values()].filter((u) => u.role === 'admin')).map((u) => u.id);
+      }
+      let title = `${machine.label} finished a while ago. Please collect your clothes.`;
+      if (step === 'MAY_MOVE') title = `Your clothes in ${machine.label} may now be moved out by others.`;
+      if (step === 'FLOOR_REP') title = `${machine.label} has a load left unattended. Please check on it.`;
+      recipients.forEach((userId) => {
+        messages.push({
+          escalation: key,
+          userId,
+          payload: {
+            title,
+            url: `laundry.html?machine=${encodeURIComponent(machine.id)}`,
+            tag: `escalation-${w.id}`,
+          },
+        });
+      });
+    });
+  });
+  return messages;
+}
+
+// Cycles that have reached their end time and whose owner has not been
+// notified yet.  A cycle is identified by machine id and end time.
+function findFinishedCycles(machines, notifiedCycles, now) {
+  return (machines || [])
+    .filter((m) => m && m.ownerId && Number.isFinite(m.endsAt) && m.endsAt <= now)
+    .filter((m) => m.status === 'RUNNING' || m.status === 'AWAITING')
+    .filter((m) => !notifiedCycles.includes(`${m.id}:${m.endsAt}`))
+    .map((m) => ({
+      cycle: `${m.id}:${m.endsAt}`,
+      userId: m.ownerId,
+      payload: {
+        title: `${m.label} finished. Please collect clothes.`,
+        url: `laundry.html?machine=${encodeURIComponent(m.id)}`,
+        tag: `machine-${m.id}`,
+      },
+    }));
+}
+
+// The files the app is made of: the service worker and every asset in its
+// precache manifest (pages, script, stylesheet, icons, web manifest).
+// Nothing else in the repository, such as .git or tools/, is served.
+function listAppFiles() {
+  const worker = fs.readFileSync(path.join(APP_ROOT, 'service-worker.js'), 'utf8');
+  const urls = [...worker.matchAll(/\{ url: '([^']+)', hash: /g)].map((match) => match[1]);
+  return new Set(['service-worker.js', ...urls]);
+}
+
+// Serve one of `appFiles` from the app directory.
+function serveStatic(req, res, appFiles) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    urlPath = '';
+  }
+  const relative = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+  if (!appFiles.has(relative)) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+  const file = path.join(APP_ROOT, relative);
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function createServer({
+  dataFile,
+  pushFile,
+  authFile,
+  adminEmail,
+  vapidSubject = 'mailto:hostelsync@localhost',
+  completionCheckMs = COMPLETION_CHECK_MS,
+}) {
+  const doc = loadDocument(dataFile);
+  const appFiles = listAppFiles();
+  const pushStoreFile = pushFile || path.join(path.dirname(dataFile), 'push.json');
+  const push = loadPushStore(pushStoreFile);
+  const authKey = accounts.loadAuthKey(authFile || path.join(path.dirname(dataFile), 'auth.json'));
+
+  if (adminEmail && accounts.promoteAdmin(doc.collections.users, adminEmail)) {
+    doc.revision++;
+    saveDocument(dataFile, doc);
+  }
+  if (!adminEmail && !(doc.collections.users || []).some((u) => u && u.role === 'admin')) {
+    console.warn('No admin account yet. Restart with --admin <email> to name one.');
+  }
+
+  // Save a change the server made itself to accounts or sessions.
+  function commit() {
+    doc.revision++;
+    saveDocument(dataFile, doc);
+  }
+
+  // Answer 401 unless the request carries a live session.  Returns
+  // { account, session } or null.
+  function requireSession(req, res) {
+    const caller = accounts.authenticateRequest(doc, authKey, req);
+    if (caller.account) return caller;
+    sendJson(res, 401, { error: 'Please log in again.', problem: caller.problem });
+    return null;
+  }
+
+  async function register(req, res) {
+    const body = await readJsonBody(req);
+    const fields = ['name', 'email', 'hostel', 'room'].map((name) => String(body[name] || '').trim());
+    if (fields.some((value) => !value)) {
+      sendJson(res, 400, { error: 'Name, email, hostel and room are all needed.' });
+      return;
+    }
+    if (String(body.password || '').length < accounts.MIN_PASSWORD_LENGTH) {
+      sendJson(res, 400, { error: `Passwords need at least ${accounts.MIN_PASSWORD_LENGTH} characters.` });
+      return;
+    }
+    const password = await accounts.hashPassword(body.password);
+    // Checked after hashing, which awaits, so two registrations cannot both
+    // claim the same email.
+    const email = accounts.normalizeEmail(body.email);
+    const users = doc.collections.users || [];
+    if (users.some((u) => u && accounts.normalizeEmail(u.email) === email)) {
+      sendJson(res, 400, { error: 'An account with that email already exists. Log in instead.' });
+      return;
+    }
+    const account = {
+      id: accounts.newId('u'),
+      role: adminEmail && accounts.normalizeEmail(adminEmail) === email ? 'admin' : 'student',
+      name: fields[0],
+      email,
+      hostel: fields[2],
+      room: fields[3],
+      phone: String(body.phone || '').trim() || null,
+      password,
+      createdAt: Date.now(),
+    };
+    doc.collections.users = users.concat([account]);
+    const { session, token } = accounts.startSession(doc, authKey, account, body.device);
+    commit();
+    sendJson(res, 201, { token, user: accounts.publicAccount(account), session });
+  }
+
+  async function login(req, res) {
+    const body = await readJsonBody(req);
+    const email = accounts.normalizeEmail(body.email);
+    const account = (doc.collections.users || []).find((u) => u && accounts.normalizeEmail(u.email) === email);
+    if (!account || !(await accounts.verifyPassword(body.password, account.password))) {
+      sendJson(res, 401, { error: 'Email or password is incorrect.' });
+      return;
+    }
+    const { session, token } = accounts.startSession(doc, authKey, account, body.device);
+    commit();
+    sendJson(res, 200, { token, user: accounts.publicAccount(account), session });
+  }
+
+  function findByEmail(email) {
+    const wanted = accounts.normalizeEmail(email);
+    return (doc.collections.users || []).find((u) => u && accounts.normalizeEmail(u.email) === wanted) || null;
+  }
+
+  function checkNewPassword(res, password) {
+    if (String(password || '').length >= accounts.MIN_PASSWORD_LENGTH) return true;
+    sendJson(res, 400, { error: `Passwords need at least ${accounts.MIN_PASSWORD_LENGTH} characters.` });
+    return false;
+  }
+
+  // Replace a password after checking the current one.
+  async function changePassword(req, res) {
+    const body = await readJsonBody(req);
+    if (!checkNewPassword(res, body.password)) return;
+    const account = findByEmail(body.email);
+    if (!account || !(await accounts.verifyPassword(body.currentPassword, account.password))) {
+      sendJson(res, 401, { error: 'Email or password is incorrect.' });
+      return;
+    }
+    account.password = await accounts.hashPassword(body.password);
+    account.passwordChangedAt = Date.now();
+    // The device that made the change stays signed in.
+    const caller = accounts.authenticateRequest(doc, authKey, req);
+    const keepId = caller.account === account ? caller.session.id : null;
+    accounts.revokeOtherSessions(doc, account.id, keepId, account.passwordChangedAt);
+    commit();
+    sendJson(res, 200, {});
+  }
+
+  // Set a new password with a reset code from an admin and start a session.
+  // The code works once.
+  async function resetPassword(req, res) {
+    const body = await readJsonBody(req);
+    if (!checkNewPassword(res, body.password)) return;
+    const account = findByEmail(body.email);
+    const reset = account && account.reset;
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!reset || reset.expiresAt < Date.now() || !(await accounts.verifyPassword(code, reset))) {
+      sendJson(res, 400, { error: 'That reset code is not valid. Ask an admin for a new one.' });
+      return;
+    }
+    const password = await accounts.hashPassword(body.password);
+    // Another request may have used or replaced the code meanwhile.
+    if (account.reset !== reset) {
+      sendJson(res, 400, { error: 'That reset code has already been used.' });
+      return;
+    }
+    account.password = password;
+    account.passwordChangedAt = Date.now();
+    delete account.reset;
+    accounts.revokeOtherSessions(doc, account.id, null, account.passwordChangedAt);
+    const { session, token } = accounts.startSession(doc, authKey, account, body.device);
+    commit();
+    sendJson(res, 200, { token, user: accounts.publicAccount(account), session });
+  }
+
+  // Record activity so the idle timeout restarts.  Other devices do not need
+  // to hear about it, so the revision stays the same.
+  function touch(req, res) {
+    const caller = requireSession(req, res);
+    if (!caller) return;
+    caller.session.lastSeenAt = Date.now();
+    saveDocument(dataFile, doc);
+    sendJson(res, 200, { session: accounts.publicSession(caller.session) });
+  }
+
+  // End sessions of the caller's account: the listed ids, or all of them.
+  async function logout(req, res) {
+    const body = await readJsonBody(req);
+    const caller = requireSession(req, res);
+    if (!caller) return;
+    const ids = Array.isArray(body.sessionIds) ? body.sessionIds : null;
+    const now = Date.now();
+    (doc.collections.sessions || []).forEach((x) => {
+      if (!x || x.userId !== caller.account.id || x.revokedAt) return;
+      if (ids && !ids.includes(x.id)) return;
+      x.revokedAt = now;
+    });
+    commit();
+    sendJson(res, 200, { sessions: accounts.visibleSessions(doc.collections.sessions, caller.account.id) });
+  }
+
+  async function handleAuth(req, res, pathname) {
+    const routes = {
+      '/api/auth/register': register,
+      '/api/auth/login': login,
+      '/api/auth/reset': resetPassword,
+      '/api/auth/password': changePassword,
+      '/api/auth/session': touch,
+      '/api/auth/logout': logout,
+    };
+    if (!routes[pathname]) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    await routes[pathname](req, res);
+  }
+
+  // Change a resident's phone number, role or floor rep duty.  Residents
+  // may change their own phone number; everything else needs an admin.
+  async function updateAccount(req, res, account) {
+    const body = await readJsonBody(req);
+    const caller = requireSession(req, res);
+    if (!caller) return;
+    const isAdmin = caller.account.role === 'admin';
+    const adminFields = ['role', 'repFloor'].filter((name) => name in body);
+    if (!isAdmin && (adminFields.length > 0 || caller.account.id !== account.id)) {
+      sendJson(res, 403, { error: 'Only admins can change other accounts, roles and floor reps.' });
+      return;
+    }
+    if ('role' in body) {
+      if (!accounts.ACCOUNT_ROLES.includes(body.role)) {
+        sendJson(res, 400, { error: `Role must be one of: ${accounts.ACCOUNT_ROLES.join(', ')}.` });
+        return;
+      }
+      const admins = doc.collections.users.filter((u) => u && u.role === 'admin');
+      if (body.role !== 'admin' && account.role === 'admin' && admins.length === 1) {
+        sendJson(res, 400, { error: 'At least one admin account is needed.' });
+        return;
+      }
+    }
+    if ('repFloor' in body && body.repFloor != null) {
+      const hasLaundry = (doc.collections.machines || []).some(
+        (m) => m && !m.retiredAt && m.hostel === account.hostel && m.floor === body.repFloor
+      );
+      if (!hasLaundry) {
+        sendJson(res, 400, { error: `${account.hostel} has no laundry on that floor.` });
+        return;
+      }
+    }
+    if ('phone' in body) account.phone = String(body.phone || '').trim() || null;
+    if ('role' in body) account.role = body.role;
+    if ('repFloor' in body) {
+      if (body.repFloor == null) delete account.repFloor;
+      else account.repFloor = body.repFloor;
+    }
+    commit();
+    sendJson(res, 200, { user: accounts.publicAccount(account) });
+  }
+
+  // Admin action: create a one-time reset code for a resident.  Only its
+  // hash is stored; the code itself is returned once for the admin to pass on.
+  async function issueResetCode(req, res, account) {
+    const caller = requireSession(req, res);
+    if (!caller) return;
+    if (caller.account.role !== 'admin') {
+      sendJson(res, 403, { error: 'Only admins can issue reset codes.' });
+      return;
+    }
+    const code = accounts.generateResetCode();
+    const record = await accounts.hashPassword(code);
+    account.reset = { ...record, expiresAt: Date.now() + accounts.RESET_CODE_TTL_MS, issuedBy: caller.account.id };
+    commit();
+    sendJson(res, 200, { code });
+  }
+
+  async function handleAccounts(req, res, pathname) {
+    const [, id, action] = /^\/api\/accounts\/([^/]+)(?:\/([^/]+))?$/.exec(pathname) || [];
+    const account = id && (doc.collections.users || []).find((u) => u && u.id === decodeURIComponent(id));
+    if (!account) {
+      sendJson(res, 404, { error: 'This account no longer exists.' });
+      return;
+    }
+    if (!action && req.method === 'PATCH') {
+      await updateAccount(req, res, account);
+    } else if (action === 'reset-code' && req.method === 'POST') {
+      await issueResetCode(req, res, account);
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    }
+  }
+
+  // Send a message to every device the resident subscribed.  Subscriptions
+  // whose session has ended, or that the push service reports as gone, are
+  // dropped.
+  async function notifyUser(userId, payload) {
+    const sessions = doc.collections.sessions || [];
+    const live = push.subscriptions.filter((entry) =>
+      sessions.some((x) => x && x.id === entry.sessionId && x.userId === entry.userId && !accounts.sessionProblem(x))
+    );
+    if (live.length !== push.subscriptions.length) {
+      push.subscriptions = live;
+      saveDocument(pushStoreFile, push);
+    }
+    const targets = push.subscriptions.filter((entry) => entry.userId === userId);
+    await Promise.all(
+      targets.map(async (entry) => {
+        try {
+          const status = await sendNotification(entry.subscription, payload, {
+            vapidKeys: push.vapidKeys,
+            subject: vapidSubject,
+          });
+          if (status === 404 || status === 410) {
+            push.subscriptions = push.subscriptions.filter((other) => other !== entry);
+            saveDocument(pushStoreFile, push);
+          } else if (status >= 400) {
+            console.warn(`Push to ${entry.subscription.endpoint} failed with ${status}`);
+          }
+        } catch (err) {
+          console.warn(`Push to ${entry.subscription.endpoint} failed:`, err.message);
+        }
+      })
+    );
+  }
+
+  function checkFinishedCycles() {
+    const finished = findFinishedCycles(doc.collections.machines, push.notifiedCycles, Date.now());
+    if (finished.length === 0) return;
+    push.notifiedCycles = push.notifiedCycles
+      .concat(finished.map((entry) => entry.cycle))
+      .slice(-NOTIFIED_CYCLES_LIMIT);
+    saveDocument(pushStoreFile, push);
+    finished.forEach((entry) => notifyUser(entry.userId, entry.payload));
+  }
+
+  function notifyEscalations() {
+    const { washes, machines, users } = doc.collections;
+    const due = findEscalations(washes, machines, users, push.notifiedEscalations);
+    if (due.length === 0) return;
+    push.notifiedEscalations = push.notifiedEscalations
+      .concat([...new Set(due.map((entry) => entry.escalation))])
+      .slice(-NOTIFIED_ESCALATIONS_LIMIT);
+    saveDocument(pushStoreFile, push);
+    due.forEach((entry) => notifyUser(entry.userId, entry.payload));
+  }
+
+  async function handlePush(req, res, pathname) {
+    if (pathname === '/api/push/public-key' && req.method === 'GET') {
+      sendJson(res, 200, { publicKey: push.vapidKeys.publicKey });
+      return;
+    }
+    if (pathname !== '/api/push/subscriptions' || !['POST', 'DELETE'].includes(req.method)) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    const body = await readJsonBody(req);
+    const caller = requireSession(req, res);
+    if (!caller) return;
+    if (req.method === 'DELETE') {
+      // Residents can only remove their own devices.
+      push.subscriptions = push.subscriptions.filter(
+        (entry) => entry.subscription.endpoint !== body.endpoint || entry.userId !== caller.account.id
+      );
+      saveDocument(pushStoreFile, push);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const { subscription } = body;
+    if (!subscription || !subscription.endpoint || !subscription.keys) {
+      sendJson(res, 400, { error: 'Expected { subscription }' });
+      return;
+    }
+    // One entry per endpoint: re-subscribing moves a device to the new user.
+    push.subscriptions = push.subscriptions
+      .filter((entry) => entry.subscription.endpoint !== subscription.endpoint)
+      .concat([
+        { userId: caller.account.id, sessionId: caller.session.id, subscription, createdAt: Date.now() },
+      ]);
+    saveDocument(pushStoreFile, push);
+    sendJson(res, 201, { ok: true });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    // Devices may load the app from a different origin than the API.
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname.startsWith('/api/push/')) {
+      try {
+        await handlePush(req, res, pathname);
+      } catch (err) {
+        sendJson(res, err.status || 500, { error: err.message });
+      }
+      return;
+    }
+    if (pathname.startsWith('/api/auth/') || pathname.startsWith('/api/accounts/')) {
+      try {
+        if (pathname.startsWith('/api/auth/')) await handleAuth(req, res, pathname);
+        else await handleAccounts(req, res, pathname);
+      } catch (err) {
+        sendJson(res, err.status || 500, { error: err.message });
+      }
+      return;
+    }
+    if (pathname !== '/api/state') {
+      if (req.method === 'GET') serveStatic(req, res, appFiles);
+      else sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (req.method === 'GET') {
+      sendJson(res, 200, publicDocument(doc, accounts.authenticateRequest(doc, authKey, req).account));
+      return;
+    }
+    if (req.method !== 'PUT') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    try {
+      const raw = await readBody(req);
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        sendJson(res, 400, { error: 'Body is not valid JSON' });
+        return;
+      }
+      const caller = requireSession(req, res);
+      if (!caller) return;
+      const adminOnly = Object.keys((body && body.collections) || {}).filter((name) => ADMIN_STORES.includes(name));
+      if (adminOnly.length > 0 && caller.account.role !== 'admin') {
+        sendJson(res, 403, { error: `Only admins can change ${adminOnly.join(' and ')}.` });
+        return;
+      }
+      // Node handles one request callback at a time and nothing below
+      // awaits, so the revision check and write cannot interleave.
+      const previousBookings = doc.collections.bookings;
+      const previousQueue = doc.collections.queue;
+      const previousWatches = doc.collections.watches;
+      const result = applyUpdate(doc, body, caller.account);
+      if (result.status === 200) saveDocument(dataFile, doc);
+      sendJson(res, result.status, result.body);
+      if (result.status === 200) {
+        findBookingDecisions(previousBookings, doc.collections.bookings).forEach((entry) =>
+          notifyUser(entry.userId, entry.payload)
+        );
+        findNewHolds(previousQueue, doc.collections.queue, doc.collections.machines).forEach((entry) =>
+          notifyUser(entry.userId, entry.payload)
+        );
+        findFiredWatches(previousWatches, doc.collections.watches).forEach((entry) =>
+          notifyUser(entry.userId, entry.payload)
+        );
+        notifyEscalations();
+      }
+    } catch (err) {
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+  const completionTimer = setInterval(checkFinishedCycles, completionCheckMs);
+  completionTimer.unref();
+  server.on('close', () => clearInterval(completionTimer));
+  return server;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.PORT || 8080);
+  const dataFile = path.resolve(args.data || path.join(__dirname, 'data', 'state.json'));
+  createServer({ dataFile, adminEmail: args.admin, vapidSubject: args['vapid-subject'] }).listen(port, () => {
+    console.log(`HostelSync reference server on http://localhost:${port} (data: ${dataFile})`);
+  });
+}
+
+module.exports = {
+  createServer,
+  applyUpdate,
+  reputationProblem,
+  publicDocument,
+  findBookingDecisions,
+  findNewHolds,
+  findFiredWatches,
+  findEscalations,
+  findFinishedCycles,
+};
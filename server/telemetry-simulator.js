@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/*
+ * Telemetry simulator for testing HostelSync's live machine telemetry
+ * without smart plugs, door sensors or an MQTT broker.
+ *
+ * It replays a recording of power readings and door events over a WebSocket,
+ * in either of the forms the app understands, chosen by the connecting
+ * client: plain JSON messages, or MQTT 3.1.1 over WebSocket (subprotocol
+ * "mqtt"), where it acts as a broker that only publishes.
+ *
+ *   node server/telemetry-simulator.js [--port 8091]
+ *                                      [--recording server/telemetry-recording.json]
+ *                                      [--speed 1] [--loop] [--topic hostelsync/machines]
+ *
+ * Then set Machines → Live telemetry to ws://<host>:8091 on the device that
+ * should record the events.
+ *
+ * Recording
+ *   { "interval": 20, "events": [{ "t": 0, "machine": "M-2A", "watts": 1.2 },
+ *                                { "t": 60, "machine": "M-2A", "door": "open" }, ...] }
+ *   `t` is seconds from the start; machines are named by id or label.  A
+ *   machine's last reading is sent again every `interval` seconds, as plugs
+ *   report on a timer.  A pass over the recording starts when a client is
+ *   ready for events, and is repeated while clients stay connected if --loop
+ *   is given.
+ *
+ * Messages
+ *   JSON  {"machine": "M-2A", "type": "power", "watts": 2150, "at": <epoch ms>}
+ *         {"machine": "M-2A", "type": "door", "open": true, "at": <epoch ms>}
+ *   MQTT  <topic>/M-2A/power  {"watts": 2150, "at": <epoch ms>}
+ *         <topic>/M-2A/door   {"open": true, "at": <epoch ms>}
+ *
+ * Time
+ *   --speed 20 replays the recording twenty times faster.  The `at` times
+ *   then start in the past and catch up with the clock at the end of the
+ *   pass, so the app sees cycles of their recorded length that have just
+ *   finished, and never a time in the future.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Parse `--name value` pairs and bare `--flag`s from the command line.
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next == null || next.startsWith('--')) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// Expand a recording into everything sent during one pass, sorted by time:
+// the recorded events plus each machine's last reading repeated every
+// `interval` seconds.
+function buildTimeline(recording) {
+  const interval = Number(recording.interval) || 0;
+  const events = (recording.events || []).slice().sort((a, b) => a.t - b.t);
+  if (events.length === 0) throw new Error('The recording has no events.');
+  const duration = events[events.length - 1].t + interval;
+  const timeline = [];
+  const readings = new Map();
+  events.forEach((event) => {
+    if (event.door != null) {
+      timeline.push({ t: event.t, machine: event.machine, type: 'door', open: event.door === 'open' || event.door === true });
+    } else {
+      if (!readings.has(event.machine)) readings.set(event.machine, []);
+      readings.get(event.machine).push(event);
+    }
+  });
+  readings.forEach((list, machine) => {
+    list.forEach((event, i) => {
+      const until = i + 1 < list.length ? list[i + 1].t : duration;
+      for (let t = event.t; t < until; t += interval || Infinity) {
+        timeline.push({ t, machine, type: 'power', watts: event.watts });
+      }
+    });
+  });
+  timeline.sort((a, b) => a.t - b.t);
+  return { timeline, duration };
+}
+
+// --- WebSocket framing (RFC 6455) --------------------------------------------
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Read the complete frames at the start of `buffer`.  Returns the frames
+// and the bytes left over for the next chunk.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length < pos + length) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) payload.forEach((byte, i) => (payload[i] = byte ^ mask[i % 4]));
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// --- MQTT 3.1.1, the broker side of what the app uses ------------------------
+
+function mqttPacket(header, body) {
+  const lengthBytes = [];
+  let length = body.length;
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 128;
+    lengthBytes.push(byte);
+  } while (length > 0);
+  return Buffer.concat([Buffer.from([header, ...lengthBytes]), body]);
+}
+
+function mqttString(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const prefix = Buffer.alloc(2);
+  prefix.writeUInt16BE(bytes.length);
+  return Buffer.concat([prefix, bytes]);
+}
+
+// Read the complete MQTT packets at the start of `buffer`.
+function decodeMqttPackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    let length = 0;
+    let pos = offset + 1;
+    let byte;
+    let shift = 0;
+    do {
+      byte = buffer[pos++];
+      length += (byte & 127) * 2 ** shift;
+      shift += 7;
+    } while (byte & 128 && pos < buffer.length);
+    if (byte & 128 || buffer.length < pos + length) break;
+    packets.push({ type: buffer[offset] >> 4, body: buffer.subarray(pos, pos + length) });
+    offset = pos + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+// Whether `topic` matches a subscription filter with + and # wildcards.
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+function createTelemetrySimulator({ recording, speed = 1, loop = false, topic = 'hostelsync/machines', log = console.log }) {
+  const { timeline, duration } = buildTimeline(recording);
+  const clients = new Set();
+  let timer = null;
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('HostelSync telemetry simulator: connect over WebSocket.\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const protocols = String(req.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map((p) => p.trim());
+    const mqtt = protocols.includes('mqtt');
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        ...(mqtt ? ['Sec-WebSocket-Protocol: mqtt'] : []),
+        '',
+        '',
+      ].join('\r\n')
+    );
+    // JSON clients get every event straight away; MQTT clients once they
+    // have connected and subscribed.
+    const client = { socket, mqtt, ready: !mqtt, filters: [], frames: Buffer.alloc(0), packets: Buffer.alloc(0) };
+    clients.add(client);
+    log(`${mqtt ? 'MQTT' : 'JSON'} client connected (${clients.size} connected)`);
+    if (client.ready && !timer) play();
+    const drop = () => {
+      if (clients.delete(client)) log(`Client disconnected (${clients.size} connected)`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([client.frames, chunk]));
+      client.frames = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(0xa, payload));
+        } else if (opcode === 0x2 && mqtt) {
+          readMqtt(client, payload);
+        }
+      });
+    });
+  });
+
+  function readMqtt(client, data) {
+    const { packets, rest } = decodeMqttPackets(Buffer.concat([client.packets, data]));
+    client.packets = rest;
+    packets.forEach(({ type, body }) => {
+      if (type === 1) {
+        // CONNECT → CONNACK, accepted.
+        send(client, mqttPacket(0x20, Buffer.from([0, 0])));
+      } else if (type === 8) {
+        // SUBSCRIBE → SUBACK, granting QoS 0 for every filter.
+        const granted = [];
+        for (let pos = 2; pos < body.length; ) {
+          const length = body.readUInt16BE(pos);
+          client.filters.push(body.subarray(pos + 2, pos + 2 + length).toString('utf8'));
+          pos += 2 + length + 1;
+          granted.push(0);
+        }
+        send(client, mqttPacket(0x90, Buffer.from([body[0], body[1], ...granted])));
+        client.ready = true;
+        log(`MQTT client subscribed to ${client.filters.join(', ')}`);
+        if (!timer) play();
+      } else if (type === 12) {
+        send(client, mqttPacket(0xd0, Buffer.alloc(0)));
+      } else if (type === 14) {
+        client.socket.end();
+      }
+    });
+  }
+
+  function send(client, data) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(client.mqtt ? 0x2 : 0x1, data));
+  }
+
+  function publish(entry, at) {
+    const fields = entry.type === 'power' ? { watts: entry.watts, at } : { open: entry.open, at };
+    const json = Buffer.from(JSON.stringify({ machine: entry.machine, type: entry.type, ...fields }));
+    const mqttTopic = `${topic}/${entry.machine}/${entry.type}`;
+    const mqttMessage = mqttPacket(0x30, Buffer.concat([mqttString(mqttTopic), Buffer.from(JSON.stringify(fields))]));
+    clients.forEach((client) => {
+      if (!client.ready) return;
+      if (!client.mqtt) send(client, json);
+      else if (client.filters.some((filter) => topicMatches(filter, mqttTopic))) send(client, mqttMessage);
+    });
+  }
+
+  // Play one pass of the timeline.  Recorded time runs `speed` times faster
+  // than the clock and is anchored so it reaches the clock as the pass ends.
+  function play() {
+    const startedAt = Date.now();
+    const realDuration = (duration * 1000) / speed;
+    const recordedStart = startedAt + realDuration - duration * 1000;
+    log(`Replaying ${timeline.length} events over ${Math.round(realDuration / 1000)} s`);
+    let next = 0;
+    const step = () => {
+      const elapsed = (Date.now() - startedAt) * speed;
+      while (next < timeline.length && timeline[next].t * 1000 <= elapsed) {
+        publish(timeline[next], Math.round(recordedStart + timeline[next].t * 1000));
+        next++;
+      }
+      if (next < timeline.length) {
+        timer = setTimeout(step, Math.max(0, (timeline[next].t * 1000 - elapsed) / speed));
+      } else {
+        timer = setTimeout(() => {
+          timer = null;
+          log('Recording finished');
+          if (loop && [...clients].some((client) => client.ready)) play();
+        }, Math.max(0, startedAt + realDuration - Date.now()));
+      }
+    };
+    step();
+  }
+
+  server.on('close', () => clearTimeout(timer));
+  const close = server.close.bind(server);
+  server.close = (callback) => {
+    clients.forEach((client) => client.socket.destroy());
+    return close(callback);
+  };
+  return server;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || 8091);
+  const recordingPath = args.recording || path.join(__dirname, 'telemetry-recording.json');
+  const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  createTelemetrySimulator({
+    recording,
+    speed: Math.max(1, Number(args.speed) || 1),
+    loop: Boolean(args.loop),
+    topic: args.topic || 'hostelsync/machines',
+  }).listen(port, () => {
+    console.log(`Telemetry simulator on ws://localhost:${port}`);
+  });
+}
+
+module.exports = { createTelemetrySimulator, buildTimeline, topicMatches };
@@ -0,0 +1,115 @@
+/*
+ * Minimal Web Push sender for the HostelSync reference server.
+ *
+ * Implements just enough of the Web Push protocol to deliver a notification
+ * to a browser's push service using only Node's standard library:
+ *   - payload encryption with the "aes128gcm" content coding (RFC 8291)
+ *   - VAPID application server authentication (RFC 8292)
+ *
+ * A subscription is the JSON produced by PushSubscription.toJSON() in the
+ * browser: { endpoint, keys: { p256dh, auth } }.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function fromBase64Url(text) {
+  return Buffer.from(String(text), 'base64url');
+}
+
+// Create a VAPID key pair.  The public key is the raw uncompressed P-256
+// point browsers expect as `applicationServerKey`; the private key is kept
+// as a JWK so it can be stored as JSON.
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const raw = Buffer.concat([Buffer.from([0x04]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)]);
+  return { publicKey: toBase64Url(raw), privateKey: privateKey.export({ format: 'jwk' }) };
+}
+
+// Build the Authorization header value for a push service `audience`
+// (the origin of the subscription endpoint).
+function createVapidAuthorization(audience, vapidKeys, subject) {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(
+    JSON.stringify({ aud: audience, exp: Math.floor(Date.now() / 1000) + DEFAULT_TTL_SECONDS, sub: subject })
+  );
+  const unsigned = `${header}.${claims}`;
+  const key = crypto.createPrivateKey({ key: vapidKeys.privateKey, format: 'jwk' });
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${unsigned}.${toBase64Url(signature)}, k=${vapidKeys.publicKey}`;
+}
+
+// Encrypt `payload` for a subscription as a single aes128gcm record.
+function encryptPayload(subscription, payload) {
+  const uaPublic = fromBase64Url(subscription.keys.p256dh);
+  const authSecret = fromBase64Url(subscription.keys.auth);
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (and only) record; no further padding is added.
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([0x02])]);
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error('Push payload is too large');
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(16 + 4 + 1);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+// Deliver `payload` (an object, sent as JSON) to one subscription.  Resolves
+// to the push service's HTTP status; 404 and 410 mean the subscription is gone
+// and should be forgotten.
+function sendNotification(subscription, payload, { vapidKeys, subject, ttl = DEFAULT_TTL_SECONDS }) {
+  const endpoint = new URL(subscription.endpoint);
+  const body = encryptPayload(subscription, JSON.stringify(payload));
+  const transport = endpoint.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      endpoint,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: createVapidAuthorization(endpoint.origin, vapidKeys, subject),
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': body.length,
+          TTL: String(ttl),
+        },
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  generateVapidKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  sendNotification,
+  toBase64Url,
+  fromBase64Url,
+};
@@ -1,55 +1,243 @@
-// Simple service worker for HostelSync PWA.
-// Bump the cache name to force the service worker to fetch updated assets.
-// Bump the cache name each time we release a new version so the service
-// worker fetches the latest assets instead of serving old files from cache.
-const CACHE_NAME = 'hostelsync-cache-v9';
-const URLS_TO_CACHE = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/script.js',
-  '/laundry.html',
-  '/rooms.html',
-  '/leaderboard.html',
-  '/my-washes.html',
-  '/alerts.html',
-  '/my-bookings.html',
-  '/admin-bookings.html',
-  '/profile.html',
-  '/profile-avatar.svg',
-  '/icon-192.png',
-  '/icon-512.png'
+// Service worker for the HostelSync PWA.
+//
+// App assets are precached at install time under keys that include a hash of
+// their contents, so a release only downloads the files that changed.  At
+// runtime each worker answers only from its own release's precache entries,
+// never from the network, so a page and its script always come from the same
+// release.  Same-origin files outside the manifest are served
+// stale-while-revalidate, and responses from the sync API are never cached.
+// An updated worker waits until the page asks it to take over, which
+// script.js does once the resident accepts the "New version available"
+// prompt.
+
+// Generated by tools/precache-manifest.js; rerun it after changing any asset.
+// precache-manifest:start
+const PRECACHE_MANIFEST = [
+  { url: 'admin-analytics.html', hash: 'f16e3d05ecd20904' },
+  { url: 'admin-bookings.html', hash: '6fe5767b4c89c9ef' },
+  { url: 'admin-machines.html', hash: '4b91e0b6213b5156' },
+  { url: 'admin-maintenance.html', hash: '29f9845a27c5badd' },
+  { url: 'admin-qr.html', hash: 'a3d3b6f9a49c30fe' },
+  { url: 'alerts.html', hash: 'aa47c2658ad343b5' },
+  { url: 'icon-192.png', hash: '868a7b6911e5d60b' },
+  { url: 'icon-512.png', hash: '868a7b6911e5d60b' },
+  { url: 'index.html', hash: '772f4cf04a558acc' },
+  { url: 'laundry.html', hash: 'fde68661e748de2b' },
+  { url: 'leaderboard.html', hash: 'ac0e1f2d49d8a533' },
+  { url: 'manifest.json', hash: 'ccf0aa62e5160a34' },
+  { url: 'my-bookings.html', hash: '2d767906eb9fc3de' },
+  { url: 'my-washes.html', hash: '327a27267a645b9f' },
+  { url: 'offline.html', hash: '6b07d9902e6cd249' },
+  { url: 'profile-avatar.svg', hash: '313fbe53b3f9ac2d' },
+  { url: 'profile.html', hash: '79e6ec68985996a6' },
+  { url: 'rooms.html', hash: 'edfa58a79d4c6fb2' },
+  { url: 'script.js', hash: '90dcfa0c041559c4' },
+  { url: 'styles.css', hash: '03fce2195c9ecbab' },
 ];
+// precache-manifest:end
+
+const PRECACHE_NAME = 'hostelsync-precache';
+const RUNTIME_CACHE_NAME = 'hostelsync-runtime';
+const OFFLINE_URL = 'offline.html';
+
+// Absolute URL of an app asset within this worker's scope.
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+// Precache key for a manifest entry: its URL plus content hash.
+function precacheKey(entry) {
+  const url = new URL(entry.url, self.registration.scope);
+  url.searchParams.set('__hash', entry.hash);
+  return url.href;
+}
+
+const PRECACHE_KEYS = new Map(
+  PRECACHE_MANIFEST.map(entry => [scopedUrl(entry.url), precacheKey(entry)])
+);
+
+// The asset a request is for.  Query strings only carry page parameters, and
+// the scope root is the home page.
+function assetUrl(request) {
+  const url = new URL(request.url);
+  url.search = '';
+  url.hash = '';
+  return url.href === self.registration.scope ? scopedUrl('index.html') : url.href;
+}
 
 self.addEventListener('install', event => {
-  // Pre-cache essential assets during installation.
+  // Fetch only the assets whose hash is not cached yet; unchanged files are
+  // carried over from the previous release.
   event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(URLS_TO_CACHE);
-    })
+    caches.open(PRECACHE_NAME).then(cache =>
+      Promise.all(
+        PRECACHE_MANIFEST.map(entry => {
+          const key = precacheKey(entry);
+          return cache.match(key).then(cached => {
+            if (cached) return undefined;
+            return fetch(scopedUrl(entry.url), { cache: 'reload' }).then(response => {
+              if (!response.ok) {
+                throw new Error(`Precaching ${entry.url} failed with ${response.status}`);
+              }
+              return cache.put(key, response);
+            });
+          });
+        })
+      )
+    )
   );
 });
 
 self.addEventListener('activate', event => {
-  // Remove old caches on activation.
+  // Remove entries for superseded hashes, the runtime copies fetched under
+  // the old release, and caches left by earlier workers.
+  const currentKeys = new Set(PRECACHE_KEYS.values());
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    caches
+      .keys()
+      .then(cacheNames =>
+        Promise.all(
+          cacheNames
+            .filter(cacheName => cacheName !== PRECACHE_NAME)
+            .map(cacheName => caches.delete(cacheName))
+        )
+      )
+      .then(() => caches.open(PRECACHE_NAME))
+      .then(cache =>
+        cache.keys().then(requests =>
+          Promise.all(
+            requests
+              .filter(request => !currentKeys.has(request.url))
+              .map(request => cache.delete(request))
+          )
+        )
+      )
   );
 });
 
+// The page posts this when the resident chooses to reload into the new
+// release.
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
 self.addEventListener('fetch', event => {
-  // Serve assets from cache when available, falling back to network.
-  event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // Other origins (including a remote sync server) and the sync API always
+  // go straight to the network.
+  if (url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+  if (PRECACHE_KEYS.has(assetUrl(request))) {
+    event.respondWith(precached(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Answer an app asset from this release's precache.  Fresh copies arrive
+// only with the next release's worker, which installs them under their new
+// hashes.  The network is a fallback for an entry the browser has evicted.
+function precached(request) {
+  return caches
+    .open(PRECACHE_NAME)
+    .then(cache => cache.match(PRECACHE_KEYS.get(assetUrl(request))))
+    .then(cached => cached || fetch(request));
+}
+
+function matchRuntime(request) {
+  return caches.open(RUNTIME_CACHE_NAME).then(cache => cache.match(assetUrl(request)));
+}
+
+// Fetch a fresh copy and keep it for the next request.
+function revalidate(request) {
+  return fetch(request).then(response => {
+    if (!response.ok || response.type !== 'basic') return response;
+    const copy = response.clone();
+    return caches
+      .open(RUNTIME_CACHE_NAME)
+      .then(cache => cache.put(assetUrl(request), copy))
+      .then(() => response);
+  });
+}
+
+// Answer a file outside the manifest from cache when possible while
+// refreshing it in the background.  Page navigations that are neither cached
+// nor reachable get the offline page.
+function staleWhileRevalidate(event) {
+  const network = revalidate(event.request);
+  event.waitUntil(network.catch(() => undefined));
+  return matchRuntime(event.request).then(cached => {
+    if (cached) return cached;
+    if (event.request.mode !== 'navigate') return network;
+    return network.catch(() =>
+      caches.open(PRECACHE_NAME).then(cache => cache.match(PRECACHE_KEYS.get(scopedUrl(OFFLINE_URL))))
+    );
+  });
+}
+
+// Background Sync for the offline outbox.  Queued changes live in the page's
+// IndexedDB and are applied by script.js, so the worker asks an open
+// HostelSync window to replay them.  Rejecting tells the browser that
+// changes are still waiting, and it will fire the sync again later.  With
+// no window open there is nothing the worker can do; the page replays the
+// outbox itself when the app is next opened.
+self.addEventListener('sync', event => {
+  if (event.tag !== 'hostelsync-outbox') return;
+  event.waitUntil(replayOutboxInClient());
+});
+
+function replayOutboxInClient() {
+  return self.clients.matchAll({ type: 'window' }).then(clients => {
+    if (clients.length === 0) return undefined;
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error('Outbox replay timed out')), 60000);
+      channel.port1.onmessage = event => {
+        clearTimeout(timer);
+        if (event.data && event.data.remaining === 0) {
+          resolve();
+        } else {
+          reject(new Error('Changes are still waiting to sync'));
+        }
+      };
+      clients[0].postMessage({ type: 'replay-outbox' }, [channel.port2]);
+    });
+  });
+}
+
+// Web Push.  The sync server sends { title, body, url, tag } when a
+// resident's cycle finishes or an admin decides on their booking; it is
+// shown even when no HostelSync page is open.
+self.addEventListener('push', event => {
+  let message = {};
+  if (event.data) {
+    try {
+      message = event.data.json();
+    } catch (err) {
+      message = { title: event.data.text() };
+    }
+  }
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'HostelSync', {
+      body: message.body,
+      tag: message.tag,
+      icon: scopedUrl('icon-192.png'),
+      data: { url: message.url || 'index.html' },
     })
   );
-});
\ No newline at end of file
+});
+
+// Open the machine or booking a notification is about, reusing an open
+// HostelSync window when there is one.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = scopedUrl((event.notification.data && event.notification.data.url) || 'index.html');
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      const existing = clients[0];
+      if (!existing) return self.clients.openWindow(target);
+      return existing.navigate(target).then(client => (client || existing).focus());
+    })
+  );
+});
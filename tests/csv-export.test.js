@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+
+test('csvField quotes delimiters, quotes and line breaks', () => {
+  assert.equal(app.csvField('M-2A'), 'M-2A');
+  assert.equal(app.csvField('Block A, east'), '"Block A, east"');
+  assert.equal(app.csvField('6" door'), '"6"" door"');
+  assert.equal(app.csvField(null), '');
+});
+
+test('csvField keeps text from running as a spreadsheet formula', () => {
+  assert.equal(app.csvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(app.csvField('+1'), "'+1");
+  assert.equal(app.csvField('-M'), "'-M");
+  assert.equal(app.csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(app.csvField('\tcmd'), "'\tcmd");
+  assert.equal(app.csvField(-5), '-5');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+const FINISHED = Date.UTC(2024, 6, 15, 12);
+const MINUTE = 60 * 1000;
+
+function withLoad({ settings = [], users = [], machine = {}, escalations } = {}) {
+  app.state = {
+    ...app.makeInitialState(),
+    settings,
+    users,
+    machines: [{ id: 'm-a', label: 'M-2A', hostel: 'A', floor: 2, status: 'AWAITING', ownerId: 'u-1', lastCompletedAt: FINISHED, ...machine }],
+    washes: [{ id: 'w-1', machineId: 'm-a', machineLabel: 'M-2A', ownerId: 'u-1', status: 'AWAITING', escalations }],
+  };
+}
+
+// The steps the wash has logged, as [step, minutes after finishing, notify].
+function logged() {
+  return Array.from(app.state.washes[0].escalations || []).map((e) => [e.step, (e.at - FINISHED) / MINUTE, Array.from(e.notify)]);
+}
+
+test('steps fall due on the default schedule', () => {
+  withLoad({ users: [{ id: 'rep', hostel: 'A', repFloor: 2 }] });
+  const due = (minutes) => Array.from(app.dueEscalations(app.state.machines[0], FINISHED + minutes * MINUTE), (e) => e.step);
+  assert.deepEqual(due(4), []);
+  assert.deepEqual(due(5), ['REMINDER']);
+  assert.deepEqual(due(30), ['REMINDER', 'SECOND_REMINDER', 'FLOOR_REP']);
+  assert.deepEqual(due(45), ['REMINDER', 'SECOND_REMINDER', 'FLOOR_REP', 'MAY_MOVE']);
+});
+
+test('each step is logged once, at the time it fell due', () => {
+  withLoad({ users: [{ id: 'rep', hostel: 'A', repFloor: 2 }] });
+  app.escalateUnattended(FINISHED + 20 * MINUTE);
+  app.escalateUnattended(FINISHED + 21 * MINUTE);
+  assert.deepEqual(logged(), [['REMINDER', 5, ['u-1']], ['SECOND_REMINDER', 15, ['u-1']]]);
+  assert.equal(app.escalationsNeedUpdate(FINISHED + 29 * MINUTE), false);
+  assert.equal(app.escalationsNeedUpdate(FINISHED + 30 * MINUTE), true);
+  app.escalateUnattended(FINISHED + 50 * MINUTE);
+  assert.deepEqual(logged().slice(2), [['FLOOR_REP', 30, ['rep']], ['MAY_MOVE', 45, ['u-1']]]);
+  assert.equal(app.mayMoveClothes(app.state.machines[0]), true);
+});
+
+test('settings reorder the schedule and 0 skips a step', () => {
+  withLoad({
+    settings: [
+      { key: 'escalationReminderMinutes', value: 0 },
+      { key: 'escalationFloorRepMinutes', value: 10 },
+      { key: 'escalationMoveMinutes', value: 20 },
+    ],
+  });
+  const schedule = Array.from(app.escalationSchedule(app.state.machines[0]), (e) => [e.step, (e.at - FINISHED) / MINUTE]);
+  assert.deepEqual(schedule, [['FLOOR_REP', 10], ['SECOND_REMINDER', 15], ['MAY_MOVE', 20]]);
+});
+
+test('a floor without a floor rep alerts the admins instead', () => {
+  withLoad({ users: [{ id: 'rep-3', hostel: 'A', repFloor: 3 }, { id: 'admin', role: 'admin' }] });
+  app.escalateUnattended(FINISHED + 30 * MINUTE);
+  assert.deepEqual(logged().find(([step]) => step === 'FLOOR_REP'), ['FLOOR_REP', 30, ['admin']]);
+});
+
+test('loads without an owner, collected loads and running machines do not escalate', () => {
+  withLoad({ machine: { ownerId: null } });
+  assert.equal(app.dueEscalations(app.state.machines[0], FINISHED + 60 * MINUTE).length, 0);
+  withLoad({ machine: { status: 'FREE' } });
+  assert.equal(app.dueEscalations(app.state.machines[0], FINISHED + 60 * MINUTE).length, 0);
+  withLoad();
+  app.state.washes[0].status = 'COLLECTED';
+  assert.equal(app.escalationsNeedUpdate(FINISHED + 60 * MINUTE), false);
+});
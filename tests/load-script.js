@@ -0,0 +1,43 @@
+/*
+ * Load script.js into a fresh VM context so tests can call its pure
+ * functions.  The page only touches the DOM, IndexedDB and the network from
+ * event handlers, so a few inert stand-ins are enough to evaluate it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+function loadScript(globals = {}) {
+  const context = vm.createContext({
+    console,
+    navigator: {},
+    document: { addEventListener() {} },
+    window: { addEventListener() {} },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    ...globals,
+  });
+  vm.runInContext(SOURCE, context, { filename: 'script.js' });
+  // Top-level const and let bindings are not properties of the context, so
+  // every name is read and assigned by evaluating it.  Assigning lets a test
+  // set `state` or stand in for a function the code under test calls.
+  return new Proxy({}, {
+    get: (target, name) => vm.runInContext(String(name), context),
+    set: (target, name, value) => {
+      context.__assigned = value;
+      vm.runInContext(`${String(name)} = __assigned`, context);
+      delete context.__assigned;
+      return true;
+    },
+  });
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+
+// Run the migration chain from `s.version` the way migrateState() does,
+// without recording the log in IndexedDB.
+function migrate(s) {
+  for (let version = s.version; version < app.STATE_VERSION; version++) {
+    const step = app.STATE_MIGRATIONS.find((m) => m.from === version);
+    assert.ok(step, `no migration from v${version}`);
+    step.migrate(s);
+  }
+  s.version = app.STATE_VERSION;
+  return s;
+}
+
+test('every version from the oldest migration up has exactly one step', () => {
+  const froms = app.STATE_MIGRATIONS.map((m) => m.from);
+  const oldest = Math.min(...froms);
+  for (let version = oldest; version < app.STATE_VERSION; version++) {
+    assert.equal(froms.filter((from) => from === version).length, 1, `v${version}`);
+  }
+});
+
+test('v5 state upgrades to the current version and validates cleanly', () => {
+  const s = migrate({
+    version: 5,
+    machines: [
+      { id: 'WH-1-1', label: 'M-1A', hostel: 'A', floor: 1, status: 'RUNNING', eta: 20, ownerId: 'u-1', nudgeCount: 2 },
+      { id: 'WH-1-2', label: 'M-1B', hostel: 'A', floor: 1, status: 'MAINT', eta: 0 },
+    ],
+    washes: [{ id: 'w-1', machineId: 'WH-1-2', userId: 'u-1', status: 'RUNNING', startAt: 1000 }],
+    reports: [{ id: 'r-1', machineId: 'WH-1-1', reason: 'Leaking', notes: 'Puddle', createdAt: '2024-03-05T10:00:00Z' }],
+    notices: [],
+    rooms: JSON.parse(JSON.stringify(app.makeRooms())),
+    bookings: [],
+    watchFree: { A: { 1: false } },
+    user: { name: 'Demo' },
+  });
+  assert.equal(s.version, app.STATE_VERSION);
+  assert.equal(s.user, null);
+  const [running, maint] = s.machines;
+  assert.equal(running.type, 'washer');
+  assert.ok(Number.isFinite(running.endsAt));
+  assert.ok(!('eta' in running) && !('nudgeCount' in running));
+  assert.equal(s.watches.length, 1);
+  assert.equal(s.watches[0].userId, 'u-1');
+  assert.ok(!('eta' in maint) && !('endsAt' in maint));
+  for (const store of ['outbox', 'users', 'sessions', 'queue', 'settings', 'reservations', 'reputation']) {
+    assert.ok(Array.isArray(s[store]), store);
+  }
+  const leak = s.reports.find((t) => t.machineId === 'WH-1-1');
+  assert.equal(leak.status, 'OPEN');
+  assert.equal(leak.createdAt, Date.UTC(2024, 2, 5, 10));
+  assert.equal(leak.thread[0].text, 'Puddle');
+  assert.ok(s.reports.some((t) => t.machineId === 'WH-1-2' && t.outOfService));
+  assert.equal(s.washes[0].status, 'INTERRUPTED');
+  assert.deepEqual(Array.from(app.validateState(s)), []);
+});
+
+test('v5 reads report times saved by common locales', () => {
+  const expected = new Date(2024, 2, 5, 19, 4, 7).getTime();
+  const dayFirst = {
+    '05/03/2024, 19:04:07': 'en-GB',
+    '5.3.2024, 19:04:07': 'de-DE',
+    '05/03/2024 19:04:07': 'fr-FR',
+    '5/3/2024, 7:04:07 pm': 'en-AU',
+    '05-03-2024 19:04:07': 'nl-NL',
+  };
+  const monthFirst = {
+    '3/5/2024, 7:04:07 PM': 'en-US',
+    '3/5/2024, 7:04:07\u202fPM': 'en-US with a narrow no-break space',
+  };
+  for (const [text, locale] of Object.entries(dayFirst)) {
+    assert.equal(app.parseLocaleTimestamp(text, 'DMY'), expected, locale);
+  }
+  for (const [text, locale] of Object.entries(monthFirst)) {
+    assert.equal(app.parseLocaleTimestamp(text, 'MDY'), expected, locale);
+  }
+  assert.equal(app.parseLocaleTimestamp('2024/3/5 19:04:07', 'MDY'), expected, 'ja-JP');
+  assert.equal(app.parseLocaleTimestamp('2024. 3. 5. 19:04:07'), null);
+});
+
+test('v5 settles the day and month order from whichever is above 12', () => {
+  const expected = new Date(2024, 2, 25, 8, 0, 0).getTime();
+  assert.equal(app.parseLocaleTimestamp('25/03/2024, 08:00:00', 'MDY'), expected);
+  assert.equal(app.parseLocaleTimestamp('03/25/2024, 8:00:00 AM', 'DMY'), expected);
+  assert.equal(app.parseLocaleTimestamp('12/01/2024, 12:30:00 AM', 'MDY'), new Date(2024, 11, 1, 0, 30).getTime());
+});
+
+test('v5 rejects impossible dates and times', () => {
+  for (const text of ['31/02/2024, 10:00:00', '13/13/2024', '1/2/2024, 25:00:00', '1/2/2024, 13:00:00 PM', '1/2/24']) {
+    assert.equal(app.parseLocaleTimestamp(text, 'DMY'), null, text);
+  }
+});
+
+test('a report time in no known format is kept, not discarded', () => {
+  const s = { version: 5, machines: [], reports: [{ id: 'r-1', machineId: 'WH-1-1', reason: 'Noisy', notes: 'Rattles', createdAt: 'mardi 5 mars 2024' }] };
+  app.STATE_MIGRATIONS.find((m) => m.from === 5).migrate(s);
+  assert.equal(s.reports[0].createdAt, 'mardi 5 mars 2024');
+  const before = Date.now();
+  const migrated = migrate({ ...s, version: 6 });
+  const [ticket] = migrated.reports;
+  assert.ok(ticket.createdAt >= before);
+  assert.equal(ticket.thread[0].text, 'Rattles\nReported mardi 5 mars 2024');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+const bytes = (value) => Array.from(value);
+
+// A PUBLISH packet as a broker sends it, at QoS 0 unless given.
+function publish(topic, payload, qos = 0) {
+  const body = [...app.mqttString(topic), ...(qos ? [0, 7] : []), ...new TextEncoder().encode(payload)];
+  return bytes(app.mqttPacket(0x30 | (qos << 1), body));
+}
+
+// Feed chunks to readMqttData as WebSocket messages and collect the events
+// it hands on and the packets it sends back.
+function receive(chunks) {
+  const events = [];
+  const sent = [];
+  const socket = { send: (packet) => sent.push(bytes(packet)), close: (code, reason) => sent.push({ code, reason }) };
+  app.queueTelemetryEvent = (event) => events.push(JSON.parse(JSON.stringify(event)));
+  app.telemetry.config = { topic: 'hostelsync/machines/' };
+  app.telemetry.pending = new Uint8Array(0);
+  chunks.forEach((chunk) => app.readMqttData(socket, Uint8Array.from(chunk)));
+  clearInterval(app.telemetry.pingTimer);
+  return { events, sent, pending: app.telemetry.pending.length };
+}
+
+test('mqttLength encodes the remaining length in seven-bit groups', () => {
+  assert.deepEqual(bytes(app.mqttLength(0)), [0]);
+  assert.deepEqual(bytes(app.mqttLength(127)), [127]);
+  assert.deepEqual(bytes(app.mqttLength(128)), [0x80, 0x01]);
+  assert.deepEqual(bytes(app.mqttLength(16383)), [0xff, 0x7f]);
+  assert.deepEqual(bytes(app.mqttLength(16384)), [0x80, 0x80, 0x01]);
+  assert.deepEqual(bytes(app.mqttLength(268435455)), [0xff, 0xff, 0xff, 0x7f]);
+});
+
+test('mqttString prefixes the UTF-8 length', () => {
+  assert.deepEqual(bytes(app.mqttString('MQTT')), [0, 4, 77, 81, 84, 84]);
+  assert.deepEqual(bytes(app.mqttString('é')), [0, 2, 0xc3, 0xa9]);
+});
+
+test('mqttConnectPacket asks for MQTT 3.1.1 with a clean session', () => {
+  assert.deepEqual(bytes(app.mqttConnectPacket('hs-1')), [
+    0x10, 16, 0, 4, 77, 81, 84, 84, 4, 0x02, 0, 60, 0, 4, 104, 115, 45, 49,
+  ]);
+});
+
+test('CONNACK subscribes to every machine under the configured topic', () => {
+  const { sent } = receive([[0x20, 2, 0, 0]]);
+  assert.deepEqual(sent[0], bytes(app.mqttPacket(0x82, [0, 1, ...app.mqttString('hostelsync/machines/+/+'), 0])));
+});
+
+test('a refused CONNACK closes the socket with the broker\'s code', () => {
+  const { sent } = receive([[0x20, 2, 0, 5]]);
+  assert.deepEqual(sent, [{ code: 4000, reason: 'broker refused the connection (code 5)' }]);
+});
+
+test('packets split across messages are joined before they are read', () => {
+  const packet = publish('hostelsync/machines/M-2A/power', '2150');
+  const { events, pending } = receive([packet.slice(0, 1), packet.slice(1, 9), packet.slice(9)]);
+  assert.deepEqual(events, [{ watts: 2150, machine: 'M-2A', type: 'power' }]);
+  assert.equal(pending, 0);
+});
+
+test('several packets in one message are each read, and a partial one waits', () => {
+  const first = publish('hostelsync/machines/M-2A/door', 'open');
+  const second = publish('hostelsync/machines/M-2B/power', '{"watts": 5}', 1);
+  const third = publish('hostelsync/machines/M-2C/power', '0');
+  const { events, pending } = receive([[...first, ...second, ...third.slice(0, 4)]]);
+  assert.deepEqual(events, [
+    { open: 'open', machine: 'M-2A', type: 'door' },
+    { watts: 5, machine: 'M-2B', type: 'power' },
+  ]);
+  assert.equal(pending, 4);
+});
+
+test('a payload long enough for a two-byte length is read whole', () => {
+  const payload = JSON.stringify({ watts: 1800, note: 'x'.repeat(300) });
+  const { events } = receive([publish('hostelsync/machines/M-2A/power', payload)]);
+  assert.equal(events[0].note.length, 300);
+});
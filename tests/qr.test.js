@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+
+// Format information for level M and each mask, from ISO/IEC 18004 table C.1.
+const FORMAT_M = [
+  '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+  '100010111111001', '100000011001110', '100111110010111', '100101010100000',
+];
+// Alignment pattern centres for versions 1 to 10, from annex E.
+const ALIGNMENT = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+// [blocks, data codewords] per group and EC codewords per block at level M.
+const BLOCKS = [[[1, 16]], [[1, 28]], [[1, 44]], [[2, 32]], [[2, 43]], [[4, 27]], [[4, 31]], [[2, 38], [2, 39]], [[3, 36], [2, 37]], [[4, 43], [1, 44]]];
+const EC = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// A minimal reader for the symbols encodeQr() produces: byte mode, level M.
+function decode(modules) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  const format = Array.from({ length: 15 }, (_, i) => {
+    if (i <= 5) return modules[i][8];
+    if (i === 6) return modules[7][8];
+    if (i === 7) return modules[8][8];
+    if (i === 8) return modules[8][7];
+    return modules[8][14 - i];
+  }).reverse().map(Number).join('');
+  const mask = FORMAT_M.indexOf(format);
+  assert.notEqual(mask, -1, `format bits ${format} are not level M`);
+
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserve = (x0, y0, w, h) => {
+    for (let y = y0; y < y0 + h; y++) for (let x = x0; x < x0 + w; x++) reserved[y][x] = true;
+  };
+  reserve(0, 0, 9, 9);
+  reserve(size - 8, 0, 8, 9);
+  reserve(0, size - 8, 9, 8);
+  reserve(6, 0, 1, size);
+  reserve(0, 6, size, 1);
+  const centres = ALIGNMENT[version - 1];
+  // Every pairing of centres except the three under the finders; those on
+  // the timing patterns are drawn too.
+  const last = centres[centres.length - 1];
+  centres.forEach((cy) => centres.forEach((cx) => {
+    if (!(cx === 6 && cy === 6) && !(cx === last && cy === 6) && !(cx === 6 && cy === last)) reserve(cx - 2, cy - 2, 5, 5);
+  }));
+  if (version >= 7) {
+    reserve(size - 11, 0, 3, 6);
+    reserve(0, size - 11, 6, 3);
+  }
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let x = right; x > right - 2; x--) {
+        if (!reserved[y][x]) bits.push(modules[y][x] !== MASKS[mask](x, y) ? 1 : 0);
+      }
+    }
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  const sizes = BLOCKS[version - 1].flatMap(([count, length]) => new Array(count).fill(length));
+  const blocks = sizes.map(() => ({ data: [], ec: [] }));
+  let next = 0;
+  for (let i = 0; i < Math.max(...sizes); i++) {
+    sizes.forEach((length, b) => i < length && blocks[b].data.push(codewords[next++]));
+  }
+  for (let i = 0; i < EC[version - 1]; i++) blocks.forEach((block) => block.ec.push(codewords[next++]));
+  blocks.forEach((block) => assert.deepEqual(Array.from(app.qrErrorCorrection(block.data, EC[version - 1])), block.ec));
+
+  const data = blocks.flatMap((block) => block.data);
+  const stream = data.flatMap((byte) => byte.toString(2).padStart(8, '0').split('').map(Number));
+  const read = (offset, length) => parseInt(stream.slice(offset, offset + length).join(''), 2);
+  assert.equal(read(0, 4), 0b0100, 'byte mode');
+  const lengthBits = version < 10 ? 8 : 16;
+  const count = read(4, lengthBits);
+  const bytes = Array.from({ length: count }, (_, i) => read(4 + lengthBits + i * 8, 8));
+  return { version, mask, text: new TextDecoder().decode(Uint8Array.from(bytes)) };
+}
+
+test('Reed-Solomon codewords match the worked HELLO WORLD 1-M example', () => {
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  assert.deepEqual(Array.from(app.qrErrorCorrection(data, 10)), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('encodeQr picks the smallest version that holds the text', () => {
+  assert.equal(app.encodeQr('a'.repeat(14)).length, 21);
+  assert.equal(app.encodeQr('a'.repeat(15)).length, 25);
+  assert.equal(app.encodeQr('a'.repeat(213)).length, 57);
+  assert.throws(() => app.encodeQr('a'.repeat(214)), /too long/);
+});
+
+test('encodeQr symbols read back to the encoded link', () => {
+  const links = [
+    'https://hostelsync.example/laundry.html?machine=WH-1-1',
+    'https://hostelsync.example/rooms.html?room=Pool%20Room&hostel=A',
+    'Café é 日本',
+    `https://hostelsync.example/laundry.html?machine=${'x'.repeat(120)}`,
+    `https://hostelsync.example/?q=${'y'.repeat(180)}`,
+  ];
+  const versions = new Set();
+  links.forEach((link) => {
+    const decoded = decode(app.encodeQr(link));
+    assert.equal(decoded.text, link);
+    versions.add(decoded.version);
+  });
+  assert.ok(versions.has(10) && [...versions].some((v) => v >= 7 && v < 10), [...versions].join());
+});
+
+test('encodeQr draws version information from version 7', () => {
+  // Version 7's 18-bit version information is 000111110010010100.
+  const modules = app.encodeQr('z'.repeat(110));
+  const size = modules.length;
+  assert.equal(size, 45);
+  const bits = 0b000111110010010100;
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) === 1;
+    assert.equal(modules[Math.floor(i / 3)][size - 11 + (i % 3)], dark, `top right bit ${i}`);
+    assert.equal(modules[size - 11 + (i % 3)][Math.floor(i / 3)], dark, `bottom left bit ${i}`);
+  }
+});
+
+test('qrSvg draws the symbol inside a four-module quiet zone', () => {
+  const svg = app.qrSvg('https://hostelsync.example/');
+  assert.match(svg, /^<svg [^>]*viewBox="0 0 37 37"/);
+  assert.match(svg, /<path d="M4,4h1v1h-1z/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+const NOW = Date.now();
+const MINUTE = 60 * 1000;
+
+function machine(id, label, changes = {}) {
+  return { id, label, hostel: 'A', floor: 2, type: 'washer', status: 'FREE', nudgedBy: [], flaggedBy: [], ...changes };
+}
+
+function waiting(id, userId, joinedAt) {
+  return { id, userId, hostel: 'A', floor: 2, joinedAt, status: 'WAITING' };
+}
+
+function withState(changes) {
+  app.state = { ...app.makeInitialState(), ...changes };
+  return app.state;
+}
+
+function queue() {
+  return JSON.parse(JSON.stringify(app.state.queue));
+}
+
+test('free machines go to the longest waiting residents, in label order', () => {
+  withState({
+    machines: [machine('m-b', 'M-2B'), machine('m-a', 'M-2A'), machine('m-c', 'M-2C', { status: 'RUNNING', endsAt: NOW + 30 * MINUTE })],
+    queue: [waiting('q-3', 'u-3', NOW - 1 * MINUTE), waiting('q-1', 'u-1', NOW - 9 * MINUTE), waiting('q-2', 'u-2', NOW - 5 * MINUTE)],
+  });
+  assert.equal(app.queueNeedsUpdate(NOW), true);
+  app.advanceQueue(NOW);
+  const byId = Object.fromEntries(queue().map((e) => [e.id, e]));
+  assert.equal(byId['q-1'].machineId, 'm-a');
+  assert.equal(byId['q-2'].machineId, 'm-b');
+  assert.equal(byId['q-1'].holdExpiresAt, NOW + 10 * MINUTE);
+  assert.equal(byId['q-3'].status, 'WAITING');
+  assert.equal(app.queueNeedsUpdate(NOW), false);
+});
+
+test('a lapsed hold drops its holder and passes the machine on', () => {
+  withState({
+    machines: [machine('m-a', 'M-2A')],
+    queue: [
+      { ...waiting('q-1', 'u-1', NOW - 20 * MINUTE), status: 'HOLDING', machineId: 'm-a', holdStartedAt: NOW - 10 * MINUTE, holdExpiresAt: NOW },
+      waiting('q-2', 'u-2', NOW - 15 * MINUTE),
+    ],
+  });
+  assert.equal(app.queueNeedsUpdate(NOW - 1), false);
+  assert.equal(app.queueNeedsUpdate(NOW), true);
+  app.advanceQueue(NOW);
+  assert.deepEqual(queue().map((e) => [e.id, e.status, e.machineId]), [['q-2', 'HOLDING', 'm-a']]);
+});
+
+test('a hold on a machine taken out of service returns its holder to the queue', () => {
+  withState({
+    machines: [machine('m-a', 'M-2A', { status: 'MAINT' }), machine('m-b', 'M-2B', { status: 'RUNNING', endsAt: NOW + 5 * MINUTE })],
+    queue: [{ ...waiting('q-1', 'u-1', NOW - 20 * MINUTE), status: 'HOLDING', machineId: 'm-a', holdExpiresAt: NOW + 5 * MINUTE }],
+  });
+  app.advanceQueue(NOW);
+  const [entry] = queue();
+  assert.equal(entry.status, 'WAITING');
+  assert.equal(entry.machineId, undefined);
+  // Once the running machine's load is collected it goes to the same resident.
+  app.state.machines[1] = machine('m-b', 'M-2B');
+  app.advanceQueue(NOW + 5 * MINUTE);
+  assert.equal(queue()[0].machineId, 'm-b');
+});
+
+test('residents with a low reputation queue behind everyone else', () => {
+  withState({
+    machines: [machine('m-a', 'M-2A')],
+    queue: [waiting('q-1', 'u-1', NOW - 30 * MINUTE), waiting('q-2', 'u-2', NOW - 1 * MINUTE)],
+    reputation: [{ id: 'rep-1', userId: 'u-1', kind: 'ABANDONED', points: -10, createdAt: NOW - 60 * MINUTE }],
+  });
+  app.advanceQueue(NOW);
+  assert.deepEqual(queue().map((e) => [e.id, e.status]), [['q-1', 'WAITING'], ['q-2', 'HOLDING']]);
+});
+
+test('a machine reserved to start before a hold would end is not handed out', () => {
+  withState({
+    machines: [machine('m-a', 'M-2A'), machine('m-b', 'M-2B')],
+    queue: [waiting('q-1', 'u-1', NOW - 5 * MINUTE)],
+    reservations: [{ id: 'res-1', machineId: 'm-a', userId: 'u-9', status: 'RESERVED', startAt: NOW + 12 * MINUTE, endAt: NOW + 60 * MINUTE }],
+  });
+  app.advanceQueue(NOW);
+  assert.equal(queue()[0].machineId, 'm-b');
+});
+
+test('other floors and hostels are queued separately', () => {
+  withState({
+    machines: [machine('m-a', 'M-2A'), machine('m-x', 'M-3A', { floor: 3 })],
+    queue: [waiting('q-1', 'u-1', NOW - 5 * MINUTE), { ...waiting('q-2', 'u-2', NOW - 9 * MINUTE), hostel: 'B' }],
+  });
+  app.advanceQueue(NOW);
+  assert.deepEqual(queue().map((e) => [e.id, e.status, e.machineId]), [['q-1', 'HOLDING', 'm-a'], ['q-2', 'WAITING', undefined]]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const app = loadScript();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('parseCsv picks the delimiter from the header line', () => {
+  assert.equal(app.parseCsv('start;end;kwh\n1;2;0,5\n').delimiter, ';');
+  assert.equal(app.parseCsv('start\tend\n1\t2').delimiter, '\t');
+  assert.deepEqual(plain(app.parseCsv('start;end;kwh\n1;2;0,5\n').rows), [['start', 'end', 'kwh'], ['1', '2', '0,5']]);
+});
+
+test('parseCsv keeps quoted delimiters, quotes and line breaks', () => {
+  const { rows } = app.parseCsv('user,notes\r\n"Doe, Jo","said ""hi""\nthen left"\r\n\r\n,\n');
+  assert.deepEqual(plain(rows), [['user', 'notes'], ['Doe, Jo', 'said "hi"\nthen left']]);
+});
+
+test('parseSensorTime reads wall-clock times in the chosen zone', () => {
+  assert.equal(app.parseSensorTime('2024-01-15 09:30', 'Europe/London'), Date.UTC(2024, 0, 15, 9, 30));
+  assert.equal(app.parseSensorTime('2024-07-15 09:30:00', 'Europe/London'), Date.UTC(2024, 6, 15, 8, 30));
+  assert.equal(app.parseSensorTime('15/07/2024 9:30 pm', 'Asia/Kolkata'), Date.UTC(2024, 6, 15, 16, 0));
+  assert.equal(app.parseSensorTime('15.07.2024, 21:30', 'America/New_York'), Date.UTC(2024, 6, 16, 1, 30));
+});
+
+test('parseSensorTime honours explicit offsets and epoch values', () => {
+  assert.equal(app.parseSensorTime('2024-07-15T09:30:00+02:00', 'America/New_York'), Date.UTC(2024, 6, 15, 7, 30));
+  assert.equal(app.parseSensorTime('2024-07-15T09:30:00Z', 'Asia/Tokyo'), Date.UTC(2024, 6, 15, 9, 30));
+  assert.equal(app.parseSensorTime('1721035800', 'UTC'), 1721035800000);
+  assert.equal(app.parseSensorTime(1721035800000, 'UTC'), 1721035800000);
+});
+
+test('parseSensorTime lands on the right side of daylight saving changes', () => {
+  // Clocks in London went forward at 01:00 UTC on 31 March 2024.
+  assert.equal(app.parseSensorTime('2024-03-31 00:30', 'Europe/London'), Date.UTC(2024, 2, 31, 0, 30));
+  assert.equal(app.parseSensorTime('2024-03-31 03:00', 'Europe/London'), Date.UTC(2024, 2, 31, 2, 0));
+  // And back at 01:00 UTC on 27 October 2024.
+  assert.equal(app.parseSensorTime('2024-10-27 02:30', 'Europe/London'), Date.UTC(2024, 9, 27, 2, 30));
+});
+
+test('parseSensorTime rejects text that is not a date', () => {
+  for (const text of ['', 'yesterday', '31/02/2024 10:00', '2024-01-15 24:00', '15/01/2024 13:00 pm']) {
+    assert.ok(Number.isNaN(app.parseSensorTime(text, 'UTC')), text);
+  }
+});
+
+test('parseSensorNumber accepts a decimal comma and blanks', () => {
+  assert.equal(app.parseSensorNumber('0,75'), 0.75);
+  assert.equal(app.parseSensorNumber(' 12 '), 12);
+  assert.equal(app.parseSensorNumber(''), null);
+  assert.ok(Number.isNaN(app.parseSensorNumber('-1')));
+  assert.ok(Number.isNaN(app.parseSensorNumber('lots')));
+});
+
+test('readSensorExport maps column aliases and reports bad lines', () => {
+  const csv = [
+    'Start Time;End Time;Plug ID;Resident;Energy kWh',
+    '2024-07-15 09:00;2024-07-15 10:10;WH-1-1;Jo 101;0,8',
+    '2024-07-15 11:00;2024-07-15 10:00;WH-1-1;Jo 101;1',
+    'soon;2024-07-15 10:00;WH-1-1;Jo 101;1',
+  ].join('\n');
+  const { sessions, errors } = app.readSensorExport(csv, 'UTC');
+  assert.deepEqual(plain(sessions), [{
+    row: 'Line 2',
+    startAt: Date.UTC(2024, 6, 15, 9),
+    endAt: Date.UTC(2024, 6, 15, 10, 10),
+    user: 'Jo 101',
+    email: null,
+    machine: 'WH-1-1',
+    energyKwh: 0.8,
+    waterLitres: null,
+  }]);
+  assert.deepEqual(plain(errors), ['Line 3: the cycle ends before it starts.', 'Line 4: start time "soon" is not a date.']);
+});
+
+test('readSensorExport reads JSON exports', () => {
+  const json = JSON.stringify({ sessions: [{ start: 1721034000, end: 1721037600, email: 'jo@example.com' }] });
+  const { sessions, errors } = app.readSensorExport(json, 'UTC');
+  assert.equal(errors.length, 0);
+  assert.equal(sessions[0].row, 'Session 1');
+  assert.equal(sessions[0].endAt - sessions[0].startAt, 60 * 60 * 1000);
+  assert.throws(() => app.readSensorExport('{"rows": []}', 'UTC'), /no list of sessions/);
+});
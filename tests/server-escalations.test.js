@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findEscalations } = require('../server/reference-server');
+
+const machines = [{ id: 'm-a', label: 'M-2A', hostel: 'A', floor: 2, status: 'AWAITING', ownerId: 'u-1' }];
+const users = [{ id: 'u-1' }, { id: 'rep', hostel: 'A', repFloor: 2 }, { id: 'admin', role: 'admin' }, { id: 'u-2' }];
+
+function wash(escalations, changes = {}) {
+  return { id: 'w-1', machineId: 'm-a', ownerId: 'u-1', status: 'AWAITING', escalations, ...changes };
+}
+
+const sent = (messages) => messages.map((m) => [m.escalation, m.userId]);
+
+test('recipients come from the owner and the floor reps, not the wash', () => {
+  const washes = [wash([{ step: 'REMINDER', notify: ['u-2'] }, { step: 'FLOOR_REP', notify: ['u-2'] }])];
+  assert.deepEqual(sent(findEscalations(washes, machines, users, [])), [['w-1:REMINDER', 'u-1'], ['w-1:FLOOR_REP', 'rep']]);
+});
+
+test('a floor without a rep alerts the admins', () => {
+  const washes = [wash([{ step: 'FLOOR_REP' }])];
+  const noRep = users.filter((u) => u.id !== 'rep');
+  assert.deepEqual(sent(findEscalations(washes, machines, noRep, [])), [['w-1:FLOOR_REP', 'admin']]);
+});
+
+test('unknown and repeated steps are ignored', () => {
+  const washes = [wash([{ step: 'REMINDER' }, { step: 'REMINDER' }, { step: 'SPAM' }, { step: 'MAY_MOVE' }])];
+  assert.deepEqual(sent(findEscalations(washes, machines, users, ['w-1:MAY_MOVE'])), [['w-1:REMINDER', 'u-1']]);
+});
+
+test('only the machine\'s current finished cycle escalates', () => {
+  assert.equal(findEscalations([wash([{ step: 'REMINDER' }], { ownerId: 'u-2' })], machines, users, []).length, 0);
+  assert.equal(findEscalations([wash([{ step: 'REMINDER' }], { machineId: 'm-x' })], machines, users, []).length, 0);
+  const running = [{ ...machines[0], status: 'RUNNING' }];
+  assert.equal(findEscalations([wash([{ step: 'REMINDER' }])], running, users, []).length, 0);
+});
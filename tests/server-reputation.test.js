@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyUpdate } = require('../server/reference-server');
+
+const resident = { id: 'u-1', role: 'student' };
+const admin = { id: 'a-1', role: 'admin' };
+const penalty = { id: 'rep-1', userId: 'u-1', kind: 'ABANDONED', points: -5, createdAt: 1000, flaggedBy: ['u-2', 'u-3'] };
+
+function docWith(reputation) {
+  return { revision: 3, collections: { reputation } };
+}
+
+test('residents can add the entries their devices record', () => {
+  const doc = docWith([penalty]);
+  const added = [penalty, { id: 'rep-2', userId: 'u-1', kind: 'LATE_PICKUP', points: -2, createdAt: 2000 }];
+  assert.equal(applyUpdate(doc, { revision: 3, collections: { reputation: added } }, resident).status, 200);
+  assert.equal(doc.collections.reputation.length, 2);
+});
+
+test('residents cannot remove or change existing entries', () => {
+  const doc = docWith([penalty]);
+  assert.equal(applyUpdate(doc, { revision: 3, collections: { reputation: [] } }, resident).status, 403);
+  const softened = [{ ...penalty, points: 0 }];
+  assert.equal(applyUpdate(doc, { revision: 3, collections: { reputation: softened } }, resident).status, 403);
+  assert.equal(doc.revision, 3);
+  assert.deepEqual(doc.collections.reputation, [penalty]);
+});
+
+test('residents cannot add admin-only kinds or inflated points', () => {
+  const doc = docWith([penalty]);
+  for (const entry of [
+    { id: 'rep-2', userId: 'u-1', kind: 'OVERTURNED', points: 5, createdAt: 2000 },
+    { id: 'rep-2', userId: 'u-1', kind: 'ON_TIME', points: 50, createdAt: 2000 },
+    { id: 'rep-1', userId: 'u-1', kind: 'ON_TIME', points: 1, createdAt: 2000 },
+  ]) {
+    assert.equal(applyUpdate(doc, { revision: 3, collections: { reputation: [penalty, entry] } }, resident).status, 403, entry.kind);
+  }
+});
+
+test('admins can overturn penalties', () => {
+  const doc = docWith([penalty]);
+  const overturned = [{ ...penalty, overturnedAt: 3000 }, { id: 'rep-2', userId: 'u-1', kind: 'OVERTURNED', points: 5, createdAt: 3000 }];
+  assert.equal(applyUpdate(doc, { revision: 3, collections: { reputation: overturned } }, admin).status, 200);
+});
+
+test('a stale revision is reported before the ledger is checked', () => {
+  assert.equal(applyUpdate(docWith([penalty]), { revision: 2, collections: { reputation: [] } }, resident).status, 409);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/*
+ * Regenerate the precache manifest in service-worker.js.
+ *
+ * Every app asset in the repository root (pages, stylesheet, script, icons
+ * and the web manifest) is listed with a hash of its contents.  Browsers
+ * only install a new service worker when the worker script itself changes,
+ * so rewriting these hashes is what rolls a release out to residents.  Run
+ * it after changing any asset:
+ *
+ *   node tools/precache-manifest.js          rewrite the manifest
+ *   node tools/precache-manifest.js --check  exit 1 if it is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const WORKER_FILE = path.join(APP_ROOT, 'service-worker.js');
+const ASSET_EXTENSIONS = ['.html', '.css', '.js', '.json', '.png', '.svg'];
+const START_MARKER = '// precache-manifest:start';
+const END_MARKER = '// precache-manifest:end';
+
+// Top-level files served to the browser, excluding the worker itself.
+function listAssets() {
+  return fs
+    .readdirSync(APP_ROOT, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .filter((name) => ASSET_EXTENSIONS.includes(path.extname(name)))
+    .filter((name) => name !== 'service-worker.js')
+    .sort();
+}
+
+function hashFile(name) {
+  const contents = fs.readFileSync(path.join(APP_ROOT, name));
+  return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 16);
+}
+
+// Build the manifest block, markers included.
+function renderManifest() {
+  const lines = listAssets().map((name) => `  { url: '${name}', hash: '${hashFile(name)}' },`);
+  return [START_MARKER, 'const PRECACHE_MANIFEST = [', ...lines, '];', END_MARKER].join('\n');
+}
+
+function main() {
+  const source = fs.readFileSync(WORKER_FILE, 'utf8');
+  const start = source.indexOf(START_MARKER);
+  const end = source.indexOf(END_MARKER);
+  if (start < 0 || end < start) {
+    console.error(`Could not find the precache manifest markers in ${WORKER_FILE}`);
+    process.exit(1);
+  }
+  const updated = source.slice(0, start) + renderManifest() + source.slice(end + END_MARKER.length);
+  if (process.argv.includes('--check')) {
+    if (updated !== source) {
+      console.error('Precache manifest is out of date; run node tools/precache-manifest.js');
+      process.exit(1);
+    }
+    console.log('Precache manifest is up to date.');
+    return;
+  }
+  fs.writeFileSync(WORKER_FILE, updated);
+  console.log(`Wrote ${listAssets().length} entries to ${path.relative(process.cwd(), WORKER_FILE)}`);
+}
+
+main();